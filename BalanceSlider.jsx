@@ -0,0 +1,69 @@
+import React from 'react';
+import { MISSING_JUDGMENT } from './ahp.js';
+import { judgmentToBalance, balanceToJudgment, describeJudgment } from './judgment.js';
+
+/**
+ * A two-sided slider for one pair: moving it towards an item makes that item more important,
+ * from the top of the scale on the left, through "equal" in the middle, to the top on the right.
+ * @param {object} props
+ * @param {string} props.rowItem - The item on the left (the matrix row).
+ * @param {string} props.colItem - The item on the right (the matrix column).
+ * @param {number|null} props.value - The judgment a[i][j], or MISSING_JUDGMENT.
+ * @param {{value: number, label: string, score: number}[]} props.scale - The judgment scale, from "equal" upwards; see getScaleOptions.
+ * @param {function(number|null): void} props.onChange - Receives the new judgment a[i][j].
+ * @param {string} [props.className] - Extra classes, e.g. to highlight the pair.
+ * @returns {JSX.Element} The slider.
+ */
+const BalanceSlider = ({ rowItem, colItem, value, scale, onChange, className = '' }) => {
+    const isMissing = value === MISSING_JUDGMENT;
+    const position = judgmentToBalance(value, scale);
+    const steps = scale.length - 1;
+    const ticks = [...scale].reverse().concat(scale.slice(1));
+
+    return (
+        <div className={`p-3 rounded-md border ${isMissing ? 'border-amber-200 bg-amber-50' : 'border-gray-200 bg-white'} ${className}`}>
+            <div className="flex items-center justify-between text-sm font-medium text-gray-800 mb-1">
+                <span className={position < 0 ? 'text-blue-700 font-semibold' : ''}>{rowItem}</span>
+                <span className={position > 0 ? 'text-blue-700 font-semibold' : ''}>{colItem}</span>
+            </div>
+            <input
+                type="range"
+                min={-steps}
+                max={steps}
+                step="1"
+                value={position}
+                onChange={(e) => onChange(balanceToJudgment(parseInt(e.target.value, 10), scale))}
+                className={`w-full ${isMissing ? 'opacity-50' : ''}`}
+                aria-label={`${rowItem} vs ${colItem}`}
+                aria-valuetext={describeJudgment(value, scale, rowItem, colItem)}
+            />
+            <div className="flex justify-between text-xs text-gray-400 font-mono px-1">
+                {ticks.map((option, index) => (
+                    <span key={index}>{Number.isInteger(option.score) ? option.score : option.score.toFixed(1)}</span>
+                ))}
+            </div>
+            <div className="flex items-center justify-between mt-1 text-sm">
+                <span className={isMissing ? 'text-amber-800' : 'text-gray-700'}>
+                    {describeJudgment(value, scale, rowItem, colItem)}
+                </span>
+                {isMissing ? (
+                    <button
+                        onClick={() => onChange(balanceToJudgment(0, scale))}
+                        className="text-xs px-2 py-1 rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-100"
+                    >
+                        Set equal
+                    </button>
+                ) : (
+                    <button
+                        onClick={() => onChange(MISSING_JUDGMENT)}
+                        className="text-xs px-2 py-1 rounded-md text-gray-500 hover:bg-gray-100"
+                    >
+                        Clear
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default BalanceSlider;
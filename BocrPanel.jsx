@@ -0,0 +1,60 @@
+import React from 'react';
+import { MERITS } from './bocr.js';
+
+/**
+ * Switches between the four BOCR sub-models and rates the importance of each merit.
+ * @param {object} props
+ * @param {object} props.bocr - The BOCR settings, see bocr.js.
+ * @param {Object.<string, object>} props.models - Every merit's sub-model, see getMeritModels.
+ * @param {function(string): void} props.onSelectMerit - Receives the merit to edit.
+ * @param {function(string, string): void} props.onRate - Receives a merit and the id of its grade.
+ * @param {Object.<string, number>|null} props.meritWeights - Weights from the ratings, or null until every merit is rated.
+ * @returns {JSX.Element} The BOCR panel.
+ */
+const BocrPanel = ({ bocr, models, onSelectMerit, onRate, meritWeights }) => {
+    const activeMerit = MERITS.find(merit => merit.value === bocr.activeMerit);
+
+    return (
+        <div className="mb-6 p-3 bg-white border border-gray-200 rounded-md shadow-sm">
+            <div className="flex flex-wrap items-center gap-2" role="group" aria-label="BOCR sub-model">
+                <span className="text-sm font-medium text-gray-700">Sub-model:</span>
+                {MERITS.map(merit => (
+                    <button
+                        key={merit.value}
+                        onClick={() => onSelectMerit(merit.value)}
+                        aria-pressed={merit.value === bocr.activeMerit}
+                        className={`text-xs px-3 py-1 rounded-md border transition duration-150 ease-in-out ${merit.value === bocr.activeMerit ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'}`}
+                    >
+                        {merit.label} ({models[merit.value].criteria.length} criteria)
+                    </button>
+                ))}
+            </div>
+            <p className="mt-2 text-xs text-gray-600">
+                {activeMerit.positive
+                    ? `Criteria and comparisons below describe the ${activeMerit.label.toLowerCase()} of each alternative: prefer the alternative that offers more.`
+                    : `Criteria and comparisons below describe the ${activeMerit.label.toLowerCase()} of each alternative: prefer the alternative that is more ${activeMerit.value === 'costs' ? 'costly' : 'risky'}.`}
+            </p>
+            <div className="mt-3 grid grid-cols-1 md:grid-cols-4 gap-3">
+                {MERITS.map(merit => (
+                    <label key={merit.value} className="text-sm text-gray-700">
+                        <span className="block mb-1">Importance of {merit.label}</span>
+                        <select
+                            value={bocr.meritRatings[merit.value] ?? ''}
+                            onChange={(e) => onRate(merit.value, e.target.value)}
+                            className="w-full p-2 border border-gray-300 rounded-md shadow-sm sm:text-sm bg-white"
+                            aria-label={`Importance of ${merit.label}`}
+                        >
+                            <option value="" disabled>Rate…</option>
+                            {bocr.meritScale.grades.map(grade => (
+                                <option key={grade.id} value={grade.id}>{grade.name}</option>
+                            ))}
+                        </select>
+                        {meritWeights && <span className="block mt-1 text-xs text-gray-500 font-mono">weight {meritWeights[merit.value].toFixed(3)}</span>}
+                    </label>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default BocrPanel;
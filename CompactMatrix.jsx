@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { MISSING_JUDGMENT } from './ahp.js';
+import { formatJudgment } from './judgment.js';
+import BalanceSlider from './BalanceSlider.jsx';
+
+/**
+ * A dense view of a whole matrix, for larger problems: each cell shows the judgment of its row
+ * item over its column item, shaded by which side wins. Clicking a cell opens that pair's
+ * balance slider below the grid.
+ * @param {object} props
+ * @param {string[]} props.items - Names of the compared items, in matrix order.
+ * @param {(number|null)[][]} props.matrix - The comparison matrix.
+ * @param {function(number, number, number|null): void} props.onChange - Sets cell (i, j), i < j.
+ * @param {{value: number, label: string, score: number}[]} props.scale - The judgment scale, from "equal" upwards; see getScaleOptions.
+ * @param {Set<string>} props.flaggedCells - "i-j" keys of judgments to highlight as inconsistent.
+ * @param {{i: number, j: number}|null} props.suggestedCell - The comparison to ask next.
+ * @returns {JSX.Element} The compact matrix.
+ */
+const CompactMatrix = ({ items, matrix, onChange, scale, flaggedCells, suggestedCell }) => {
+    const [selected, setSelected] = useState(null);
+    const pair = selected && selected.j < items.length ? selected : null;
+
+    /**
+     * Picks the shading of a cell.
+     * @param {number} i - Row.
+     * @param {number} j - Column.
+     * @returns {string} Tailwind classes.
+     */
+    const cellClass = (i, j) => {
+        const value = matrix[i][j];
+        const [a, b] = [Math.min(i, j), Math.max(i, j)];
+        const ring = pair && pair.i === a && pair.j === b ? 'ring-2 ring-inset ring-blue-600'
+            : flaggedCells.has(`${a}-${b}`) ? 'ring-2 ring-inset ring-red-400'
+                : suggestedCell && suggestedCell.i === a && suggestedCell.j === b ? 'ring-2 ring-inset ring-blue-300' : '';
+        const fill = value === MISSING_JUDGMENT ? 'bg-amber-50 text-amber-700'
+            : value > 1 ? 'bg-green-50 text-green-800'
+                : value < 1 ? 'bg-red-50 text-red-800' : 'bg-white text-gray-600';
+        return `${fill} ${ring}`;
+    };
+
+    return (
+        <div className="mb-4">
+            <div className="overflow-x-auto">
+                <table className="border-collapse text-xs font-mono">
+                    <thead>
+                        <tr>
+                            <th className="p-1"></th>
+                            {items.map((item, j) => (
+                                <th key={j} className="p-1 font-sans font-semibold text-gray-700 max-w-[6rem] truncate" title={item}>{item}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {items.map((rowItem, i) => (
+                            <tr key={i}>
+                                <th className="p-1 pr-2 text-left font-sans font-semibold text-gray-700 max-w-[8rem] truncate" title={rowItem}>{rowItem}</th>
+                                {items.map((colItem, j) => (
+                                    <td key={j} className="p-0 border border-gray-200">
+                                        {i === j ? (
+                                            <span className="block w-12 py-1 text-center bg-gray-100 text-gray-400">1</span>
+                                        ) : (
+                                            <button
+                                                onClick={() => setSelected({ i: Math.min(i, j), j: Math.max(i, j) })}
+                                                className={`block w-12 py-1 text-center hover:bg-blue-50 ${cellClass(i, j)}`}
+                                                aria-label={`${rowItem} vs ${colItem}`}
+                                            >
+                                                {matrix[i][j] === MISSING_JUDGMENT ? '·' : formatJudgment(matrix[i][j])}
+                                            </button>
+                                        )}
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <p className="mt-1 text-xs text-gray-500">
+                Green: the row item wins; red: the column item wins; · not judged yet. Click a cell to edit it.
+            </p>
+            {pair && (
+                <BalanceSlider
+                    rowItem={items[pair.i]}
+                    colItem={items[pair.j]}
+                    value={matrix[pair.i][pair.j]}
+                    scale={scale}
+                    onChange={(value) => onChange(pair.i, pair.j, value)}
+                    className="mt-2"
+                />
+            )}
+        </div>
+    );
+};
+
+export default CompactMatrix;
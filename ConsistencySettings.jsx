@@ -0,0 +1,62 @@
+import React from 'react';
+import { RI, RANDOM_INDEX_SOURCES, CONSISTENCY_THRESHOLD, SIZE_DEPENDENT_THRESHOLDS } from './ahp.js';
+import { CONSISTENCY_POLICIES } from './consistency.js';
+
+/**
+ * Edits the project's consistency settings: the Random Index source, whether Saaty's
+ * size-dependent thresholds apply, and the policy for inconsistent matrices.
+ * @param {object} props
+ * @param {{randomIndexSource: string, sizeDependentThresholds: boolean, policy: string}} props.settings - The current settings.
+ * @param {function(object): void} props.onChange - Receives the updated settings.
+ * @returns {JSX.Element} The settings panel.
+ */
+const ConsistencySettings = ({ settings, onChange }) => {
+    const thresholds = Object.entries(SIZE_DEPENDENT_THRESHOLDS).map(([n, t]) => `${t.toFixed(2)} for ${n} items`).join(', ');
+
+    return (
+        <div className="mb-6 p-3 bg-white border border-gray-200 rounded-md shadow-sm">
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Consistency</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-2">
+                <label className="text-sm text-gray-700">
+                    Random Index
+                    <select
+                        id="random-index-source"
+                        value={settings.randomIndexSource}
+                        onChange={(e) => onChange({ ...settings, randomIndexSource: e.target.value })}
+                        className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm sm:text-sm bg-white"
+                    >
+                        {RANDOM_INDEX_SOURCES.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="text-sm text-gray-700">
+                    Inconsistent Matrices
+                    <select
+                        id="consistency-policy"
+                        value={settings.policy}
+                        onChange={(e) => onChange({ ...settings, policy: e.target.value })}
+                        className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm sm:text-sm bg-white"
+                    >
+                        {CONSISTENCY_POLICIES.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+            <p className="text-xs text-gray-500 mb-2">
+                Random Index values are tabulated up to {RI.length} items; larger matrices use the value for {RI.length} items.
+            </p>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                    type="checkbox"
+                    checked={settings.sizeDependentThresholds}
+                    onChange={(e) => onChange({ ...settings, sizeDependentThresholds: e.target.checked })}
+                />
+                Use Saaty's thresholds for small matrices ({thresholds}; {CONSISTENCY_THRESHOLD.toFixed(2)} otherwise)
+            </label>
+        </div>
+    );
+};
+
+export default ConsistencySettings;
@@ -0,0 +1,200 @@
+import React from 'react';
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip } from 'recharts';
+import {
+    DATA_DIRECTIONS, NORMALIZATIONS, setDataDirection, defaultValueCurve, validateDataCriterion, calculateDataPriorities,
+} from './measurement.js';
+
+/**
+ * Parses a number input, treating an empty or unfinished entry as no value.
+ * @param {string} text - The input's value.
+ * @returns {number|undefined} The number, if there is one.
+ */
+const parseValue = (text) => {
+    const value = parseFloat(text);
+    return Number.isFinite(value) ? value : undefined;
+};
+
+/**
+ * Data entry for a measurable leaf criterion: a raw value per alternative, the criterion's
+ * direction and normalization, and, for a custom value function, its curve points.
+ * @param {object} props
+ * @param {object} props.dataCriterion - The data settings, see createDataCriterion.
+ * @param {{id: string, name: string}[]} props.alternatives - The alternatives.
+ * @param {function(object): void} props.onChange - Replaces the data settings.
+ * @returns {JSX.Element} The data entry editor.
+ */
+const DataEntryEditor = ({ dataCriterion, alternatives, onChange }) => {
+    const { direction, normalization, values, curve } = dataCriterion;
+    const problem = validateDataCriterion(dataCriterion, alternatives);
+    const priorities = problem ? null : calculateDataPriorities(dataCriterion, alternatives);
+
+    /**
+     * Sets or clears one alternative's value.
+     * @param {string} alternativeId - The alternative.
+     * @param {number|undefined} value - Its value, or undefined to clear it.
+     */
+    const setValue = (alternativeId, value) => {
+        const newValues = { ...values };
+        if (value === undefined) delete newValues[alternativeId];
+        else newValues[alternativeId] = value;
+        onChange({ ...dataCriterion, values: newValues });
+    };
+
+    /**
+     * Switches the normalization, starting a custom value function from a straight line.
+     * @param {string} value - One of the NORMALIZATIONS values.
+     */
+    const setNormalization = (value) => {
+        const seedCurve = value === 'valueFunction' && curve.length === 0;
+        onChange({
+            ...dataCriterion,
+            normalization: value,
+            curve: seedCurve ? defaultValueCurve(Object.values(values), direction) : curve,
+        });
+    };
+
+    /**
+     * Changes one coordinate of a value function point.
+     * @param {number} index - The point.
+     * @param {'x'|'y'} axis - The coordinate.
+     * @param {number|undefined} value - The new coordinate.
+     */
+    const setCurvePoint = (index, axis, value) => {
+        onChange({ ...dataCriterion, curve: curve.map((p, k) => (k === index ? { ...p, [axis]: value ?? 0 } : p)) });
+    };
+
+    const sortedCurve = [...curve].sort((a, b) => a.x - b.x);
+
+    return (
+        <>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-4">
+                <label className="text-sm font-medium text-gray-700">
+                    Direction
+                    <select
+                        value={direction}
+                        onChange={(e) => onChange(setDataDirection(dataCriterion, e.target.value))}
+                        className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm sm:text-sm bg-white"
+                    >
+                        {DATA_DIRECTIONS.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="text-sm font-medium text-gray-700">
+                    Normalization
+                    <select
+                        value={normalization}
+                        onChange={(e) => setNormalization(e.target.value)}
+                        className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm sm:text-sm bg-white"
+                    >
+                        {NORMALIZATIONS.filter(option => option.directions.includes(direction)).map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+
+            {normalization === 'valueFunction' && (
+                <div className="mb-4">
+                    <h4 className="text-sm font-semibold text-gray-700 mb-2">Value Function</h4>
+                    <p className="text-xs text-gray-600 mb-2">
+                        Each point maps a measured value to a score. Values between points are interpolated
+                        linearly; values beyond the ends take the nearest end score.
+                    </p>
+                    <div className="space-y-2 mb-2">
+                        {curve.map((point, index) => (
+                            <div key={index} className="flex items-center gap-2 text-sm">
+                                <label className="text-gray-600">
+                                    Value
+                                    <input
+                                        type="number"
+                                        value={point.x}
+                                        onChange={(e) => setCurvePoint(index, 'x', parseValue(e.target.value))}
+                                        className="ml-1 w-28 p-1 border border-gray-300 rounded-md"
+                                    />
+                                </label>
+                                <label className="text-gray-600">
+                                    Score
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="0.1"
+                                        value={point.y}
+                                        onChange={(e) => setCurvePoint(index, 'y', parseValue(e.target.value))}
+                                        className="ml-1 w-24 p-1 border border-gray-300 rounded-md"
+                                    />
+                                </label>
+                                <button
+                                    onClick={() => onChange({ ...dataCriterion, curve: curve.filter((_, k) => k !== index) })}
+                                    disabled={curve.length <= 2}
+                                    className="text-red-500 hover:text-red-700 px-2 rounded-md hover:bg-red-100 disabled:opacity-30 disabled:cursor-not-allowed"
+                                    aria-label="Remove point"
+                                >
+                                    ✕
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                    <button
+                        onClick={() => {
+                            const last = sortedCurve[sortedCurve.length - 1] ?? { x: 0, y: 0 };
+                            onChange({ ...dataCriterion, curve: [...curve, { x: last.x + 1, y: last.y }] });
+                        }}
+                        className="text-sm px-3 py-1 rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-100 mb-3"
+                    >
+                        + Add Point
+                    </button>
+                    <div className="bg-white p-2 rounded-lg border border-gray-200" style={{ height: 200 }}>
+                        <ResponsiveContainer width="100%" height="100%">
+                            <LineChart data={sortedCurve}>
+                                <CartesianGrid strokeDasharray="3 3" />
+                                <XAxis dataKey="x" type="number" domain={['dataMin', 'dataMax']} />
+                                <YAxis />
+                                <Tooltip />
+                                <Line type="linear" dataKey="y" name="Score" stroke="#2563eb" />
+                            </LineChart>
+                        </ResponsiveContainer>
+                    </div>
+                </div>
+            )}
+
+            <div className="overflow-x-auto rounded-lg shadow-md mb-4 max-h-96 overflow-y-auto">
+                <table className="min-w-full bg-white border border-gray-200 rounded-lg">
+                    <thead className="bg-gray-100 sticky top-0">
+                        <tr>
+                            <th className="py-2 px-4 border-b text-left text-sm font-semibold text-gray-700">Alternative</th>
+                            <th className="py-2 px-4 border-b text-left text-sm font-semibold text-gray-700">Value</th>
+                            <th className="py-2 px-4 border-b text-right text-sm font-semibold text-gray-700">Priority</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {alternatives.map((alt, altIndex) => (
+                            <tr key={alt.id} className="hover:bg-gray-50">
+                                <td className="py-2 px-4 border-b text-gray-800">{alt.name}</td>
+                                <td className="py-2 px-4 border-b">
+                                    <input
+                                        type="number"
+                                        value={values[alt.id] ?? ''}
+                                        onChange={(e) => setValue(alt.id, parseValue(e.target.value))}
+                                        className="w-full p-1 border border-gray-300 rounded-md text-sm"
+                                        aria-label={`Value of ${alt.name}`}
+                                    />
+                                </td>
+                                <td className="py-2 px-4 border-b text-right font-mono text-sm text-gray-800">
+                                    {priorities ? priorities[altIndex].toFixed(4) : '—'}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            {problem && (
+                <p className="text-sm p-2 rounded-md bg-amber-50 text-amber-800 border border-amber-200">
+                    Priorities will be shown once the data is complete: {problem}.
+                </p>
+            )}
+        </>
+    );
+};
+
+export default DataEntryEditor;
@@ -0,0 +1,62 @@
+import React from 'react';
+import { formatJudgment } from './judgment.js';
+
+/**
+ * Explains why a matrix is inconsistent: the judgments that deviate most from the ratios implied
+ * by the weights (with a one-click fix for each) and the least transitive triads.
+ * @param {object} props
+ * @param {string[]} props.items - Names of the compared items, in matrix order.
+ * @param {{consistencyRatio: number, cells: object[], triads: object[]}} props.diagnosis - Output of diagnoseMatrix.
+ * @param {function(number, number, number): void} props.onApply - Sets cell (i, j) to a value.
+ * @returns {JSX.Element} The diagnostics panel.
+ */
+const DiagnosticsPanel = ({ items, diagnosis, onApply }) => {
+    return (
+        <div className="mt-3 p-3 border border-red-200 bg-red-50 rounded-md">
+            <h4 className="text-sm font-semibold text-red-700 mb-2">Inconsistency Diagnostics</h4>
+
+            <p className="text-xs text-gray-600 mb-2">
+                These judgments disagree most with the rest of the matrix. The deviation is how many times
+                stronger or weaker the judgment is than the ratio implied by the other answers.
+            </p>
+            <ul className="space-y-2 mb-3">
+                {diagnosis.cells.map(cell => (
+                    <li key={`${cell.i}-${cell.j}`} className="flex flex-wrap items-center justify-between gap-2 bg-white p-2 rounded-md border border-red-100 text-sm">
+                        <span className="text-gray-800">
+                            <span className="font-medium">{items[cell.i]}</span> vs <span className="font-medium">{items[cell.j]}</span>:
+                            {' '}judged <span className="font-mono">{formatJudgment(cell.value)}</span>,
+                            {' '}the rest implies <span className="font-mono">{cell.consistentValue.toFixed(2)}</span>
+                            {' '}<span className="text-red-600">(×{cell.deviation.toFixed(2)} off)</span>
+                        </span>
+                        {cell.suggestion ? (
+                            <button
+                                onClick={() => onApply(cell.i, cell.j, cell.suggestion.value)}
+                                className="text-xs px-3 py-1 rounded-md bg-blue-600 text-white hover:bg-blue-700 transition duration-150 ease-in-out"
+                            >
+                                Apply {formatJudgment(cell.suggestion.value)} → CR {cell.suggestion.consistencyRatio.toFixed(2)}
+                                {!cell.suggestion.meetsThreshold && ' (still high)'}
+                            </button>
+                        ) : (
+                            <span className="text-xs text-gray-500">No single change helps</span>
+                        )}
+                    </li>
+                ))}
+            </ul>
+
+            {diagnosis.triads.length > 0 && (
+                <>
+                    <p className="text-xs text-gray-600 mb-1">Least transitive triads (if A beats B and B beats C, A should beat C by their product):</p>
+                    <ul className="text-sm text-gray-800 list-disc list-inside">
+                        {diagnosis.triads.map(({ i, j, k, inconsistency }) => (
+                            <li key={`${i}-${j}-${k}`}>
+                                {items[i]} → {items[j]} → {items[k]}: <span className="font-mono">{(inconsistency * 100).toFixed(0)}%</span> off
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default DiagnosticsPanel;
@@ -0,0 +1,77 @@
+import React from 'react';
+import { FUZZY_METHODS, fuzzifyMatrix } from './fuzzy.js';
+import { getScaleOptions } from './scales.js';
+
+/**
+ * Formats one bound of a fuzzy number.
+ * @param {number} value - The bound.
+ * @returns {string} The bound, with two decimals unless it is whole.
+ */
+const formatBound = (value) => (Number.isInteger(value) ? String(value) : value.toFixed(2));
+
+/**
+ * Edits the project's fuzzy AHP settings and shows the triangular fuzzy number each verbal
+ * judgment stands for under the current judgment scale.
+ * @param {object} props
+ * @param {{enabled: boolean, method: string}} props.settings - The current settings.
+ * @param {function(object): void} props.onChange - Receives the updated settings.
+ * @param {string} props.judgmentScale - One of the JUDGMENT_SCALES values.
+ * @param {boolean} props.available - False in ratings mode and in the network and BOCR models, which do not use fuzzy judgments.
+ * @returns {JSX.Element} The settings panel.
+ */
+const FuzzySettings = ({ settings, onChange, judgmentScale, available }) => {
+    // The fuzzy number of "row item is <term> compared with column item" is cell (0, 1) of a 2×2 matrix
+    const terms = getScaleOptions(judgmentScale).map(option => {
+        const { l, m, u } = fuzzifyMatrix([[1, option.value], [1 / option.value, 1]], judgmentScale);
+        return { ...option, fuzzy: [l[0][1], m[0][1], u[0][1]] };
+    });
+
+    return (
+        <div className="mb-6 p-3 bg-white border border-gray-200 rounded-md shadow-sm">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+                <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                    <input
+                        type="checkbox"
+                        checked={settings.enabled}
+                        disabled={!available}
+                        onChange={(e) => onChange({ ...settings, enabled: e.target.checked })}
+                    />
+                    Fuzzy AHP (triangular fuzzy judgments)
+                </label>
+                {settings.enabled && available && (
+                    <select
+                        id="fuzzy-method"
+                        value={settings.method}
+                        onChange={(e) => onChange({ ...settings, method: e.target.value })}
+                        className="p-2 border border-gray-300 rounded-md shadow-sm sm:text-sm bg-white"
+                        aria-label="Fuzzy method"
+                    >
+                        {FUZZY_METHODS.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                )}
+            </div>
+            {!available && (
+                <p className="mt-2 text-xs text-gray-500">Fuzzy AHP needs the hierarchy model with pairwise evaluation of the alternatives.</p>
+            )}
+            {settings.enabled && available && (
+                <>
+                    <p className="mt-2 text-xs text-gray-600">
+                        Each judgment is read as a triangular fuzzy number (l, m, u) reaching one step either side
+                        of the chosen term. Rankings use defuzzified priorities; results also show each score's range.
+                    </p>
+                    <ul className="mt-2 grid grid-cols-1 md:grid-cols-3 gap-1 text-xs text-gray-700">
+                        {terms.map(term => (
+                            <li key={term.value}>
+                                {term.label}: <span className="font-mono">({term.fuzzy.map(formatBound).join(', ')})</span>
+                            </li>
+                        ))}
+                    </ul>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default FuzzySettings;
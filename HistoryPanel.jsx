@@ -0,0 +1,58 @@
+import React from 'react';
+import { describeChange } from './history.js';
+
+/**
+ * Undo and redo buttons with the change log of this session.
+ * @param {object} props
+ * @param {object|null} props.undoChange - The change undo would revert, or null.
+ * @param {object|null} props.redoChange - The change redo would repeat, or null.
+ * @param {function(): void} props.onUndo - Undoes the last change.
+ * @param {function(): void} props.onRedo - Redoes the last undone change.
+ * @param {object[]} props.log - Every change made, oldest first (see history.js).
+ * @returns {JSX.Element} The history panel.
+ */
+const HistoryPanel = ({ undoChange, redoChange, onUndo, onRedo, log }) => {
+    const buttonClass = 'text-sm px-3 py-2 rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 transition duration-150 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed';
+
+    return (
+        <div className="mb-8 p-3 bg-gray-50 border border-gray-200 rounded-lg">
+            <div className="flex flex-wrap items-center gap-2">
+                <button
+                    onClick={onUndo}
+                    disabled={!undoChange}
+                    title={undoChange ? `Undo: ${describeChange(undoChange)} (Ctrl+Z)` : 'Nothing to undo'}
+                    className={buttonClass}
+                >
+                    ↶ Undo
+                </button>
+                <button
+                    onClick={onRedo}
+                    disabled={!redoChange}
+                    title={redoChange ? `Redo: ${describeChange(redoChange)} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                    className={buttonClass}
+                >
+                    ↷ Redo
+                </button>
+                <span className="text-xs text-gray-500 truncate">
+                    {undoChange ? `Last change: ${describeChange(undoChange)}` : 'No changes yet in this session.'}
+                </span>
+            </div>
+            {log.length > 0 && (
+                <details className="mt-2">
+                    <summary className="cursor-pointer text-sm font-medium text-gray-700">Change log ({log.length})</summary>
+                    <ol className="mt-2 max-h-64 overflow-y-auto text-xs text-gray-700 space-y-1">
+                        {[...log].reverse().map((change, index) => (
+                            <li key={log.length - index} className="flex gap-2">
+                                <span className="text-gray-500 font-mono shrink-0">{new Date(change.at).toLocaleTimeString()}</span>
+                                {change.author && <span className="font-medium shrink-0">{change.author}:</span>}
+                                <span>{describeChange(change)}</span>
+                            </li>
+                        ))}
+                    </ol>
+                </details>
+            )}
+        </div>
+    );
+};
+
+export default HistoryPanel;
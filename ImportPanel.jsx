@@ -0,0 +1,58 @@
+import React, { useRef, useState } from 'react';
+
+/**
+ * Collapsible box for bringing in data from a spreadsheet: paste a range or CSV text, or load a
+ * .csv file, then import it.
+ * @param {object} props
+ * @param {string} props.label - The summary line, e.g. "Import alternatives from CSV or spreadsheet".
+ * @param {string} props.hint - What the text should look like.
+ * @param {string} props.placeholder - Example text for the text area.
+ * @param {function(string): boolean} props.onImport - Receives the text; returns true if it was imported.
+ * @returns {JSX.Element} The import box.
+ */
+const ImportPanel = ({ label, hint, placeholder, onImport }) => {
+    const [text, setText] = useState('');
+    const fileInputRef = useRef(null);
+
+    const buttonClass = 'text-sm px-3 py-2 rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 transition duration-150 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed';
+
+    /**
+     * Imports the text and clears it once it has been taken.
+     * @param {string} value - The text to import.
+     */
+    const runImport = (value) => {
+        if (onImport(value)) setText('');
+    };
+
+    /**
+     * Imports a chosen CSV file and resets the input so the same file can be chosen twice.
+     * @param {React.ChangeEvent<HTMLInputElement>} e - The change event of the file input.
+     */
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) runImport(await file.text());
+    };
+
+    return (
+        <details className="mb-4 p-3 bg-white border border-gray-200 rounded-md shadow-sm">
+            <summary className="cursor-pointer text-sm font-medium text-gray-700">{label}</summary>
+            <p className="mt-2 text-xs text-gray-600">{hint}</p>
+            <textarea
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                placeholder={placeholder}
+                rows={5}
+                className="mt-2 w-full p-2 border border-gray-300 rounded-md shadow-sm font-mono text-sm focus:ring-blue-500 focus:border-blue-500"
+                aria-label={label}
+            />
+            <div className="mt-2 flex flex-wrap gap-2">
+                <button onClick={() => runImport(text)} disabled={text.trim() === ''} className={buttonClass}>Import Pasted Data</button>
+                <button onClick={() => fileInputRef.current.click()} className={buttonClass}>Load CSV File</button>
+                <input ref={fileInputRef} type="file" accept=".csv,.tsv,.txt,text/csv,text/plain" onChange={handleFileChange} className="hidden" />
+            </div>
+        </details>
+    );
+};
+
+export default ImportPanel;
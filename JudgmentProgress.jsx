@@ -0,0 +1,45 @@
+import React from 'react';
+
+/**
+ * Shows how many comparisons of a matrix have been made, whether priorities can already be
+ * estimated, and which comparison to make next.
+ * @param {object} props
+ * @param {string[]} props.items - Names of the compared items, in matrix order.
+ * @param {{judged: number, total: number, missing: object[], components: number[][], connected: boolean}} props.summary - Output of summarizeJudgments.
+ * @param {{i: number, j: number}|null} props.suggestion - Output of suggestNextComparison.
+ * @returns {JSX.Element} The progress panel.
+ */
+const JudgmentProgress = ({ items, summary, suggestion }) => {
+    const { judged, total, missing, components, connected } = summary;
+    const percent = total === 0 ? 100 : Math.round(100 * judged / total);
+
+    return (
+        <div className="mt-2 p-3 rounded-md border border-gray-200 bg-gray-50 text-sm">
+            <div className="flex items-center justify-between mb-1">
+                <span className="font-medium text-gray-700">{judged} of {total} comparisons made</span>
+                <span className="text-gray-500">{percent}%</span>
+            </div>
+            <div className="h-2 rounded-full bg-gray-200 overflow-hidden mb-2">
+                <div className={`h-full ${connected ? 'bg-green-500' : 'bg-amber-500'}`} style={{ width: `${percent}%` }} />
+            </div>
+            {missing.length > 0 && (connected ? (
+                <p className="text-gray-600">
+                    Priorities are estimated from the comparisons made so far; the {missing.length} missing
+                    {missing.length === 1 ? ' one is' : ' ones are'} highlighted in the table.
+                </p>
+            ) : (
+                <p className="text-amber-800">
+                    Priorities cannot be estimated yet: these groups are not linked by any comparison —
+                    {' '}{components.map(members => members.map(i => items[i]).join(', ')).join(' | ')}.
+                </p>
+            ))}
+            {suggestion && (
+                <p className="mt-1 text-blue-700">
+                    Compare next: <span className="font-semibold">{items[suggestion.i]}</span> vs <span className="font-semibold">{items[suggestion.j]}</span>
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default JudgmentProgress;
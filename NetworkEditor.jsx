@@ -0,0 +1,246 @@
+import React, { useState } from 'react';
+import { ALTERNATIVES_CLUSTER_ID, createCluster, getClusters, getNetworkNodes, getNetworkComparisons } from './anp.js';
+
+/**
+ * Edits an ANP network: groups the leaf criteria into clusters, sets which clusters influence
+ * each node (including feedback from the alternatives to the criteria), and walks through the
+ * node and cluster comparisons those links require.
+ * @param {object} props
+ * @param {Array} props.criteria - The top-level criteria.
+ * @param {{id: string, name: string}[]} props.alternatives - The alternatives.
+ * @param {object} props.network - The synchronized network settings, see anp.js.
+ * @param {function(object): void} props.onChange - Receives the updated network (clusters or links changed).
+ * @param {function(object, string[], string): JSX.Element} props.renderComparison - Renders the input for one
+ * comparison step from getNetworkComparisons, given the names of the compared items and a title.
+ * @returns {JSX.Element} The network editor.
+ */
+const NetworkEditor = ({ criteria, alternatives, network, onChange, renderComparison }) => {
+    const [newClusterName, setNewClusterName] = useState('');
+    const [stepIndex, setStepIndex] = useState(0);
+
+    const clusters = getClusters(network, alternatives);
+    const nodes = getNetworkNodes(criteria, alternatives, network);
+    const steps = getNetworkComparisons(criteria, alternatives, network);
+    const step = steps[Math.min(stepIndex, steps.length - 1)];
+
+    const nodeName = (id) => nodes.find(node => node.id === id)?.name ?? id;
+    const clusterName = (id) => clusters.find(cluster => cluster.id === id)?.name ?? id;
+
+    /**
+     * Adds a cluster with the typed name, if it is not empty or taken.
+     */
+    const addCluster = () => {
+        const name = newClusterName.trim();
+        if (name === '' || clusters.some(cluster => cluster.name === name)) return;
+        onChange({ ...network, clusters: [...network.clusters, createCluster(name)] });
+        setNewClusterName('');
+    };
+
+    /**
+     * Removes a criteria cluster; its criteria move to the first remaining cluster.
+     * @param {string} clusterId - The cluster to remove.
+     */
+    const removeCluster = (clusterId) => {
+        const removed = network.clusters.find(cluster => cluster.id === clusterId);
+        const remaining = network.clusters.filter(cluster => cluster.id !== clusterId);
+        onChange({
+            ...network,
+            clusters: remaining.map((cluster, k) => (k === 0 ? { ...cluster, nodeIds: [...cluster.nodeIds, ...removed.nodeIds] } : cluster)),
+            links: Object.fromEntries(Object.entries(network.links).map(([id, linked]) => [id, linked.filter(c => c !== clusterId)])),
+        });
+    };
+
+    /**
+     * Renames a criteria cluster.
+     * @param {string} clusterId - The cluster.
+     * @param {string} name - The new name.
+     */
+    const renameCluster = (clusterId, name) => {
+        if (name.trim() === '') return; // Clusters keep a name; select the text to replace it
+        onChange({ ...network, clusters: network.clusters.map(cluster => (cluster.id === clusterId ? { ...cluster, name } : cluster)) });
+    };
+
+    /**
+     * Moves a leaf criterion to another cluster.
+     * @param {string} nodeId - The leaf id.
+     * @param {string} clusterId - The cluster it joins.
+     */
+    const moveNode = (nodeId, clusterId) => {
+        onChange({
+            ...network,
+            clusters: network.clusters.map(cluster => ({
+                ...cluster,
+                nodeIds: cluster.id === clusterId ? [...cluster.nodeIds.filter(id => id !== nodeId), nodeId] : cluster.nodeIds.filter(id => id !== nodeId),
+            })),
+        });
+    };
+
+    /**
+     * Turns the influence of a cluster on a node on or off.
+     * @param {string} nodeId - The influenced node.
+     * @param {string} clusterId - The influencing cluster.
+     * @param {boolean} linked - Whether the cluster influences the node.
+     */
+    const toggleLink = (nodeId, clusterId, linked) => {
+        const current = network.links[nodeId] ?? [];
+        const next = linked ? clusters.map(c => c.id).filter(id => id === clusterId || current.includes(id)) : current.filter(id => id !== clusterId);
+        onChange({ ...network, links: { ...network.links, [nodeId]: next } });
+    };
+
+    /**
+     * Describes a comparison step.
+     * @param {object} s - A step from getNetworkComparisons.
+     * @returns {string} The step title.
+     */
+    const stepTitle = (s) => (s.type === 'node'
+        ? `${clusterName(s.clusterId)} with respect to ${nodeName(s.ownerId)}`
+        : `Clusters with respect to ${clusterName(s.ownerId)}`);
+
+    return (
+        <div className="space-y-6">
+            <div className="p-4 bg-white border border-gray-200 rounded-lg shadow-sm">
+                <h3 className="text-lg font-medium text-gray-800 mb-3">Clusters</h3>
+                <div className="space-y-3">
+                    {network.clusters.map(cluster => (
+                        <div key={cluster.id} className="flex flex-wrap items-center gap-2">
+                            <input
+                                type="text"
+                                value={cluster.name}
+                                onChange={(e) => renameCluster(cluster.id, e.target.value)}
+                                className="p-2 border border-gray-300 rounded-md shadow-sm sm:text-sm"
+                                aria-label={`Name of cluster ${cluster.name}`}
+                            />
+                            <span className="text-sm text-gray-600">{cluster.nodeIds.length} criteria</span>
+                            {network.clusters.length > 1 && (
+                                <button
+                                    onClick={() => removeCluster(cluster.id)}
+                                    className="text-xs px-2 py-1 rounded-md text-red-600 hover:bg-red-50"
+                                >
+                                    Remove
+                                </button>
+                            )}
+                        </div>
+                    ))}
+                    <p className="text-sm text-gray-600">The alternatives always form their own cluster.</p>
+                </div>
+                <div className="flex gap-2 mt-3">
+                    <input
+                        type="text"
+                        value={newClusterName}
+                        onChange={(e) => setNewClusterName(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Enter' && addCluster()}
+                        placeholder="New cluster name"
+                        className="flex-grow p-2 border border-gray-300 rounded-md shadow-sm sm:text-sm"
+                    />
+                    <button
+                        onClick={addCluster}
+                        className="bg-blue-600 text-white text-sm px-4 py-2 rounded-md hover:bg-blue-700"
+                    >
+                        Add Cluster
+                    </button>
+                </div>
+            </div>
+
+            <div className="p-4 bg-white border border-gray-200 rounded-lg shadow-sm overflow-x-auto">
+                <h3 className="text-lg font-medium text-gray-800 mb-1">Influences</h3>
+                <p className="text-sm text-gray-600 mb-3">
+                    Tick the clusters whose elements are compared with respect to each node. Linking alternatives
+                    to criteria clusters adds feedback: how much each criterion matters for a given alternative.
+                </p>
+                <table className="min-w-full text-sm">
+                    <thead>
+                        <tr>
+                            <th className="py-2 px-3 text-left font-semibold text-gray-700">Node</th>
+                            {network.clusters.length > 0 && <th className="py-2 px-3 text-left font-semibold text-gray-700">Cluster</th>}
+                            {clusters.map(cluster => (
+                                <th key={cluster.id} className="py-2 px-3 text-center font-semibold text-gray-700">{cluster.name}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {nodes.map(node => (
+                            <tr key={node.id} className="border-t border-gray-100">
+                                <td className="py-2 px-3 text-gray-800">{node.name}</td>
+                                {network.clusters.length > 0 && (
+                                    <td className="py-2 px-3">
+                                        {node.clusterId === ALTERNATIVES_CLUSTER_ID ? (
+                                            <span className="text-gray-500">Alternatives</span>
+                                        ) : (
+                                            <select
+                                                value={node.clusterId}
+                                                onChange={(e) => moveNode(node.id, e.target.value)}
+                                                className="p-1 border border-gray-300 rounded-md bg-white"
+                                                aria-label={`Cluster of ${node.name}`}
+                                            >
+                                                {network.clusters.map(cluster => (
+                                                    <option key={cluster.id} value={cluster.id}>{cluster.name}</option>
+                                                ))}
+                                            </select>
+                                        )}
+                                    </td>
+                                )}
+                                {clusters.map(cluster => (
+                                    <td key={cluster.id} className="py-2 px-3 text-center">
+                                        <input
+                                            type="checkbox"
+                                            checked={(network.links[node.id] ?? []).includes(cluster.id)}
+                                            onChange={(e) => toggleLink(node.id, cluster.id, e.target.checked)}
+                                            aria-label={`${cluster.name} influences ${node.name}`}
+                                        />
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {steps.length === 0 ? (
+                <p className="text-gray-600 italic">The links need no comparisons yet.</p>
+            ) : (
+                <div>
+                    <div className="flex flex-wrap gap-2 mb-4">
+                        {steps.map((s, index) => (
+                            <button
+                                key={`${s.type}-${s.ownerId}-${s.clusterId ?? ''}`}
+                                onClick={() => setStepIndex(index)}
+                                className={`text-xs px-3 py-1 rounded-full border transition duration-150 ease-in-out ${s === step ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'}`}
+                            >
+                                {index + 1}. {stepTitle(s)}
+                            </button>
+                        ))}
+                    </div>
+                    <div className="mb-6 border border-gray-200 rounded-lg p-4 bg-white shadow-sm">
+                        <h3 className="text-lg font-medium text-gray-800 mb-3">
+                            Compare {step.type === 'node' ? `the elements of ${clusterName(step.clusterId)}` : 'clusters'} with respect to:{' '}
+                            <span className="font-bold text-blue-600">{step.type === 'node' ? nodeName(step.ownerId) : clusterName(step.ownerId)}</span>
+                        </h3>
+                        {renderComparison(
+                            step,
+                            step.comparison.ids.map(id => (step.type === 'node' ? nodeName(id) : clusterName(id))),
+                            stepTitle(step),
+                        )}
+                    </div>
+                    <div className="flex justify-between mb-4">
+                        <button
+                            onClick={() => setStepIndex(steps.indexOf(step) - 1)}
+                            disabled={steps.indexOf(step) === 0}
+                            className="text-sm px-4 py-2 rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            ← Previous Comparison
+                        </button>
+                        <button
+                            onClick={() => setStepIndex(steps.indexOf(step) + 1)}
+                            disabled={steps.indexOf(step) === steps.length - 1}
+                            className="text-sm px-4 py-2 rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Next Comparison →
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default NetworkEditor;
@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { AGGREGATION_METHODS } from './group.js';
+
+/**
+ * Lists the participants of a group decision, lets the user choose whose judgments are being
+ * entered, and configures per-participant weights and the aggregation method.
+ * @param {object} props
+ * @param {{id: string, name: string, weight: number}[]} props.participants - The participants.
+ * @param {string} props.activeParticipantId - The participant whose matrices are being edited.
+ * @param {function(string): void} props.onSelect - Makes a participant active.
+ * @param {function(string): void} props.onAdd - Adds a participant with the given name.
+ * @param {function(string): void} props.onRemove - Removes a participant by id.
+ * @param {function(string, object): void} props.onUpdate - Applies changes ({ name } or { weight }) to a participant.
+ * @param {string} props.aggregationMethod - One of the AGGREGATION_METHODS values.
+ * @param {function(string): void} props.onAggregationMethodChange - Changes the aggregation method.
+ * @returns {JSX.Element} The participants panel.
+ */
+const ParticipantsPanel = ({ participants, activeParticipantId, onSelect, onAdd, onRemove, onUpdate, aggregationMethod, onAggregationMethodChange }) => {
+    const [newParticipant, setNewParticipant] = useState('');
+
+    /**
+     * Adds the participant typed in the input and clears it.
+     */
+    const handleAdd = () => {
+        onAdd(newParticipant.trim());
+        setNewParticipant('');
+    };
+
+    return (
+        <div className="mb-6 p-3 bg-white border border-gray-200 rounded-md shadow-sm">
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Participants</h3>
+            <div className="space-y-2 mb-3">
+                {participants.map(p => (
+                    <div key={p.id} className={`flex items-center gap-2 p-2 rounded-md border ${p.id === activeParticipantId ? 'border-blue-400 bg-blue-50' : 'border-gray-200'}`}>
+                        <input
+                            type="radio"
+                            name="active-participant"
+                            checked={p.id === activeParticipantId}
+                            onChange={() => onSelect(p.id)}
+                            aria-label={`Enter judgments as ${p.name}`}
+                        />
+                        <input
+                            type="text"
+                            value={p.name}
+                            onChange={(e) => onUpdate(p.id, { name: e.target.value })}
+                            className="flex-grow p-1 border border-gray-300 rounded-md text-sm"
+                            aria-label="Participant name"
+                        />
+                        <label className="text-xs text-gray-600">
+                            Weight
+                            <input
+                                type="number"
+                                min="0"
+                                step="0.1"
+                                value={p.weight}
+                                onChange={(e) => onUpdate(p.id, { weight: parseFloat(e.target.value) || 0 })}
+                                className="ml-1 w-20 p-1 border border-gray-300 rounded-md text-sm"
+                            />
+                        </label>
+                        <button
+                            onClick={() => onRemove(p.id)}
+                            disabled={participants.length === 1}
+                            className="text-red-500 hover:text-red-700 p-1 rounded-full hover:bg-red-100 transition duration-150 ease-in-out disabled:opacity-30 disabled:cursor-not-allowed"
+                            aria-label={`Remove ${p.name}`}
+                        >
+                            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+                                <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm6 0a1 1 0 012 0v6a1 1 0 11-2 0V8z" clipRule="evenodd" />
+                            </svg>
+                        </button>
+                    </div>
+                ))}
+            </div>
+            <div className="flex mb-3">
+                <input
+                    type="text"
+                    value={newParticipant}
+                    onChange={(e) => setNewParticipant(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+                    placeholder="e.g., Finance Lead"
+                    className="flex-grow p-2 border border-gray-300 rounded-l-md focus:ring-blue-500 focus:border-blue-500 shadow-sm text-sm"
+                />
+                <button
+                    onClick={handleAdd}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-r-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition duration-150 ease-in-out text-sm"
+                >
+                    Add Participant
+                </button>
+            </div>
+            {participants.length > 1 && (
+                <div className="flex items-center justify-between">
+                    <label htmlFor="aggregation-method" className="text-sm font-medium text-gray-700">Group Aggregation</label>
+                    <select
+                        id="aggregation-method"
+                        value={aggregationMethod}
+                        onChange={(e) => onAggregationMethodChange(e.target.value)}
+                        className="p-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm bg-white"
+                    >
+                        {AGGREGATION_METHODS.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ParticipantsPanel;
@@ -0,0 +1,377 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+    COST_RESOURCE_ID, createResource, validatePortfolio, findPairConflict, buildPortfolioProblem, greedyPortfolio,
+} from './portfolio.js';
+
+/**
+ * Parses a number input, treating an empty or unfinished entry as no value.
+ * @param {string} text - The input's value.
+ * @returns {number|undefined} The number, if there is one.
+ */
+const parseValue = (text) => {
+    const value = parseFloat(text);
+    return Number.isFinite(value) ? value : undefined;
+};
+
+/**
+ * Portfolio selection from the results: a cost and any other resources per alternative, limits on
+ * them, the number of picks, and pairs of alternatives that exclude or require each other. Shows
+ * the set with the largest total score that meets them next to the set picked down the ranking.
+ * The optimal set is searched for in a Web Worker (see portfolio.js), as it can take a while.
+ * @param {object} props
+ * @param {object} props.portfolio - The portfolio settings, see createPortfolio.
+ * @param {{id: string, name: string}[]} props.alternatives - The alternatives.
+ * @param {{id: string, name: string, score: number}[]} props.results - The ranking.
+ * @param {boolean} props.readOnly - Shows the selection without letting it be edited.
+ * @param {function(object, string, string): void} props.onChange - Replaces the settings, given the
+ * edit in words and a key that merges repeated edits of the same thing.
+ * @returns {JSX.Element} The portfolio section.
+ */
+const PortfolioPanel = ({ portfolio, alternatives, results, readOnly, onChange }) => {
+    const { resources, values, minPicks, maxPicks, exclusions, dependencies } = portfolio;
+    const [newExclusion, setNewExclusion] = useState(['', '']);
+    const [newDependency, setNewDependency] = useState(['', '']);
+
+    const nameOf = (id) => alternatives.find(a => a.id === id)?.name;
+
+    const scores = alternatives.map(alt => results.find(r => r.id === alt.id)?.score);
+    const problem = scores.some(score => score === undefined)
+        ? 'the results are out of date; please calculate them again'
+        : validatePortfolio(portfolio, alternatives);
+    const rankOrder = alternatives.map((_, altIndex) => altIndex).sort((a, b) => scores[b] - scores[a] || a - b);
+
+    // The search can take a while with many alternatives, so it only runs again when what it reads
+    // changes (scores, values, limits, pick counts and pairs), not when something is renamed
+    const problemKey = portfolio.enabled && !problem ? JSON.stringify(buildPortfolioProblem(portfolio, alternatives, scores)) : null;
+    const greedy = useMemo(() => (problemKey ? greedyPortfolio(JSON.parse(problemKey)) : null), [problemKey]);
+    const canSearch = typeof Worker !== 'undefined';
+    // The outcome of the last search, with the problem it was for: {key, result} or {key, error}
+    const [search, setSearch] = useState(null);
+
+    // A new problem starts a new search; one still running for the previous problem is of no use
+    useEffect(() => {
+        if (!problemKey || !canSearch) return undefined;
+        const worker = new Worker(new URL('./portfolio.worker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = (event) => {
+            const message = event.data;
+            worker.terminate();
+            setSearch(message.type === 'done'
+                ? { key: problemKey, result: message.result }
+                : { key: problemKey, error: `The search failed: ${message.message}` });
+        };
+        worker.onerror = (event) => {
+            worker.terminate();
+            setSearch({ key: problemKey, error: `The search failed: ${event.message || 'the background worker stopped unexpectedly'}.` });
+        };
+        worker.postMessage({ problem: JSON.parse(problemKey) });
+        return () => worker.terminate();
+    }, [problemKey, canSearch]);
+    const searched = search?.key === problemKey ? search : null;
+    const optimal = searched?.result ?? null;
+
+    /**
+     * Sets or clears one alternative's use of a resource.
+     * @param {string} resourceId - The resource.
+     * @param {string} alternativeId - The alternative.
+     * @param {number|undefined} value - The amount, or undefined to clear it.
+     */
+    const setValue = (resourceId, alternativeId, value) => {
+        const byAlternative = { ...values[resourceId] };
+        if (value === undefined) delete byAlternative[alternativeId];
+        else byAlternative[alternativeId] = value;
+        onChange({ ...portfolio, values: { ...values, [resourceId]: byAlternative } }, 'Changed the portfolio values', 'portfolio-values');
+    };
+
+    /**
+     * Changes the name or limit of a resource.
+     * @param {string} resourceId - The resource.
+     * @param {object} changes - The new name and/or limit (null for no limit).
+     */
+    const updateResource = (resourceId, changes) => {
+        onChange(
+            { ...portfolio, resources: resources.map(r => (r.id === resourceId ? { ...r, ...changes } : r)) },
+            'Changed the portfolio resources',
+            `portfolio-resource:${resourceId}`,
+        );
+    };
+
+    /**
+     * Removes an extra resource and its values.
+     * @param {string} resourceId - The resource.
+     */
+    const removeResource = (resourceId) => {
+        const { [resourceId]: _removed, ...otherValues } = values;
+        onChange(
+            { ...portfolio, resources: resources.filter(r => r.id !== resourceId), values: otherValues },
+            `Removed portfolio resource "${resources.find(r => r.id === resourceId).name}"`,
+        );
+    };
+
+    /**
+     * Sets the minimum or maximum number of picks.
+     * @param {'minPicks'|'maxPicks'} key - Which bound.
+     * @param {string} text - The input's value; empty for no bound.
+     */
+    const setPicks = (key, text) => {
+        const value = parseValue(text);
+        onChange({ ...portfolio, [key]: value === undefined ? null : value }, 'Changed the number of portfolio picks', 'portfolio-picks');
+    };
+
+    const fieldClass = 'p-1 border border-gray-300 rounded-md text-sm bg-white';
+    const pairPicker = (pair, setPair, kind, verb, onAdd) => {
+        const conflict = pair[0] && pair[1] ? findPairConflict(portfolio, kind, pair) : null;
+        return (
+            <div>
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                    <select value={pair[0]} onChange={(e) => setPair([e.target.value, pair[1]])} className={fieldClass} aria-label={`First alternative that ${verb}`}>
+                        <option value="">Choose…</option>
+                        {alternatives.map(alt => <option key={alt.id} value={alt.id}>{alt.name}</option>)}
+                    </select>
+                    <span className="text-gray-600">{verb}</span>
+                    <select value={pair[1]} onChange={(e) => setPair([pair[0], e.target.value])} className={fieldClass} aria-label={`Second alternative it ${verb}`}>
+                        <option value="">Choose…</option>
+                        {alternatives.filter(alt => alt.id !== pair[0]).map(alt => <option key={alt.id} value={alt.id}>{alt.name}</option>)}
+                    </select>
+                    <button
+                        onClick={() => { onAdd(pair); setPair(['', '']); }}
+                        disabled={!pair[0] || !pair[1] || pair[0] === pair[1] || conflict !== null}
+                        className="px-3 py-1 rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Add
+                    </button>
+                </div>
+                {conflict && <p className="mt-1 text-xs text-red-600">This pair cannot be added: {conflict}.</p>}
+            </div>
+        );
+    };
+    const removeButton = (label, onClick) => (
+        <button onClick={onClick} className="text-red-500 hover:text-red-700 px-2 rounded-md hover:bg-red-100" aria-label={label}>✕</button>
+    );
+
+    const formatAmount = (value) => (Number.isInteger(value) ? String(value) : value.toFixed(2));
+    const gain = optimal?.selection && greedy.feasible ? optimal.selection.score - greedy.score : null;
+
+    return (
+        <div className="mt-8">
+            <h3 className="text-xl font-semibold text-gray-700 mb-1">Portfolio Selection</h3>
+            <label className="flex items-center gap-2 text-sm text-gray-700 mb-3">
+                <input
+                    type="checkbox"
+                    checked={portfolio.enabled}
+                    onChange={(e) => onChange({ ...portfolio, enabled: e.target.checked }, `${e.target.checked ? 'Turned on' : 'Turned off'} portfolio selection`)}
+                    disabled={readOnly}
+                />
+                Choose a set of alternatives that fits a budget and other limits, with the largest total score
+            </label>
+
+            {portfolio.enabled && (
+                <>
+                    <div className="overflow-x-auto rounded-lg shadow-md mb-3">
+                        <table className="min-w-full bg-white border border-gray-200 rounded-lg text-sm">
+                            <thead className="bg-gray-100">
+                                <tr>
+                                    <th className="py-2 px-4 border-b text-left font-semibold text-gray-700">Alternative</th>
+                                    <th className="py-2 px-4 border-b text-right font-semibold text-gray-700">Score</th>
+                                    {resources.map(resource => (
+                                        <th key={resource.id} className="py-2 px-4 border-b text-left font-semibold text-gray-700">
+                                            <div className="flex items-center gap-1">
+                                                <input
+                                                    type="text"
+                                                    value={resource.name}
+                                                    onChange={(e) => updateResource(resource.id, { name: e.target.value })}
+                                                    disabled={readOnly}
+                                                    className={`${fieldClass} w-28 font-semibold`}
+                                                    aria-label="Resource name"
+                                                />
+                                                {resource.id !== COST_RESOURCE_ID && !readOnly && removeButton(`Remove ${resource.name}`, () => removeResource(resource.id))}
+                                            </div>
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {alternatives.map((alt, altIndex) => (
+                                    <tr key={alt.id} className="hover:bg-gray-50">
+                                        <td className="py-2 px-4 border-b text-gray-800">{alt.name}</td>
+                                        <td className="py-2 px-4 border-b text-right font-mono text-gray-600">{scores[altIndex]?.toFixed(4) ?? '—'}</td>
+                                        {resources.map(resource => (
+                                            <td key={resource.id} className="py-2 px-4 border-b">
+                                                <input
+                                                    type="number"
+                                                    min="0"
+                                                    value={values[resource.id]?.[alt.id] ?? ''}
+                                                    onChange={(e) => setValue(resource.id, alt.id, parseValue(e.target.value))}
+                                                    disabled={readOnly}
+                                                    className={`${fieldClass} w-28`}
+                                                    aria-label={`${resource.name} of ${alt.name}`}
+                                                />
+                                            </td>
+                                        ))}
+                                    </tr>
+                                ))}
+                                <tr className="bg-gray-50">
+                                    <td className="py-2 px-4 border-b font-semibold text-gray-800" colSpan={2}>Limit (empty for none)</td>
+                                    {resources.map(resource => (
+                                        <td key={resource.id} className="py-2 px-4 border-b">
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                value={resource.limit ?? ''}
+                                                onChange={(e) => updateResource(resource.id, { limit: parseValue(e.target.value) ?? null })}
+                                                disabled={readOnly}
+                                                className={`${fieldClass} w-28`}
+                                                aria-label={`${resource.name} limit`}
+                                            />
+                                        </td>
+                                    ))}
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {!readOnly && (
+                        <button
+                            onClick={() => onChange(
+                                { ...portfolio, resources: [...resources, createResource(`Resource ${resources.length + 1}`)] },
+                                'Added a portfolio resource',
+                            )}
+                            className="text-sm px-3 py-1 rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-100 mb-4"
+                        >
+                            + Add Resource
+                        </button>
+                    )}
+
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 bg-white p-4 rounded-lg shadow-md border border-gray-200 mb-4">
+                        <div className="space-y-2">
+                            <h4 className="text-sm font-semibold text-gray-700">Number of Picks</h4>
+                            {[['minPicks', 'At least', minPicks], ['maxPicks', 'At most', maxPicks]].map(([key, label, value]) => (
+                                <label key={key} className="flex items-center gap-2 text-sm text-gray-600">
+                                    <span className="w-16">{label}</span>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="1"
+                                        value={value ?? ''}
+                                        onChange={(e) => setPicks(key, e.target.value)}
+                                        disabled={readOnly}
+                                        className={`${fieldClass} w-20`}
+                                    />
+                                </label>
+                            ))}
+                        </div>
+                        <div className="space-y-2">
+                            <h4 className="text-sm font-semibold text-gray-700">Mutually Exclusive</h4>
+                            {exclusions.length === 0 && <p className="text-xs text-gray-500">No pairs yet.</p>}
+                            <ul className="space-y-1 text-sm text-gray-800">
+                                {exclusions.map((pair, index) => (
+                                    <li key={pair.join(':')} className="flex items-center justify-between">
+                                        <span>{nameOf(pair[0])} or {nameOf(pair[1])}, not both</span>
+                                        {!readOnly && removeButton('Remove pair', () => onChange(
+                                            { ...portfolio, exclusions: exclusions.filter((_, k) => k !== index) },
+                                            `Removed the exclusion of "${nameOf(pair[0])}" and "${nameOf(pair[1])}"`,
+                                        ))}
+                                    </li>
+                                ))}
+                            </ul>
+                            {!readOnly && pairPicker(newExclusion, setNewExclusion, 'exclusion', 'excludes', (pair) => onChange(
+                                { ...portfolio, exclusions: [...exclusions, pair] },
+                                `"${nameOf(pair[0])}" and "${nameOf(pair[1])}" exclude each other`,
+                            ))}
+                        </div>
+                        <div className="space-y-2">
+                            <h4 className="text-sm font-semibold text-gray-700">Dependencies</h4>
+                            {dependencies.length === 0 && <p className="text-xs text-gray-500">No dependencies yet.</p>}
+                            <ul className="space-y-1 text-sm text-gray-800">
+                                {dependencies.map((d, index) => (
+                                    <li key={`${d.alternativeId}:${d.requiredId}`} className="flex items-center justify-between">
+                                        <span>{nameOf(d.alternativeId)} requires {nameOf(d.requiredId)}</span>
+                                        {!readOnly && removeButton('Remove dependency', () => onChange(
+                                            { ...portfolio, dependencies: dependencies.filter((_, k) => k !== index) },
+                                            `"${nameOf(d.alternativeId)}" no longer requires "${nameOf(d.requiredId)}"`,
+                                        ))}
+                                    </li>
+                                ))}
+                            </ul>
+                            {!readOnly && pairPicker(newDependency, setNewDependency, 'dependency', 'requires', ([alternativeId, requiredId]) => onChange(
+                                { ...portfolio, dependencies: [...dependencies, { alternativeId, requiredId }] },
+                                `"${nameOf(alternativeId)}" requires "${nameOf(requiredId)}"`,
+                            ))}
+                        </div>
+                    </div>
+
+                    {problem ? (
+                        <p className="text-sm p-2 rounded-md bg-amber-50 text-amber-800 border border-amber-200">
+                            The portfolio will be chosen once the data is complete: {problem}.
+                        </p>
+                    ) : !canSearch ? (
+                        <p className="text-sm p-2 rounded-md bg-red-100 text-red-700">
+                            This browser cannot search for the portfolio in the background. Please update it.
+                        </p>
+                    ) : searched?.error ? (
+                        <p className="text-sm p-2 rounded-md bg-red-100 text-red-700">{searched.error}</p>
+                    ) : !optimal ? (
+                        <p className="text-sm text-gray-600">Searching for the optimal set…</p>
+                    ) : optimal.status === 'stopped' ? (
+                        <p className="text-sm p-2 rounded-md bg-amber-50 text-amber-800 border border-amber-200">
+                            The search stopped early, before it found a set that meets all the limits and constraints; with this many
+                            alternatives it cannot tell whether one exists. Relaxing some of them or removing alternatives may help.
+                        </p>
+                    ) : optimal.status === 'infeasible' ? (
+                        <p className="text-sm p-2 rounded-md bg-red-100 text-red-700">
+                            No set of alternatives meets all the limits and constraints. Please relax some of them.
+                        </p>
+                    ) : (
+                        <>
+                            <p className={`text-sm mb-3 p-2 rounded-md ${gain !== null && gain <= 1e-9 ? 'bg-green-100 text-green-700' : 'bg-amber-50 text-amber-800 border border-amber-200'}`}>
+                                {!greedy.feasible
+                                    ? `Picking down the ranking cannot reach the minimum of ${minPicks} picks; the optimal set below does.`
+                                    : gain <= 1e-9
+                                        ? 'Picking down the ranking finds an optimal set as well.'
+                                        : `The optimal set scores ${gain.toFixed(4)} more than picking down the ranking (${optimal.selection.score.toFixed(4)} against ${greedy.score.toFixed(4)}).`}
+                                {optimal.status === 'best-found' && ' There are too many alternatives to prove this set optimal; it is the best one found.'}
+                            </p>
+                            <div className="overflow-x-auto rounded-lg shadow-md">
+                                <table className="min-w-full bg-white border border-gray-200 rounded-lg text-sm">
+                                    <thead className="bg-blue-100">
+                                        <tr>
+                                            <th className="py-2 px-4 border-b text-left font-semibold text-blue-700">Rank</th>
+                                            <th className="py-2 px-4 border-b text-left font-semibold text-blue-700">Alternative</th>
+                                            <th className="py-2 px-4 border-b text-center font-semibold text-blue-700">Optimal Set</th>
+                                            <th className="py-2 px-4 border-b text-center font-semibold text-blue-700">By Rank</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {rankOrder.map((altIndex, rank) => (
+                                            <tr key={alternatives[altIndex].id} className="hover:bg-blue-50">
+                                                <td className="py-2 px-4 border-b font-bold text-blue-800">{rank + 1}</td>
+                                                <td className="py-2 px-4 border-b text-gray-800">{alternatives[altIndex].name}</td>
+                                                <td className="py-2 px-4 border-b text-center text-green-700 font-bold">{optimal.selection.picked.includes(altIndex) ? '✓' : ''}</td>
+                                                <td className="py-2 px-4 border-b text-center text-gray-700 font-bold">{greedy.picked.includes(altIndex) ? '✓' : ''}</td>
+                                            </tr>
+                                        ))}
+                                        <tr className="bg-gray-50">
+                                            <td className="py-2 px-4 border-b font-semibold text-gray-800" colSpan={2}>Total score</td>
+                                            <td className="py-2 px-4 border-b text-center font-mono font-semibold text-gray-800">{optimal.selection.score.toFixed(4)}</td>
+                                            <td className="py-2 px-4 border-b text-center font-mono text-gray-800">{greedy.score.toFixed(4)}</td>
+                                        </tr>
+                                        {resources.map((resource, r) => (
+                                            <tr key={resource.id} className="bg-gray-50">
+                                                <td className="py-2 px-4 border-b text-gray-700" colSpan={2}>
+                                                    {resource.name} used{resource.limit !== null && ` (limit ${formatAmount(resource.limit)})`}
+                                                </td>
+                                                <td className="py-2 px-4 border-b text-center font-mono text-gray-800">{formatAmount(optimal.selection.usage[r])}</td>
+                                                <td className="py-2 px-4 border-b text-center font-mono text-gray-800">{formatAmount(greedy.usage[r])}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default PortfolioPanel;
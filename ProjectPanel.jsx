@@ -0,0 +1,82 @@
+import React, { useRef, useState } from 'react';
+
+/**
+ * Project toolbar: rename, save to the browser, load or delete saved projects,
+ * import/export project JSON files and share the project as a link.
+ * @param {object} props
+ * @param {string} props.projectName - Name of the open project.
+ * @param {function(string): void} props.onProjectNameChange - Renames the open project.
+ * @param {{name: string, savedAt: string}[]} props.savedProjects - Projects saved in localStorage.
+ * @param {function(): void} props.onSave - Saves the open project under its name.
+ * @param {function(string): void} props.onLoad - Loads a saved project by name.
+ * @param {function(string): void} props.onDelete - Deletes a saved project by name.
+ * @param {function(): void} props.onExport - Downloads the open project as JSON.
+ * @param {function(File): void} props.onImport - Loads a project, or an AHP interchange document, from an uploaded JSON file.
+ * @param {function(): void} props.onShare - Copies a link that reproduces the open project.
+ * @param {function(): void} props.onNew - Starts an empty project.
+ * @returns {JSX.Element} The project toolbar.
+ */
+const ProjectPanel = ({ projectName, onProjectNameChange, savedProjects, onSave, onLoad, onDelete, onExport, onImport, onShare, onNew }) => {
+    const [selectedProject, setSelectedProject] = useState('');
+    const fileInputRef = useRef(null);
+
+    const buttonClass = 'text-sm px-3 py-2 rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 transition duration-150 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed';
+
+    /**
+     * Passes the chosen file on and resets the input so the same file can be imported twice.
+     * @param {React.ChangeEvent<HTMLInputElement>} e - The change event of the file input.
+     */
+    const handleFileChange = (e) => {
+        const file = e.target.files[0];
+        if (file) onImport(file);
+        e.target.value = '';
+    };
+
+    return (
+        <div className="mb-8 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+            <div className="flex flex-wrap items-center gap-2 mb-3">
+                <label htmlFor="project-name" className="text-sm font-medium text-gray-700">Project</label>
+                <input
+                    id="project-name"
+                    type="text"
+                    value={projectName}
+                    onChange={(e) => onProjectNameChange(e.target.value)}
+                    className="flex-grow p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500 shadow-sm text-sm"
+                />
+                <button onClick={onSave} className={buttonClass}>Save</button>
+                <button onClick={onNew} className={buttonClass}>New</button>
+                <button onClick={onExport} className={buttonClass}>Export JSON</button>
+                <button onClick={() => fileInputRef.current.click()} className={buttonClass}>Import JSON</button>
+                <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleFileChange} className="hidden" />
+                <button onClick={onShare} className={buttonClass}>Share Link</button>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+                <label htmlFor="saved-projects" className="text-sm font-medium text-gray-700">Saved</label>
+                <select
+                    id="saved-projects"
+                    value={selectedProject}
+                    onChange={(e) => setSelectedProject(e.target.value)}
+                    className="flex-grow p-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-sm bg-white"
+                >
+                    <option value="">{savedProjects.length === 0 ? 'No saved projects yet' : 'Choose a saved project…'}</option>
+                    {savedProjects.map(p => (
+                        <option key={p.name} value={p.name}>
+                            {p.name}{p.savedAt ? ` (saved ${new Date(p.savedAt).toLocaleString()})` : ''}
+                        </option>
+                    ))}
+                </select>
+                <button onClick={() => onLoad(selectedProject)} disabled={!selectedProject} className={buttonClass}>Load</button>
+                <button
+                    onClick={() => { onDelete(selectedProject); setSelectedProject(''); }}
+                    disabled={!selectedProject}
+                    className={buttonClass}
+                >
+                    Delete
+                </button>
+            </div>
+            <p className="text-xs text-gray-500 mt-2">Changes are autosaved in this browser and restored when you come back.</p>
+        </div>
+    );
+};
+
+export default ProjectPanel;
@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { MISSING_JUDGMENT } from './ahp.js';
+import { judgmentToBalance, balanceToJudgment } from './judgment.js';
+import BalanceSlider from './BalanceSlider.jsx';
+
+/**
+ * Asks for the comparisons of one matrix one pair at a time, for people who find the grid
+ * confusing. Keyboard: ← / → tip the balance towards the left / right item, 1–9 set the
+ * intensity on the side it already leans to, Delete clears the pair, Enter or N moves to the
+ * next pair and Backspace or P to the previous one.
+ * @param {object} props
+ * @param {string[]} props.items - Names of the compared items, in matrix order.
+ * @param {(number|null)[][]} props.matrix - The comparison matrix.
+ * @param {function(number, number, number|null): void} props.onChange - Sets cell (i, j), i < j.
+ * @param {{value: number, label: string, score: number}[]} props.scale - The judgment scale, from "equal" upwards; see getScaleOptions.
+ * @param {string} props.criterion - What the items are compared with respect to.
+ * @returns {JSX.Element} The questionnaire.
+ */
+const QuestionnaireView = ({ items, matrix, onChange, scale, criterion }) => {
+    const pairs = [];
+    for (let i = 0; i < items.length; i++) {
+        for (let j = i + 1; j < items.length; j++) pairs.push({ i, j });
+    }
+    // Start at the first unanswered pair, so returning to a half-done matrix picks up where it left off
+    const [current, setCurrent] = useState(() => Math.max(0, pairs.findIndex(({ i, j }) => matrix[i][j] === MISSING_JUDGMENT)));
+    const index = Math.min(current, pairs.length - 1);
+    const { i, j } = pairs[index];
+    const value = matrix[i][j];
+    const answered = pairs.filter(pair => matrix[pair.i][pair.j] !== MISSING_JUDGMENT).length;
+    const steps = scale.length - 1;
+
+    /**
+     * Handles the keyboard shortcuts. Arrow keys on the slider itself are left to the browser.
+     * @param {KeyboardEvent} e - The key event.
+     */
+    const handleKeyDown = (e) => {
+        const position = judgmentToBalance(value, scale);
+        const digit = parseInt(e.key, 10);
+        if ((e.key === 'ArrowLeft' || e.key === 'ArrowRight') && e.target.type !== 'range') {
+            const next = Math.max(-steps, Math.min(steps, position + (e.key === 'ArrowLeft' ? -1 : 1)));
+            onChange(i, j, balanceToJudgment(next, scale));
+        } else if (digit >= 1 && digit <= scale.length) {
+            onChange(i, j, balanceToJudgment(position > 0 ? digit - 1 : -(digit - 1), scale));
+        } else if (e.key === 'Delete') {
+            onChange(i, j, MISSING_JUDGMENT);
+        } else if (e.key === 'Enter' || e.key.toLowerCase() === 'n') {
+            setCurrent(Math.min(index + 1, pairs.length - 1));
+        } else if (e.key === 'Backspace' || e.key.toLowerCase() === 'p') {
+            setCurrent(Math.max(index - 1, 0));
+        } else {
+            return;
+        }
+        e.preventDefault();
+    };
+
+    return (
+        <div
+            tabIndex={0}
+            onKeyDown={handleKeyDown}
+            className="mb-4 p-4 rounded-lg border border-gray-200 bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-400"
+            aria-label="Comparison questionnaire"
+        >
+            <div className="flex items-center justify-between text-sm text-gray-600 mb-2">
+                <span>Question {index + 1} of {pairs.length}</span>
+                <span>{answered} answered</span>
+            </div>
+            <p className="text-base text-gray-800 mb-3">
+                With respect to <span className="font-semibold">{criterion}</span>, which is more important,
+                {' '}<span className="font-semibold">{items[i]}</span> or <span className="font-semibold">{items[j]}</span>, and by how much?
+            </p>
+            <BalanceSlider
+                rowItem={items[i]}
+                colItem={items[j]}
+                value={value}
+                scale={scale}
+                onChange={(newValue) => onChange(i, j, newValue)}
+            />
+            <div className="flex justify-between mt-3">
+                <button
+                    onClick={() => setCurrent(index - 1)}
+                    disabled={index === 0}
+                    className="text-sm px-4 py-2 rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    ← Previous Pair
+                </button>
+                <button
+                    onClick={() => setCurrent(index + 1)}
+                    disabled={index === pairs.length - 1}
+                    className="text-sm px-4 py-2 rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    Next Pair →
+                </button>
+            </div>
+            <p className="mt-3 text-xs text-gray-500">
+                Shortcuts: ← / → tip the balance, 1–{scale.length} set the intensity, Delete clears,
+                Enter or N for the next pair, Backspace or P for the previous one.
+            </p>
+        </div>
+    );
+};
+
+export default QuestionnaireView;
@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { addGrade, removeGrade } from './ratings.js';
+
+/**
+ * Ratings mode editor for one leaf criterion: the intensity grades of its rating scale (whose
+ * pairwise comparison table is passed in as children) and a grade picker for every alternative.
+ * Built for long lists: alternatives can be filtered by name, narrowed to the unrated ones and
+ * rated in bulk.
+ * @param {object} props
+ * @param {{grades: {id: string, name: string}[], matrix: number[][]}} props.scale - The leaf's rating scale.
+ * @param {Object.<string, number>} props.priorities - Idealized priority of each grade, by id.
+ * @param {{id: string, name: string}[]} props.alternatives - The alternatives.
+ * @param {Object.<string, string>} props.ratings - Grade id of each rated alternative, by alternative id.
+ * @param {function(object): void} props.onScaleChange - Replaces the rating scale.
+ * @param {function(string[], string): void} props.onRate - Gives the alternatives with these ids a grade id ('' clears the rating).
+ * @param {JSX.Element} props.children - The grade comparison table and its consistency badge.
+ * @returns {JSX.Element} The ratings editor.
+ */
+const RatingsEditor = ({ scale, priorities, alternatives, ratings, onScaleChange, onRate, children }) => {
+    const [newGrade, setNewGrade] = useState('');
+    const [filter, setFilter] = useState('');
+    const [unratedOnly, setUnratedOnly] = useState(false);
+
+    /**
+     * Adds the grade typed in the input as the new lowest grade and clears it.
+     */
+    const handleAddGrade = () => {
+        const name = newGrade.trim();
+        if (name === '' || scale.grades.some(g => g.name === name)) return;
+        onScaleChange(addGrade(scale, name));
+        setNewGrade('');
+    };
+
+    /**
+     * Renames a grade in place.
+     * @param {string} gradeId - The grade to rename.
+     * @param {string} name - Its new name.
+     */
+    const renameGrade = (gradeId, name) => {
+        onScaleChange({ ...scale, grades: scale.grades.map(g => (g.id === gradeId ? { ...g, name } : g)) });
+    };
+
+    const unrated = alternatives.filter(alt => !ratings[alt.id]);
+    const visible = alternatives.filter(alt => (
+        alt.name.toLowerCase().includes(filter.trim().toLowerCase()) && (!unratedOnly || !ratings[alt.id])
+    ));
+
+    return (
+        <>
+            <h4 className="text-sm font-semibold text-gray-700 mb-2">Intensity Grades (best first)</h4>
+            <div className="space-y-2 mb-3">
+                {scale.grades.map(grade => (
+                    <div key={grade.id} className="flex items-center gap-2">
+                        <input
+                            type="text"
+                            value={grade.name}
+                            onChange={(e) => renameGrade(grade.id, e.target.value)}
+                            className="flex-grow p-1 border border-gray-300 rounded-md text-sm"
+                            aria-label="Grade name"
+                        />
+                        <span className="w-16 text-right font-mono text-sm text-gray-700">{(priorities[grade.id] ?? 0).toFixed(3)}</span>
+                        <button
+                            onClick={() => onScaleChange(removeGrade(scale, grade.id))}
+                            disabled={scale.grades.length === 1}
+                            className="text-red-500 hover:text-red-700 p-1 rounded-full hover:bg-red-100 transition duration-150 ease-in-out disabled:opacity-30 disabled:cursor-not-allowed"
+                            aria-label={`Remove grade ${grade.name}`}
+                        >
+                            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+                                <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm6 0a1 1 0 012 0v6a1 1 0 11-2 0V8z" clipRule="evenodd" />
+                            </svg>
+                        </button>
+                    </div>
+                ))}
+            </div>
+            <div className="flex mb-4">
+                <input
+                    type="text"
+                    value={newGrade}
+                    onChange={(e) => setNewGrade(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && handleAddGrade()}
+                    placeholder="e.g., Very Poor"
+                    className="flex-grow p-2 border border-gray-300 rounded-l-md focus:ring-blue-500 focus:border-blue-500 shadow-sm text-sm"
+                />
+                <button
+                    onClick={handleAddGrade}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-r-md hover:bg-blue-700 text-sm transition duration-150 ease-in-out"
+                >
+                    Add Grade
+                </button>
+            </div>
+
+            <h4 className="text-sm font-semibold text-gray-700 mb-2">Compare the Grades</h4>
+            {children}
+
+            <div className="flex flex-wrap items-center justify-between gap-2 mt-6 mb-2">
+                <h4 className="text-sm font-semibold text-gray-700">
+                    Rate the Alternatives <span className="font-normal text-gray-500">({alternatives.length - unrated.length} of {alternatives.length} rated)</span>
+                </h4>
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                    <input
+                        type="text"
+                        value={filter}
+                        onChange={(e) => setFilter(e.target.value)}
+                        placeholder="Filter alternatives"
+                        className="p-1 border border-gray-300 rounded-md"
+                    />
+                    <label className="text-gray-600">
+                        <input type="checkbox" checked={unratedOnly} onChange={(e) => setUnratedOnly(e.target.checked)} className="mr-1" />
+                        Unrated only
+                    </label>
+                    <select
+                        value=""
+                        onChange={(e) => onRate(unrated.map(alt => alt.id), e.target.value)}
+                        disabled={unrated.length === 0}
+                        className="p-1 border border-gray-300 rounded-md bg-white disabled:opacity-50"
+                        aria-label="Rate all unrated alternatives"
+                    >
+                        <option value="" disabled>Rate all unrated as…</option>
+                        {scale.grades.map(grade => (
+                            <option key={grade.id} value={grade.id}>{grade.name}</option>
+                        ))}
+                    </select>
+                </div>
+            </div>
+            <div className="overflow-x-auto rounded-lg shadow-md mb-4 max-h-96 overflow-y-auto">
+                <table className="min-w-full bg-white border border-gray-200 rounded-lg">
+                    <thead className="bg-gray-100 sticky top-0">
+                        <tr>
+                            <th className="py-2 px-4 border-b text-left text-sm font-semibold text-gray-700">Alternative</th>
+                            <th className="py-2 px-4 border-b text-left text-sm font-semibold text-gray-700">Grade</th>
+                            <th className="py-2 px-4 border-b text-right text-sm font-semibold text-gray-700">Priority</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {visible.map(alt => (
+                            <tr key={alt.id} className={ratings[alt.id] ? 'hover:bg-gray-50' : 'bg-amber-50'}>
+                                <td className="py-2 px-4 border-b text-gray-800">{alt.name}</td>
+                                <td className="py-2 px-4 border-b">
+                                    <select
+                                        value={ratings[alt.id] ?? ''}
+                                        onChange={(e) => onRate([alt.id], e.target.value)}
+                                        className="w-full p-1 border border-gray-300 rounded-md text-sm bg-white"
+                                        aria-label={`Grade of ${alt.name}`}
+                                    >
+                                        <option value="">Not rated</option>
+                                        {scale.grades.map(grade => (
+                                            <option key={grade.id} value={grade.id}>{grade.name}</option>
+                                        ))}
+                                    </select>
+                                </td>
+                                <td className="py-2 px-4 border-b text-right font-mono text-sm text-gray-800">
+                                    {ratings[alt.id] ? priorities[ratings[alt.id]].toFixed(3) : '—'}
+                                </td>
+                            </tr>
+                        ))}
+                        {visible.length === 0 && (
+                            <tr>
+                                <td colSpan={3} className="py-2 px-4 text-sm text-gray-500 italic">No alternatives match.</td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+        </>
+    );
+};
+
+export default RatingsEditor;
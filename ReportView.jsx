@@ -0,0 +1,119 @@
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid } from 'recharts';
+
+// Charts have a fixed size: the report is laid out for a printed page, not the window
+const CHART_WIDTH = 640;
+const CHART_ROW_HEIGHT = 28;
+
+/**
+ * Formats a matrix entry for the report.
+ * @param {number|null} value - The entry, or null if the judgment was not made.
+ * @returns {string} The value with three decimals, or a dash.
+ */
+const formatValue = (value) => (value === null ? '–' : value.toFixed(3));
+
+/**
+ * Printable report of a decision: hierarchy with weights, every comparison matrix with its
+ * consistency ratio, the ranking and charts of both. It is meant for paper or "Save as PDF", so
+ * it is hidden on screen and replaces the app when printing.
+ * @param {object} props
+ * @param {object} props.report - Output of buildReport.
+ * @returns {JSX.Element} The report.
+ */
+const ReportView = ({ report }) => {
+    const rankingData = report.ranking.map(({ name, score }) => ({ name, score }));
+    const weightData = report.hierarchy.map(({ path, global }) => ({ name: path.join(' › '), weight: global }));
+    const sectionClass = 'mb-6 break-inside-avoid';
+    const cellClass = 'py-1 px-2 border border-gray-300';
+
+    return (
+        <div className="p-8 text-sm text-gray-900 bg-white">
+            <h1 className="text-2xl font-bold mb-1">{report.projectName}</h1>
+            <p className="text-gray-600 mb-6">Decision report, {new Date(report.createdAt).toLocaleString()}</p>
+
+            <section className={sectionClass}>
+                <h2 className="text-lg font-semibold mb-2">Ranking</h2>
+                <table className="border-collapse mb-3">
+                    <thead>
+                        <tr><th className={cellClass}>Rank</th><th className={cellClass}>Alternative</th><th className={cellClass}>Score</th></tr>
+                    </thead>
+                    <tbody>
+                        {report.ranking.map(({ rank, name, score }) => (
+                            <tr key={name}>
+                                <td className={cellClass}>{rank}</td>
+                                <td className={cellClass}>{name}</td>
+                                <td className={`${cellClass} text-right font-mono`}>{score.toFixed(4)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <BarChart width={CHART_WIDTH} height={Math.max(rankingData.length, 2) * CHART_ROW_HEIGHT + 40} data={rankingData} layout="vertical">
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis type="number" />
+                    <YAxis type="category" dataKey="name" width={160} />
+                    <Bar dataKey="score" fill="#2563eb" isAnimationActive={false} />
+                </BarChart>
+            </section>
+
+            <section className={sectionClass}>
+                <h2 className="text-lg font-semibold mb-2">Hierarchy and Criteria Weights</h2>
+                <table className="border-collapse mb-3">
+                    <thead>
+                        <tr><th className={cellClass}>Criterion</th><th className={cellClass}>Local</th><th className={cellClass}>Global</th></tr>
+                    </thead>
+                    <tbody>
+                        {report.hierarchy.map(node => (
+                            <tr key={node.id}>
+                                <td className={cellClass} style={{ paddingLeft: `${0.5 + node.depth * 1.25}rem` }}>{node.name}</td>
+                                <td className={`${cellClass} text-right font-mono`}>{node.local.toFixed(4)}</td>
+                                <td className={`${cellClass} text-right font-mono`}>{node.global.toFixed(4)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <BarChart width={CHART_WIDTH} height={Math.max(weightData.length, 2) * CHART_ROW_HEIGHT + 40} data={weightData} layout="vertical">
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis type="number" />
+                    <YAxis type="category" dataKey="name" width={200} />
+                    <Bar dataKey="weight" fill="#16a34a" isAnimationActive={false} />
+                </BarChart>
+            </section>
+
+            <section>
+                <h2 className="text-lg font-semibold mb-2">Comparison Matrices</h2>
+                {report.matrices.map((matrix, index) => (
+                    <div key={index} className={sectionClass}>
+                        <h3 className="font-medium mb-1">
+                            {matrix.title}{matrix.participant && ` (${matrix.participant})`}
+                        </h3>
+                        <table className="border-collapse">
+                            <thead>
+                                <tr>
+                                    <th className={cellClass}></th>
+                                    {matrix.items.map(item => <th key={item} className={cellClass}>{item}</th>)}
+                                    <th className={cellClass}>Priority</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {matrix.items.map((item, i) => (
+                                    <tr key={item}>
+                                        <th className={`${cellClass} text-left`}>{item}</th>
+                                        {matrix.values[i].map((value, j) => (
+                                            <td key={j} className={`${cellClass} text-right font-mono`}>{formatValue(value)}</td>
+                                        ))}
+                                        <td className={`${cellClass} text-right font-mono`}>{matrix.weights[i].toFixed(4)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        <p className="mt-1">
+                            Consistency Ratio: {Number.isNaN(matrix.consistencyRatio) ? 'N/A' : matrix.consistencyRatio.toFixed(3)}
+                        </p>
+                    </div>
+                ))}
+            </section>
+        </div>
+    );
+};
+
+export default ReportView;
@@ -0,0 +1,177 @@
+import React, { useState } from 'react';
+import {
+    ResponsiveContainer, BarChart, Bar, PieChart, Pie, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend,
+} from 'recharts';
+import { explainLead } from './breakdown.js';
+import { chartColor } from './charts.js';
+
+// Criteria named in the explanation of the winner's lead
+const MAX_EXPLAINED_CRITERIA = 3;
+
+/**
+ * The results dashboard: the criteria weights as a table and a donut, the local priorities of the
+ * alternatives under every leaf criterion, a stacked bar of what each criterion adds to every
+ * score, and which criteria put the winner ahead of the runner-up.
+ * @param {object} props
+ * @param {object} props.breakdown - Output of buildResultsBreakdown.
+ * @returns {JSX.Element} The breakdown section.
+ */
+const ResultsBreakdown = ({ breakdown }) => {
+    const { alternatives, criteria, leaves, topCriteria, scores } = breakdown;
+    const isNested = leaves.length !== topCriteria.length;
+    const [splitByLeaves, setSplitByLeaves] = useState(false);
+    const stacks = isNested && splitByLeaves ? leaves : topCriteria;
+
+    const order = alternatives.map((_, altIndex) => altIndex).sort((a, b) => scores[b] - scores[a]);
+    const [winner, runnerUp] = order;
+    const lead = runnerUp === undefined ? [] : explainLead(topCriteria, winner, runnerUp);
+    const ahead = lead.filter(row => row.difference > 0).slice(0, MAX_EXPLAINED_CRITERIA);
+    const behind = lead.filter(row => row.difference < 0).reverse().slice(0, MAX_EXPLAINED_CRITERIA);
+    const formatShare = (row) => `${row.name} (${row.difference > 0 ? '+' : '−'}${Math.abs(row.difference).toFixed(4)})`;
+
+    const barData = order.map(altIndex => ({
+        name: alternatives[altIndex],
+        ...Object.fromEntries(stacks.map(row => [row.id, row.contributions[altIndex]])),
+    }));
+
+    return (
+        <div className="mt-8">
+            <h3 className="text-xl font-semibold text-gray-700 mb-3">Why the Alternatives Scored as They Did</h3>
+
+            {runnerUp !== undefined && (
+                <p className="text-sm mb-4 p-3 rounded-md bg-blue-50 text-blue-800 border border-blue-200">
+                    <span className="font-semibold">{alternatives[winner]}</span> leads <span className="font-semibold">{alternatives[runnerUp]}</span> by
+                    {' '}<span className="font-mono">{(scores[winner] - scores[runnerUp]).toFixed(4)}</span>.
+                    {ahead.length > 0 && ` Its lead comes from ${ahead.map(formatShare).join(', ')}.`}
+                    {behind.length > 0 && ` ${alternatives[runnerUp]} does better on ${behind.map(formatShare).join(', ')}.`}
+                </p>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+                <div className="overflow-x-auto rounded-lg shadow-md self-start">
+                    <table className="min-w-full bg-white border border-gray-200 rounded-lg text-sm">
+                        <thead className="bg-gray-100">
+                            <tr>
+                                <th className="py-2 px-4 border-b text-left font-semibold text-gray-700">Criterion</th>
+                                <th className="py-2 px-4 border-b text-right font-semibold text-gray-700">Local Weight</th>
+                                <th className="py-2 px-4 border-b text-right font-semibold text-gray-700">Global Weight</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {criteria.map(criterion => (
+                                <tr key={criterion.id} className="hover:bg-gray-50">
+                                    <td className={`py-2 px-4 border-b text-gray-800 ${criterion.isLeaf ? '' : 'font-medium'}`} style={{ paddingLeft: `${1 + criterion.depth * 1.25}rem` }}>
+                                        {criterion.name}
+                                    </td>
+                                    <td className="py-2 px-4 border-b text-right font-mono text-gray-800">{criterion.localWeight.toFixed(3)}</td>
+                                    <td className="py-2 px-4 border-b text-right font-mono text-gray-800">{criterion.globalWeight.toFixed(3)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+                <div className="bg-white p-4 rounded-lg shadow-md border border-gray-200" style={{ height: 300 }}>
+                    <ResponsiveContainer width="100%" height="100%">
+                        <PieChart>
+                            <Tooltip formatter={(value) => value.toFixed(3)} />
+                            <Pie
+                                data={topCriteria.map(row => ({ name: row.name, value: row.weight }))}
+                                dataKey="value"
+                                nameKey="name"
+                                innerRadius={isNested ? '35%' : '50%'}
+                                outerRadius={isNested ? '60%' : '80%'}
+                                isAnimationActive={false}
+                            >
+                                {topCriteria.map((row, index) => <Cell key={row.id} fill={chartColor(index)} />)}
+                            </Pie>
+                            {isNested && (
+                                <Pie
+                                    data={leaves.map(leaf => ({ name: leaf.path.join(' › '), value: leaf.weight }))}
+                                    dataKey="value"
+                                    nameKey="name"
+                                    innerRadius="65%"
+                                    outerRadius="85%"
+                                    isAnimationActive={false}
+                                >
+                                    {leaves.map(leaf => (
+                                        <Cell key={leaf.id} fill={chartColor(topCriteria.findIndex(top => top.id === leaf.topId))} fillOpacity={0.6} />
+                                    ))}
+                                </Pie>
+                            )}
+                            <Legend payload={topCriteria.map((row, index) => ({ value: row.name, type: 'square', color: chartColor(index) }))} />
+                        </PieChart>
+                    </ResponsiveContainer>
+                </div>
+            </div>
+
+            <h4 className="text-lg font-medium text-gray-800 mb-2">Local Priorities of the Alternatives</h4>
+            <div className="overflow-x-auto rounded-lg shadow-md mb-6">
+                <table className="min-w-full bg-white border border-gray-200 rounded-lg text-sm">
+                    <thead className="bg-gray-100">
+                        <tr>
+                            <th className="py-2 px-4 border-b text-left font-semibold text-gray-700">Criterion</th>
+                            <th className="py-2 px-4 border-b text-right font-semibold text-gray-700">Weight</th>
+                            {alternatives.map((name, altIndex) => (
+                                <th key={altIndex} className="py-2 px-4 border-b text-right font-semibold text-gray-700">{name}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {leaves.map(leaf => {
+                            const best = Math.max(...leaf.priorities);
+                            return (
+                                <tr key={leaf.id} className="hover:bg-gray-50">
+                                    <td className="py-2 px-4 border-b text-gray-800">{leaf.path.join(' › ')}</td>
+                                    <td className="py-2 px-4 border-b text-right font-mono text-gray-600">{leaf.weight.toFixed(3)}</td>
+                                    {leaf.priorities.map((priority, altIndex) => (
+                                        <td key={altIndex} className={`py-2 px-4 border-b text-right font-mono ${priority === best ? 'font-bold text-blue-800' : 'text-gray-800'}`}>
+                                            {priority.toFixed(3)}
+                                        </td>
+                                    ))}
+                                </tr>
+                            );
+                        })}
+                        <tr className="bg-gray-50">
+                            <td className="py-2 px-4 border-b font-semibold text-gray-800">Overall score</td>
+                            <td className="py-2 px-4 border-b"></td>
+                            {scores.map((score, altIndex) => (
+                                <td key={altIndex} className="py-2 px-4 border-b text-right font-mono font-semibold text-gray-800">{score.toFixed(4)}</td>
+                            ))}
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="flex items-center justify-between mb-2">
+                <h4 className="text-lg font-medium text-gray-800">What Each Criterion Adds to the Scores</h4>
+                {isNested && (
+                    <select
+                        value={splitByLeaves ? 'leaves' : 'top'}
+                        onChange={(e) => setSplitByLeaves(e.target.value === 'leaves')}
+                        className="p-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm bg-white"
+                        aria-label="Split the scores by"
+                    >
+                        <option value="top">Top-level criteria</option>
+                        <option value="leaves">Leaf criteria</option>
+                    </select>
+                )}
+            </div>
+            <div className="bg-white p-4 rounded-lg shadow-md border border-gray-200" style={{ height: 320 }}>
+                <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={barData}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="name" />
+                        <YAxis />
+                        <Tooltip formatter={(value) => value.toFixed(4)} />
+                        <Legend />
+                        {stacks.map((row, index) => (
+                            <Bar key={row.id} dataKey={row.id} name={row.path ? row.path.join(' › ') : row.name} stackId="score" fill={chartColor(index)} isAnimationActive={false} />
+                        ))}
+                    </BarChart>
+                </ResponsiveContainer>
+            </div>
+        </div>
+    );
+};
+
+export default ResultsBreakdown;
@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import {
+    ResponsiveContainer, BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine,
+} from 'recharts';
+import { reweight, scoreAlternatives, sampleSensitivityCurve, findRankReversals } from './sensitivity.js';
+import { chartColor } from './charts.js';
+
+/**
+ * Interactive sensitivity analysis for the top-level criteria weights: sliders that re-weight one
+ * criterion (renormalizing the others), a live bar chart of scores, a line chart of every score
+ * against one criterion's weight, and the weights at which the top alternative changes.
+ * @param {object} props
+ * @param {{id: string, name: string, weight: number, priorities: number[]}[]} props.model - Output of buildSensitivityModel.
+ * @param {string[]} props.alternatives - Alternative names, in the order of the priorities.
+ * @returns {JSX.Element} The sensitivity analysis section.
+ */
+const SensitivityAnalysis = ({ model, alternatives }) => {
+    const originalWeights = model.map(criterion => criterion.weight);
+    const [weights, setWeights] = useState(originalWeights);
+    const [sweptIndex, setSweptIndex] = useState(0);
+
+    // Start over whenever the results are recalculated
+    const [analyzedModel, setAnalyzedModel] = useState(model);
+    if (model !== analyzedModel) {
+        setAnalyzedModel(model);
+        setWeights(originalWeights);
+        setSweptIndex(0);
+    }
+
+    const scores = scoreAlternatives(model, weights);
+    const leader = scores.indexOf(Math.max(...scores));
+    const barData = alternatives.map((name, altIndex) => ({ name, score: scores[altIndex] }));
+
+    const breakpoints = findRankReversals(model, weights, sweptIndex);
+    const curve = sampleSensitivityCurve(model, weights, sweptIndex, breakpoints.map(b => b.weight));
+    const lineData = curve.map(point => {
+        const row = { weight: point.weight };
+        alternatives.forEach((name, altIndex) => { row[name] = point.scores[altIndex]; });
+        return row;
+    });
+    const sweptName = model[sweptIndex].name;
+
+    return (
+        <div className="mt-8">
+            <div className="flex items-center justify-between mb-3">
+                <h3 className="text-xl font-semibold text-gray-700">Sensitivity Analysis</h3>
+                <button
+                    onClick={() => setWeights(originalWeights)}
+                    className="text-sm px-3 py-1 rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-100"
+                >
+                    Reset Weights
+                </button>
+            </div>
+
+            <div className="bg-white p-4 rounded-lg shadow-md border border-gray-200 mb-6 space-y-3">
+                {model.map((criterion, index) => (
+                    <div key={criterion.id} className="flex items-center gap-3">
+                        <label htmlFor={`sensitivity-${criterion.id}`} className="w-40 text-sm font-medium text-gray-700 truncate">{criterion.name}</label>
+                        <input
+                            id={`sensitivity-${criterion.id}`}
+                            type="range"
+                            min="0"
+                            max="1"
+                            step="0.01"
+                            value={weights[index]}
+                            onChange={(e) => setWeights(reweight(weights, index, parseFloat(e.target.value)))}
+                            disabled={model.length < 2}
+                            className="flex-grow"
+                        />
+                        <span className="w-28 text-right font-mono text-sm text-gray-800">
+                            {weights[index].toFixed(3)}
+                            <span className="text-gray-400"> / {criterion.weight.toFixed(3)}</span>
+                        </span>
+                    </div>
+                ))}
+            </div>
+
+            <h4 className="text-lg font-medium text-gray-800 mb-2">Scores at the Current Weights</h4>
+            <div className="bg-white p-4 rounded-lg shadow-md border border-gray-200 mb-6" style={{ height: 280 }}>
+                <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={barData}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="name" />
+                        <YAxis />
+                        <Tooltip formatter={(value) => value.toFixed(4)} />
+                        <Bar dataKey="score" name="Score" fill="#2563eb" />
+                    </BarChart>
+                </ResponsiveContainer>
+            </div>
+
+            <div className="flex items-center justify-between mb-2">
+                <h4 className="text-lg font-medium text-gray-800">Scores versus the Weight of</h4>
+                <select
+                    value={sweptIndex}
+                    onChange={(e) => setSweptIndex(parseInt(e.target.value, 10))}
+                    className="p-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm bg-white"
+                    aria-label="Criterion to sweep"
+                >
+                    {model.map((criterion, index) => (
+                        <option key={criterion.id} value={index}>{criterion.name}</option>
+                    ))}
+                </select>
+            </div>
+            <div className="bg-white p-4 rounded-lg shadow-md border border-gray-200 mb-4" style={{ height: 320 }}>
+                <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={lineData}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="weight" type="number" domain={[0, 1]} tickFormatter={(value) => value.toFixed(1)} />
+                        <YAxis />
+                        <Tooltip formatter={(value) => value.toFixed(4)} labelFormatter={(value) => `${sweptName} weight ${Number(value).toFixed(3)}`} />
+                        <Legend />
+                        <ReferenceLine x={weights[sweptIndex]} stroke="#6b7280" strokeDasharray="4 4" label="current" />
+                        {breakpoints.map(b => (
+                            <ReferenceLine key={b.weight} x={b.weight} stroke="#dc2626" strokeDasharray="2 2" />
+                        ))}
+                        {alternatives.map((name, altIndex) => (
+                            <Line key={name} type="linear" dataKey={name} stroke={chartColor(altIndex)} dot={false} />
+                        ))}
+                    </LineChart>
+                </ResponsiveContainer>
+            </div>
+
+            {breakpoints.length === 0 ? (
+                <p className="text-sm p-2 rounded-md bg-green-100 text-green-700">
+                    {alternatives[leader]} stays on top for every weight of {sweptName}.
+                </p>
+            ) : (
+                <ul className="text-sm space-y-1">
+                    {breakpoints.map(b => (
+                        <li key={b.weight} className="p-2 rounded-md bg-amber-50 text-amber-800 border border-amber-200">
+                            At a {sweptName} weight of <span className="font-mono font-bold">{b.weight.toFixed(3)}</span> the top
+                            alternative changes from <span className="font-bold">{alternatives[b.from]}</span> to <span className="font-bold">{alternatives[b.to]}</span>
+                            {' '}(currently {weights[sweptIndex].toFixed(3)}).
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default SensitivityAnalysis;
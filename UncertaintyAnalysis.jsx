@@ -0,0 +1,250 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { PERTURBATION_DISTRIBUTIONS, DEFAULT_SIMULATION_SETTINGS, MAX_SIMULATION_RUNS } from './simulation.js';
+
+// The largest move in steps: from "equal" to either end of the 1/9 … 9 ladder
+const MAX_SPREAD = 8;
+
+/**
+ * Formats a share of runs as a percentage.
+ * @param {number} share - Between 0 and 1.
+ * @returns {string} e.g. "42.5%".
+ */
+const formatShare = (share) => `${(share * 100).toFixed(1)}%`;
+
+/**
+ * Monte Carlo uncertainty analysis of the ranking: the judgments are perturbed thousands of times
+ * in a Web Worker (see simulation.js), and the table shows how often each alternative lands in
+ * each rank and comes first.
+ * @param {object} props
+ * @param {object} props.input - The model behind the results, see simulateRanking.
+ * @returns {JSX.Element} The uncertainty analysis section.
+ */
+const UncertaintyAnalysis = ({ input }) => {
+    const [settings, setSettings] = useState(DEFAULT_SIMULATION_SETTINGS);
+    const [progress, setProgress] = useState(null);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState('');
+    const workerRef = useRef(null);
+
+    /**
+     * Stops a running simulation, if any.
+     */
+    const stopWorker = () => {
+        workerRef.current?.terminate();
+        workerRef.current = null;
+    };
+
+    // A simulation still running when the results are recalculated or the section goes away is of no use to anyone
+    useEffect(() => () => {
+        workerRef.current?.terminate();
+        workerRef.current = null;
+    }, [input]);
+
+    // Results of an earlier calculation no longer apply once the results are recalculated
+    const [analyzedInput, setAnalyzedInput] = useState(input);
+    if (input !== analyzedInput) {
+        setAnalyzedInput(input);
+        setProgress(null);
+        setResult(null);
+        setError('');
+    }
+
+    const spreadStep = settings.distribution === 'steps' ? 1 : 0.25;
+    const isValid = Number.isInteger(settings.runs) && settings.runs >= 1 && settings.runs <= MAX_SIMULATION_RUNS
+        && settings.spread > 0 && settings.spread <= MAX_SPREAD && Number.isInteger(settings.seed);
+
+    /**
+     * Starts the simulation in a new worker.
+     */
+    const runSimulation = () => {
+        stopWorker();
+        setResult(null);
+        setError('');
+        if (typeof Worker === 'undefined') {
+            setError('This browser cannot run simulations in the background. Please update it.');
+            return;
+        }
+        const worker = new Worker(new URL('./simulation.worker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = (event) => {
+            // Messages a stopped worker had already sent are ignored
+            if (workerRef.current !== worker) return;
+            const message = event.data;
+            if (message.type === 'progress') {
+                setProgress(message.done);
+                return;
+            }
+            stopWorker();
+            setProgress(null);
+            if (message.type === 'done') setResult({ ...message.result, settings });
+            else setError(`The simulation failed: ${message.message}`);
+        };
+        worker.onerror = (event) => {
+            if (workerRef.current !== worker) return;
+            stopWorker();
+            setProgress(null);
+            setError(`The simulation failed: ${event.message || 'the background worker stopped unexpectedly'}.`);
+        };
+        workerRef.current = worker;
+        setProgress(0);
+        worker.postMessage({ input, settings });
+    };
+
+    /**
+     * Stops the simulation on request.
+     */
+    const cancelSimulation = () => {
+        stopWorker();
+        setProgress(null);
+    };
+
+    /**
+     * Updates one setting from a number input.
+     * @param {string} key - The setting.
+     * @param {string} text - The input's value.
+     */
+    const updateNumber = (key, text) => setSettings({ ...settings, [key]: text === '' ? NaN : Number(text) });
+
+    const isRunning = progress !== null;
+    const fieldClass = 'mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm sm:text-sm bg-white';
+
+    return (
+        <div className="mt-8">
+            <h3 className="text-xl font-semibold text-gray-700 mb-1">Uncertainty Analysis</h3>
+            <p className="text-sm text-gray-600 mb-3">
+                Every run moves each pairwise judgment by a random amount on the verbal scale (e.g. ±1 step turns a 3 into a 2, 3 or 4)
+                and recalculates the ranking. Ratings and measured data are kept as they are, and fuzzy judgments are simulated by
+                their middle values. The same seed always gives the same result.
+            </p>
+
+            <div className="bg-white p-4 rounded-lg shadow-md border border-gray-200 mb-4">
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                    <label className="text-sm text-gray-700">
+                        Runs
+                        <input
+                            type="number"
+                            min="1"
+                            max={MAX_SIMULATION_RUNS}
+                            step="100"
+                            value={Number.isNaN(settings.runs) ? '' : settings.runs}
+                            onChange={(e) => updateNumber('runs', e.target.value)}
+                            disabled={isRunning}
+                            className={fieldClass}
+                        />
+                    </label>
+                    <label className="text-sm text-gray-700">
+                        Range (± steps)
+                        <input
+                            type="number"
+                            min={spreadStep}
+                            max={MAX_SPREAD}
+                            step={spreadStep}
+                            value={Number.isNaN(settings.spread) ? '' : settings.spread}
+                            onChange={(e) => updateNumber('spread', e.target.value)}
+                            disabled={isRunning}
+                            className={fieldClass}
+                        />
+                    </label>
+                    <label className="text-sm text-gray-700">
+                        Distribution
+                        <select
+                            value={settings.distribution}
+                            onChange={(e) => setSettings({
+                                ...settings,
+                                distribution: e.target.value,
+                                spread: e.target.value === 'steps' ? Math.max(1, Math.round(settings.spread)) : settings.spread,
+                            })}
+                            disabled={isRunning}
+                            className={fieldClass}
+                        >
+                            {PERTURBATION_DISTRIBUTIONS.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="text-sm text-gray-700">
+                        Seed
+                        <input
+                            type="number"
+                            step="1"
+                            value={Number.isNaN(settings.seed) ? '' : settings.seed}
+                            onChange={(e) => updateNumber('seed', e.target.value)}
+                            disabled={isRunning}
+                            className={fieldClass}
+                        />
+                    </label>
+                </div>
+                {!isValid && (
+                    <p className="mt-2 text-xs text-red-600">
+                        Use 1 to {MAX_SIMULATION_RUNS.toLocaleString()} runs, a range above 0 and up to {MAX_SPREAD} steps, and a whole-number seed.
+                    </p>
+                )}
+                <div className="mt-3 flex items-center gap-3">
+                    {isRunning ? (
+                        <>
+                            <button
+                                onClick={cancelSimulation}
+                                className="text-sm px-3 py-2 rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-100"
+                            >
+                                Cancel
+                            </button>
+                            <progress value={progress} max={settings.runs} className="flex-grow" aria-label="Simulation progress" />
+                            <span className="text-sm font-mono text-gray-600">{progress.toLocaleString()} / {settings.runs.toLocaleString()}</span>
+                        </>
+                    ) : (
+                        <button
+                            onClick={runSimulation}
+                            disabled={!isValid}
+                            className="bg-blue-600 text-white text-sm px-4 py-2 rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 transition duration-150 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Run Simulation
+                        </button>
+                    )}
+                </div>
+                {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+            </div>
+
+            {result && (
+                <>
+                    <p className={`text-sm mb-3 p-2 rounded-md ${result.sameRanking >= 0.95 ? 'bg-green-100 text-green-700' : 'bg-amber-50 text-amber-800 border border-amber-200'}`}>
+                        The calculated ranking came out unchanged in <span className="font-semibold">{formatShare(result.sameRanking)}</span> of
+                        {' '}{result.runs.toLocaleString()} runs (±{result.settings.spread} step{result.settings.spread === 1 ? '' : 's'},
+                        {' '}{PERTURBATION_DISTRIBUTIONS.find(d => d.value === result.settings.distribution).label.toLowerCase()}, seed {result.settings.seed}).
+                    </p>
+                    <div className="overflow-x-auto rounded-lg shadow-md">
+                        <table className="min-w-full bg-white border border-gray-200 rounded-lg text-sm">
+                            <thead className="bg-gray-100">
+                                <tr>
+                                    <th className="py-2 px-4 border-b text-left font-semibold text-gray-700">Alternative</th>
+                                    <th className="py-2 px-4 border-b text-right font-semibold text-blue-700">P(first)</th>
+                                    {result.baseOrder.map((_, rank) => (
+                                        <th key={rank} className="py-2 px-4 border-b text-right font-semibold text-gray-700">Rank {rank + 1}</th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {result.baseOrder.map(altIndex => (
+                                    <tr key={altIndex}>
+                                        <td className="py-2 px-4 border-b text-gray-800">{input.alternatives[altIndex]}</td>
+                                        <td className="py-2 px-4 border-b text-right font-mono font-semibold text-blue-800">{formatShare(result.firstPlace[altIndex])}</td>
+                                        {result.rankCounts[altIndex].map((count, rank) => (
+                                            <td
+                                                key={rank}
+                                                className="py-2 px-4 border-b text-right font-mono text-gray-800"
+                                                style={{ backgroundColor: `rgba(37, 99, 235, ${(0.5 * count) / result.runs})` }}
+                                            >
+                                                {formatShare(count / result.runs)}
+                                            </td>
+                                        ))}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <p className="mt-1 text-xs text-gray-500">Rows follow the calculated ranking; each cell is the share of runs in which the alternative took that rank.</p>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default UncertaintyAnalysis;
@@ -0,0 +1,490 @@
+// ahp.js
+// Pure AHP math used by the calculator. Nothing in here depends on React, so the
+// functions can be called from components, workers or a plain Node script alike.
+
+import { createRandom, pickRandom } from './random.js';
+
+// Random Index (RI) values for Consistency Ratio calculation (Saaty), for n=1 to n=15.
+// RI for n=1 and n=2 is 0.
+export const RI = [0, 0, 0.58, 0.90, 1.12, 1.24, 1.32, 1.41, 1.45, 1.49, 1.51, 1.48, 1.56, 1.57, 1.59];
+
+// Random Index values of Alonso & Lamata (2006), estimated from 500,000 random matrices per size.
+export const ALONSO_LAMATA_RI = [0, 0, 0.5245, 0.8815, 1.1086, 1.2479, 1.3417, 1.4056, 1.4499, 1.4854, 1.5141, 1.5365, 1.5551, 1.5713, 1.5838];
+
+// Where Random Index values come from. Every source is a table for n=1 to n=15; the index levels off
+// by then, so larger matrices use the value for n=15 (see getRandomIndex).
+export const RANDOM_INDEX_SOURCES = [
+    { value: 'saaty', label: 'Saaty' },
+    { value: 'alonsoLamata', label: 'Alonso–Lamata (2006)' },
+    { value: 'monteCarlo', label: 'Monte Carlo estimate (computed here)' },
+];
+
+export const DEFAULT_RANDOM_INDEX_SOURCE = 'saaty';
+
+// Settings of the local Monte Carlo estimate. The fixed seed makes it reproducible.
+export const MONTE_CARLO_RI_SEED = 1;
+export const MONTE_CARLO_RI_SAMPLES = 1000;
+
+// estimateRandomIndex for n=1 to n=15 with the settings above, rounded to 4 decimals. Kept as a table
+// so consistency checks never simulate while the page renders; ahp.test.js recomputes it.
+export const MONTE_CARLO_RI = [0, 0, 0.5495, 0.8968, 1.1059, 1.2283, 1.3276, 1.3997, 1.457, 1.4886, 1.5084, 1.5359, 1.5618, 1.5774, 1.5818];
+
+// The usual consistency threshold, and Saaty's stricter thresholds for small matrices
+export const CONSISTENCY_THRESHOLD = 0.10;
+export const SIZE_DEPENDENT_THRESHOLDS = { 3: 0.05, 4: 0.08 };
+
+// Methods for deriving a priority vector from a pairwise comparison matrix.
+// 'eigenvector' matches Expert Choice / SuperDecisions, 'geometricMean' is Crawford's RGMM
+// and 'approximate' is the column-normalization/row-average shortcut the app originally used.
+export const PRIORITY_METHODS = [
+    { value: 'eigenvector', label: 'Principal Eigenvector (exact)' },
+    { value: 'geometricMean', label: 'Row Geometric Mean (RGMM)' },
+    { value: 'approximate', label: 'Column Normalization (approximate)' },
+];
+
+export const DEFAULT_PRIORITY_METHOD = 'eigenvector';
+
+// Convergence settings for the power iteration used by the eigenvector method.
+export const EIGENVECTOR_TOLERANCE = 1e-10;
+export const EIGENVECTOR_MAX_ITERATIONS = 1000;
+
+// A comparison that has not been made yet. Both a_ij and a_ji hold it, and it survives JSON.
+export const MISSING_JUDGMENT = null;
+
+/**
+ * Initializes a square matrix with 1s on the diagonal and every comparison not yet judged,
+ * so an untouched cell is never mistaken for "equally important".
+ * @param {number} size - The size of the matrix (n x n).
+ * @returns {(number|null)[][]} An initialized matrix.
+ */
+export const initializeMatrix = (size) => {
+    return Array(size).fill(null).map((_, i) => Array(size).fill(null).map((__, j) => (i === j ? 1 : MISSING_JUDGMENT)));
+};
+
+/**
+ * Resizes a matrix to a new size, preserving existing values where possible
+ * (e.g., when adding an item). New comparisons start out not judged.
+ * @param {number[][]} [prevMatrix] - The current matrix, if any.
+ * @param {number} size - The new size (n x n).
+ * @returns {number[][]} The resized matrix.
+ */
+export const resizeMatrix = (prevMatrix, size) => {
+    if (size === 0) return [];
+
+    const newMatrix = initializeMatrix(size);
+    const prevSize = prevMatrix ? prevMatrix.length : 0;
+    for (let i = 0; i < Math.min(prevSize, size); i++) {
+        for (let j = 0; j < Math.min(prevSize, size); j++) {
+            if (prevMatrix[i] && prevMatrix[i][j] !== undefined) {
+                newMatrix[i][j] = prevMatrix[i][j];
+            }
+        }
+    }
+    return newMatrix;
+};
+
+/**
+ * Removes one item's row and column from a matrix, keeping every other judgment in place.
+ * @param {number[][]} matrix - The current matrix.
+ * @param {number} index - The index of the item to remove.
+ * @returns {number[][]} The smaller matrix.
+ */
+export const removeFromMatrix = (matrix, index) => {
+    return matrix
+        .filter((_, i) => i !== index)
+        .map(row => row.filter((_, j) => j !== index));
+};
+
+/**
+ * Checks that a matrix is a square 2D array of the expected size.
+ * @param {number[][]} matrix - The pairwise comparison matrix.
+ * @param {number} n - The expected number of rows and columns.
+ * @returns {boolean} True when every row exists and has n entries.
+ */
+export const isSquareMatrix = (matrix, n) => {
+    if (!Array.isArray(matrix) || matrix.length !== n) return false;
+    return matrix.every(row => Array.isArray(row) && row.length === n);
+};
+
+/**
+ * Counts the comparisons in the upper triangle that have not been judged yet.
+ * @param {(number|null)[][]} matrix - The pairwise comparison matrix.
+ * @returns {number} The number of missing judgments.
+ */
+export const countMissingJudgments = (matrix) => {
+    let missing = 0;
+    for (let i = 0; i < matrix.length; i++) {
+        for (let j = i + 1; j < matrix.length; j++) {
+            if (matrix[i][j] === MISSING_JUDGMENT) missing++;
+        }
+    }
+    return missing;
+};
+
+/**
+ * Groups the compared items into connected components, where two items are linked when they
+ * have been compared directly. Weights can only be estimated when there is one component.
+ * @param {(number|null)[][]} matrix - The pairwise comparison matrix.
+ * @returns {number[][]} The item indices of each component.
+ */
+export const findComparisonComponents = (matrix) => {
+    const n = matrix.length;
+    const component = Array(n).fill(-1);
+    const components = [];
+    for (let start = 0; start < n; start++) {
+        if (component[start] !== -1) continue;
+        const members = [start];
+        component[start] = components.length;
+        for (let k = 0; k < members.length; k++) {
+            const i = members[k];
+            for (let j = 0; j < n; j++) {
+                if (component[j] === -1 && matrix[i][j] !== MISSING_JUDGMENT) {
+                    component[j] = components.length;
+                    members.push(j);
+                }
+            }
+        }
+        components.push(members);
+    }
+    return components;
+};
+
+/**
+ * Checks whether every item is linked to every other through a chain of judgments.
+ * @param {(number|null)[][]} matrix - The pairwise comparison matrix.
+ * @returns {boolean} True when the comparison graph is connected.
+ */
+export const isComparisonGraphConnected = (matrix) => findComparisonComponents(matrix).length <= 1;
+
+/**
+ * Fills the missing judgments of a matrix with the ratios implied by a priority vector.
+ * @param {(number|null)[][]} matrix - The pairwise comparison matrix.
+ * @param {number[]} weights - The priority vector.
+ * @returns {number[][]} A complete matrix.
+ */
+export const completeMatrix = (matrix, weights) => {
+    return matrix.map((row, i) => row.map((value, j) => (value === MISSING_JUDGMENT ? weights[i] / weights[j] : value)));
+};
+
+/**
+ * Approximates the priority vector by normalizing each column and averaging the rows.
+ * @param {number[][]} matrix - The pairwise comparison matrix.
+ * @param {number} n - The number of elements being compared.
+ * @returns {number[]} The priority vector, summing to 1.
+ */
+export const approximateWeights = (matrix, n) => {
+    // Step 1: Normalize the matrix (sum of columns = 1)
+    const columnSums = Array(n).fill(0);
+    for (let j = 0; j < n; j++) {
+        for (let i = 0; i < n; i++) {
+            columnSums[j] += matrix[i][j];
+        }
+    }
+
+    // Step 2: Calculate the priority vector (average of normalized rows)
+    const weights = Array(n).fill(0);
+    for (let i = 0; i < n; i++) {
+        let rowSum = 0;
+        for (let j = 0; j < n; j++) {
+            // Avoid division by zero: a zero-sum column contributes evenly
+            rowSum += columnSums[j] === 0 ? 1 / n : matrix[i][j] / columnSums[j];
+        }
+        weights[i] = rowSum / n;
+    }
+    return weights;
+};
+
+/**
+ * Computes the priority vector as the normalized geometric mean of each row (RGMM).
+ * @param {number[][]} matrix - The pairwise comparison matrix.
+ * @param {number} n - The number of elements being compared.
+ * @returns {number[]} The priority vector, summing to 1.
+ */
+export const geometricMeanWeights = (matrix, n) => {
+    // Work in logarithms so long rows of large judgments do not overflow
+    const rowMeans = matrix.map(row => Math.exp(row.reduce((sum, value) => sum + Math.log(value), 0) / n));
+    const total = rowMeans.reduce((sum, value) => sum + value, 0);
+    return rowMeans.map(value => value / total);
+};
+
+/**
+ * Computes the principal right eigenvector of the matrix by power iteration.
+ * @param {number[][]} matrix - The pairwise comparison matrix.
+ * @param {number} n - The number of elements being compared.
+ * @param {{tolerance?: number, maxIterations?: number}} [options] - Convergence settings.
+ * @returns {{weights: number[], lambdaMax: number, iterations: number}} The normalized eigenvector,
+ * its eigenvalue and the number of iterations it took to converge.
+ */
+export const eigenvectorWeights = (matrix, n, options = {}) => {
+    const { tolerance = EIGENVECTOR_TOLERANCE, maxIterations = EIGENVECTOR_MAX_ITERATIONS } = options;
+
+    let weights = Array(n).fill(1 / n);
+    let lambdaMax = n;
+    let iterations = 0;
+
+    while (iterations < maxIterations) {
+        iterations++;
+        const product = multiplyMatrixVector(matrix, weights);
+        // With weights summing to 1, the sum of A·w converges to λmax
+        lambdaMax = product.reduce((sum, value) => sum + value, 0);
+        const nextWeights = product.map(value => value / lambdaMax);
+
+        let maxChange = 0;
+        for (let i = 0; i < n; i++) {
+            maxChange = Math.max(maxChange, Math.abs(nextWeights[i] - weights[i]));
+        }
+        weights = nextWeights;
+        if (maxChange < tolerance) break;
+    }
+
+    return { weights, lambdaMax, iterations };
+};
+
+/**
+ * Computes priorities from an incomplete matrix by Harker's method: missing entries become 0 and
+ * each diagonal entry becomes 1 plus the number of missing judgments in its row. The principal
+ * eigenvector of that matrix is the eigenvector of the matrix completed with w_i / w_j.
+ * @param {(number|null)[][]} matrix - The pairwise comparison matrix; its comparison graph must be connected.
+ * @param {number} n - The number of elements being compared.
+ * @returns {{weights: number[], lambdaMax: number, iterations: number}} See eigenvectorWeights.
+ */
+export const harkerWeights = (matrix, n) => {
+    const harkerMatrix = matrix.map((row, i) => {
+        const missing = row.filter(value => value === MISSING_JUDGMENT).length;
+        return row.map((value, j) => (i === j ? 1 + missing : value ?? 0));
+    });
+    return eigenvectorWeights(harkerMatrix, n);
+};
+
+/**
+ * Computes priorities from an incomplete matrix by logarithmic least squares: the weights that
+ * minimize Σ (ln a_ij − ln w_i + ln w_j)² over the judged pairs. For a complete matrix this is the
+ * row geometric mean.
+ * @param {(number|null)[][]} matrix - The pairwise comparison matrix; its comparison graph must be connected.
+ * @param {number} n - The number of elements being compared.
+ * @returns {number[]} The priority vector, summing to 1.
+ */
+export const logLeastSquaresWeights = (matrix, n) => {
+    // The normal equations are L·v = r with L the Laplacian of the comparison graph. Adding the
+    // all-ones matrix makes the system regular and picks the solution with Σv = 0.
+    const system = Array(n).fill(null).map(() => Array(n).fill(1));
+    const logSums = Array(n).fill(0);
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            if (i === j || matrix[i][j] === MISSING_JUDGMENT) continue;
+            system[i][i] += 1;
+            system[i][j] -= 1;
+            logSums[i] += Math.log(matrix[i][j]);
+        }
+    }
+    const logWeights = solveLinearSystem(system, logSums);
+    const shift = Math.max(...logWeights);
+    const weights = logWeights.map(v => Math.exp(v - shift));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    return weights.map(w => w / total);
+};
+
+/**
+ * Solves A·x = b by Gaussian elimination with partial pivoting.
+ * @param {number[][]} matrix - A regular square matrix A.
+ * @param {number[]} vector - The right-hand side b.
+ * @returns {number[]} The solution x.
+ */
+const solveLinearSystem = (matrix, vector) => {
+    const n = vector.length;
+    const a = matrix.map((row, i) => [...row, vector[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+        }
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        for (let row = col + 1; row < n; row++) {
+            const factor = a[row][col] / a[col][col];
+            for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+        }
+    }
+    const x = Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+        let sum = a[row][n];
+        for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+        x[row] = sum / a[row][row];
+    }
+    return x;
+};
+
+/**
+ * Multiplies a square matrix by a column vector.
+ * @param {number[][]} matrix - The matrix.
+ * @param {number[]} vector - The vector.
+ * @returns {number[]} The product A·v.
+ */
+const multiplyMatrixVector = (matrix, vector) => {
+    return matrix.map(row => row.reduce((sum, value, j) => sum + value * vector[j], 0));
+};
+
+/**
+ * Estimates λmax for a priority vector as the mean of (A·w)_i / w_i.
+ * @param {number[][]} matrix - The pairwise comparison matrix.
+ * @param {number[]} weights - The priority vector.
+ * @returns {number} The estimated principal eigenvalue.
+ */
+export const estimateLambdaMax = (matrix, weights) => {
+    const n = weights.length;
+    const weightedSumVector = multiplyMatrixVector(matrix, weights);
+
+    let lambdaMax = 0;
+    for (let i = 0; i < n; i++) {
+        if (weights[i] !== 0) {
+            lambdaMax += weightedSumVector[i] / weights[i];
+        }
+    }
+    return lambdaMax / n;
+};
+
+// The judgments random matrices are drawn from: 1/9 … 1/2, 1, 2 … 9
+const SCALE_VALUES = [9, 8, 7, 6, 5, 4, 3, 2].map(v => 1 / v).concat([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+/**
+ * Estimates the Random Index for n items: the mean consistency index of random reciprocal
+ * matrices whose judgments are drawn uniformly from the 1/9 … 9 scale.
+ * @param {number} n - The number of elements being compared.
+ * @param {{samples?: number, seed?: number}} [options] - Number of random matrices and the seed.
+ * @returns {number} The estimated Random Index.
+ */
+export const estimateRandomIndex = (n, options = {}) => {
+    const { samples = MONTE_CARLO_RI_SAMPLES, seed = MONTE_CARLO_RI_SEED } = options;
+    if (n < 3) return 0;
+    const random = createRandom(seed + n);
+    let lambdaSum = 0;
+    for (let k = 0; k < samples; k++) {
+        const matrix = initializeMatrix(n);
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                matrix[i][j] = pickRandom(random, SCALE_VALUES);
+                matrix[j][i] = 1 / matrix[i][j];
+            }
+        }
+        lambdaSum += eigenvectorWeights(matrix, n).lambdaMax;
+    }
+    return (lambdaSum / samples - n) / (n - 1);
+};
+
+/**
+ * Looks up the Random Index for n items from the chosen source. Sizes beyond the source's table
+ * use its last value.
+ * @param {number} n - The number of elements being compared.
+ * @param {string} [source] - One of the RANDOM_INDEX_SOURCES values.
+ * @returns {number} The Random Index.
+ */
+export const getRandomIndex = (n, source = DEFAULT_RANDOM_INDEX_SOURCE) => {
+    if (n < 3) return 0;
+    const table = { saaty: RI, alonsoLamata: ALONSO_LAMATA_RI, monteCarlo: MONTE_CARLO_RI }[source];
+    if (!table) throw new Error(`Unknown Random Index source: ${source}`);
+    return table[Math.min(n, table.length) - 1];
+};
+
+/**
+ * The largest acceptable consistency ratio for a matrix of n items.
+ * @param {number} n - The number of elements being compared.
+ * @param {boolean} [sizeDependent] - Use Saaty's thresholds of 0.05 for n=3 and 0.08 for n=4.
+ * @returns {number} The threshold.
+ */
+export const getConsistencyThreshold = (n, sizeDependent = false) => {
+    return (sizeDependent && SIZE_DEPENDENT_THRESHOLDS[n]) || CONSISTENCY_THRESHOLD;
+};
+
+/**
+ * Calculates the Consistency Index and Consistency Ratio for a given λmax.
+ * @param {number} lambdaMax - The principal eigenvalue (or its estimate).
+ * @param {number} n - The number of elements being compared.
+ * @param {string} [randomIndexSource] - One of the RANDOM_INDEX_SOURCES values.
+ * @returns {{consistencyIndex: number, consistencyRatio: number}} CI and CR.
+ */
+export const calculateConsistency = (lambdaMax, n, randomIndexSource = DEFAULT_RANDOM_INDEX_SOURCE) => {
+    const consistencyIndex = n > 1 ? (lambdaMax - n) / (n - 1) : 0;
+    const randomIndex = getRandomIndex(n, randomIndexSource);
+    const consistencyRatio = randomIndex === 0 ? 0 : consistencyIndex / randomIndex;
+    return { consistencyIndex, consistencyRatio };
+};
+
+/**
+ * Calculates priorities and consistency for a matrix with missing judgments. The eigenvector method
+ * uses Harker's method; the other methods start from logarithmic least squares. Consistency is
+ * measured on the matrix completed with the ratios of the resulting weights.
+ * @param {(number|null)[][]} matrix - The pairwise comparison matrix.
+ * @param {number} n - The number of elements being compared.
+ * @param {string} method - One of the PRIORITY_METHODS values.
+ * @param {string} randomIndexSource - One of the RANDOM_INDEX_SOURCES values.
+ * @returns {{weights: number[], lambdaMax: number, consistencyIndex: number, consistencyRatio: number}}
+ * See calculateAHP. Everything is NaN when the comparison graph is not connected.
+ */
+const calculateIncompleteAHP = (matrix, n, method, randomIndexSource) => {
+    if (!isComparisonGraphConnected(matrix)) {
+        return { weights: Array(n).fill(NaN), lambdaMax: NaN, consistencyIndex: NaN, consistencyRatio: NaN };
+    }
+
+    let weights;
+    let lambdaMax;
+    switch (method) {
+        case 'eigenvector':
+            ({ weights, lambdaMax } = harkerWeights(matrix, n));
+            break;
+        case 'geometricMean':
+            weights = logLeastSquaresWeights(matrix, n);
+            lambdaMax = estimateLambdaMax(completeMatrix(matrix, weights), weights);
+            break;
+        case 'approximate': {
+            const completed = completeMatrix(matrix, logLeastSquaresWeights(matrix, n));
+            weights = approximateWeights(completed, n);
+            lambdaMax = estimateLambdaMax(completed, weights);
+            break;
+        }
+        default:
+            throw new Error(`Unknown priority method: ${method}`);
+    }
+
+    return { weights, lambdaMax, ...calculateConsistency(lambdaMax, n, randomIndexSource) };
+};
+
+/**
+ * Calculates the priority vector (weights) and consistency measures for a given matrix.
+ * Matrices with missing judgments are handled by calculateIncompleteAHP.
+ * @param {(number|null)[][]} matrix - The pairwise comparison matrix.
+ * @param {number} n - The number of elements being compared.
+ * @param {string} [method] - One of the PRIORITY_METHODS values.
+ * @param {string} [randomIndexSource] - One of the RANDOM_INDEX_SOURCES values.
+ * @returns {{weights: number[], lambdaMax: number, consistencyIndex: number, consistencyRatio: number}}
+ * Object containing weights, λmax, consistency index and consistency ratio.
+ */
+export const calculateAHP = (matrix, n, method = DEFAULT_PRIORITY_METHOD, randomIndexSource = DEFAULT_RANDOM_INDEX_SOURCE) => {
+    if (n === 0) return { weights: [], lambdaMax: NaN, consistencyIndex: NaN, consistencyRatio: NaN };
+    if (n === 1) return { weights: [1], lambdaMax: 1, consistencyIndex: 0, consistencyRatio: 0 }; // Single element has weight 1, CR 0
+
+    // Robust check: Ensure matrix is a valid 2D array of the expected size
+    if (!isSquareMatrix(matrix, n)) {
+        console.error("calculateAHP received an invalid matrix structure:", matrix, "Expected size:", n);
+        return { weights: Array(n).fill(NaN), lambdaMax: NaN, consistencyIndex: NaN, consistencyRatio: NaN };
+    }
+    if (countMissingJudgments(matrix) > 0) return calculateIncompleteAHP(matrix, n, method, randomIndexSource);
+
+    let weights;
+    let lambdaMax;
+    switch (method) {
+        case 'eigenvector':
+            ({ weights, lambdaMax } = eigenvectorWeights(matrix, n));
+            break;
+        case 'geometricMean':
+            weights = geometricMeanWeights(matrix, n);
+            lambdaMax = estimateLambdaMax(matrix, weights);
+            break;
+        case 'approximate':
+            weights = approximateWeights(matrix, n);
+            lambdaMax = estimateLambdaMax(matrix, weights);
+            break;
+        default:
+            throw new Error(`Unknown priority method: ${method}`);
+    }
+
+    return { weights, lambdaMax, ...calculateConsistency(lambdaMax, n, randomIndexSource) };
+};
@@ -0,0 +1,179 @@
+import { describe, it, expect } from 'vitest';
+import {
+    RI, ALONSO_LAMATA_RI, MONTE_CARLO_RI, MISSING_JUDGMENT, calculateAHP, calculateConsistency, getRandomIndex, estimateRandomIndex,
+    getConsistencyThreshold, eigenvectorWeights, geometricMeanWeights, approximateWeights, harkerWeights, logLeastSquaresWeights,
+    completeMatrix,
+} from './ahp.js';
+import { expectClose } from './testHelpers.js';
+
+// Saaty's textbook example: A is moderately more important than B and strongly more important than C
+const EXAMPLE = [
+    [1, 3, 5],
+    [1 / 3, 1, 3],
+    [1 / 5, 1 / 3, 1],
+];
+
+// A four-cycle of judgments, each item twice the next and the first twice the last, with a_13 and a_24
+// unjudged. The cycle is off by a factor of 4, which both LLSM and Harker's method spread evenly, so each
+// item ends up √2 times the next: w ∝ (2√2, 2, √2, 1).
+const CYCLE = [
+    [1, 2, MISSING_JUDGMENT, 2],
+    [1 / 2, 1, 2, MISSING_JUDGMENT],
+    [MISSING_JUDGMENT, 1 / 2, 1, 2],
+    [1 / 2, MISSING_JUDGMENT, 1 / 2, 1],
+];
+const CYCLE_WEIGHTS = [2 * Math.SQRT2, 2, Math.SQRT2, 1].map(w => w / (3 + 3 * Math.SQRT2));
+
+describe('priority methods', () => {
+    it('finds the principal eigenvector and λmax', () => {
+        const { weights, lambdaMax } = eigenvectorWeights(EXAMPLE, 3);
+        expectClose(weights, [0.6370, 0.2583, 0.1047], 4);
+        expect(lambdaMax).toBeCloseTo(3.0385, 4);
+    });
+
+    it('computes the row geometric mean (RGMM)', () => {
+        expectClose(geometricMeanWeights(EXAMPLE, 3), [0.6370, 0.2583, 0.1047], 4);
+    });
+
+    it('approximates by column normalization and row averages', () => {
+        expectClose(approximateWeights(EXAMPLE, 3), [0.6333, 0.2605, 0.1062], 4);
+    });
+
+    it.each(['eigenvector', 'geometricMean', 'approximate'])('gives weights summing to 1 and CR ≈ 0.033 with %s', (method) => {
+        const { weights, consistencyIndex, consistencyRatio } = calculateAHP(EXAMPLE, 3, method);
+        expect(weights.reduce((sum, w) => sum + w, 0)).toBeCloseTo(1, 10);
+        expect(consistencyIndex).toBeCloseTo(0.0193, 3);
+        expect(consistencyRatio).toBeCloseTo(0.033, 3);
+    });
+
+    it('rejects an unknown method', () => {
+        expect(() => calculateAHP(EXAMPLE, 3, 'bogus')).toThrow('Unknown priority method');
+    });
+});
+
+describe('consistency ratio', () => {
+    it('divides the consistency index by Saaty\'s Random Index', () => {
+        // λmax = 3.06: CI = 0.03
+        const { consistencyIndex, consistencyRatio } = calculateConsistency(3.06, 3);
+        expect(consistencyIndex).toBeCloseTo(0.03, 10);
+        expect(consistencyRatio).toBeCloseTo(0.03 / RI[2], 10);
+    });
+});
+
+describe('Random Index', () => {
+    it('is 0 for one or two items', () => {
+        expect(getRandomIndex(1)).toBe(0);
+        expect(getRandomIndex(2, 'alonsoLamata')).toBe(0);
+    });
+
+    it('looks sizes up in the chosen table', () => {
+        expect(getRandomIndex(3)).toBe(0.58);
+        expect(getRandomIndex(10, 'saaty')).toBe(RI[9]);
+        expect(getRandomIndex(4, 'alonsoLamata')).toBe(0.8815);
+        expect(getRandomIndex(15, 'alonsoLamata')).toBe(ALONSO_LAMATA_RI[14]);
+    });
+
+    it('rejects an unknown source', () => {
+        expect(() => getRandomIndex(3, 'bogus')).toThrow('Unknown Random Index source');
+    });
+
+    it('reads Monte Carlo values from the table it was computed into', () => {
+        MONTE_CARLO_RI.forEach((value, k) => expect(estimateRandomIndex(k + 1)).toBeCloseTo(value, 4));
+        expect(getRandomIndex(7, 'monteCarlo')).toBe(MONTE_CARLO_RI[6]);
+    });
+
+    it('estimates the same value from the same seed, and a different one from another', () => {
+        const options = { samples: 200, seed: 7 };
+        expect(estimateRandomIndex(5, options)).toBe(estimateRandomIndex(5, options));
+        expect(estimateRandomIndex(5, { ...options, seed: 8 })).not.toBe(estimateRandomIndex(5, options));
+    });
+
+    it('estimates close to the published values of Alonso & Lamata', () => {
+        MONTE_CARLO_RI.forEach((value, k) => expect(Math.abs(value - ALONSO_LAMATA_RI[k])).toBeLessThan(0.03));
+    });
+
+    it.each([
+        ['saaty', RI],
+        ['alonsoLamata', ALONSO_LAMATA_RI],
+        ['monteCarlo', MONTE_CARLO_RI],
+    ])('uses the last value of the %s table for larger sizes', (source, table) => {
+        expect(getRandomIndex(16, source)).toBe(table[14]);
+        expect(getRandomIndex(30, source)).toBe(table[14]);
+    });
+});
+
+describe('consistency thresholds', () => {
+    it('are 0.10 unless size-dependent thresholds are on', () => {
+        [3, 4, 5, 9].forEach(n => expect(getConsistencyThreshold(n)).toBe(0.10));
+    });
+
+    it('are 0.05 for three items and 0.08 for four when size-dependent', () => {
+        expect(getConsistencyThreshold(3, true)).toBe(0.05);
+        expect(getConsistencyThreshold(4, true)).toBe(0.08);
+        expect(getConsistencyThreshold(5, true)).toBe(0.10);
+    });
+
+    it('decide together with the Random Index source whether a matrix passes', () => {
+        // λmax = 3.06: CI = 0.03, which passes 0.10 on Saaty's RI of 0.58 but not 0.05
+        const { consistencyRatio } = calculateConsistency(3.06, 3, 'saaty');
+        expect(consistencyRatio).toBeCloseTo(0.03 / 0.58, 10);
+        expect(consistencyRatio).toBeLessThan(getConsistencyThreshold(3));
+        expect(consistencyRatio).toBeGreaterThan(getConsistencyThreshold(3, true));
+        expect(calculateConsistency(3.06, 3, 'monteCarlo').consistencyRatio).toBeCloseTo(0.03 / MONTE_CARLO_RI[2], 10);
+    });
+});
+
+describe('consistency for n ≤ 2', () => {
+    it('is perfect for a single item', () => {
+        expect(calculateAHP([[1]], 1)).toEqual({ weights: [1], lambdaMax: 1, consistencyIndex: 0, consistencyRatio: 0 });
+    });
+
+    it('is perfect for any judgment between two items', () => {
+        const { weights, consistencyIndex, consistencyRatio } = calculateAHP([[1, 4], [1 / 4, 1]], 2);
+        expectClose(weights, [0.8, 0.2], 4);
+        expect(consistencyIndex).toBeCloseTo(0, 10);
+        expect(consistencyRatio).toBe(0);
+    });
+
+    it('has a CR of 0 whatever λmax is given', () => {
+        expect(calculateConsistency(2.5, 2).consistencyRatio).toBe(0);
+    });
+});
+
+describe('incomplete matrices', () => {
+    it('recovers the weights of a consistent matrix whatever is missing', () => {
+        // 6 : 3 : 1, with only the chain a_12 and a_23 judged
+        const chain = [[1, 2, MISSING_JUDGMENT], [1 / 2, 1, 3], [MISSING_JUDGMENT, 1 / 3, 1]];
+        expectClose(harkerWeights(chain, 3).weights, [0.6, 0.3, 0.1], 8);
+        expectClose(logLeastSquaresWeights(chain, 3), [0.6, 0.3, 0.1]);
+        ['eigenvector', 'geometricMean', 'approximate'].forEach(method => {
+            expect(calculateAHP(chain, 3, method).consistencyRatio).toBeCloseTo(0, 6);
+        });
+    });
+
+    it('spreads the inconsistency of a cycle evenly by logarithmic least squares', () => {
+        expectClose(logLeastSquaresWeights(CYCLE, 4), CYCLE_WEIGHTS);
+    });
+
+    it('finds the same weights by Harker\'s method, with λmax = 2 + 3/√2', () => {
+        const { weights, lambdaMax } = harkerWeights(CYCLE, 4);
+        expectClose(weights, CYCLE_WEIGHTS, 8);
+        expect(lambdaMax).toBeCloseTo(2 + 3 / Math.SQRT2, 8);
+    });
+
+    it('reports the consistency of the matrix completed with the weights', () => {
+        const { weights, lambdaMax, consistencyRatio } = calculateAHP(CYCLE, 4, 'eigenvector');
+        expectClose(weights, CYCLE_WEIGHTS, 8);
+        const completed = completeMatrix(CYCLE, weights);
+        expect(completed[0][2]).toBeCloseTo(2, 8);
+        expect(eigenvectorWeights(completed, 4).lambdaMax).toBeCloseTo(lambdaMax, 8);
+        expect(consistencyRatio).toBeCloseTo((lambdaMax - 4) / 3 / RI[3], 10);
+    });
+
+    it.each(['eigenvector', 'geometricMean', 'approximate'])('gives no weights with %s while items are unlinked', (method) => {
+        const split = [[1, 2, MISSING_JUDGMENT], [1 / 2, 1, MISSING_JUDGMENT], [MISSING_JUDGMENT, MISSING_JUDGMENT, 1]];
+        const { weights, consistencyRatio } = calculateAHP(split, 3, method);
+        expect(weights.every(Number.isNaN)).toBe(true);
+        expect(consistencyRatio).toBeNaN();
+    });
+});
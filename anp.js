@@ -0,0 +1,303 @@
+// anp.js
+// Analytic Network Process. Instead of a strict hierarchy, the leaf criteria and the
+// alternatives are nodes grouped into clusters, and each node declares which clusters influence
+// it. For every such link the nodes of the cluster are compared with respect to the node, and
+// for every cluster the clusters its nodes link to are compared with respect to it. Their
+// priorities fill the unweighted supermatrix; weighting its blocks by the cluster priorities
+// makes it column stochastic, and raising that to powers gives the limit supermatrix, whose
+// rows are the long-run priorities of all nodes, feedback included.
+import { calculateAHP, isComparisonGraphConnected } from './ahp.js';
+import { createId, getLeaves, remapComparison } from './hierarchy.js';
+
+// The alternatives always form one cluster of their own, with this id
+export const ALTERNATIVES_CLUSTER_ID = 'alternatives';
+
+export const DEFAULT_NETWORK = {
+    enabled: false,
+    clusters: [],
+    links: {},
+    nodeComparisons: {},
+    clusterComparisons: {},
+};
+
+// Convergence settings for the limit supermatrix
+export const LIMIT_TOLERANCE = 1e-9;
+export const LIMIT_MAX_ITERATIONS = 1000;
+
+/**
+ * The node id of an alternative. Criteria nodes use the leaf id.
+ * @param {{id: string}} alternative - The alternative.
+ * @returns {string} Its node id.
+ */
+export const alternativeNodeId = (alternative) => `alternative:${alternative.id}`;
+
+/**
+ * Creates an empty criteria cluster.
+ * @param {string} name - The cluster name.
+ * @returns {{id: string, name: string, nodeIds: string[]}} The new cluster.
+ */
+export const createCluster = (name) => ({ id: createId(), name, nodeIds: [] });
+
+/**
+ * Lists the clusters of a network with their nodes, the alternatives cluster last.
+ * @param {object} network - The network settings.
+ * @param {{id: string, name: string}[]} alternatives - The alternatives.
+ * @returns {{id: string, name: string, nodeIds: string[]}[]} All clusters in supermatrix order.
+ */
+export const getClusters = (network, alternatives) => [
+    ...network.clusters,
+    { id: ALTERNATIVES_CLUSTER_ID, name: 'Alternatives', nodeIds: alternatives.map(alternativeNodeId) },
+];
+
+/**
+ * Lists the nodes of a network in supermatrix order: cluster by cluster.
+ * @param {Array} tree - The top-level criteria.
+ * @param {{id: string, name: string}[]} alternatives - The alternatives.
+ * @param {object} network - The network settings.
+ * @returns {{id: string, name: string, clusterId: string}[]} The nodes.
+ */
+export const getNetworkNodes = (tree, alternatives, network) => {
+    const names = {};
+    getLeaves(tree).forEach(leaf => { names[leaf.id] = leaf.path.join(' › '); });
+    alternatives.forEach(alt => { names[alternativeNodeId(alt)] = alt.name; });
+    return getClusters(network, alternatives).flatMap(cluster => cluster.nodeIds.map(id => ({ id, name: names[id], clusterId: cluster.id })));
+};
+
+/**
+ * Lists the clusters the nodes of a cluster link to, in cluster order. These are the clusters
+ * compared with respect to that cluster.
+ * @param {object} network - The network settings.
+ * @param {{id: string, nodeIds: string[]}[]} clusters - Output of getClusters.
+ * @param {string} clusterId - The cluster.
+ * @returns {string[]} The linked cluster ids.
+ */
+export const getLinkedClusters = (network, clusters, clusterId) => {
+    const cluster = clusters.find(c => c.id === clusterId);
+    const linked = new Set(cluster.nodeIds.flatMap(id => network.links[id] ?? []));
+    return clusters.map(c => c.id).filter(id => linked.has(id));
+};
+
+/**
+ * Brings a network in line with the current criteria and alternatives: new leaves join the
+ * first cluster and are influenced by the alternatives, new alternatives are influenced by every
+ * criteria cluster (feedback), removed nodes disappear from clusters, links and matrices, and
+ * every comparison is resized to what its links now require.
+ * @param {Array} tree - The top-level criteria.
+ * @param {{id: string, name: string}[]} alternatives - The alternatives.
+ * @param {object} prevNetwork - The current network settings.
+ * @returns {object} The synchronized network settings.
+ */
+export const syncNetwork = (tree, alternatives, prevNetwork) => {
+    const leafIds = getLeaves(tree).map(leaf => leaf.id);
+    const assigned = new Set();
+    let clusters = (prevNetwork.clusters.length > 0 ? prevNetwork.clusters : [{ ...createCluster('Criteria'), id: 'criteria' }])
+        .map(cluster => {
+            const nodeIds = cluster.nodeIds.filter(id => leafIds.includes(id) && !assigned.has(id));
+            nodeIds.forEach(id => assigned.add(id));
+            return { ...cluster, nodeIds };
+        });
+    const unassigned = leafIds.filter(id => !assigned.has(id));
+    if (unassigned.length > 0) clusters = clusters.map((c, k) => (k === 0 ? { ...c, nodeIds: [...c.nodeIds, ...unassigned] } : c));
+
+    const network = { ...prevNetwork, clusters };
+    const allClusters = getClusters(network, alternatives);
+    const clusterIds = allClusters.map(c => c.id);
+    const criteriaClusterIds = clusters.map(c => c.id);
+
+    const links = {};
+    allClusters.forEach(cluster => cluster.nodeIds.forEach(id => {
+        const prev = prevNetwork.links[id];
+        if (prev) {
+            links[id] = prev.filter(clusterId => clusterIds.includes(clusterId));
+        } else {
+            links[id] = cluster.id === ALTERNATIVES_CLUSTER_ID ? criteriaClusterIds : [ALTERNATIVES_CLUSTER_ID];
+        }
+    }));
+    network.links = links;
+
+    const nodeComparisons = {};
+    Object.entries(links).forEach(([nodeId, linked]) => {
+        nodeComparisons[nodeId] = {};
+        linked.forEach(clusterId => {
+            const members = allClusters.find(c => c.id === clusterId).nodeIds;
+            nodeComparisons[nodeId][clusterId] = remapComparison(prevNetwork.nodeComparisons[nodeId]?.[clusterId], members);
+        });
+    });
+
+    const clusterComparisons = {};
+    allClusters.forEach(cluster => {
+        clusterComparisons[cluster.id] = remapComparison(prevNetwork.clusterComparisons[cluster.id], getLinkedClusters(network, allClusters, cluster.id));
+    });
+
+    return { ...network, nodeComparisons, clusterComparisons };
+};
+
+/**
+ * Lists the comparisons a network needs, in the order they are asked: the node comparisons of
+ * each node, then the cluster comparisons. Comparisons of a single item need no judgments and
+ * are left out.
+ * @param {Array} tree - The top-level criteria.
+ * @param {{id: string, name: string}[]} alternatives - The alternatives.
+ * @param {object} network - The synchronized network settings.
+ * @returns {{type: 'node'|'cluster', ownerId: string, clusterId?: string, comparison: {ids: string[], matrix: (number|null)[][]}}[]} The comparisons.
+ */
+export const getNetworkComparisons = (tree, alternatives, network) => {
+    const steps = [];
+    getNetworkNodes(tree, alternatives, network).forEach(node => {
+        (network.links[node.id] ?? []).forEach(clusterId => {
+            const comparison = network.nodeComparisons[node.id]?.[clusterId];
+            if (comparison && comparison.ids.length > 1) steps.push({ type: 'node', ownerId: node.id, clusterId, comparison });
+        });
+    });
+    getClusters(network, alternatives).forEach(cluster => {
+        const comparison = network.clusterComparisons[cluster.id];
+        if (comparison && comparison.ids.length > 1) steps.push({ type: 'cluster', ownerId: cluster.id, comparison });
+    });
+    return steps;
+};
+
+/**
+ * Multiplies two square matrices.
+ * @param {number[][]} a - The left matrix.
+ * @param {number[][]} b - The right matrix.
+ * @returns {number[][]} a × b.
+ */
+const multiply = (a, b) => a.map(row => b[0].map((_, j) => row.reduce((sum, value, k) => sum + value * b[k][j], 0)));
+
+/**
+ * The largest absolute difference between two matrices of the same size.
+ * @param {number[][]} a - One matrix.
+ * @param {number[][]} b - The other.
+ * @returns {number} max |a_ij - b_ij|.
+ */
+const maxDifference = (a, b) => Math.max(...a.map((row, i) => Math.max(...row.map((value, j) => Math.abs(value - b[i][j])))));
+
+/**
+ * Raises a column-stochastic supermatrix to powers until they settle. Networks with a cycle
+ * (e.g. criteria → alternatives → criteria) make the powers alternate between a few matrices
+ * forever; the limit is then the average over one cycle (Cesàro sum), as in Saaty's ANP.
+ * @param {number[][]} weighted - The weighted supermatrix.
+ * @param {object} [options]
+ * @param {number} [options.tolerance] - How close powers must be to count as equal.
+ * @param {number} [options.maxIterations] - How many powers to try.
+ * @returns {{matrix: number[][], converged: boolean, period: number}} The limit supermatrix,
+ * whether the powers settled, and the length of the cycle they settled into (1 if none).
+ */
+export const limitSupermatrix = (weighted, { tolerance = LIMIT_TOLERANCE, maxIterations = LIMIT_MAX_ITERATIONS } = {}) => {
+    const n = weighted.length;
+    if (n === 0) return { matrix: [], converged: true, period: 1 };
+    const history = [weighted];
+    let power = weighted;
+    for (let k = 2; k <= maxIterations; k++) {
+        power = multiply(weighted, power);
+        for (let period = 1; period <= Math.min(n, history.length); period++) {
+            if (maxDifference(power, history[history.length - period]) < tolerance) {
+                const cycle = history.slice(history.length - period);
+                const matrix = power.map((row, i) => row.map((_, j) => cycle.reduce((sum, m) => sum + m[i][j], 0) / period));
+                return { matrix, converged: true, period };
+            }
+        }
+        history.push(power);
+        if (history.length > n) history.shift();
+    }
+    return { matrix: power, converged: false, period: 1 };
+};
+
+/**
+ * Builds the unweighted, weighted and limit supermatrices of a network and reads the limit
+ * priorities off the limit supermatrix (the mean of its columns, which all agree when every
+ * node can reach every other).
+ * @param {Array} tree - The top-level criteria.
+ * @param {{id: string, name: string}[]} alternatives - The alternatives.
+ * @param {object} network - The synchronized network settings.
+ * @param {object} options
+ * @param {string} options.method - One of the PRIORITY_METHODS values.
+ * @param {string} [options.randomIndexSource] - One of the RANDOM_INDEX_SOURCES values.
+ * @param {function((number|null)[][]): (number|null)[][]} [options.transform] - Maps stored
+ * judgments to the values used (e.g. a judgment scale).
+ * @returns {{nodes: object[], unweighted: number[][], weighted: number[][], limit: number[][], converged: boolean, period: number,
+ * priorities: number[], clusterPriorities: number[], consistencyRatios: object[]}} The supermatrices
+ * (rows and columns in node order), each node's limit priority overall and within its cluster, and
+ * the consistency ratio of every comparison of two or more items ({type, ownerId, clusterId, size, consistencyRatio}).
+ */
+export const calculateNetwork = (tree, alternatives, network, { method, randomIndexSource, transform = (matrix) => matrix }) => {
+    const nodes = getNetworkNodes(tree, alternatives, network);
+    const clusters = getClusters(network, alternatives);
+    const n = nodes.length;
+    const indexOf = {};
+    nodes.forEach((node, index) => { indexOf[node.id] = index; });
+    const consistencyRatios = [];
+
+    /**
+     * Priorities of one comparison; a single item gets weight 1.
+     * @param {{ids: string[], matrix: (number|null)[][]}} comparison - The comparison.
+     * @param {object} owner - What the comparison is made for, for the consistency report.
+     * @returns {number[]} The priorities in comparison order.
+     */
+    const prioritiesOf = (comparison, owner) => {
+        const result = calculateAHP(transform(comparison.matrix), comparison.ids.length, method, randomIndexSource);
+        if (comparison.ids.length > 1) consistencyRatios.push({ ...owner, size: comparison.ids.length, consistencyRatio: result.consistencyRatio });
+        return result.weights;
+    };
+
+    const unweighted = Array(n).fill(null).map(() => Array(n).fill(0));
+    nodes.forEach(node => {
+        (network.links[node.id] ?? []).forEach(clusterId => {
+            const comparison = network.nodeComparisons[node.id][clusterId];
+            prioritiesOf(comparison, { type: 'node', ownerId: node.id, clusterId }).forEach((weight, k) => {
+                unweighted[indexOf[comparison.ids[k]]][indexOf[node.id]] = weight;
+            });
+        });
+    });
+
+    // Each block (influencing cluster, column's cluster) is scaled by the cluster's priority.
+    // Columns that link to only some of their cluster's clusters are renormalized to sum to 1.
+    const clusterWeight = {};
+    clusters.forEach(cluster => {
+        const comparison = network.clusterComparisons[cluster.id];
+        clusterWeight[cluster.id] = {};
+        prioritiesOf(comparison, { type: 'cluster', ownerId: cluster.id }).forEach((weight, k) => {
+            clusterWeight[cluster.id][comparison.ids[k]] = weight;
+        });
+    });
+    const weighted = Array(n).fill(null).map(() => Array(n).fill(0));
+    nodes.forEach((node, j) => {
+        nodes.forEach((target, i) => {
+            weighted[i][j] = unweighted[i][j] * (clusterWeight[node.clusterId][target.clusterId] ?? 0);
+        });
+        const total = weighted.reduce((sum, row) => sum + row[j], 0);
+        if (total > 0) weighted.forEach(row => { row[j] /= total; });
+    });
+
+    const { matrix: limit, converged, period } = limitSupermatrix(weighted);
+    const rowMeans = limit.map(row => row.reduce((sum, value) => sum + value, 0) / n);
+    const total = rowMeans.reduce((sum, value) => sum + value, 0);
+    const priorities = rowMeans.map(value => (total > 0 ? value / total : 0));
+    const clusterPriorities = nodes.map((node, i) => {
+        const clusterTotal = nodes.reduce((sum, other, k) => sum + (other.clusterId === node.clusterId ? priorities[k] : 0), 0);
+        return clusterTotal > 0 ? priorities[i] / clusterTotal : 0;
+    });
+
+    return { nodes, unweighted, weighted, limit, converged, period, priorities, clusterPriorities, consistencyRatios };
+};
+
+/**
+ * Finds what keeps a network from being calculated: nodes with no influencing cluster (their
+ * column of the supermatrix would be empty) and comparisons with missing judgments that leave
+ * items unlinked.
+ * @param {Array} tree - The top-level criteria.
+ * @param {{id: string, name: string}[]} alternatives - The alternatives.
+ * @param {object} network - The synchronized network settings.
+ * @returns {string|null} A description of the first problem, or null.
+ */
+export const validateNetwork = (tree, alternatives, network) => {
+    if (getLeaves(tree).length === 0 || alternatives.length === 0) return 'the network needs criteria and alternatives.';
+    const unlinked = getNetworkNodes(tree, alternatives, network).find(node => (network.links[node.id] ?? []).length === 0);
+    if (unlinked) return `"${unlinked.name}" is not influenced by any cluster; link it to at least one.`;
+    const emptyCluster = network.clusters.find(cluster => cluster.nodeIds.length === 0);
+    if (emptyCluster) return `cluster "${emptyCluster.name}" has no criteria; move some into it or remove it.`;
+    const incomplete = getNetworkComparisons(tree, alternatives, network)
+        .find(step => !isComparisonGraphConnected(step.comparison.matrix));
+    if (incomplete) return 'some comparisons leave items unlinked; judge enough pairs to connect every item to the others.';
+    return null;
+};
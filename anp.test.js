@@ -0,0 +1,163 @@
+import { describe, it, expect } from 'vitest';
+import { MISSING_JUDGMENT } from './ahp.js';
+import {
+    ALTERNATIVES_CLUSTER_ID, DEFAULT_NETWORK, alternativeNodeId, syncNetwork, getNetworkComparisons, limitSupermatrix,
+    calculateNetwork, validateNetwork,
+} from './anp.js';
+import { ALTERNATIVES, criterion, expectClose } from './testHelpers.js';
+
+const TREE = [criterion('price'), criterion('range')];
+// Two alternatives keep the judged matrices small
+const PAIR = ALTERNATIVES.slice(0, 2);
+const [A, B] = PAIR.map(alternativeNodeId);
+
+/**
+ * The default network of TREE and PAIR with every node comparison judged.
+ * @returns {object} The network settings.
+ */
+const judgedNetwork = () => {
+    const network = syncNetwork(TREE, PAIR, DEFAULT_NETWORK);
+    const judge = (nodeId, clusterId, matrix) => {
+        network.nodeComparisons[nodeId][clusterId] = { ...network.nodeComparisons[nodeId][clusterId], matrix };
+    };
+    // A vs B: 0.8/0.2 on price, 0.25/0.75 on range; price vs range: 0.75/0.25 for A, 1/3 and 2/3 for B
+    judge('price', ALTERNATIVES_CLUSTER_ID, [[1, 4], [1 / 4, 1]]);
+    judge('range', ALTERNATIVES_CLUSTER_ID, [[1, 1 / 3], [3, 1]]);
+    judge(A, 'criteria', [[1, 3], [1 / 3, 1]]);
+    judge(B, 'criteria', [[1, 1 / 2], [2, 1]]);
+    return network;
+};
+
+describe('network settings', () => {
+    it('start with one criteria cluster, leaves influenced by the alternatives and alternatives by the criteria', () => {
+        const network = syncNetwork(TREE, PAIR, DEFAULT_NETWORK);
+        expect(network.clusters).toEqual([{ id: 'criteria', name: 'Criteria', nodeIds: ['price', 'range'] }]);
+        expect(network.links).toEqual({
+            price: [ALTERNATIVES_CLUSTER_ID],
+            range: [ALTERNATIVES_CLUSTER_ID],
+            [A]: ['criteria'],
+            [B]: ['criteria'],
+        });
+        expect(network.nodeComparisons.price[ALTERNATIVES_CLUSTER_ID].ids).toEqual([A, B]);
+        expect(network.clusterComparisons.criteria.ids).toEqual([ALTERNATIVES_CLUSTER_ID]);
+    });
+
+    it('drop removed nodes and keep the judgments between the remaining ones', () => {
+        const network = judgedNetwork();
+        const synced = syncNetwork([...TREE, criterion('looks')], PAIR, network);
+        expect(synced.clusters[0].nodeIds).toEqual(['price', 'range', 'looks']);
+        expect(synced.nodeComparisons[A].criteria.matrix[0][1]).toBe(3);
+        expect(synced.nodeComparisons[A].criteria.matrix[0][2]).toBe(MISSING_JUDGMENT);
+        expect(synced.nodeComparisons.price[ALTERNATIVES_CLUSTER_ID]).toBe(network.nodeComparisons.price[ALTERNATIVES_CLUSTER_ID]);
+
+        const shrunk = syncNetwork(TREE, PAIR.slice(0, 1), network);
+        expect(Object.keys(shrunk.links)).toEqual(['price', 'range', A]);
+        expect(shrunk.nodeComparisons.price[ALTERNATIVES_CLUSTER_ID].ids).toEqual([A]);
+    });
+
+    it('ask only the comparisons of two or more items', () => {
+        const steps = getNetworkComparisons(TREE, PAIR, syncNetwork(TREE, PAIR, DEFAULT_NETWORK));
+        expect(steps.map(step => `${step.type}:${step.ownerId}`)).toEqual(['node:price', 'node:range', `node:${A}`, `node:${B}`]);
+    });
+
+    it.each([
+        ['no alternatives', TREE, [], 'needs criteria and alternatives'],
+        ['no judgments', TREE, PAIR, 'leave items unlinked'],
+    ])('report a network with %s', (_, tree, alternatives, message) => {
+        expect(validateNetwork(tree, alternatives, syncNetwork(tree, alternatives, DEFAULT_NETWORK))).toContain(message);
+    });
+
+    it('report a node that nothing influences and a cluster without criteria', () => {
+        const network = judgedNetwork();
+        expect(validateNetwork(TREE, PAIR, network)).toBeNull();
+        expect(validateNetwork(TREE, PAIR, { ...network, links: { ...network.links, range: [] } }))
+            .toBe('"RANGE" is not influenced by any cluster; link it to at least one.');
+        const clusters = [...network.clusters, { id: 'empty', name: 'Empty', nodeIds: [] }];
+        expect(validateNetwork(TREE, PAIR, { ...network, clusters })).toContain('cluster "Empty" has no criteria');
+    });
+
+    it('report a comparison whose judgments leave an item unlinked', () => {
+        // A new criterion joins the alternatives' comparisons of the criteria, where only price and range are judged
+        const tree = [...TREE, criterion('looks')];
+        const network = syncNetwork(tree, PAIR, judgedNetwork());
+        network.nodeComparisons.looks[ALTERNATIVES_CLUSTER_ID].matrix = [[1, 2], [1 / 2, 1]];
+        expect(validateNetwork(tree, PAIR, network)).toContain('leave items unlinked');
+
+        [A, B].forEach(nodeId => {
+            const { matrix } = network.nodeComparisons[nodeId].criteria;
+            matrix[1][2] = 2;
+            matrix[2][1] = 1 / 2;
+        });
+        expect(validateNetwork(tree, PAIR, network)).toBeNull();
+    });
+});
+
+describe('limit supermatrix', () => {
+    it('settles for a primitive matrix on its stationary priorities', () => {
+        // Stationary vector of [[0.9, 0.2], [0.1, 0.8]]: 0.1x = 0.2y, so (2/3, 1/3) in every column
+        const { matrix, converged, period } = limitSupermatrix([[0.9, 0.2], [0.1, 0.8]]);
+        expect(converged).toBe(true);
+        expect(period).toBe(1);
+        expectClose(matrix[0], [2 / 3, 2 / 3], 4);
+        expectClose(matrix[1], [1 / 3, 1 / 3], 4);
+    });
+
+    it('averages over the cycle of a periodic matrix', () => {
+        expect(limitSupermatrix([[0, 1], [1, 0]])).toEqual({ matrix: [[0.5, 0.5], [0.5, 0.5]], converged: true, period: 2 });
+
+        // Criteria (c1, c2) and alternatives (a1, a2) influence only each other. Two steps map the
+        // criteria onto themselves by [[0.54, 0.375], [0.46, 0.625]], whose stationary vector is
+        // (0.375, 0.46) / 0.835; one more step gives the alternatives (0.49701, 0.50299). The
+        // powers alternate between the two, so each column of the limit holds half of both.
+        const { matrix, converged, period } = limitSupermatrix([
+            [0, 0, 0.6, 0.3],
+            [0, 0, 0.4, 0.7],
+            [0.8, 0.25, 0, 0],
+            [0.2, 0.75, 0, 0],
+        ]);
+        expect(converged).toBe(true);
+        expect(period).toBe(2);
+        const expected = [0.375 / 0.835 / 2, 0.46 / 0.835 / 2, 0.49701 / 2, 0.50299 / 2];
+        [0, 1, 2, 3].forEach(j => expectClose(matrix.map(row => row[j]), expected, 4));
+    });
+
+    it('reports powers that have not settled within the iterations allowed', () => {
+        const { converged, period } = limitSupermatrix([[0.999, 0.001], [0.001, 0.999]], { maxIterations: 5 });
+        expect(converged).toBe(false);
+        expect(period).toBe(1);
+        expect(limitSupermatrix([])).toEqual({ matrix: [], converged: true, period: 1 });
+    });
+});
+
+describe('network synthesis', () => {
+    it('weights the supermatrix and reads the priorities off its limit', () => {
+        const result = calculateNetwork(TREE, PAIR, judgedNetwork(), { method: 'eigenvector' });
+        expect(result.nodes.map(node => node.id)).toEqual(['price', 'range', A, B]);
+        expectClose(result.unweighted.map(row => row[0]), [0, 0, 0.8, 0.2], 4);
+        expect(result.weighted).toEqual(result.unweighted);
+        expect(result.period).toBe(2);
+
+        // The criteria settle on (0.4375, 0.3333) / 0.77083, and the alternatives on their priorities under each weighted by that
+        const criteria = [0.4375 / (0.4375 + 1 / 3), (1 / 3) / (0.4375 + 1 / 3)];
+        const alternatives = [0.8 * criteria[0] + 0.25 * criteria[1], 0.2 * criteria[0] + 0.75 * criteria[1]];
+        expectClose(result.priorities, [...criteria, ...alternatives].map(value => value / 2), 4);
+        expectClose(result.clusterPriorities, [...criteria, ...alternatives], 4);
+        expect(result.consistencyRatios.map(entry => entry.ownerId)).toEqual(['price', 'range', A, B]);
+    });
+
+    it('scales each block by the priority of its cluster', () => {
+        // The alternatives also influence themselves (A over B by 3) at the same weight as the criteria
+        const network = judgedNetwork();
+        network.links = { ...network.links, [A]: ['criteria', ALTERNATIVES_CLUSTER_ID], [B]: ['criteria', ALTERNATIVES_CLUSTER_ID] };
+        const synced = syncNetwork(TREE, PAIR, network);
+        synced.nodeComparisons[A][ALTERNATIVES_CLUSTER_ID].matrix = [[1, 3], [1 / 3, 1]];
+        synced.nodeComparisons[B][ALTERNATIVES_CLUSTER_ID].matrix = [[1, 3], [1 / 3, 1]];
+        synced.clusterComparisons[ALTERNATIVES_CLUSTER_ID].matrix = [[1, 1], [1, 1]];
+
+        const result = calculateNetwork(TREE, PAIR, synced, { method: 'eigenvector' });
+        expectClose(result.weighted.map(row => row[2]), [0.375, 0.125, 0.375, 0.125], 4);
+        result.weighted[0].forEach((_, j) => expect(result.weighted.reduce((sum, row) => sum + row[j], 0)).toBeCloseTo(1, 10));
+        expect(result.converged).toBe(true);
+        expect(result.priorities.reduce((sum, value) => sum + value, 0)).toBeCloseTo(1, 10);
+    });
+});
@@ -1,42 +1,170 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { calculateAHP, getConsistencyThreshold, MISSING_JUDGMENT, PRIORITY_METHODS } from './ahp.js';
+import {
+    GOAL_ID, createCriterion, createAlternative, getChildren, findNode, addNode, removeNode, renameNode, moveNode, moveItem,
+    getParentNodes, getLeaves, getComparisonSteps, syncJudgments, alignJudgments, synthesizeHierarchy, idealizeSynthesis,
+    SYNTHESIS_MODES, DEFAULT_SYNTHESIS_MODE,
+} from './hierarchy.js';
+import {
+    createParticipant, normalizeParticipantWeights, aggregateJudgmentSets, aggregatePriorities, aggregateWeightsById,
+    compatibilityIndex, COMPATIBILITY_THRESHOLD, AGGREGATION_METHODS, DEFAULT_AGGREGATION_METHOD,
+} from './group.js';
+import {
+    MODEL_FIELDS, createModel, serializeProject, readAutosave, writeAutosave, listSavedProjects,
+    saveProjectToStorage, loadProjectFromStorage, deleteSavedProject, downloadProject, downloadFile, toFileName,
+} from './project.js';
+import ProjectPanel from './ProjectPanel.jsx';
+import ParticipantsPanel from './ParticipantsPanel.jsx';
+import DiagnosticsPanel from './DiagnosticsPanel.jsx';
+import { diagnoseMatrix } from './diagnostics.js';
+import SensitivityAnalysis from './SensitivityAnalysis.jsx';
+import ResultsBreakdown from './ResultsBreakdown.jsx';
+import UncertaintyAnalysis from './UncertaintyAnalysis.jsx';
+import PortfolioPanel from './PortfolioPanel.jsx';
+import { syncPortfolio } from './portfolio.js';
+import { buildSensitivityModel } from './sensitivity.js';
+import { calculateLeafContributions, combineContributions, buildResultsBreakdown } from './breakdown.js';
+import RatingsEditor from './RatingsEditor.jsx';
+import {
+    EVALUATION_MODES, DEFAULT_EVALUATION_MODE, syncRatingScales, syncRatings, findMissingRatings,
+    synthesizeRatings, calculateGradePriorities,
+} from './ratings.js';
+import DataEntryEditor from './DataEntryEditor.jsx';
+import {
+    createDataCriterion, syncDataCriteria, getDataLeaves, validateDataCriterion, calculateDataPriorities, applyDataCriteria,
+} from './measurement.js';
+import JudgmentProgress from './JudgmentProgress.jsx';
+import { summarizeJudgments, suggestNextComparison } from './incomplete.js';
+import ConsistencySettings from './ConsistencySettings.jsx';
+import { DEFAULT_CONSISTENCY_SETTINGS } from './consistency.js';
+import BalanceSlider from './BalanceSlider.jsx';
+import QuestionnaireView from './QuestionnaireView.jsx';
+import CompactMatrix from './CompactMatrix.jsx';
+import { JUDGMENT_INPUTS, formatJudgment, listJudgmentChoices } from './judgment.js';
+import {
+    JUDGMENT_SCALES, DEFAULT_JUDGMENT_SCALE, getScaleOptions, applyJudgmentScale, valueToJudgment, scaleJudgmentSet, scaleRatingScales,
+} from './scales.js';
+import FuzzySettings from './FuzzySettings.jsx';
+import { DEFAULT_FUZZY_SETTINGS, fuzzifyJudgmentSet, synthesizeFuzzyHierarchy } from './fuzzy.js';
+import NetworkEditor from './NetworkEditor.jsx';
+import {
+    DEFAULT_NETWORK, ALTERNATIVES_CLUSTER_ID, alternativeNodeId, getClusters, getNetworkNodes, syncNetwork, calculateNetwork, validateNetwork,
+} from './anp.js';
+import BocrPanel from './BocrPanel.jsx';
+import ReportView from './ReportView.jsx';
+import { describeHierarchy, describeNetwork, buildReport, rankingRows, matrixRows, toCsv, reportSheets } from './report.js';
+import { createWorkbook, XLSX_MIME } from './xlsx.js';
+import {
+    MERITS, BOCR_FORMULAS, getMeritModels, syncMeritModels, calculateMeritWeights, synthesizeBocr,
+} from './bocr.js';
+import ImportPanel from './ImportPanel.jsx';
+import { parseNameList, parseCriteriaPaths, mergeCriteriaPaths, parseMatrix, parseModelFile } from './importer.js';
+import { createShareHash, clearShareHash } from './share.js';
+import HistoryPanel from './HistoryPanel.jsx';
+import {
+    createHistory, recordChange, undoChange, redoChange, appendToLog, describeChange, formatLoggedJudgment,
+} from './history.js';
 
-// Random Index (RI) values for Consistency Ratio calculation (Saaty, 1980)
-// RI values for n=1 to n=10. RI for n=1 and n=2 is 0.
-// Moved outside the component to ensure it's constant and doesn't trigger re-renders of useCallback functions.
-const RI = [0, 0, 0.58, 0.90, 1.12, 1.24, 1.32, 1.41, 1.45, 1.49];
+// How the decision is modelled: one hierarchy, a network with feedback, or four BOCR hierarchies
+const DECISION_MODELS = [
+    { value: 'hierarchy', label: 'Hierarchy (AHP)' },
+    { value: 'network', label: 'Network (ANP)' },
+    { value: 'bocr', label: 'Benefits, Opportunities, Costs, Risks (BOCR)' },
+];
+
+/**
+ * Main App component for the AHP Calculator.
+ * @param {object} props
+ * @param {{project?: object, readOnly?: boolean, error?: string}|null} [props.sharedLink] - The share link the
+ * page was opened with (see readShareHash), or just the error it failed with.
+ */
+const App = ({ sharedLink = null }) => {
+    // The shared project the page was opened with, otherwise the previous session if one was autosaved in this browser
+    const [restored] = useState(() => (sharedLink?.project ? { project: sharedLink.project, problem: null } : readAutosave()));
+    const [initialModel] = useState(() => restored.project?.model ?? createModel()); // What the model fields start from
+    const [readOnly, setReadOnly] = useState(Boolean(sharedLink?.readOnly)); // Showing shared results that cannot be edited
 
-// Main App component for the AHP Calculator
-const App = () => {
     // State variables for the application
-    const [criteria, setCriteria] = useState([]); // Array of criteria names
-    const [alternatives, setAlternatives] = useState([]); // Array of alternative names
-    const [criteriaComparisons, setCriteriaComparisons] = useState([]); // 2D array for criteria pairwise comparisons
-    const [alternativeComparisons, setAlternativeComparisons] = useState({}); // Object for alternative comparisons per criterion
-    const [results, setResults] = useState([]); // Final ranked results
-    const [activeTab, setActiveTab] = useState('criteria'); // Controls the active tab (criteria, alternatives, comparisons, results)
+    const [projectName, setProjectName] = useState(restored.project?.name ?? 'Untitled Project'); // Name used for saving and exporting
+    const [savedProjects, setSavedProjects] = useState(listSavedProjects); // Named projects in localStorage
+    const [criteria, setCriteria] = useState(initialModel.criteria); // Tree of criteria nodes ({ id, name, children }), see hierarchy.js
+    const [alternatives, setAlternatives] = useState(initialModel.alternatives); // Alternatives ({ id, name }), see hierarchy.js
+    const [participants, setParticipants] = useState(initialModel.participants); // Judges of a group decision ({ id, name, weight })
+    const [activeParticipantId, setActiveParticipantId] = useState(() => participants[0].id); // Participant whose matrices are being edited
+    const [judgments, setJudgments] = useState(initialModel.judgments); // Matrices ({ ids, matrix }) per participant id: { criteriaComparisons, alternativeComparisons }
+    const [aggregationMethod, setAggregationMethod] = useState(initialModel.aggregationMethod); // How participants are combined (see AGGREGATION_METHODS)
+    const [evaluationMode, setEvaluationMode] = useState(initialModel.evaluationMode); // How alternatives are judged (see EVALUATION_MODES)
+    const [ratingScales, setRatingScales] = useState(initialModel.ratingScales); // Intensity grades and their matrix per leaf id, see ratings.js
+    const [ratings, setRatings] = useState(initialModel.ratings); // Grade id per leaf id, then alternative id
+    const [dataCriteria, setDataCriteria] = useState(initialModel.dataCriteria); // Measured values and normalization per leaf id, see measurement.js
+    const [consistencySettings, setConsistencySettings] = useState(initialModel.consistencySettings); // Random Index source, thresholds and policy, see consistency.js
+    const [results, setResults] = useState(initialModel.results); // Final ranked results
+    const [individualResults, setIndividualResults] = useState([]); // Each participant's own ranking and compatibility with the group
+    const [consistencyWarnings, setConsistencyWarnings] = useState([]); // Inconsistent matrices the results were calculated with anyway
+    const [sensitivityModel, setSensitivityModel] = useState(null); // Top-level criteria weights and priorities behind the results, see sensitivity.js
+    const [report, setReport] = useState(null); // Matrices, weights and ranking as calculated, for printing and export (see report.js)
+    const [resultsBreakdown, setResultsBreakdown] = useState(null); // Criteria weights, local priorities and contributions behind the results, see breakdown.js
+    const [simulationInput, setSimulationInput] = useState(null); // Judgments and settings behind the results, for the uncertainty analysis (see simulation.js)
+    const [activeTab, setActiveTab] = useState(readOnly ? 'results' : 'criteria'); // Controls the active tab (criteria, alternatives, comparisons, results)
+    const [priorityMethod, setPriorityMethod] = useState(initialModel.priorityMethod); // How weights are derived from each matrix (see PRIORITY_METHODS)
+    const [synthesisMode, setSynthesisMode] = useState(initialModel.synthesisMode); // How local priorities are combined into scores (see SYNTHESIS_MODES)
+    const [judgmentScale, setJudgmentScale] = useState(initialModel.judgmentScale); // Numbers behind the verbal judgments (see JUDGMENT_SCALES)
+    const [scaleComparison, setScaleComparison] = useState([]); // Group scores of the same judgments under every judgment scale
+    const [modeComparison, setModeComparison] = useState([]); // Group scores under distributive and ideal synthesis
+    const [fuzzySettings, setFuzzySettings] = useState(initialModel.fuzzySettings); // Fuzzy AHP on/off and method, see fuzzy.js
+    const [fuzzyResults, setFuzzyResults] = useState([]); // Fuzzy score range of each alternative, in results order
+    const [network, setNetwork] = useState(initialModel.network); // ANP clusters, links and their comparisons, see anp.js
+    const [networkResults, setNetworkResults] = useState(null); // Supermatrices and limit priorities behind ANP results
+    const [bocr, setBocr] = useState(initialModel.bocr); // BOCR sub-models and merit ratings, see bocr.js
+    const [bocrResults, setBocrResults] = useState(null); // Sub-model scores and the BOCR formulas behind BOCR results
+    const [portfolio, setPortfolio] = useState(initialModel.portfolio); // Resources and constraints for choosing a set of alternatives, see portfolio.js
+    const [history, setHistory] = useState(createHistory); // Model snapshots for undo and redo, see history.js
+    const [changeLog, setChangeLog] = useState([]); // Every change made in this session, oldest first
+    const [comparisonStep, setComparisonStep] = useState(0); // Index into the hierarchy walk on the Comparisons tab
+    const [judgmentInput, setJudgmentInput] = useState('grid'); // Widget used to enter pairwise judgments (see JUDGMENT_INPUTS)
 
     const [newCriterion, setNewCriterion] = useState(''); // Input for adding new criterion
+    const [subCriterionParent, setSubCriterionParent] = useState(null); // Id of the criterion currently receiving a sub-criterion
+    const [newSubCriterion, setNewSubCriterion] = useState(''); // Input for adding new sub-criterion
     const [newAlternative, setNewAlternative] = useState(''); // Input for adding new alternative
+    const [renaming, setRenaming] = useState(null); // Criterion or alternative being renamed: { id, name } with the name typed so far
+    const renameKeyHandledRef = useRef(false); // Whether Enter or Escape already ended the rename, so the blur that follows does nothing
+    const [dragged, setDragged] = useState(null); // Criterion or alternative being dragged to a new position: { listId, id }
 
-    const [showModal, setShowModal] = useState(false); // Controls visibility of custom modal
-    const [modalMessage, setModalMessage] = useState(''); // Message to display in the modal
+    const [showModal, setShowModal] = useState(Boolean(sharedLink?.error || restored.problem)); // Controls visibility of custom modal
+    const [modalMessage, setModalMessage] = useState(sharedLink?.error ?? restored.problem ?? ''); // Message to display in the modal
 
     // State to store calculated Consistency Ratios for display
-    const [criteriaConsistencyRatio, setCriteriaConsistencyRatio] = useState(0);
+    const [criteriaConsistencyRatios, setCriteriaConsistencyRatios] = useState({});
     const [alternativeConsistencyRatios, setAlternativeConsistencyRatios] = useState({});
 
-    // Saaty's 9-point scale values for pairwise comparisons
-    const saatyScale = [
-        { value: 1, label: 'Equally Important' },
-        { value: 2, label: 'Equally to Moderately Important' },
-        { value: 3, label: 'Moderately Important' },
-        { value: 4, label: 'Moderately to Strongly Important' },
-        { value: 5, label: 'Strongly Important' },
-        { value: 6, label: 'Strongly to Very Strongly Important' },
-        { value: 7, label: 'Very Strongly Important' },
-        { value: 8, label: 'Very Strongly to Extremely Important' },
-        { value: 9, label: 'Extremely Important' },
-    ];
+    // Steps offered by the input widgets; judgments store the step's verbal intensity (see scales.js)
+    const judgmentScaleOptions = getScaleOptions(judgmentScale);
+    const judgmentChoices = listJudgmentChoices(judgmentScaleOptions);
+
+    // Derived views of the criteria tree
+    const leafCriteria = getLeaves(criteria);
+    const comparisonSteps = getComparisonSteps(criteria);
+
+    // Matrices of the participant being edited, in the current order of the compared items:
+    // criteriaComparisons are keyed by parent id (GOAL_ID for the top level), alternativeComparisons by leaf criterion id
+    const { criteriaComparisons, alternativeComparisons } = useMemo(
+        () => alignJudgments(criteria, alternatives, judgments[activeParticipantId]),
+        [criteria, alternatives, judgments, activeParticipantId],
+    );
+
+    // Diagnoses of the matrices on the Comparisons tab by stored matrix, each with the settings it was made under,
+    // so a matrix is only diagnosed again once its judgments, the scale, the method or the thresholds change
+    const [diagnosisCache] = useState(() => new WeakMap());
+    // The largest acceptable consistency ratio for a matrix of n items under the project settings
+    const thresholdFor = (n) => getConsistencyThreshold(n, consistencySettings.sizeDependentThresholds);
+
+    // One of the DECISION_MODELS values; the network and BOCR settings each remember whether they are on
+    const decisionModel = network.enabled ? 'network' : bocr.enabled ? 'bocr' : 'hierarchy';
+    // Ratings, measured data and fuzzy judgments only apply to the hierarchy model; the others compare pairwise
+    const isHierarchyModel = decisionModel === 'hierarchy';
+    // In ratings mode, leaf steps rate alternatives against each leaf's grades instead of comparing them
+    const isRatingsMode = isHierarchyModel && evaluationMode === 'ratings';
 
     /**
      * Shows a custom modal with a given message.
@@ -48,369 +176,2023 @@ const App = () => {
     };
 
     /**
-     * Initializes a square matrix with 1s.
-     * @param {number} size - The size of the matrix (n x n).
-     * @returns {number[][]} An initialized matrix.
+     * Effect hook to bring the comparison matrices in line when criteria or alternatives are added,
+     * removed or reordered. Judgments follow their items by id.
+     */
+    useEffect(() => {
+        // Every participant gets their own matrices for the current hierarchy
+        setJudgments(prevJudgments => {
+            const newJudgments = {};
+            participants.forEach(p => {
+                newJudgments[p.id] = syncJudgments(criteria, alternatives, prevJudgments[p.id]);
+            });
+            return newJudgments;
+        });
+    }, [criteria, alternatives, participants]);
+
+    // The model as one object, with a field per entry of MODEL_FIELDS (see project.js)
+    const model = useMemo(() => ({
+        criteria, alternatives, participants, judgments, aggregationMethod, evaluationMode, ratingScales, ratings,
+        dataCriteria, consistencySettings, priorityMethod, synthesisMode, judgmentScale, fuzzySettings, network,
+        bocr, portfolio, results,
+    }), [criteria, alternatives, participants, judgments, aggregationMethod, evaluationMode, ratingScales, ratings, dataCriteria, consistencySettings, priorityMethod, synthesisMode, judgmentScale, fuzzySettings, network, bocr, portfolio, results]);
+
+    // The setter of each model field, for putting a whole model back in place
+    const modelSetters = {
+        criteria: setCriteria, alternatives: setAlternatives, participants: setParticipants, judgments: setJudgments,
+        aggregationMethod: setAggregationMethod, evaluationMode: setEvaluationMode, ratingScales: setRatingScales,
+        ratings: setRatings, dataCriteria: setDataCriteria, consistencySettings: setConsistencySettings,
+        priorityMethod: setPriorityMethod, synthesisMode: setSynthesisMode, judgmentScale: setJudgmentScale,
+        fuzzySettings: setFuzzySettings, network: setNetwork, bocr: setBocr, portfolio: setPortfolio,
+        results: setResults,
+    };
+
+    /**
+     * Effect hook to give every leaf criterion a rating scale and drop ratings that no longer apply.
+     */
+    useEffect(() => {
+        setRatingScales(prevScales => syncRatingScales(criteria, prevScales));
+    }, [criteria]);
+
+    useEffect(() => {
+        setRatings(prevRatings => syncRatings(criteria, alternatives, ratingScales, prevRatings));
+    }, [criteria, alternatives, ratingScales]);
+
+    /**
+     * Effect hook to drop measured values of removed leaves and alternatives.
+     */
+    useEffect(() => {
+        setDataCriteria(prevDataCriteria => syncDataCriteria(criteria, alternatives, prevDataCriteria));
+    }, [criteria, alternatives]);
+
+    /**
+     * Effect hook to keep the ANP clusters, links and comparisons in line with the criteria and alternatives.
+     */
+    useEffect(() => {
+        setNetwork(prevNetwork => syncNetwork(criteria, alternatives, prevNetwork));
+    }, [criteria, alternatives]);
+
+    /**
+     * Effect hook to keep the BOCR sub-models that are not being edited in line with the alternatives and participants.
+     */
+    useEffect(() => {
+        setBocr(prevBocr => syncMeritModels(prevBocr, alternatives, participants));
+    }, [alternatives, participants]);
+
+    /**
+     * Effect hook to drop the portfolio values and constraints of removed alternatives.
+     */
+    useEffect(() => {
+        setPortfolio(prevPortfolio => syncPortfolio(prevPortfolio, alternatives));
+    }, [alternatives]);
+
+    /**
+     * Effect hook to autosave the whole model to localStorage whenever it changes.
+     * Shared results being viewed read-only are not saved, so they leave the viewer's own session alone.
+     */
+    useEffect(() => {
+        if (readOnly) return;
+        writeAutosave(serializeProject(projectName, model));
+    }, [projectName, model, readOnly]);
+
+    // The undo and redo handlers of the latest render, so the shortcuts see the current model
+    const shortcutHandlersRef = useRef(null);
+
+    /**
+     * Effect hook for the undo and redo shortcuts: Ctrl+Z, and Ctrl+Shift+Z or Ctrl+Y (Cmd on macOS).
+     * Text fields, selects and editable content keep their own keys. It subscribes once and calls the handlers through shortcutHandlersRef.
+     */
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || readOnly) return;
+            const { target } = e;
+            if (['TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable || ['text', 'number', 'search'].includes(target.type)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) shortcutHandlersRef.current.undo();
+            else if ((key === 'z' && e.shiftKey) || key === 'y') shortcutHandlersRef.current.redo();
+            else return;
+            e.preventDefault();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [readOnly]);
+
+    /**
+     * Effect hook to calculate and update criteria consistency ratios whenever criteriaComparisons change.
+     */
+    useEffect(() => {
+        const updatedCriteriaCRs = {};
+        getParentNodes(criteria).forEach(parent => {
+            const matrix = criteriaComparisons[parent.id];
+            const n = parent.children.length;
+            // Only calculate if the matrix has been resized to match the number of children.
+            if (matrix && n > 1 && matrix.length === n) {
+                const { consistencyRatio } = calculateAHP(applyJudgmentScale(matrix, judgmentScale), n, priorityMethod, consistencySettings.randomIndexSource);
+                updatedCriteriaCRs[parent.id] = consistencyRatio;
+            } else {
+                updatedCriteriaCRs[parent.id] = 0; // CR is 0 for 0/1 children or if matrix is out of sync
+            }
+        });
+        setCriteriaConsistencyRatios(updatedCriteriaCRs);
+    }, [criteriaComparisons, criteria, priorityMethod, judgmentScale, consistencySettings.randomIndexSource]);
+
+    /**
+     * Effect hook to calculate and update alternative consistency ratios whenever alternativeComparisons change.
+     */
+    useEffect(() => {
+        const updatedAlternativeCRs = {};
+        getLeaves(criteria).forEach(leaf => {
+            const altMatrix = alternativeComparisons[leaf.id];
+            // Guard clause checking matrix dimension against alternative count.
+            if (altMatrix && alternatives.length > 1 && altMatrix.length === alternatives.length) {
+                const { consistencyRatio } = calculateAHP(applyJudgmentScale(altMatrix, judgmentScale), alternatives.length, priorityMethod, consistencySettings.randomIndexSource);
+                updatedAlternativeCRs[leaf.id] = consistencyRatio;
+            } else {
+                updatedAlternativeCRs[leaf.id] = 0;
+            }
+        });
+        setAlternativeConsistencyRatios(updatedAlternativeCRs);
+    }, [alternativeComparisons, criteria, alternatives.length, priorityMethod, judgmentScale, consistencySettings.randomIndexSource]);
+
+
+    /**
+     * Builds a project document from the current state.
+     * @returns {object} See serializeProject.
+     */
+    const getCurrentProject = () => serializeProject(projectName, model);
+
+    /**
+     * Captures the model for undo: everything a project stores except its name and the calculated results.
+     * @returns {object} The model.
+     */
+    const getModelSnapshot = () => {
+        const { results: _results, ...snapshot } = model;
+        return snapshot;
+    };
+
+    /**
+     * Puts a model back in place, e.g. one captured by getModelSnapshot or loaded from a project.
+     * Fields the model leaves out, such as the results of a snapshot, keep their current value.
+     * @param {object} nextModel - The model.
+     */
+    const restoreModel = (nextModel) => {
+        MODEL_FIELDS.filter(field => field in nextModel).forEach(field => modelSetters[field](nextModel[field]));
+        setActiveParticipantId(prevId => (nextModel.participants.some(p => p.id === prevId) ? prevId : nextModel.participants[0].id));
+    };
+
+    /**
+     * Records an edit so it can be undone, and adds it to the change log. Call it before changing the model.
+     * @param {string} subject - What is changed, in words.
+     * @param {{key?: string, from?: string, to?: string, author?: string}} [details] - Edits with the same key
+     * made in quick succession merge into one step; from and to are the old and new value in words.
+     */
+    const recordEdit = (subject, details = {}) => {
+        const change = { subject, ...details, at: Date.now() };
+        setHistory(prevHistory => recordChange(prevHistory, getModelSnapshot(), change));
+        setChangeLog(prevLog => appendToLog(prevLog, change));
+    };
+
+    /**
+     * Records a change of one pairwise judgment by the active participant.
+     * @param {string} scopeId - Identifies the matrix, for merging repeated edits of the same cell.
+     * @param {string} scope - The matrix in words, e.g. "Goal".
+     * @param {string[]} items - Names of the compared items.
+     * @param {number} i - Row index.
+     * @param {number} j - Column index.
+     * @param {number|null} from - The stored judgment before.
+     * @param {number|null} to - The stored judgment after.
+     */
+    const recordJudgment = (scopeId, scope, items, i, j, from, to) => {
+        recordEdit(`${items[i]} vs ${items[j]} under ${scope}`, {
+            key: `judgment:${activeParticipantId}:${scopeId}:${i}:${j}`,
+            from: formatLoggedJudgment(from),
+            to: formatLoggedJudgment(to),
+            author: participants.find(p => p.id === activeParticipantId)?.name,
+        });
+    };
+
+    /**
+     * Reverts the last recorded edit.
+     */
+    const handleUndo = () => {
+        const step = undoChange(history, getModelSnapshot());
+        if (!step) return;
+        restoreModel(step.snapshot);
+        setHistory(step.history);
+        setChangeLog(prevLog => appendToLog(prevLog, { subject: `Undid: ${describeChange(step.change)}`, at: Date.now() }));
+    };
+
+    /**
+     * Repeats the last undone edit.
+     */
+    const handleRedo = () => {
+        const step = redoChange(history, getModelSnapshot());
+        if (!step) return;
+        restoreModel(step.snapshot);
+        setHistory(step.history);
+        setChangeLog(prevLog => appendToLog(prevLog, { subject: `Redid: ${describeChange(step.change)}`, at: Date.now() }));
+    };
+
+    /**
+     * Effect hook to hand the undo and redo handlers of this render to the keyboard shortcuts.
+     */
+    useEffect(() => {
+        shortcutHandlersRef.current = { undo: handleUndo, redo: handleRedo };
+    });
+
+    /**
+     * Replaces the whole model with a loaded project. Edits of the previous project can no longer be undone.
+     * @param {{name: string, model: object}} project - A validated project from project.js.
+     */
+    const loadProject = ({ name, model }) => {
+        setProjectName(name);
+        restoreModel(model);
+        setActiveParticipantId(model.participants[0].id);
+        setHistory(createHistory());
+        setChangeLog(prevLog => appendToLog(prevLog, { subject: `Opened project "${name}"`, at: Date.now() }));
+        setIndividualResults([]);
+        setConsistencyWarnings([]);
+        setScaleComparison([]);
+        setModeComparison([]);
+        setFuzzyResults([]);
+        setNetworkResults(null);
+        setBocrResults(null);
+        setSensitivityModel(null);
+        setReport(null);
+        setResultsBreakdown(null);
+        setSimulationInput(null);
+        setComparisonStep(0);
+        setActiveTab('criteria');
+    };
+
+    /**
+     * Saves the current project in localStorage under its name.
+     */
+    const handleSaveProject = () => {
+        if (projectName.trim() === '') {
+            showCustomModal('Please give the project a name before saving.');
+            return;
+        }
+        try {
+            saveProjectToStorage({ ...getCurrentProject(), name: projectName.trim() });
+            setSavedProjects(listSavedProjects());
+        } catch (error) {
+            showCustomModal(`The project could not be saved: ${error.message}`);
+        }
+    };
+
+    /**
+     * Loads a project saved in localStorage.
+     * @param {string} name - The saved project name.
+     */
+    const handleLoadProject = (name) => {
+        try {
+            loadProject(loadProjectFromStorage(name));
+        } catch (error) {
+            showCustomModal(error.message);
+        }
+    };
+
+    /**
+     * Deletes a project saved in localStorage.
+     * @param {string} name - The saved project name.
+     */
+    const handleDeleteProject = (name) => {
+        deleteSavedProject(name);
+        setSavedProjects(listSavedProjects());
+    };
+
+    /**
+     * Imports a project, or a model in the AHP interchange format, from a JSON file chosen by the user.
+     * @param {File} file - The uploaded file.
+     */
+    const handleImportProject = async (file) => {
+        try {
+            loadProject(parseModelFile(await file.text()));
+        } catch (error) {
+            showCustomModal(error.message);
+        }
+    };
+
+    /**
+     * Copies a link that reproduces the current project to the clipboard.
+     * @param {boolean} viewOnly - True for a link that opens the results read-only.
+     */
+    const handleShareLink = async (viewOnly) => {
+        try {
+            const url = `${window.location.origin}${window.location.pathname}${await createShareHash(getCurrentProject(), viewOnly)}`;
+            try {
+                await navigator.clipboard.writeText(url);
+                showCustomModal(`${viewOnly ? 'A read-only link to these results' : 'A link to this project'} was copied to the clipboard. Anyone who opens it gets ${viewOnly ? 'the results' : 'their own copy'}; nothing is uploaded.`);
+            } catch {
+                showCustomModal(`Copy this link to share ${viewOnly ? 'the results' : 'the project'}: ${url}`);
+            }
+        } catch (error) {
+            showCustomModal(error.message);
+        }
+    };
+
+    /**
+     * Leaves the read-only view of shared results and continues with the shared model as this browser's session.
+     */
+    const handleEditSharedCopy = () => {
+        clearShareHash();
+        setReadOnly(false);
+    };
+
+    /**
+     * Starts a fresh, empty project. The current one stays in the saved list if it was saved.
+     */
+    const handleNewProject = () => {
+        if (!window.confirm('Start a new project? Unsaved changes to the current project will be lost.')) return;
+        loadProject({ name: 'Untitled Project', model: createModel() });
+    };
+
+    /**
+     * Validates a criterion name against its future siblings.
+     * @param {string} name - The trimmed name.
+     * @param {string} parentId - The parent the criterion will be added under.
+     * @returns {boolean} True if the name can be used.
+     */
+    const validateCriterionName = (name, parentId) => {
+        if (name === '') {
+            showCustomModal('Criterion name cannot be empty.');
+            return false;
+        }
+        if (getChildren(criteria, parentId).some(c => c.name === name)) {
+            showCustomModal('Criterion already exists at this level.');
+            return false;
+        }
+        return true;
+    };
+
+    /**
+     * Adds a new top-level criterion.
+     */
+    const addCriterion = () => {
+        const name = newCriterion.trim();
+        if (!validateCriterionName(name, GOAL_ID)) return;
+        recordEdit(`Added criterion "${name}"`);
+        setCriteria(addNode(criteria, GOAL_ID, createCriterion(name)));
+        setNewCriterion('');
+    };
+
+    /**
+     * Adds a new sub-criterion under the criterion selected in subCriterionParent.
+     */
+    const addSubCriterion = () => {
+        const name = newSubCriterion.trim();
+        if (!validateCriterionName(name, subCriterionParent)) return;
+        recordEdit(`Added sub-criterion "${name}" under "${findNode(criteria, subCriterionParent).name}"`);
+        setCriteria(addNode(criteria, subCriterionParent, createCriterion(name)));
+        setNewSubCriterion('');
+        setSubCriterionParent(null);
+    };
+
+    /**
+     * Adds criteria listed in pasted or uploaded CSV, one path per row; criteria that already exist are reused.
+     * @param {string} text - The CSV text or pasted range.
+     * @returns {boolean} True if the criteria were added.
+     */
+    const handleImportCriteria = (text) => {
+        try {
+            const paths = parseCriteriaPaths(text);
+            recordEdit(`Imported ${paths.length} criteria`);
+            setCriteria(mergeCriteriaPaths(criteria, paths));
+            return true;
+        } catch (error) {
+            showCustomModal(error.message);
+            return false;
+        }
+    };
+
+    /**
+     * Removes a criterion and all of its sub-criteria from the tree.
+     * @param {string} criterionId - The id of the criterion to remove.
+     */
+    const removeCriterion = (criterionId) => {
+        const node = findNode(criteria, criterionId);
+        recordEdit(`Removed criterion "${node.name}"${node.children.length > 0 ? ' and its sub-criteria' : ''}`);
+        setCriteria(removeNode(criteria, criterionId));
+    };
+
+    /**
+     * Renames a criterion; its judgments are kept, as they refer to it by id.
+     * @param {string} parentId - The criterion's parent, whose children must keep distinct names.
+     * @param {string} criterionId - The criterion to rename.
+     * @param {string} name - The new name, trimmed.
+     * @returns {boolean} True if the name was accepted.
+     */
+    const renameCriterion = (parentId, criterionId, name) => {
+        const node = findNode(criteria, criterionId);
+        if (name === node.name) return true;
+        if (!validateCriterionName(name, parentId)) return false;
+        recordEdit('Renamed criterion', { from: node.name, to: name });
+        setCriteria(renameNode(criteria, criterionId, name));
+        return true;
+    };
+
+    /**
+     * Moves a criterion to another position among its siblings; its judgments move with it.
+     * @param {string} parentId - The criterion's parent.
+     * @param {string} criterionId - The criterion to move.
+     * @param {number} index - Its new position.
+     */
+    const reorderCriterion = (parentId, criterionId, index) => {
+        const siblings = getChildren(criteria, parentId);
+        if (index < 0 || index >= siblings.length || siblings[index].id === criterionId) return;
+        recordEdit(`Moved criterion "${findNode(criteria, criterionId).name}" to position ${index + 1}`);
+        setCriteria(moveNode(criteria, criterionId, index));
+    };
+
+    /**
+     * Validates an alternative name against the other alternatives.
+     * @param {string} name - The trimmed name.
+     * @returns {boolean} True if the name can be used.
+     */
+    const validateAlternativeName = (name) => {
+        if (name === '') {
+            showCustomModal('Alternative name cannot be empty.');
+            return false;
+        }
+        if (alternatives.some(a => a.name === name)) {
+            showCustomModal('Alternative already exists.');
+            return false;
+        }
+        return true;
+    };
+
+    /**
+     * Adds a new alternative to the list.
+     */
+    const addAlternative = () => {
+        const name = newAlternative.trim();
+        if (!validateAlternativeName(name)) return;
+        recordEdit(`Added alternative "${name}"`);
+        setAlternatives([...alternatives, createAlternative(name)]);
+        setNewAlternative('');
+    };
+
+    /**
+     * Adds the alternatives listed in pasted or uploaded CSV, skipping names already in the list.
+     * @param {string} text - The CSV text or pasted range.
+     * @returns {boolean} True if any alternative was added.
+     */
+    const handleImportAlternatives = (text) => {
+        try {
+            const added = parseNameList(text, 'alternative').filter(name => !alternatives.some(a => a.name === name));
+            if (added.length === 0) {
+                showCustomModal('All of these alternatives already exist.');
+                return false;
+            }
+            recordEdit(`Imported ${added.length} alternative(s)`);
+            setAlternatives([...alternatives, ...added.map(createAlternative)]);
+            return true;
+        } catch (error) {
+            showCustomModal(error.message);
+            return false;
+        }
+    };
+
+    /**
+     * Removes an alternative from the list. Only its rows and columns leave the matrices.
+     * @param {string} alternativeId - The alternative to remove.
+     */
+    const removeAlternative = (alternativeId) => {
+        recordEdit(`Removed alternative "${alternatives.find(a => a.id === alternativeId).name}"`);
+        setAlternatives(alternatives.filter(a => a.id !== alternativeId));
+    };
+
+    /**
+     * Renames an alternative; its judgments, ratings and values are kept, as they refer to it by id.
+     * @param {string} alternativeId - The alternative to rename.
+     * @param {string} name - The new name, trimmed.
+     * @returns {boolean} True if the name was accepted.
+     */
+    const renameAlternative = (alternativeId, name) => {
+        const alternative = alternatives.find(a => a.id === alternativeId);
+        if (name === alternative.name) return true;
+        if (!validateAlternativeName(name)) return false;
+        recordEdit('Renamed alternative', { from: alternative.name, to: name });
+        setAlternatives(alternatives.map(a => (a.id === alternativeId ? { ...a, name } : a)));
+        return true;
+    };
+
+    /**
+     * Moves an alternative to another position in the list; its judgments move with it.
+     * @param {string} alternativeId - The alternative to move.
+     * @param {number} index - Its new position.
+     */
+    const reorderAlternative = (alternativeId, index) => {
+        if (index < 0 || index >= alternatives.length || alternatives[index].id === alternativeId) return;
+        recordEdit(`Moved alternative "${alternatives.find(a => a.id === alternativeId).name}" to position ${index + 1}`);
+        setAlternatives(moveItem(alternatives, alternativeId, index));
+    };
+
+    /**
+     * Adds a participant to the group decision.
+     * @param {string} name - The trimmed participant name.
+     */
+    const addParticipant = (name) => {
+        if (name === '') {
+            showCustomModal('Participant name cannot be empty.');
+            return;
+        }
+        if (participants.some(p => p.name === name)) {
+            showCustomModal('Participant already exists.');
+            return;
+        }
+        recordEdit(`Added participant "${name}"`);
+        setParticipants([...participants, createParticipant(name)]);
+    };
+
+    /**
+     * Removes a participant and their judgments. The last participant cannot be removed.
+     * @param {string} participantId - The participant to remove.
+     */
+    const removeParticipant = (participantId) => {
+        const remaining = participants.filter(p => p.id !== participantId);
+        if (remaining.length === 0) return;
+        recordEdit(`Removed participant "${participants.find(p => p.id === participantId).name}" and their judgments`);
+        setParticipants(remaining);
+        if (participantId === activeParticipantId) {
+            setActiveParticipantId(remaining[0].id);
+        }
+    };
+
+    /**
+     * Renames or re-weights a participant.
+     * @param {string} participantId - The participant to update.
+     * @param {{name?: string, weight?: number}} changes - The fields to change.
+     */
+    const updateParticipant = (participantId, changes) => {
+        const participant = participants.find(p => p.id === participantId);
+        Object.entries(changes).forEach(([field, value]) => {
+            recordEdit(field === 'name' ? 'Renamed participant' : `Weight of participant "${participant.name}"`, {
+                key: `participant:${participantId}:${field}`, from: String(participant[field]), to: String(value),
+            });
+        });
+        setParticipants(participants.map(p => (p.id === participantId ? { ...p, ...changes } : p)));
+    };
+
+    /**
+     * Replaces one of the active participant's matrices. The matrix is laid out in the order the items
+     * are shown and is stored with their ids, so its judgments stay with their pairs when items move.
+     * @param {'criteriaComparisons'|'alternativeComparisons'} kind - Which set of matrices.
+     * @param {string} ownerId - The parent node (criteria) or leaf criterion (alternatives).
+     * @param {(number|null)[][]} matrix - The new matrix.
+     */
+    const updateActiveMatrix = (kind, ownerId, matrix) => {
+        const ids = (kind === 'criteriaComparisons' ? getChildren(criteria, ownerId) : alternatives).map(item => item.id);
+        setJudgments(prevJudgments => {
+            const prevSet = syncJudgments(criteria, alternatives, prevJudgments[activeParticipantId]);
+            return { ...prevJudgments, [activeParticipantId]: { ...prevSet, [kind]: { ...prevSet[kind], [ownerId]: { ids, matrix } } } };
+        });
+    };
+
+    /**
+     * Handles changes in the criteria pairwise comparison matrix of a parent node.
+     * @param {string} parentId - The node whose children are being compared.
+     * @param {number} i - Row index.
+     * @param {number} j - Column index.
+     * @param {number} value - The comparison value.
+     */
+    const handleCriteriaComparisonChange = (parentId, i, j, value) => {
+        const parent = findNode([{ id: GOAL_ID, name: 'Goal', children: criteria }], parentId);
+        recordJudgment(parentId, parent.name, parent.children.map(c => c.name), i, j, criteriaComparisons[parentId][i][j], value);
+        const matrix = criteriaComparisons[parentId].map(row => [...row]);
+        matrix[i][j] = value;
+        matrix[j][i] = value === MISSING_JUDGMENT ? MISSING_JUDGMENT : 1 / value; // Reciprocal relationship
+        updateActiveMatrix('criteriaComparisons', parentId, matrix);
+    };
+
+    /**
+     * Handles changes in the alternative pairwise comparison matrix for a specific leaf criterion.
+     * @param {string} criterionId - The leaf criterion for which comparisons are being made.
+     * @param {number} i - Row index.
+     * @param {number} j - Column index.
+     * @param {number} value - The comparison value.
+     */
+    const handleAlternativeComparisonChange = (criterionId, i, j, value) => {
+        recordJudgment(criterionId, findNode(criteria, criterionId).name, alternatives.map(a => a.name), i, j, alternativeComparisons[criterionId][i][j], value);
+        const matrix = alternativeComparisons[criterionId].map(row => [...row]);
+        matrix[i][j] = value;
+        matrix[j][i] = value === MISSING_JUDGMENT ? MISSING_JUDGMENT : 1 / value; // Reciprocal relationship
+        updateActiveMatrix('alternativeComparisons', criterionId, matrix);
+    };
+
+    /**
+     * Replaces the network structure (clusters or links) and resizes its comparisons to match.
+     * @param {object} nextNetwork - The edited network settings.
+     */
+    const handleNetworkChange = (nextNetwork) => {
+        recordEdit('Changed the network clusters or links', { key: 'network-structure' });
+        setNetwork(syncNetwork(criteria, alternatives, nextNetwork));
+    };
+
+    /**
+     * Handles changes in one of the ANP comparison matrices.
+     * @param {{type: 'node'|'cluster', ownerId: string, clusterId?: string}} step - The comparison, see getNetworkComparisons.
+     * @param {number} i - Row index.
+     * @param {number} j - Column index.
+     * @param {number} value - The comparison value.
      */
-    const initializeMatrix = useCallback((size) => {
-        // Creates a square matrix of a given size, initialized with 1s.
-        // This represents "equally important" as the default for all comparisons.
-        return Array(size).fill(null).map(() => Array(size).fill(1));
-    }, []);
+    const handleNetworkComparisonChange = (step, i, j, value) => {
+        const names = Object.fromEntries([...getNetworkNodes(criteria, alternatives, network), ...getClusters(network, alternatives)].map(x => [x.id, x.name]));
+        const stored = step.type === 'node' ? network.nodeComparisons[step.ownerId][step.clusterId] : network.clusterComparisons[step.ownerId];
+        recordJudgment(
+            `network:${step.type}:${step.ownerId}:${step.clusterId ?? ''}`, `"${names[step.ownerId]}"`,
+            stored.ids.map(id => names[id]), i, j, stored.matrix[i][j], value,
+        );
+        setNetwork(prevNetwork => {
+            const comparison = step.type === 'node'
+                ? prevNetwork.nodeComparisons[step.ownerId][step.clusterId]
+                : prevNetwork.clusterComparisons[step.ownerId];
+            const matrix = comparison.matrix.map(row => [...row]);
+            matrix[i][j] = value;
+            matrix[j][i] = value === MISSING_JUDGMENT ? MISSING_JUDGMENT : 1 / value; // Reciprocal relationship
+            const updated = { ...comparison, matrix };
+            return step.type === 'node'
+                ? { ...prevNetwork, nodeComparisons: { ...prevNetwork.nodeComparisons, [step.ownerId]: { ...prevNetwork.nodeComparisons[step.ownerId], [step.clusterId]: updated } } }
+                : { ...prevNetwork, clusterComparisons: { ...prevNetwork.clusterComparisons, [step.ownerId]: updated } };
+        });
+    };
 
     /**
-     * Calculates the priority vector (weights) and consistency ratio for a given matrix.
-     * This function is defined using useCallback to ensure it's stable across renders.
-     * Added robust checks for matrix validity to prevent TypeError.
-     * @param {number[][]} matrix - The pairwise comparison matrix.
-     * @param {number} n - The number of elements being compared.
-     * @returns {{weights: number[], consistencyRatio: number, lambdaMax: number}} Object containing weights, consistency ratio, and lambdaMax.
+     * Switches between a single hierarchy, a network and BOCR sub-models.
+     * @param {string} model - One of the DECISION_MODELS values.
      */
-    const calculateAHP = useCallback((matrix, n) => {
-        if (n === 0) return { weights: [], consistencyRatio: NaN, lambdaMax: NaN };
-        if (n === 1) return { weights: [1], consistencyRatio: 0, lambdaMax: 1 }; // Single element has weight 1, CR 0
+    const handleDecisionModelChange = (model) => {
+        recordEdit('Decision model', {
+            from: DECISION_MODELS.find(m => m.value === decisionModel).label, to: DECISION_MODELS.find(m => m.value === model).label,
+        });
+        setNetwork(prevNetwork => ({ ...prevNetwork, enabled: model === 'network' }));
+        setBocr(prevBocr => ({ ...prevBocr, enabled: model === 'bocr' }));
+    };
 
-        // Robust check: Ensure matrix is a valid 2D array of the expected size
-        if (!Array.isArray(matrix) || matrix.length !== n || (n > 0 && !Array.isArray(matrix[0]))) {
-            console.error("calculateAHP received an invalid matrix structure:", matrix, "Expected size:", n);
-            return { weights: Array(n).fill(NaN), consistencyRatio: NaN, lambdaMax: NaN };
+    /**
+     * Switches the BOCR sub-model being edited: the current hierarchy and judgments are stored
+     * under their merit and the chosen merit's are loaded in their place.
+     * @param {string} merit - One of the MERITS values.
+     */
+    const handleSelectMerit = (merit) => {
+        if (merit === bocr.activeMerit) return;
+        const next = getMeritModels(bocr, {})[merit];
+        setBocr(prevBocr => ({
+            ...prevBocr,
+            activeMerit: merit,
+            models: { ...prevBocr.models, [prevBocr.activeMerit]: { criteria, judgments, ratingScales, ratings, dataCriteria } },
+        }));
+        setCriteria(next.criteria);
+        setJudgments(next.judgments);
+        setRatingScales(next.ratingScales);
+        setRatings(next.ratings);
+        setDataCriteria(next.dataCriteria);
+        setComparisonStep(0);
+        setSubCriterionParent(null);
+    };
+
+    /**
+     * Rates the importance of a BOCR merit.
+     * @param {string} merit - One of the MERITS values.
+     * @param {string} gradeId - The grade given.
+     */
+    const handleRateMerit = (merit, gradeId) => {
+        const gradeName = (id) => bocr.meritScale.grades.find(g => g.id === id)?.name;
+        recordEdit(`Importance of ${MERITS.find(m => m.value === merit).label}`, { from: gradeName(bocr.meritRatings[merit]), to: gradeName(gradeId) });
+        setBocr(prevBocr => ({ ...prevBocr, meritRatings: { ...prevBocr.meritRatings, [merit]: gradeId } }));
+    };
+
+    /**
+     * Replaces the rating scale of a leaf criterion (grades added, removed or renamed).
+     * @param {string} leafId - The leaf criterion.
+     * @param {object} scale - The new rating scale.
+     */
+    const handleRatingScaleChange = (leafId, scale) => {
+        recordEdit(`Changed the rating grades of "${findNode(criteria, leafId).name}"`, { key: `grades:${leafId}` });
+        setRatingScales(prevScales => ({ ...prevScales, [leafId]: scale }));
+    };
+
+    /**
+     * Handles changes in the grade comparison matrix of a leaf criterion's rating scale.
+     * @param {string} leafId - The leaf criterion whose grades are being compared.
+     * @param {number} i - Row index.
+     * @param {number} j - Column index.
+     * @param {number} value - The comparison value.
+     */
+    const handleGradeComparisonChange = (leafId, i, j, value) => {
+        const scale = ratingScales[leafId];
+        recordJudgment(`grades:${leafId}`, `the grades of "${findNode(criteria, leafId).name}"`, scale.grades.map(g => g.name), i, j, scale.matrix[i][j], value);
+        const matrix = scale.matrix.map(row => [...row]);
+        matrix[i][j] = value;
+        matrix[j][i] = value === MISSING_JUDGMENT ? MISSING_JUDGMENT : 1 / value; // Reciprocal relationship
+        setRatingScales(prevScales => ({ ...prevScales, [leafId]: { ...scale, matrix } }));
+    };
+
+    /**
+     * Rates alternatives under a leaf criterion.
+     * @param {string} leafId - The leaf criterion.
+     * @param {string[]} alternativeIds - The alternatives to rate.
+     * @param {string} gradeId - The grade to give them, or '' to clear their ratings.
+     */
+    const handleRate = (leafId, alternativeIds, gradeId) => {
+        const grade = ratingScales[leafId]?.grades.find(g => g.id === gradeId);
+        const names = alternatives.filter(a => alternativeIds.includes(a.id)).map(a => a.name).join(', ');
+        recordEdit(`${grade ? `Rated ${names} "${grade.name}"` : `Cleared the rating of ${names}`} under "${findNode(criteria, leafId).name}"`);
+        setRatings(prevRatings => {
+            const leafRatings = { ...prevRatings[leafId] };
+            alternativeIds.forEach(id => {
+                if (gradeId) leafRatings[id] = gradeId;
+                else delete leafRatings[id];
+            });
+            return { ...prevRatings, [leafId]: leafRatings };
+        });
+    };
+
+    /**
+     * Switches a leaf criterion between judging alternatives and entering measured data.
+     * Turning data entry off keeps the values in case it is turned back on.
+     * @param {string} leafId - The leaf criterion.
+     * @param {boolean} enabled - Whether the leaf is evaluated from data.
+     */
+    const toggleDataCriterion = (leafId, enabled) => {
+        recordEdit(`${enabled ? 'Used' : 'Stopped using'} measured data for "${findNode(criteria, leafId).name}"`);
+        setDataCriteria(prevDataCriteria => ({
+            ...prevDataCriteria,
+            [leafId]: prevDataCriteria[leafId] ? { ...prevDataCriteria[leafId], enabled } : createDataCriterion(),
+        }));
+    };
+
+    /**
+     * Replaces the data settings of a leaf criterion.
+     * @param {string} leafId - The leaf criterion.
+     * @param {object} data - The new data settings.
+     */
+    const handleDataCriterionChange = (leafId, data) => {
+        recordEdit(`Changed the data of "${findNode(criteria, leafId).name}"`, { key: `data:${leafId}` });
+        setDataCriteria(prevDataCriteria => ({ ...prevDataCriteria, [leafId]: data }));
+    };
+
+    /**
+     * Replaces the portfolio settings.
+     * @param {object} next - The new settings.
+     * @param {string} subject - The edit in words.
+     * @param {string} [key] - Merges repeated edits of the same thing into one undo step.
+     */
+    const handlePortfolioChange = (next, subject, key) => {
+        recordEdit(subject, { key });
+        setPortfolio(next);
+    };
+
+    /**
+     * Lists the matrices in a synthesis whose priorities cannot be estimated (too few comparisons
+     * to link every item) or whose consistency ratio is above its threshold. Missing links always
+     * block the calculation; inconsistency blocks, warns or is ignored per consistencySettings.policy.
+     * @param {object} synthesis - The result of synthesizeHierarchy.
+     * @param {string} owner - Whose judgments these are, prefixed to the message (empty for a single participant).
+     * @param {Array} [tree] - The criteria the synthesis was made for; defaults to the hierarchy being edited.
+     * @param {boolean} [usesRatings] - Whether leaves rate alternatives instead of comparing them.
+     * @returns {{message: string, blocking: boolean}[]} The problems, in hierarchy order.
+     */
+    const findConsistencyProblems = (synthesis, owner, tree = criteria, usesRatings = isRatingsMode) => {
+        const problems = [];
+        const blocking = consistencySettings.policy === 'block';
+        const checkInconsistency = consistencySettings.policy !== 'ignore';
+        for (const parent of getParentNodes(tree)) {
+            const criteriaCR = synthesis.consistencyRatios[parent.id];
+            const scope = parent.id === GOAL_ID ? 'Criteria' : `sub-criteria of "${parent.name}"`;
+            const threshold = thresholdFor(parent.children.length);
+            if (Number.isNaN(criteriaCR)) {
+                problems.push({ message: `${owner}Not enough comparisons have been made between the ${scope.replace(/^C/, 'c')} to estimate their priorities. Every item must be linked to the others through a chain of comparisons.`, blocking: true });
+            } else if (checkInconsistency && criteriaCR > threshold) {
+                problems.push({ message: `${owner}Consistency Ratio for ${scope} is ${criteriaCR.toFixed(2)}, above the threshold of ${threshold.toFixed(2)}. This is considered inconsistent. Please revise your criteria comparisons.`, blocking });
+            }
+        }
+        for (const leaf of getLeaves(tree)) {
+            const altCR = synthesis.alternativeConsistencyRatios[leaf.id];
+            const where = `"${leaf.path.join(' › ')}"`;
+            if (Number.isNaN(altCR)) {
+                const compared = usesRatings ? 'rating grades' : 'alternatives';
+                problems.push({ message: `${usesRatings ? '' : owner}Not enough comparisons have been made between the ${compared} under ${where} to estimate their priorities. Every item must be linked to the others through a chain of comparisons.`, blocking: true });
+            } else if (checkInconsistency && usesRatings && altCR > thresholdFor(ratingScales[leaf.id]?.grades.length ?? 0)) {
+                problems.push({ message: `Consistency Ratio for the rating grades under ${where} is ${altCR.toFixed(2)}. This is inconsistent. Please revise the grade comparisons.`, blocking });
+            } else if (checkInconsistency && !usesRatings && altCR > thresholdFor(alternatives.length)) {
+                problems.push({ message: `${owner}Consistency Ratio for Alternatives under ${where} is ${altCR.toFixed(2)}. This is inconsistent. Please revise your comparisons.`, blocking });
+            }
+        }
+        return problems;
+    };
+
+    /**
+     * Performs the ANP calculation and sets the results: alternatives are ranked by their limit
+     * priorities within the alternatives cluster. The network's judgments are shared by all
+     * participants, and ratings, measured data and fuzzy judgments do not apply to it.
+     */
+    const calculateNetworkResults = () => {
+        const problem = validateNetwork(criteria, alternatives, network);
+        if (problem) {
+            showCustomModal(`The network cannot be calculated yet: ${problem}`);
+            return;
+        }
+        const calculateUnder = (scaleId) => calculateNetwork(criteria, alternatives, network, {
+            method: priorityMethod,
+            randomIndexSource: consistencySettings.randomIndexSource,
+            transform: (matrix) => applyJudgmentScale(matrix, scaleId),
+        });
+        const networkResult = calculateUnder(judgmentScale);
+
+        const clusterNames = Object.fromEntries(getClusters(network, alternatives).map(cluster => [cluster.id, cluster.name]));
+        const nodeNames = Object.fromEntries(networkResult.nodes.map(node => [node.id, node.name]));
+        const blocking = consistencySettings.policy === 'block';
+        const problems = [];
+        networkResult.consistencyRatios.forEach(({ type, ownerId, clusterId, size, consistencyRatio }) => {
+            const scope = type === 'node'
+                ? `the ${clusterNames[clusterId]} cluster with respect to "${nodeNames[ownerId]}"`
+                : `the clusters with respect to ${clusterNames[ownerId]}`;
+            if (Number.isNaN(consistencyRatio)) {
+                problems.push({ message: `Not enough comparisons have been made for ${scope} to estimate their priorities. Every item must be linked to the others through a chain of comparisons.`, blocking: true });
+            } else if (consistencySettings.policy !== 'ignore' && consistencyRatio > thresholdFor(size)) {
+                problems.push({ message: `Consistency Ratio for ${scope} is ${consistencyRatio.toFixed(2)}. This is inconsistent. Please revise your comparisons.`, blocking });
+            }
+        });
+        const blockingProblem = problems.find(p => p.blocking);
+        if (blockingProblem) {
+            showCustomModal(blockingProblem.message);
+            return;
+        }
+        if (!networkResult.converged) {
+            showCustomModal('The limit supermatrix did not converge. Please check the links of the network.');
+            return;
+        }
+        setConsistencyWarnings(problems.map(p => p.message));
+
+        // Alternatives are ranked by their share of the alternatives cluster's limit priority
+        const alternativeScores = (result) => alternatives.map(alt => result.clusterPriorities[result.nodes.findIndex(node => node.id === alternativeNodeId(alt))]);
+        const scores = alternativeScores(networkResult);
+        setScaleComparison(JUDGMENT_SCALES.map(scale => ({
+            value: scale.value,
+            label: scale.label,
+            scores: scale.value === judgmentScale ? scores : alternativeScores(calculateUnder(scale.value)),
+        })));
+        const ranking = alternatives.map((alt, altIndex) => ({ id: alt.id, name: alt.name, score: scores[altIndex] })).sort((a, b) => b.score - a.score);
+        setResults(ranking);
+        setNetworkResults(networkResult);
+        setBocrResults(null);
+        setFuzzyResults([]);
+        setIndividualResults([]);
+        setSensitivityModel(null);
+        setReport(buildReport({
+            projectName,
+            parts: [describeNetwork({
+                criteria,
+                alternatives,
+                network,
+                result: networkResult,
+                method: priorityMethod,
+                randomIndexSource: consistencySettings.randomIndexSource,
+                transform: (matrix) => applyJudgmentScale(matrix, judgmentScale),
+            })],
+            results: ranking,
+        }));
+        setResultsBreakdown(null);
+        setSimulationInput(null);
+        setActiveTab('results');
+    };
+
+    /**
+     * Performs the BOCR calculation and sets the results: each merit's hierarchy is synthesized
+     * from the (aggregated) pairwise judgments, and the alternatives are ranked by the additive
+     * formula, with the multiplicative and subtractive ones shown next to it. Ratings, measured
+     * data and fuzzy judgments are not used in the sub-models.
+     */
+    const calculateBocrResults = () => {
+        const meritWeights = calculateMeritWeights(bocr, priorityMethod, consistencySettings.randomIndexSource);
+        if (!meritWeights) {
+            showCustomModal('Please rate the importance of all four merits (Benefits, Opportunities, Costs and Risks).');
+            return;
         }
-        // Check if all rows have the correct length
-        for (let i = 0; i < n; i++) {
-            if (!matrix[i] || matrix[i].length !== n) {
-                console.error("calculateAHP received a non-square matrix or incorrect row length:", matrix, "Expected size:", n);
-                return { weights: Array(n).fill(NaN), consistencyRatio: NaN, lambdaMax: NaN };
+        const isGroup = participants.length > 1;
+        const participantWeights = normalizeParticipantWeights(participants);
+        const models = getMeritModels(bocr, { criteria, judgments, ratingScales, ratings, dataCriteria });
+        const problems = [];
+        const meritScores = {};
+        const reportParts = [];
+        for (const merit of MERITS) {
+            const model = models[merit.value];
+            if (model.criteria.length === 0) {
+                showCustomModal(`The ${merit.label} sub-model has no criteria yet. Please add at least one.`);
+                return;
+            }
+            const sets = participants.map(p => scaleJudgmentSet(alignJudgments(model.criteria, alternatives, model.judgments[p.id]), judgmentScale));
+            const synthesize = (set) => {
+                const synthesis = synthesizeHierarchy(model.criteria, alternatives.length, set, priorityMethod, consistencySettings.randomIndexSource);
+                return synthesisMode === 'ideal' ? idealizeSynthesis(model.criteria, synthesis) : synthesis;
+            };
+            const syntheses = sets.map(synthesize);
+            const part = {
+                label: merit.label,
+                weight: meritWeights[merit.value],
+                criteria: model.criteria,
+                alternatives,
+                participants: participants.map(p => p.name),
+                judgmentSets: sets,
+                syntheses,
+                isJudged: () => true,
+            };
+            if (aggregationMethod === 'aij' || !isGroup) {
+                const groupSet = aggregateJudgmentSets(sets, participantWeights);
+                const synthesis = synthesize(groupSet);
+                problems.push(...findConsistencyProblems(synthesis, isGroup ? `${merit.label}, group judgments: ` : `${merit.label}: `, model.criteria, false));
+                meritScores[merit.value] = synthesis.scores;
+                reportParts.push(describeHierarchy({ ...part, globalWeights: synthesis.globalWeights, group: { judgmentSet: groupSet, synthesis } }));
+            } else {
+                participants.forEach((p, k) => {
+                    problems.push(...findConsistencyProblems(syntheses[k], `${merit.label}, ${p.name}: `, model.criteria, false));
+                });
+                meritScores[merit.value] = aggregatePriorities(syntheses.map(s => s.scores), participantWeights);
+                reportParts.push(describeHierarchy({ ...part, globalWeights: aggregateWeightsById(syntheses.map(s => s.globalWeights), participantWeights) }));
+            }
+            if (!meritScores[merit.value].every(Number.isFinite)) {
+                showCustomModal(`The ${merit.label} sub-model gives no usable scores for the alternatives. Please check its judgments.`);
+                return;
             }
         }
+        const blockingProblem = problems.find(problem => problem.blocking);
+        if (blockingProblem) {
+            showCustomModal(blockingProblem.message);
+            return;
+        }
+        setConsistencyWarnings(problems.map(problem => problem.message));
 
+        const synthesis = synthesizeBocr(meritScores, meritWeights);
+        setBocrResults({ ...synthesis, meritWeights, alternatives: alternatives.map(a => a.name) });
+        const ranking = alternatives.map((alt, altIndex) => ({ id: alt.id, name: alt.name, score: synthesis.additive[altIndex] })).sort((a, b) => b.score - a.score);
+        setResults(ranking);
+        setNetworkResults(null);
+        setScaleComparison([]);
+        setModeComparison([]);
+        setFuzzyResults([]);
+        setIndividualResults([]);
+        setSensitivityModel(null);
+        setReport(buildReport({ projectName, parts: reportParts, results: ranking }));
+        setResultsBreakdown(null);
+        setSimulationInput(null);
+        setActiveTab('results');
+    };
+
+    /**
+     * Performs the full AHP calculation and sets the results.
+     * With several participants, judgments are combined according to aggregationMethod.
+     */
+    const calculateOverallAHP = () => {
+        if (criteria.length === 0) {
+            showCustomModal('Please add at least one criterion.');
+            return;
+        }
+        if (alternatives.length === 0) {
+            showCustomModal('Please add at least one alternative.');
+            return;
+        }
+        if (network.enabled) {
+            calculateNetworkResults();
+            return;
+        }
+        if (bocr.enabled) {
+            calculateBocrResults();
+            return;
+        }
+
+        const isGroup = participants.length > 1;
+        const participantWeights = normalizeParticipantWeights(participants);
+        const judgmentSets = participants.map(p => alignJudgments(criteria, alternatives, judgments[p.id]));
+        const dataLeaves = getDataLeaves(criteria, dataCriteria);
+        for (const leaf of dataLeaves) {
+            const problem = validateDataCriterion(dataCriteria[leaf.id], alternatives);
+            if (problem) {
+                showCustomModal(`The data for "${leaf.path.join(' › ')}" cannot be used yet: ${problem}.`);
+                return;
+            }
+        }
+        if (isRatingsMode) {
+            const missing = findMissingRatings(criteria, alternatives, ratings)
+                .filter(({ leaf }) => !dataLeaves.some(d => d.id === leaf.id));
+            if (missing.length > 0) {
+                const { alternative, leaf } = missing[0];
+                showCustomModal(`${missing.length} rating(s) are missing, starting with "${alternative.name}" under "${leaf.path.join(' › ')}". Please rate every alternative.`);
+                return;
+            }
+        }
+
+        // Judgments are mapped to the numbers of a scale (as fuzzy numbers in fuzzy mode) before
+        // anything is combined, so group means are taken over the values the calculation actually uses
+        const isFuzzy = fuzzySettings.enabled && !isRatingsMode;
+        const scaleJudgmentSets = (scaleId) => judgmentSets.map(set => (
+            isFuzzy ? fuzzifyJudgmentSet(set, scaleId) : scaleJudgmentSet(set, scaleId)
+        ));
+        // A fuzzy set is three crisp sets (lower, middle, upper), each aggregated cell by cell
+        const aggregateSets = (sets) => (isFuzzy
+            ? Object.fromEntries(['l', 'm', 'u'].map(bound => [bound, aggregateJudgmentSets(sets.map(set => set[bound]), participantWeights)]))
+            : aggregateJudgmentSets(sets, participantWeights));
+        const dataPriorities = Object.fromEntries(dataLeaves.map(leaf => [leaf.id, calculateDataPriorities(dataCriteria[leaf.id], alternatives)]));
+
+        // Ratings and measured data are shared by all participants; only the judgments differ between them.
+        // Ratings are idealized by their grades already, so the synthesis mode only applies to the other leaves.
+        const synthesize = (scaledSet, scaleId = judgmentScale, mode = synthesisMode) => {
+            let synthesis;
+            if (isRatingsMode) {
+                synthesis = synthesizeRatings(criteria, alternatives, scaledSet, scaleRatingScales(ratingScales, scaleId), ratings, priorityMethod, consistencySettings.randomIndexSource);
+            } else if (isFuzzy) {
+                synthesis = synthesizeFuzzyHierarchy(criteria, alternatives.length, scaledSet, {
+                    method: fuzzySettings.method,
+                    priorityMethod,
+                    randomIndexSource: consistencySettings.randomIndexSource,
+                    fixedAlternativeWeights: dataPriorities,
+                });
+            } else {
+                synthesis = synthesizeHierarchy(criteria, alternatives.length, scaledSet, priorityMethod, consistencySettings.randomIndexSource);
+            }
+            synthesis = applyDataCriteria(criteria, alternatives, synthesis, dataCriteria, { idealize: isRatingsMode });
+            return mode === 'ideal' && !isRatingsMode ? idealizeSynthesis(criteria, synthesis) : synthesis;
+        };
+
+        // Each participant's own synthesis, used for AIP and for the individual rankings
+        const scaledSets = scaleJudgmentSets(judgmentScale);
+        const individualSyntheses = scaledSets.map(set => synthesize(set));
+
+        const problems = [];
+        let groupSynthesis = null;
+        let groupScores;
+        let groupContributions;
+        let groupFuzzyScores;
+        if (aggregationMethod === 'aij' || !isGroup) {
+            // Combine the judgments first, then synthesize once
+            groupSynthesis = synthesize(aggregateSets(scaledSets));
+            groupFuzzyScores = groupSynthesis.fuzzyScores;
+            problems.push(...findConsistencyProblems(groupSynthesis, isGroup ? 'Group judgments: ' : ''));
+            groupScores = groupSynthesis.scores;
+            groupContributions = { globalWeights: groupSynthesis.globalWeights, leafContributions: calculateLeafContributions(criteria, groupSynthesis) };
+        } else {
+            // Every participant's matrices are checked before their priorities are combined
+            participants.forEach((p, k) => {
+                problems.push(...findConsistencyProblems(individualSyntheses[k], `${p.name}: `));
+            });
+            groupScores = aggregatePriorities(individualSyntheses.map(s => s.scores), participantWeights);
+            groupFuzzyScores = isFuzzy ? Object.fromEntries(['l', 'm', 'u'].map(bound => [
+                bound, aggregatePriorities(individualSyntheses.map(s => s.fuzzyScores[bound]), participantWeights),
+            ])) : undefined;
+
+            // Each criterion's share of the group score is the weighted mean of the individual shares
+            groupContributions = combineContributions(criteria, individualSyntheses, participantWeights);
+        }
+
+        const blockingProblem = problems.find(problem => problem.blocking);
+        if (blockingProblem) {
+            showCustomModal(blockingProblem.message);
+            return;
+        }
+        // Shared rating scales are checked once per participant, so drop repeated messages
+        setConsistencyWarnings([...new Set(problems.map(problem => problem.message))]);
+
+        const toRanking = (scores) => alternatives
+            .map((alt, altIndex) => ({ id: alt.id, name: alt.name, score: scores[altIndex] }))
+            .sort((a, b) => b.score - a.score);
+
+        // The same judgments under every scale and both synthesis modes, to show how much the ranking owes to them
+        const groupScoresUnder = (scaleId, mode = synthesisMode) => {
+            const sets = scaleJudgmentSets(scaleId);
+            return aggregationMethod === 'aij' || !isGroup
+                ? synthesize(aggregateSets(sets), scaleId, mode).scores
+                : aggregatePriorities(sets.map(set => synthesize(set, scaleId, mode).scores), participantWeights);
+        };
+        setScaleComparison(JUDGMENT_SCALES.map(scale => ({
+            value: scale.value,
+            label: scale.label,
+            scores: scale.value === judgmentScale ? groupScores : groupScoresUnder(scale.value),
+        })));
+        setModeComparison(isRatingsMode ? [] : SYNTHESIS_MODES.map(mode => ({
+            value: mode.value,
+            label: mode.value === 'ideal' ? `${mode.label}, relative to best` : mode.label,
+            scores: mode.value === synthesisMode ? groupScores : groupScoresUnder(judgmentScale, mode.value),
+        })));
+
+        // Sort alternatives by score in descending order
+        const ranking = toRanking(groupScores);
+        setResults(ranking);
+        setFuzzyResults(groupFuzzyScores ? ranking.map(({ id, name, score }) => {
+            const altIndex = alternatives.findIndex(alt => alt.id === id);
+            return { id, name, score, lower: groupFuzzyScores.l[altIndex], middle: groupFuzzyScores.m[altIndex], upper: groupFuzzyScores.u[altIndex] };
+        }) : []);
+        setNetworkResults(null);
+        setBocrResults(null);
+        const breakdown = buildResultsBreakdown(criteria, alternatives.map(a => a.name), groupContributions);
+        setResultsBreakdown(breakdown);
+        setSensitivityModel({ criteria: buildSensitivityModel(breakdown.topCriteria), alternatives: breakdown.alternatives });
+        // Ratings and measured data are the same for every participant, so their final priorities are taken as they are
+        const fixedLeaves = isRatingsMode ? getLeaves(criteria) : dataLeaves;
+        // The simulation ranks by crisp priorities, which would not be the fuzzy ranking shown
+        setSimulationInput(isFuzzy ? null : {
+            criteria,
+            alternatives: alternatives.map(a => a.name),
+            judgmentSets,
+            participantWeights,
+            aggregationMethod: aggregationMethod === 'aij' || !isGroup ? 'aij' : 'aip',
+            judgmentScale,
+            priorityMethod,
+            randomIndexSource: consistencySettings.randomIndexSource,
+            idealize: synthesisMode === 'ideal' && !isRatingsMode,
+            fixedAlternativeWeights: Object.fromEntries(fixedLeaves.map(leaf => [leaf.id, individualSyntheses[0].alternativeWeights[leaf.id]])),
+        });
+        setIndividualResults(isGroup ? participants.map((p, k) => {
+            const compatibility = compatibilityIndex(individualSyntheses[k].scores, groupScores);
+            return {
+                participant: p,
+                ranking: toRanking(individualSyntheses[k].scores),
+                compatibility,
+                divergent: compatibility !== null && compatibility > COMPATIBILITY_THRESHOLD,
+            };
+        }) : []);
+        // The report shows the matrices as numbers on the scale; fuzzy judgments by their crisp values
+        const crispSets = isFuzzy ? judgmentSets.map(set => scaleJudgmentSet(set, judgmentScale)) : scaledSets;
+        setReport(buildReport({
+            projectName,
+            parts: [describeHierarchy({
+                criteria,
+                alternatives,
+                globalWeights: groupContributions.globalWeights,
+                participants: participants.map(p => p.name),
+                judgmentSets: crispSets,
+                syntheses: individualSyntheses,
+                group: groupSynthesis && { judgmentSet: aggregateJudgmentSets(crispSets, participantWeights), synthesis: groupSynthesis },
+                isJudged: (leafId) => !isRatingsMode && !dataCriteria[leafId]?.enabled,
+            })],
+            results: ranking,
+        }));
+        setActiveTab('results'); // Switch to results tab
+    };
+
+    /**
+     * Renders the pairwise comparison table for a given set of items. Each cell above the diagonal
+     * can favour either its row or its column item; the cell below shows the reciprocal.
+     * @param {string[]} items - Array of items to compare (e.g., criteria or alternatives).
+     * @param {number[][]} matrix - The comparison matrix.
+     * @param {function(number, number, number): void} handleChange - Callback for value changes.
+     * @param {string} type - 'criteria', 'alternative', 'grade' or 'network' for unique key generation.
+     * @param {Set<string>} [flaggedCells] - "i-j" keys of judgments to highlight as inconsistent.
+     * @param {{i: number, j: number}|null} [suggestedCell] - The comparison to ask next, highlighted.
+     * @returns {JSX.Element} The comparison table.
+     */
+    const renderComparisonTable = (items, matrix, handleChange, type, flaggedCells = new Set(), suggestedCell = null) => {
+        if (!matrix || matrix.length === 0 || items.length < 2) {
+            return <p className="text-gray-600">Add at least two {type === 'criteria' ? 'criteria' : 'alternatives'} to make comparisons.</p>;
+        }
+
+        return (
+            <div className="overflow-x-auto rounded-lg shadow-md mb-4">
+                <table className="min-w-full bg-white border border-gray-200 rounded-lg">
+                    <thead className="bg-gray-100">
+                        <tr>
+                            <th className="py-3 px-4 border-b text-left text-sm font-semibold text-gray-700"></th>
+                            {items.map((item, index) => (
+                                <th key={index} className="py-3 px-4 border-b text-center text-sm font-semibold text-gray-700">{item}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {items.map((rowItem, i) => (
+                            <tr key={i} className="hover:bg-gray-50">
+                                <td className="py-3 px-4 border-b text-left font-medium text-gray-800">{rowItem}</td>
+                                {items.map((colItem, j) => {
+                                    const isMissing = i !== j && matrix[i]?.[j] === MISSING_JUDGMENT;
+                                    const isSuggested = suggestedCell && suggestedCell.i === Math.min(i, j) && suggestedCell.j === Math.max(i, j);
+                                    const highlight = flaggedCells.has(`${i}-${j}`) ? 'bg-red-50 ring-2 ring-inset ring-red-400'
+                                        : isSuggested ? 'bg-blue-50 ring-2 ring-inset ring-blue-400'
+                                            : isMissing ? 'bg-amber-50' : '';
+                                    return (
+                                        <td key={j} className={`py-3 px-4 border-b text-center ${highlight}`}>
+                                            {i === j ? (
+                                                <span className="font-bold text-gray-500">1</span>
+                                            ) : i < j ? (
+                                                <select
+                                                    value={isMissing ? '' : matrix[i][j]}
+                                                    onChange={(e) => handleChange(i, j, e.target.value === '' ? MISSING_JUDGMENT : parseFloat(e.target.value))}
+                                                    className="block w-full p-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm bg-white"
+                                                    aria-label={`${rowItem} vs ${colItem}`}
+                                                >
+                                                    <option value="">— not judged —</option>
+                                                    {!isMissing && !judgmentChoices.some(choice => choice.value === matrix[i][j]) && (
+                                                        <option value={matrix[i][j]}>{formatJudgment(matrix[i][j])} (current value)</option>
+                                                    )}
+                                                    {judgmentChoices.map(choice => (
+                                                        <option key={choice.value} value={choice.value}>
+                                                            {formatJudgment(choice.value)} ({choice.favours === 'none' ? choice.label : `${choice.favours === 'row' ? rowItem : colItem} ${choice.label}`}{choice.score !== choice.value && `, counts as ${formatJudgment(choice.score)}`})
+                                                        </option>
+                                                    ))}
+                                                </select>
+                                            ) : (
+                                                <span className="text-gray-600">
+                                                    {isMissing ? '—' : matrix[i]?.[j] ? formatJudgment(matrix[i][j]) : 'N/A'}
+                                                </span>
+                                            )}
+                                        </td>
+                                    );
+                                })}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        );
+    };
+
+    /**
+     * Renders the pairwise input chosen in judgmentInput for a matrix.
+     * @param {string[]} items - Array of items to compare.
+     * @param {number[][]} matrix - The comparison matrix.
+     * @param {function(number, number, number): void} handleChange - Callback for value changes.
+     * @param {string} type - 'criteria', 'alternative', 'grade' or 'network', see renderComparisonTable.
+     * @param {Set<string>} flaggedCells - "i-j" keys of judgments to highlight as inconsistent.
+     * @param {{i: number, j: number}|null} suggestedCell - The comparison to ask next, highlighted.
+     * @param {string} criterion - What the items are compared with respect to, for the questionnaire.
+     * @returns {JSX.Element} The input.
+     */
+    const renderPairwiseInput = (items, matrix, handleChange, type, flaggedCells, suggestedCell, criterion) => {
+        if (judgmentInput === 'grid' || matrix.length !== items.length || items.length < 2) {
+            return renderComparisonTable(items, matrix, handleChange, type, flaggedCells, suggestedCell);
+        }
+        if (judgmentInput === 'questionnaire') {
+            return <QuestionnaireView key={`${type}-${criterion}`} items={items} matrix={matrix} onChange={handleChange} scale={judgmentScaleOptions} criterion={criterion} />;
+        }
+        if (judgmentInput === 'compact') {
+            return <CompactMatrix key={`${type}-${criterion}`} items={items} matrix={matrix} onChange={handleChange} scale={judgmentScaleOptions} flaggedCells={flaggedCells} suggestedCell={suggestedCell} />;
+        }
+        return (
+            <div className="space-y-2 mb-4">
+                {items.flatMap((rowItem, i) => items.slice(i + 1).map((colItem, offset) => {
+                    const j = i + 1 + offset;
+                    const highlight = flaggedCells.has(`${i}-${j}`) ? 'ring-2 ring-red-400'
+                        : suggestedCell && suggestedCell.i === i && suggestedCell.j === j ? 'ring-2 ring-blue-400' : '';
+                    return (
+                        <BalanceSlider
+                            key={`${i}-${j}`}
+                            rowItem={rowItem}
+                            colItem={colItem}
+                            value={matrix[i][j]}
+                            scale={judgmentScaleOptions}
+                            onChange={(value) => handleChange(i, j, value)}
+                            className={highlight}
+                        />
+                    );
+                }))}
+            </div>
+        );
+    };
+
+    /**
+     * Renders the buttons that choose the widget used to enter pairwise judgments.
+     * @returns {JSX.Element} The button group.
+     */
+    const renderJudgmentInputPicker = () => (
+        <div className="flex flex-wrap items-center gap-2 mb-4 text-sm" role="group" aria-label="Judgment input">
+            <span className="text-gray-600">Enter judgments with:</span>
+            {JUDGMENT_INPUTS.map(option => (
+                <button
+                    key={option.value}
+                    onClick={() => setJudgmentInput(option.value)}
+                    aria-pressed={judgmentInput === option.value}
+                    className={`text-xs px-3 py-1 rounded-md border transition duration-150 ease-in-out ${judgmentInput === option.value ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'}`}
+                >
+                    {option.label}
+                </button>
+            ))}
+        </div>
+    );
+
+    /**
+     * Renders the input for one ANP comparison, with its progress and consistency ratio.
+     * @param {object} step - A comparison from getNetworkComparisons.
+     * @param {string[]} items - Names of the compared nodes or clusters.
+     * @param {string} title - What is compared with respect to what.
+     * @returns {JSX.Element} The comparison input.
+     */
+    const renderNetworkComparison = (step, items, title) => {
+        const { matrix } = step.comparison;
+        const { consistencyRatio } = calculateAHP(applyJudgmentScale(matrix, judgmentScale), items.length, priorityMethod, consistencySettings.randomIndexSource);
+        const threshold = thresholdFor(items.length);
+        const summary = summarizeJudgments(matrix);
+        const suggestion = suggestNextComparison(matrix);
+        return (
+            <>
+                {renderJudgmentInputPicker()}
+                {renderPairwiseInput(items, matrix, (i, j, value) => handleNetworkComparisonChange(step, i, j, value), 'network', new Set(), suggestion, title)}
+                <JudgmentProgress items={items} summary={summary} suggestion={suggestion} />
+                {Number.isNaN(consistencyRatio) ? (
+                    <p className="text-sm mt-2 p-2 rounded-md bg-amber-100 text-amber-800">
+                        Consistency Ratio: <span className="font-bold">N/A</span> until the comparisons link every item
+                    </p>
+                ) : (
+                    <p className={`text-sm mt-2 p-2 rounded-md ${consistencyRatio <= threshold ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                        Consistency Ratio: <span className="font-bold">{consistencyRatio.toFixed(2)}</span> (Ideal: ≤ {threshold.toFixed(2)})
+                    </p>
+                )}
+            </>
+        );
+    };
+
+    /**
+     * Props that let a row be dragged to another position in its list: dropping it on a row of the
+     * same list moves it to that row's position.
+     * @param {string} listId - The list the row belongs to: the parent id for criteria, or 'alternatives'.
+     * @param {string} id - The id of the row's item.
+     * @param {number} index - Its position in the list.
+     * @param {function(string, number): void} onMove - Moves an item of the list to a position.
+     * @returns {object} Drag and drop props for the row element.
+     */
+    const dragProps = (listId, id, index, onMove) => ({
+        draggable: renaming?.id !== id,
+        onDragStart: (e) => {
+            e.stopPropagation();
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', id);
+            setDragged({ listId, id });
+        },
+        onDragOver: (e) => {
+            if (dragged?.listId === listId) e.preventDefault();
+        },
+        onDrop: (e) => {
+            if (dragged?.listId !== listId) return;
+            e.preventDefault();
+            onMove(dragged.id, index);
+            setDragged(null);
+        },
+        onDragEnd: () => setDragged(null),
+    });
+
+    /**
+     * Renders the grip of a draggable row. Focused, it also moves the row with the arrow keys.
+     * @param {string} name - The item's name.
+     * @param {string} id - The item's id.
+     * @param {number} index - Its position in the list.
+     * @param {function(string, number): void} onMove - Moves an item of the list to a position.
+     * @returns {JSX.Element} The drag handle.
+     */
+    const renderDragHandle = (name, id, index, onMove) => (
+        <button
+            onKeyDown={(e) => {
+                if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+                e.preventDefault();
+                onMove(id, e.key === 'ArrowUp' ? index - 1 : index + 1);
+            }}
+            className="cursor-move text-gray-400 hover:text-gray-600 px-1 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+            title="Drag to reorder, or use the arrow keys"
+            aria-label={`Move ${name}`}
+        >
+            ⠿
+        </button>
+    );
+
+    /**
+     * Renders an item's name, or the name input while it is being renamed.
+     * @param {{id: string, name: string}} item - The criterion or alternative.
+     * @param {function(string): boolean} onRename - Renames the item; returns false if the name was rejected.
+     * @returns {JSX.Element} The name or the rename input.
+     */
+    const renderItemName = (item, onRename) => {
+        if (renaming?.id !== item.id) return <span className="text-gray-800 font-medium">{item.name}</span>;
+        const commit = () => {
+            if (onRename(renaming.name.trim())) setRenaming(null);
+        };
+        return (
+            <input
+                type="text"
+                value={renaming.name}
+                onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                onKeyDown={(e) => {
+                    if (e.key !== 'Enter' && e.key !== 'Escape') return;
+                    renameKeyHandledRef.current = true;
+                    if (e.key === 'Enter') commit();
+                    else setRenaming(null);
+                }}
+                onFocus={() => { renameKeyHandledRef.current = false; }}
+                onBlur={() => {
+                    // A rejected name already showed its message when Enter was pressed
+                    if (renameKeyHandledRef.current) renameKeyHandledRef.current = false;
+                    else commit();
+                }}
+                autoFocus
+                className="flex-grow p-1 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                aria-label={`New name for ${item.name}`}
+            />
+        );
+    };
+
+    /**
+     * Renders the button that starts renaming an item.
+     * @param {{id: string, name: string}} item - The criterion or alternative.
+     * @returns {JSX.Element} The rename button.
+     */
+    const renderRenameButton = (item) => (
+        <button
+            onClick={() => setRenaming({ id: item.id, name: item.name })}
+            className="text-sm text-gray-600 hover:text-gray-800 px-2 py-1 rounded-md hover:bg-gray-100 transition duration-150 ease-in-out"
+            aria-label={`Rename ${item.name}`}
+        >
+            Rename
+        </button>
+    );
+
+    /**
+     * Renders the criteria tree editor, one row per node with sub-criteria indented below it.
+     * Rows can be dragged to reorder them among their siblings.
+     * @param {Array} nodes - The nodes at this level.
+     * @param {string} [parentId] - Their parent, GOAL_ID for the top level.
+     * @returns {JSX.Element[]} The rows for these nodes and their descendants.
+     */
+    const renderCriteriaTree = (nodes, parentId = GOAL_ID) => {
+        const moveCriterion = (criterionId, index) => reorderCriterion(parentId, criterionId, index);
+        return nodes.map((node, index) => (
+            <div key={node.id}>
+                <div
+                    {...dragProps(parentId, node.id, index, moveCriterion)}
+                    className={`flex items-center justify-between bg-white p-3 rounded-md shadow-sm border ${dragged?.id === node.id ? 'border-blue-400 opacity-50' : 'border-gray-200'}`}
+                >
+                    <div className="flex items-center gap-2 flex-grow">
+                        {renderDragHandle(node.name, node.id, index, moveCriterion)}
+                        {renderItemName(node, (name) => renameCriterion(parentId, node.id, name))}
+                        {node.children.length > 0 && renaming?.id !== node.id && <span className="text-xs text-gray-500">({node.children.length} sub-criteria)</span>}
+                    </div>
+                    <div className="flex items-center space-x-2">
+                        {renderRenameButton(node)}
+                        <button
+                            onClick={() => { setSubCriterionParent(node.id); setNewSubCriterion(''); }}
+                            className="text-sm text-blue-600 hover:text-blue-800 px-2 py-1 rounded-md hover:bg-blue-50 transition duration-150 ease-in-out"
+                        >
+                            + Sub-criterion
+                        </button>
+                        <button
+                            onClick={() => removeCriterion(node.id)}
+                            className="text-red-500 hover:text-red-700 p-1 rounded-full hover:bg-red-100 transition duration-150 ease-in-out"
+                            aria-label={`Remove ${node.name}`}
+                        >
+                            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                                <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm6 0a1 1 0 012 0v6a1 1 0 11-2 0V8z" clipRule="evenodd" />
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+                {subCriterionParent === node.id && (
+                    <div className="flex mt-2 ml-6">
+                        <input
+                            type="text"
+                            value={newSubCriterion}
+                            onChange={(e) => setNewSubCriterion(e.target.value)}
+                            onKeyDown={(e) => e.key === 'Enter' && addSubCriterion()}
+                            placeholder={`Sub-criterion of ${node.name}`}
+                            autoFocus
+                            className="flex-grow p-2 border border-gray-300 rounded-l-md focus:ring-blue-500 focus:border-blue-500 shadow-sm"
+                        />
+                        <button
+                            onClick={addSubCriterion}
+                            className="bg-blue-600 text-white px-4 py-2 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 transition duration-150 ease-in-out"
+                        >
+                            Add
+                        </button>
+                        <button
+                            onClick={() => setSubCriterionParent(null)}
+                            className="bg-gray-400 text-white px-4 py-2 rounded-r-md hover:bg-gray-500 focus:outline-none focus:ring-2 focus:ring-gray-300 focus:ring-offset-2 transition duration-150 ease-in-out"
+                        >
+                            Cancel
+                        </button>
+                    </div>
+                )}
+                {node.children.length > 0 && (
+                    <div className="mt-2 ml-6 space-y-2">{renderCriteriaTree(node.children, node.id)}</div>
+                )}
+            </div>
+        ));
+    };
 
-        // Step 1: Normalize the matrix (sum of columns = 1)
-        const columnSums = Array(n).fill(0);
-        for (let j = 0; j < n; j++) {
-            for (let i = 0; i < n; i++) {
-                columnSums[j] += matrix[i][j];
-            }
-        }
+    /**
+     * Renders one step of the hierarchy walk: a step navigator followed by the matrix for the current node.
+     * @param {{type: 'criteria'|'alternatives', node: object}} step - The current step from getComparisonSteps.
+     * @returns {JSX.Element} The step navigator and comparison table.
+     */
+    const renderComparisonStep = (step) => {
+        const { type, node } = step;
+        const dataCriterion = type === 'alternatives' && isHierarchyModel && dataCriteria[node.id]?.enabled ? dataCriteria[node.id] : null;
+        const isRatingStep = type === 'alternatives' && isRatingsMode && !dataCriterion;
+        const scale = isRatingStep ? ratingScales[node.id] : null;
+        if (isRatingStep && !scale) return null; // Rating scales are created by an effect right after the leaf
+        const scaledGradePriorities = (s) => calculateGradePriorities(
+            { ...s, matrix: applyJudgmentScale(s.matrix, judgmentScale) }, priorityMethod, consistencySettings.randomIndexSource,
+        );
+        const gradePriorities = scale ? scaledGradePriorities(scale) : null;
 
-        const normalizedMatrix = Array(n).fill(0).map(() => Array(n).fill(0));
-        for (let i = 0; i < n; i++) {
-            for (let j = 0; j < n; j++) {
-                if (columnSums[j] === 0) { // Avoid division by zero
-                    normalizedMatrix[i][j] = 1 / n; // Handle case of zero sum column
-                } else {
-                    normalizedMatrix[i][j] = matrix[i][j] / columnSums[j];
-                }
-            }
-        }
+        const stepConsistencyRatio = (s) => {
+            if (s.type === 'criteria') return criteriaConsistencyRatios[s.node.id];
+            if (isHierarchyModel && dataCriteria[s.node.id]?.enabled) return 0;
+            if (isRatingsMode) return ratingScales[s.node.id] ? scaledGradePriorities(ratingScales[s.node.id]).consistencyRatio : 0;
+            return alternativeConsistencyRatios[s.node.id];
+        };
+        const stepThreshold = (s) => {
+            if (s.type === 'criteria') return thresholdFor(s.node.children.length);
+            return thresholdFor(isRatingsMode ? ratingScales[s.node.id]?.grades.length ?? 0 : alternatives.length);
+        };
+        const stepLabel = (s) => {
+            if (s.type === 'criteria') return '(criteria)';
+            if (isHierarchyModel && dataCriteria[s.node.id]?.enabled) return '(data)';
+            return isRatingsMode ? '(ratings)' : '(alternatives)';
+        };
 
-        // Step 2: Calculate the priority vector (average of rows)
-        const weights = Array(n).fill(0);
-        for (let i = 0; i < n; i++) {
-            let rowSum = 0;
-            for (let j = 0; j < n; j++) {
-                rowSum += normalizedMatrix[i][j];
-            }
-            weights[i] = rowSum / n;
+        const consistencyRatio = gradePriorities ? gradePriorities.consistencyRatio : stepConsistencyRatio(step);
+        const title = node.path.length === 0 ? 'Goal' : node.path.join(' › ');
+        let items;
+        let matrix;
+        let handleChange;
+        let replaceMatrix;
+        if (type === 'criteria') {
+            items = node.children.map(c => c.name);
+            matrix = criteriaComparisons[node.id] || [];
+            handleChange = (i, j, val) => handleCriteriaComparisonChange(node.id, i, j, val);
+            replaceMatrix = (m) => updateActiveMatrix('criteriaComparisons', node.id, m);
+        } else if (isRatingStep) {
+            items = scale.grades.map(g => g.name);
+            matrix = scale.matrix;
+            handleChange = (i, j, val) => handleGradeComparisonChange(node.id, i, j, val);
+            replaceMatrix = (m) => setRatingScales(prevScales => ({ ...prevScales, [node.id]: { ...scale, matrix: m } }));
+        } else {
+            items = alternatives.map(a => a.name);
+            matrix = alternativeComparisons[node.id] || [];
+            handleChange = (i, j, val) => handleAlternativeComparisonChange(node.id, i, j, val);
+            replaceMatrix = (m) => updateActiveMatrix('alternativeComparisons', node.id, m);
         }
 
-        // Step 3: Calculate Lambda Max (λ_max)
-        const weightedSumVector = Array(n).fill(0);
-        for (let i = 0; i < n; i++) {
-            for (let j = 0; j < n; j++) {
-                weightedSumVector[i] += matrix[i][j] * weights[j];
+        /**
+         * Replaces the matrix with one pasted or uploaded as CSV.
+         * @param {string} text - The CSV text or pasted range.
+         * @returns {boolean} True if the matrix was imported.
+         */
+        const handleImportMatrix = (text) => {
+            try {
+                const imported = parseMatrix(text, items, judgmentScale);
+                recordEdit(`Imported the matrix under ${title}`, { author: participants.find(p => p.id === activeParticipantId)?.name });
+                replaceMatrix(imported);
+                return true;
+            } catch (error) {
+                showCustomModal(error.message);
+                return false;
             }
-        }
+        };
+        const renderMatrixImport = () => items.length > 1 && (
+            <ImportPanel
+                label="Import this matrix from CSV or spreadsheet"
+                hint={`Paste a ${items.length} × ${items.length} block of numbers on the ${JUDGMENT_SCALES.find(option => option.value === judgmentScale).label} scale (fractions like 1/3 are fine, empty cells are left unjudged), optionally with the names as a header row and first column. Rows and columns must be in the order shown above unless the names are included.${participants.length > 1 ? ` It replaces ${participants.find(p => p.id === activeParticipantId)?.name}'s judgments.` : ''}`}
+                placeholder={`\t${items.join('\t')}\n${items.map((item, i) => [item, ...items.map((_, j) => (i === j ? '1' : ''))].join('\t')).join('\n')}`}
+                onImport={handleImportMatrix}
+            />
+        );
 
-        let lambdaMax = 0;
-        for (let i = 0; i < n; i++) {
-            if (weights[i] !== 0) {
-                lambdaMax += weightedSumVector[i] / weights[i];
-            }
+        // Inconsistency needs at least three items, so only diagnose matrices that can have it.
+        // The diagnosis runs on the scaled matrix; its findings are shown and applied as stored judgments.
+        const threshold = thresholdFor(items.length);
+        const toJudgment = (value) => valueToJudgment(value, judgmentScale);
+        const isDiagnosed = consistencyRatio > threshold && items.length > 2 && matrix.length === items.length;
+        const diagnosisSettings = [judgmentScale, priorityMethod, consistencySettings.randomIndexSource, threshold].join('|');
+        if (isDiagnosed && diagnosisCache.get(matrix)?.settings !== diagnosisSettings) {
+            diagnosisCache.set(matrix, {
+                settings: diagnosisSettings,
+                diagnosis: diagnoseMatrix(applyJudgmentScale(matrix, judgmentScale), {
+                    candidates: judgmentChoices.map(choice => choice.score),
+                    method: priorityMethod,
+                    threshold,
+                    randomIndexSource: consistencySettings.randomIndexSource,
+                }),
+            });
         }
-        lambdaMax /= n;
+        const scaledDiagnosis = isDiagnosed ? diagnosisCache.get(matrix).diagnosis : null;
+        const diagnosis = scaledDiagnosis && {
+            ...scaledDiagnosis,
+            cells: scaledDiagnosis.cells.map(cell => ({
+                ...cell,
+                value: toJudgment(cell.value),
+                consistentValue: toJudgment(cell.consistentValue),
+                suggestion: cell.suggestion && { ...cell.suggestion, value: toJudgment(cell.suggestion.value) },
+            })),
+        };
+        const flaggedCells = new Set(diagnosis ? diagnosis.cells.map(cell => `${cell.i}-${cell.j}`) : []);
 
-        // Step 4: Calculate Consistency Index (CI)
-        const CI = n > 1 ? (lambdaMax - n) / (n - 1) : 0;
+        // Progress of the matrix being filled in, and the comparison that would help most next
+        const summary = !dataCriterion && items.length > 1 && matrix.length === items.length ? summarizeJudgments(matrix) : null;
+        const suggestion = summary ? suggestNextComparison(matrix) : null;
 
-        // Step 5: Calculate Consistency Ratio (CR)
-        const randomIndex = RI[n - 1];
-        const consistencyRatio = randomIndex === 0 ? 0 : CI / randomIndex;
+        /**
+         * Renders the consistency badge of the matrix on screen.
+         * @param {string} label - What the matrix compares, e.g. the node title.
+         * @returns {JSX.Element} The badge.
+         */
+        const renderConsistencyBadge = (label) => (Number.isNaN(consistencyRatio) ? (
+            <p className="text-sm mt-2 p-2 rounded-md bg-amber-100 text-amber-800">
+                Consistency Ratio for {label}: <span className="font-bold">N/A</span> until the comparisons link every item
+            </p>
+        ) : (
+            <p className={`text-sm mt-2 p-2 rounded-md ${consistencyRatio <= threshold ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+                Consistency Ratio for {label}: <span className="font-bold">{consistencyRatio?.toFixed(2) || 'N/A'}</span> (Ideal: ≤ {threshold.toFixed(2)})
+                {summary && summary.missing.length > 0 && ', estimated from incomplete judgments'}
+            </p>
+        ));
 
-        return { weights, consistencyRatio, lambdaMax };
-    }, []);
-
-    /**
-     * Effect hook to re-initialize comparison matrices when criteria or alternatives change.
-     */
-    useEffect(() => {
-        // Update criteria comparison matrix
-        setCriteriaComparisons(prevMatrix => {
-            const n = criteria.length;
-            if (n === 0) return [];
-
-            const newMatrix = initializeMatrix(n);
-            const prevSize = prevMatrix ? prevMatrix.length : 0;
-
-            // Preserve existing values if possible (e.g., when adding an item)
-            for (let i = 0; i < Math.min(prevSize, n); i++) {
-                for (let j = 0; j < Math.min(prevSize, n); j++) {
-                    if (prevMatrix[i] && prevMatrix[i][j] !== undefined) {
-                        newMatrix[i][j] = prevMatrix[i][j];
-                    }
-                }
-            }
-            return newMatrix;
-        });
+        return (
+            <>
+                <div className="flex flex-wrap gap-2 mb-4">
+                    {comparisonSteps.map((s, index) => {
+                        const cr = stepConsistencyRatio(s);
+                        return (
+                            <button
+                                key={`${s.type}-${s.node.id}`}
+                                onClick={() => setComparisonStep(index)}
+                                className={`text-xs px-3 py-1 rounded-full border transition duration-150 ease-in-out ${s === step ? 'bg-blue-600 text-white border-blue-600' : Number.isNaN(cr) ? 'bg-amber-50 text-amber-800 border-amber-200' : cr > stepThreshold(s) ? 'bg-red-50 text-red-700 border-red-200' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'}`}
+                            >
+                                {index + 1}. {s.node.path.length === 0 ? 'Goal' : s.node.name} {stepLabel(s)}
+                            </button>
+                        );
+                    })}
+                </div>
 
-        // Update alternative comparison matrices for each criterion
-        setAlternativeComparisons(prevComparisons => {
-            const newComparisons = {};
-            const numAlternatives = alternatives.length;
-
-            criteria.forEach(criterion => {
-                const prevAltMatrix = prevComparisons[criterion] || [];
-                if (numAlternatives === 0) {
-                    newComparisons[criterion] = [];
-                } else {
-                    const newAltMatrix = initializeMatrix(numAlternatives);
-                    const prevAltSize = prevAltMatrix.length;
-                    for (let i = 0; i < Math.min(prevAltSize, numAlternatives); i++) {
-                        for (let j = 0; j < Math.min(prevAltSize, numAlternatives); j++) {
-                             if (prevAltMatrix[i] && prevAltMatrix[i][j] !== undefined) {
-                                newAltMatrix[i][j] = prevAltMatrix[i][j];
-                            }
-                        }
-                    }
-                    newComparisons[criterion] = newAltMatrix;
-                }
-            });
-            return newComparisons;
-        });
-    }, [criteria, alternatives, initializeMatrix]);
+                <div className="mb-6 border border-gray-200 rounded-lg p-4 bg-white shadow-sm">
+                    {type === 'criteria' ? (
+                        <h3 className="text-lg font-medium text-gray-800 mb-3">Compare {node.id === GOAL_ID ? 'Criteria' : 'Sub-criteria'} under: <span className="font-bold text-blue-600">{title}</span></h3>
+                    ) : dataCriterion ? (
+                        <h3 className="text-lg font-medium text-gray-800 mb-3">Enter Data for Criterion: <span className="font-bold text-blue-600">{title}</span></h3>
+                    ) : isRatingStep ? (
+                        <h3 className="text-lg font-medium text-gray-800 mb-3">Rate Alternatives under Criterion: <span className="font-bold text-blue-600">{title}</span></h3>
+                    ) : (
+                        <h3 className="text-lg font-medium text-gray-800 mb-3">Compare Alternatives under Criterion: <span className="font-bold text-blue-600">{title}</span></h3>
+                    )}
+                    {!dataCriterion && renderJudgmentInputPicker()}
+                    {type === 'alternatives' && isHierarchyModel && (
+                        <label className="flex items-center gap-2 mb-4 text-sm text-gray-700">
+                            <input
+                                type="checkbox"
+                                checked={Boolean(dataCriterion)}
+                                onChange={(e) => toggleDataCriterion(node.id, e.target.checked)}
+                            />
+                            Use measured data for this criterion instead of {isRatingsMode ? 'ratings' : 'judgments'}
+                        </label>
+                    )}
+                    {dataCriterion ? (
+                        <DataEntryEditor
+                            dataCriterion={dataCriterion}
+                            alternatives={alternatives}
+                            onChange={(data) => handleDataCriterionChange(node.id, data)}
+                        />
+                    ) : isRatingStep ? (
+                        <RatingsEditor
+                            scale={scale}
+                            priorities={gradePriorities.priorities}
+                            alternatives={alternatives}
+                            ratings={ratings[node.id] ?? {}}
+                            onScaleChange={(newScale) => handleRatingScaleChange(node.id, newScale)}
+                            onRate={(alternativeIds, gradeId) => handleRate(node.id, alternativeIds, gradeId)}
+                        >
+                            {items.length < 2 ? (
+                                <p className="text-gray-600 text-sm mb-2">A single grade needs no comparisons.</p>
+                            ) : (
+                                renderPairwiseInput(items, matrix, handleChange, 'grade', flaggedCells, suggestion, `the grades of ${title}`)
+                            )}
+                            {summary && <JudgmentProgress items={items} summary={summary} suggestion={suggestion} />}
+                            {items.length > 1 && renderConsistencyBadge(`the grades of ${title}`)}
+                            {diagnosis && <DiagnosticsPanel items={items} diagnosis={diagnosis} onApply={handleChange} />}
+                            {renderMatrixImport()}
+                        </RatingsEditor>
+                    ) : (
+                        <>
+                            {renderPairwiseInput(items, matrix, handleChange, type === 'criteria' ? 'criteria' : 'alternative', flaggedCells, suggestion, title)}
+                            {summary && <JudgmentProgress items={items} summary={summary} suggestion={suggestion} />}
+                            {(type === 'criteria' || alternatives.length > 1) && renderConsistencyBadge(title)}
+                            {diagnosis && <DiagnosticsPanel items={items} diagnosis={diagnosis} onApply={handleChange} />}
+                            {renderMatrixImport()}
+                        </>
+                    )}
+                </div>
 
-    /**
-     * Effect hook to calculate and update criteria consistency ratio whenever criteriaComparisons change.
-     */
-    useEffect(() => {
-        // FIX: Add guard clause to prevent race condition on re-render.
-        // Only calculate if the matrix has been resized to match the number of criteria.
-        if (criteria.length > 1 && criteriaComparisons.length === criteria.length) {
-            const { consistencyRatio } = calculateAHP(criteriaComparisons, criteria.length);
-            setCriteriaConsistencyRatio(consistencyRatio);
-        } else {
-            setCriteriaConsistencyRatio(0); // CR is 0 for 0/1 criteria or if matrix is out of sync
-        }
-    }, [criteriaComparisons, criteria.length, calculateAHP]);
+                <div className="flex justify-between mb-4">
+                    <button
+                        onClick={() => setComparisonStep(comparisonSteps.indexOf(step) - 1)}
+                        disabled={comparisonSteps.indexOf(step) === 0}
+                        className="text-sm px-4 py-2 rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        ← Previous Node
+                    </button>
+                    <button
+                        onClick={() => setComparisonStep(comparisonSteps.indexOf(step) + 1)}
+                        disabled={comparisonSteps.indexOf(step) === comparisonSteps.length - 1}
+                        className="text-sm px-4 py-2 rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Next Node →
+                    </button>
+                </div>
+            </>
+        );
+    };
 
     /**
-     * Effect hook to calculate and update alternative consistency ratios whenever alternativeComparisons change.
+     * Renders the limit priorities of an ANP calculation and the three supermatrices behind them.
+     * @returns {JSX.Element} The network results.
      */
-    useEffect(() => {
-        const updatedAlternativeCRs = {};
-        criteria.forEach(criterion => {
-            const altMatrix = alternativeComparisons[criterion];
-            // FIX: Add guard clause here too, checking matrix dimension against alternative count.
-            if (altMatrix && alternatives.length > 1 && altMatrix.length === alternatives.length) {
-                const { consistencyRatio } = calculateAHP(altMatrix, alternatives.length);
-                updatedAlternativeCRs[criterion] = consistencyRatio;
-            } else {
-                updatedAlternativeCRs[criterion] = 0;
-            }
-        });
-        setAlternativeConsistencyRatios(updatedAlternativeCRs);
-    }, [alternativeComparisons, criteria, alternatives.length, calculateAHP]);
+    const renderNetworkResults = () => {
+        const { nodes, unweighted, weighted, limit, period, priorities, clusterPriorities } = networkResults;
+        const renderSupermatrix = (title, matrix) => (
+            <details className="mt-3 bg-white border border-gray-200 rounded-md shadow-sm">
+                <summary className="cursor-pointer p-3 text-sm font-medium text-gray-700">{title}</summary>
+                <div className="overflow-x-auto p-3">
+                    <table className="min-w-full text-xs font-mono">
+                        <thead>
+                            <tr>
+                                <th className="py-1 px-2"></th>
+                                {nodes.map(node => <th key={node.id} className="py-1 px-2 text-right font-semibold text-gray-700">{node.name}</th>)}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {nodes.map((node, i) => (
+                                <tr key={node.id} className={node.clusterId === ALTERNATIVES_CLUSTER_ID ? 'bg-blue-50' : ''}>
+                                    <th className="py-1 px-2 text-left font-semibold text-gray-700">{node.name}</th>
+                                    {matrix[i].map((value, j) => (
+                                        <td key={j} className={`py-1 px-2 text-right ${value === 0 ? 'text-gray-300' : 'text-gray-800'}`}>{value.toFixed(4)}</td>
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </details>
+        );
 
+        return (
+            <div className="mt-8">
+                <h3 className="text-xl font-semibold text-gray-700 mb-3">Network (ANP) Limit Priorities</h3>
+                <div className="overflow-x-auto rounded-lg shadow-md">
+                    <table className="min-w-full bg-white border border-gray-200 rounded-lg">
+                        <thead className="bg-gray-100">
+                            <tr>
+                                <th className="py-2 px-4 border-b text-left text-sm font-semibold text-gray-700">Node</th>
+                                <th className="py-2 px-4 border-b text-right text-sm font-semibold text-gray-700">Limit Priority</th>
+                                <th className="py-2 px-4 border-b text-right text-sm font-semibold text-gray-700">Within Cluster</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {nodes.map((node, i) => (
+                                <tr key={node.id}>
+                                    <td className="py-2 px-4 border-b text-left text-gray-800">{node.name}</td>
+                                    <td className="py-2 px-4 border-b text-right font-mono text-gray-800">{priorities[i].toFixed(4)}</td>
+                                    <td className="py-2 px-4 border-b text-right font-mono text-gray-800">{clusterPriorities[i].toFixed(4)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+                {period > 1 && (
+                    <p className="mt-2 text-xs text-gray-600">
+                        The powers of the weighted supermatrix cycle with period {period}; the limit is their average over one cycle.
+                    </p>
+                )}
+                {renderSupermatrix('Unweighted supermatrix', unweighted)}
+                {renderSupermatrix('Weighted supermatrix', weighted)}
+                {renderSupermatrix('Limit supermatrix', limit)}
+            </div>
+        );
+    };
 
     /**
-     * Adds a new criterion to the list.
+     * Downloads the ranking as CSV.
      */
-    const addCriterion = () => {
-        if (newCriterion.trim() === '') {
-            showCustomModal('Criterion name cannot be empty.');
-            return;
-        }
-        if (criteria.includes(newCriterion.trim())) {
-            showCustomModal('Criterion already exists.');
-            return;
-        }
-        setCriteria([...criteria, newCriterion.trim()]);
-        setNewCriterion('');
+    const handleExportRankingCsv = () => {
+        // Results restored from a file have no report until they are calculated again, but their ranking can be exported
+        downloadFile(toCsv(rankingRows(report ?? buildReport({ projectName, parts: [], results }))), toFileName(`${projectName} ranking`, 'csv'), 'text/csv');
     };
 
     /**
-     * Removes a criterion from the list.
-     * @param {string} criterionToRemove - The criterion to remove.
+     * Downloads every comparison matrix as one CSV file, matrices separated by a blank line.
      */
-    const removeCriterion = (criterionToRemove) => {
-        const newCriteria = criteria.filter(c => c !== criterionToRemove);
-        setCriteria(newCriteria);
+    const handleExportMatricesCsv = () => {
+        const rows = report.matrices.flatMap((matrix, index) => [...(index > 0 ? [[]] : []), ...matrixRows(matrix)]);
+        downloadFile(toCsv(rows), toFileName(`${projectName} matrices`, 'csv'), 'text/csv');
     };
 
     /**
-     * Adds a new alternative to the list.
+     * Downloads the report as an Excel workbook with one sheet per matrix.
      */
-    const addAlternative = () => {
-        if (newAlternative.trim() === '') {
-            showCustomModal('Alternative name cannot be empty.');
-            return;
-        }
-        if (alternatives.includes(newAlternative.trim())) {
-            showCustomModal('Alternative already exists.');
-            return;
-        }
-        setAlternatives([...alternatives, newAlternative.trim()]);
-        setNewAlternative('');
+    const handleExportWorkbook = () => {
+        downloadFile(createWorkbook(reportSheets(report)), toFileName(projectName, 'xlsx'), XLSX_MIME);
     };
 
     /**
-     * Removes an alternative from the list.
-     * @param {string} alternativeToRemove - The alternative to remove.
+     * Renders the BOCR sub-model switcher and merit ratings.
+     * @returns {JSX.Element} The BOCR panel.
      */
-    const removeAlternative = (alternativeToRemove) => {
-        setAlternatives(alternatives.filter(a => a !== alternativeToRemove));
-    };
+    const renderBocrPanel = () => (
+        <BocrPanel
+            bocr={bocr}
+            models={getMeritModels(bocr, { criteria, judgments, ratingScales, ratings, dataCriteria })}
+            onSelectMerit={handleSelectMerit}
+            onRate={handleRateMerit}
+            meritWeights={calculateMeritWeights(bocr, priorityMethod, consistencySettings.randomIndexSource)}
+        />
+    );
 
     /**
-     * Handles changes in the criteria pairwise comparison matrix.
-     * @param {number} i - Row index.
-     * @param {number} j - Column index.
-     * @param {number} value - The comparison value.
+     * Renders the idealized score of every alternative in each BOCR sub-model next to the
+     * combined scores of every formula, with the rank each formula gives.
+     * @returns {JSX.Element} The BOCR results table.
      */
-    const handleCriteriaComparisonChange = (i, j, value) => {
-        const newMatrix = criteriaComparisons.map(row => [...row]);
-        newMatrix[i][j] = value;
-        newMatrix[j][i] = 1 / value; // Reciprocal relationship
-        setCriteriaComparisons(newMatrix);
+    const renderBocrResults = () => {
+        const rankOf = (scores, altIndex) => scores.filter(score => score > scores[altIndex]).length + 1;
+        return (
+            <div className="mt-8">
+                <h3 className="text-xl font-semibold text-gray-700 mb-3">BOCR Synthesis</h3>
+                <p className="text-sm text-gray-600 mb-2">
+                    Merit weights: {MERITS.map(merit => `${merit.label} ${bocrResults.meritWeights[merit.value].toFixed(3)}`).join(', ')}.
+                    Sub-model scores are idealized (best alternative = 1); for Costs and Risks higher means more costly or risky.
+                    The ranking above uses the additive formula.
+                </p>
+                <div className="overflow-x-auto rounded-lg shadow-md">
+                    <table className="min-w-full bg-white border border-gray-200 rounded-lg text-sm">
+                        <thead className="bg-gray-100">
+                            <tr>
+                                <th className="py-2 px-4 border-b text-left font-semibold text-gray-700">Alternative</th>
+                                {MERITS.map(merit => (
+                                    <th key={merit.value} className="py-2 px-4 border-b text-right font-semibold text-gray-700">{merit.label}</th>
+                                ))}
+                                {BOCR_FORMULAS.map(formula => (
+                                    <th key={formula.value} className="py-2 px-4 border-b text-right font-semibold text-blue-700">
+                                        {formula.label}
+                                        <span className="block text-xs font-normal text-gray-500">{formula.formula}</span>
+                                    </th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {bocrResults.alternatives.map((alt, altIndex) => (
+                                <tr key={alt}>
+                                    <td className="py-2 px-4 border-b text-left text-gray-800">{alt}</td>
+                                    {MERITS.map(merit => (
+                                        <td key={merit.value} className="py-2 px-4 border-b text-right font-mono text-gray-800">{bocrResults.ideal[merit.value][altIndex].toFixed(3)}</td>
+                                    ))}
+                                    {BOCR_FORMULAS.map(formula => {
+                                        const scores = bocrResults[formula.value];
+                                        return (
+                                            <td key={formula.value} className="py-2 px-4 border-b text-right font-mono text-gray-800">
+                                                {scores[altIndex].toFixed(4)} <span className="text-gray-500">(#{rankOf(scores, altIndex)})</span>
+                                            </td>
+                                        );
+                                    })}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        );
     };
 
     /**
-     * Handles changes in the alternative pairwise comparison matrix for a specific criterion.
-     * @param {string} criterion - The criterion for which comparisons are being made.
-     * @param {number} i - Row index.
-     * @param {number} j - Column index.
-     * @param {number} value - The comparison value.
+     * Renders each participant's own ranking next to the group ranking, flagging participants
+     * whose priorities are incompatible with the group's.
+     * @returns {JSX.Element} The individual rankings table.
      */
-    const handleAlternativeComparisonChange = (criterion, i, j, value) => {
-        const newAlternativeComparisons = { ...alternativeComparisons };
-        const matrix = newAlternativeComparisons[criterion].map(row => [...row]);
-        matrix[i][j] = value;
-        matrix[j][i] = 1 / value; // Reciprocal relationship
-        newAlternativeComparisons[criterion] = matrix;
-        setAlternativeComparisons(newAlternativeComparisons);
+    const renderIndividualResults = () => {
+        return (
+            <div className="mt-8">
+                <h3 className="text-xl font-semibold text-gray-700 mb-3">Individual Rankings</h3>
+                <div className="overflow-x-auto rounded-lg shadow-md">
+                    <table className="min-w-full bg-white border border-gray-200 rounded-lg">
+                        <thead className="bg-gray-100">
+                            <tr>
+                                <th className="py-3 px-4 border-b text-left text-sm font-semibold text-gray-700">Alternative</th>
+                                <th className="py-3 px-4 border-b text-center text-sm font-semibold text-gray-700">Group</th>
+                                {individualResults.map(({ participant }) => (
+                                    <th key={participant.id} className="py-3 px-4 border-b text-center text-sm font-semibold text-gray-700">{participant.name}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {results.map((result, index) => (
+                                <tr key={result.name} className="hover:bg-gray-50">
+                                    <td className="py-3 px-4 border-b text-left text-gray-800">{result.name}</td>
+                                    <td className="py-3 px-4 border-b text-center font-mono text-gray-800">#{index + 1} ({result.score.toFixed(4)})</td>
+                                    {individualResults.map(({ participant, ranking }) => {
+                                        const rank = ranking.findIndex(r => r.name === result.name);
+                                        return (
+                                            <td key={participant.id} className={`py-3 px-4 border-b text-center font-mono ${rank !== index ? 'text-amber-700' : 'text-gray-800'}`}>
+                                                #{rank + 1} ({ranking[rank].score.toFixed(4)})
+                                            </td>
+                                        );
+                                    })}
+                                </tr>
+                            ))}
+                            <tr className="bg-gray-50">
+                                <td className="py-3 px-4 border-b text-left text-sm font-medium text-gray-700" colSpan={2}>
+                                    Compatibility with group (Ideal: ≤ {COMPATIBILITY_THRESHOLD.toFixed(2)})
+                                </td>
+                                {individualResults.map(({ participant, compatibility, divergent }) => (
+                                    <td key={participant.id} className={`py-3 px-4 border-b text-center text-sm font-bold ${compatibility === null ? 'text-gray-500' : divergent ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'}`}>
+                                        {compatibility === null ? 'n/a (a score of 0)' : compatibility.toFixed(3)}{divergent && ' ⚠ diverges'}
+                                    </td>
+                                ))}
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        );
     };
 
     /**
-     * Performs the full AHP calculation and sets the results.
+     * Renders the fuzzy score of each alternative as a range from its lower to its upper bound,
+     * marking the most likely value, next to the defuzzified score used for the ranking.
+     * @returns {JSX.Element} The fuzzy results table.
      */
-    const calculateOverallAHP = () => {
-        if (criteria.length === 0) {
-            showCustomModal('Please add at least one criterion.');
-            return;
-        }
-        if (alternatives.length === 0) {
-            showCustomModal('Please add at least one alternative.');
-            return;
-        }
-
-        // Calculate criteria weights and check consistency
-        const { weights: criteriaWeights, consistencyRatio: criteriaCR } = calculateAHP(criteriaComparisons, criteria.length);
-
-        if (criteriaCR > 0.10) {
-            showCustomModal(`Consistency Ratio for Criteria is ${criteriaCR.toFixed(2)}. This is considered inconsistent. Please revise your criteria comparisons.`);
-            return;
-        }
-
-        // Store alternative weights for each criterion
-        const alternativeWeightsByCriterion = {};
-        let allAlternativesConsistent = true;
-
-        for (const criterion of criteria) {
-            const altMatrix = alternativeComparisons[criterion];
-            if (!altMatrix || altMatrix.length === 0) {
-                showCustomModal(`Please make comparisons for alternatives under criterion: "${criterion}".`);
-                return;
-            }
-            const { weights: altWeights, consistencyRatio: altCR } = calculateAHP(altMatrix, alternatives.length);
-
-            if (altCR > 0.10) {
-                showCustomModal(`Consistency Ratio for Alternatives under "${criterion}" is ${altCR.toFixed(2)}. This is inconsistent. Please revise your comparisons.`);
-                allAlternativesConsistent = false;
-                break;
-            }
-            alternativeWeightsByCriterion[criterion] = altWeights;
-        }
-
-        if (!allAlternativesConsistent) {
-            return; // Stop if any alternative comparison is inconsistent
-        }
-
-        // Synthesize overall scores for each alternative
-        const finalScores = alternatives.map((alt, altIndex) => {
-            let totalScore = 0;
-            criteria.forEach((crit, critIndex) => {
-                totalScore += alternativeWeightsByCriterion[crit][altIndex] * criteriaWeights[critIndex];
-            });
-            return { name: alt, score: totalScore };
-        });
-
-        // Sort alternatives by score in descending order
-        const sortedResults = finalScores.sort((a, b) => b.score - a.score);
-        setResults(sortedResults);
-        setActiveTab('results'); // Switch to results tab
+    const renderFuzzyResults = () => {
+        const maxUpper = Math.max(...fuzzyResults.map(r => r.upper));
+        const position = (value) => `${(100 * value / maxUpper).toFixed(2)}%`;
+        return (
+            <div className="mt-8">
+                <h3 className="text-xl font-semibold text-gray-700 mb-1">Fuzzy Score Ranges</h3>
+                <p className="text-sm text-gray-600 mb-3">
+                    The bar spans the lowest to highest score the fuzzy judgments allow; the mark is the most likely score.
+                </p>
+                <div className="overflow-x-auto rounded-lg shadow-md">
+                    <table className="min-w-full bg-white border border-gray-200 rounded-lg">
+                        <thead className="bg-gray-100">
+                            <tr>
+                                <th className="py-3 px-4 border-b text-left text-sm font-semibold text-gray-700">Alternative</th>
+                                <th className="py-3 px-4 border-b text-right text-sm font-semibold text-gray-700">Lower</th>
+                                <th className="py-3 px-4 border-b text-right text-sm font-semibold text-gray-700">Most Likely</th>
+                                <th className="py-3 px-4 border-b text-right text-sm font-semibold text-gray-700">Upper</th>
+                                <th className="py-3 px-4 border-b text-left text-sm font-semibold text-gray-700 w-1/3">Range</th>
+                                <th className="py-3 px-4 border-b text-right text-sm font-semibold text-gray-700">Defuzzified</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {fuzzyResults.map(result => (
+                                <tr key={result.id} className="hover:bg-gray-50">
+                                    <td className="py-3 px-4 border-b text-left text-gray-800">{result.name}</td>
+                                    <td className="py-3 px-4 border-b text-right font-mono text-gray-800">{result.lower.toFixed(4)}</td>
+                                    <td className="py-3 px-4 border-b text-right font-mono text-gray-800">{result.middle.toFixed(4)}</td>
+                                    <td className="py-3 px-4 border-b text-right font-mono text-gray-800">{result.upper.toFixed(4)}</td>
+                                    <td className="py-3 px-4 border-b">
+                                        <div className="relative h-3 bg-gray-100 rounded">
+                                            <div
+                                                className="absolute h-3 bg-blue-200 rounded"
+                                                style={{ left: position(result.lower), width: `calc(${position(result.upper)} - ${position(result.lower)})` }}
+                                            />
+                                            <div className="absolute h-3 w-0.5 bg-blue-700" style={{ left: position(result.middle) }} />
+                                        </div>
+                                    </td>
+                                    <td className="py-3 px-4 border-b text-right font-mono text-gray-800">{result.score.toFixed(4)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        );
     };
 
     /**
-     * Renders the pairwise comparison table for a given set of items.
-     * @param {string[]} items - Array of items to compare (e.g., criteria or alternatives).
-     * @param {number[][]} matrix - The comparison matrix.
-     * @param {function(number, number, number): void} handleChange - Callback for value changes.
-     * @param {string} type - 'criteria' or 'alternative' for unique key generation.
-     * @param {string} [criterionName] - Optional, for alternative comparisons.
+     * Renders the rankings of the same judgments under several settings side by side, flagging
+     * alternatives whose rank differs from the one under the setting in use.
+     * @param {{value: string, label: string, scores: number[]}[]} columns - Scores of each alternative under every setting.
+     * @param {string} inUse - The value of the setting in use.
      * @returns {JSX.Element} The comparison table.
      */
-    const renderComparisonTable = (items, matrix, handleChange, type, criterionName = '') => {
-        if (!matrix || matrix.length === 0 || items.length < 2) {
-            return <p className="text-gray-600">Add at least two {type === 'criteria' ? 'criteria' : 'alternatives'} to make comparisons.</p>;
-        }
-
+    const renderRankComparison = (columns, inUse) => {
+        const rankings = columns.map(({ scores }) => alternatives
+            .map((alt, altIndex) => ({ name: alt.name, score: scores[altIndex] }))
+            .sort((a, b) => b.score - a.score));
         return (
-            <div className="overflow-x-auto rounded-lg shadow-md mb-4">
+            <div className="overflow-x-auto rounded-lg shadow-md">
                 <table className="min-w-full bg-white border border-gray-200 rounded-lg">
                     <thead className="bg-gray-100">
                         <tr>
-                            <th className="py-3 px-4 border-b text-left text-sm font-semibold text-gray-700"></th>
-                            {items.map((item, index) => (
-                                <th key={index} className="py-3 px-4 border-b text-center text-sm font-semibold text-gray-700">{item}</th>
+                            <th className="py-3 px-4 border-b text-left text-sm font-semibold text-gray-700">Alternative</th>
+                            {columns.map(({ value, label }) => (
+                                <th key={value} className="py-3 px-4 border-b text-center text-sm font-semibold text-gray-700">
+                                    {label}{value === inUse && ' (in use)'}
+                                </th>
                             ))}
                         </tr>
                     </thead>
                     <tbody>
-                        {items.map((rowItem, i) => (
-                            <tr key={i} className="hover:bg-gray-50">
-                                <td className="py-3 px-4 border-b text-left font-medium text-gray-800">{rowItem}</td>
-                                {items.map((colItem, j) => (
-                                    <td key={j} className="py-3 px-4 border-b text-center">
-                                        {i === j ? (
-                                            <span className="font-bold text-gray-500">1</span>
-                                        ) : i < j ? (
-                                            <select
-                                                value={matrix[i] ? matrix[i][j] : 1}
-                                                onChange={(e) => handleChange(i, j, parseFloat(e.target.value))}
-                                                className="block w-full p-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm bg-white"
-                                            >
-                                                {saatyScale.map(option => (
-                                                    <option key={option.value} value={option.value}>
-                                                        {option.value} ({option.label})
-                                                    </option>
-                                                ))}
-                                            </select>
-                                        ) : (
-                                            <span className="text-gray-600">
-                                                {matrix[j] && matrix[j][i] ? (1 / matrix[j][i]).toFixed(2) : 'N/A'}
-                                            </span>
-                                        )}
-                                    </td>
-                                ))}
+                        {results.map((result, index) => (
+                            <tr key={result.name} className="hover:bg-gray-50">
+                                <td className="py-3 px-4 border-b text-left text-gray-800">{result.name}</td>
+                                {rankings.map((ranking, k) => {
+                                    const rank = ranking.findIndex(r => r.name === result.name);
+                                    return (
+                                        <td key={columns[k].value} className={`py-3 px-4 border-b text-center font-mono ${rank !== index ? 'bg-amber-50 text-amber-700' : 'text-gray-800'}`}>
+                                            #{rank + 1} ({ranking[rank].score.toFixed(4)})
+                                        </td>
+                                    );
+                                })}
                             </tr>
                         ))}
                     </tbody>
@@ -419,6 +2201,51 @@ const App = () => {
         );
     };
 
+    /**
+     * Renders the ranking the same judgments give under every judgment scale.
+     * @returns {JSX.Element} The scale comparison section.
+     */
+    const renderScaleComparison = () => (
+        <div className="mt-8">
+            <h3 className="text-xl font-semibold text-gray-700 mb-1">Judgment Scale Comparison</h3>
+            <p className="text-sm text-gray-600 mb-3">
+                The same verbal judgments re-evaluated under each scale. Ranks that differ from the scale in use are highlighted.
+            </p>
+            {renderRankComparison(scaleComparison, judgmentScale)}
+        </div>
+    );
+
+    /**
+     * Renders the distributive and ideal rankings side by side, with the alternatives whose rank
+     * depends on the synthesis mode.
+     * @returns {JSX.Element} The synthesis mode comparison section.
+     */
+    const renderModeComparison = () => {
+        const ranksOf = (scores) => scores.map(score => scores.filter(other => other > score).length);
+        const [first, second] = modeComparison.map(({ scores }) => ranksOf(scores));
+        const moved = alternatives.filter((_, altIndex) => first[altIndex] !== second[altIndex]).map(alt => alt.name);
+        return (
+            <div className="mt-8">
+                <h3 className="text-xl font-semibold text-gray-700 mb-1">Distributive vs. Ideal Synthesis</h3>
+                <p className="text-sm text-gray-600 mb-3">
+                    Distributive scores share each criterion&apos;s weight among the alternatives; ideal scores give it in full to the
+                    best alternative under that criterion and a fraction to the others, so adding or removing an alternative that is
+                    not the best anywhere cannot change the order of the rest. Ideal scores are not shares: they are measured against
+                    an alternative that is best under every criterion, which would score 1.
+                </p>
+                {renderRankComparison(modeComparison, synthesisMode)}
+                {moved.length === 0 ? (
+                    <p className="mt-2 text-sm p-2 rounded-md bg-green-100 text-green-700">Both modes rank the alternatives the same way.</p>
+                ) : (
+                    <p className="mt-2 text-sm p-2 rounded-md bg-amber-50 text-amber-800 border border-amber-200">
+                        The rank of {moved.join(', ')} depends on the synthesis mode. Rankings like this can reverse when alternatives are
+                        added or removed under distributive synthesis; use ideal synthesis if the set of alternatives may still change.
+                    </p>
+                )}
+            </div>
+        );
+    };
+
     // Custom Modal Component
     const Modal = ({ message, onClose }) => {
         return (
@@ -440,52 +2267,92 @@ const App = () => {
     };
 
     return (
-        <div className="min-h-screen bg-gray-100 p-4 font-inter antialiased">
-            <div className="max-w-4xl mx-auto bg-white rounded-xl shadow-lg p-6 md:p-8">
+        <div className="min-h-screen bg-gray-100 p-4 font-inter antialiased print:bg-white print:p-0">
+            <div className="max-w-4xl mx-auto bg-white rounded-xl shadow-lg p-6 md:p-8 print:hidden">
                 <h1 className="text-3xl md:text-4xl font-extrabold text-gray-900 mb-6 text-center">AHP Calculator</h1>
                 <p className="text-gray-600 text-center mb-8">
                     Define your criteria and alternatives, make pairwise comparisons, and let the AHP algorithm rank your options.
                 </p>
 
-                {/* Tab Navigation */}
-                <div className="mb-8 border-b border-gray-200">
-                    <nav className="-mb-px flex space-x-8" aria-label="Tabs">
-                        <button
-                            onClick={() => setActiveTab('criteria')}
-                            className={`${activeTab === 'criteria' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}
-                                whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm transition-colors duration-200`}
-                        >
-                            1. Criteria
-                        </button>
-                        <button
-                            onClick={() => setActiveTab('alternatives')}
-                            className={`${activeTab === 'alternatives' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}
-                                whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm transition-colors duration-200`}
-                        >
-                            2. Alternatives
-                        </button>
+                {readOnly ? (
+                    <div className="mb-8 p-4 bg-blue-50 border border-blue-200 rounded-lg flex flex-wrap items-center justify-between gap-3">
+                        <p className="text-sm text-blue-800">
+                            You are viewing shared results of <span className="font-semibold">{projectName}</span>. They are read-only and are not saved in this browser.
+                        </p>
                         <button
-                            onClick={() => setActiveTab('comparisons')}
-                            className={`${activeTab === 'comparisons' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}
-                                whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm transition-colors duration-200`}
+                            onClick={handleEditSharedCopy}
+                            className="text-sm px-3 py-2 rounded-md border border-blue-300 bg-white text-blue-700 hover:bg-blue-100 focus:outline-none focus:ring-2 focus:ring-blue-500 transition duration-150 ease-in-out"
                         >
-                            3. Comparisons
+                            Edit a Copy
                         </button>
-                        <button
-                            onClick={() => calculateOverallAHP()} // Trigger calculation when clicking Results tab
-                            className={`${activeTab === 'results' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}
-                                whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm transition-colors duration-200`}
-                        >
-                            4. Results
-                        </button>
-                    </nav>
-                </div>
+                    </div>
+                ) : (
+                    <ProjectPanel
+                        projectName={projectName}
+                        onProjectNameChange={setProjectName}
+                        savedProjects={savedProjects}
+                        onSave={handleSaveProject}
+                        onLoad={handleLoadProject}
+                        onDelete={handleDeleteProject}
+                        onExport={() => downloadProject(getCurrentProject())}
+                        onImport={handleImportProject}
+                        onShare={() => handleShareLink(false)}
+                        onNew={handleNewProject}
+                    />
+                )}
+
+                {!readOnly && (
+                    <HistoryPanel
+                        undoChange={history.past[history.past.length - 1]?.change ?? null}
+                        redoChange={history.future[0]?.change ?? null}
+                        onUndo={handleUndo}
+                        onRedo={handleRedo}
+                        log={changeLog}
+                    />
+                )}
+
+                {/* Tab Navigation */}
+                {!readOnly && (
+                    <div className="mb-8 border-b border-gray-200">
+                        <nav className="-mb-px flex space-x-8" aria-label="Tabs">
+                            <button
+                                onClick={() => setActiveTab('criteria')}
+                                className={`${activeTab === 'criteria' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}
+                                    whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm transition-colors duration-200`}
+                            >
+                                1. Criteria
+                            </button>
+                            <button
+                                onClick={() => setActiveTab('alternatives')}
+                                className={`${activeTab === 'alternatives' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}
+                                    whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm transition-colors duration-200`}
+                            >
+                                2. Alternatives
+                            </button>
+                            <button
+                                onClick={() => setActiveTab('comparisons')}
+                                className={`${activeTab === 'comparisons' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}
+                                    whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm transition-colors duration-200`}
+                            >
+                                3. Comparisons
+                            </button>
+                            <button
+                                onClick={() => calculateOverallAHP()} // Trigger calculation when clicking Results tab
+                                className={`${activeTab === 'results' ? 'border-blue-500 text-blue-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}
+                                    whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm transition-colors duration-200`}
+                            >
+                                4. Results
+                            </button>
+                        </nav>
+                    </div>
+                )}
 
                 {/* Tab Content */}
                 <div className="tab-content">
                     {activeTab === 'criteria' && (
                         <div className="p-4 bg-gray-50 rounded-lg shadow-inner">
                             <h2 className="text-2xl font-bold text-gray-800 mb-4">Define Criteria</h2>
+                            {bocr.enabled && renderBocrPanel()}
                             <div className="flex mb-4">
                                 <input
                                     type="text"
@@ -501,24 +2368,17 @@ const App = () => {
                                     Add Criterion
                                 </button>
                             </div>
-                            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                            <ImportPanel
+                                label="Import criteria from CSV or spreadsheet"
+                                hint="One criterion per row. Put sub-criteria in the next columns (e.g. Cost, Purchase); an empty cell repeats the criterion above. Criteria that already exist are kept."
+                                placeholder={'Cost\tPurchase\n\tRunning\nQuality'}
+                                onImport={handleImportCriteria}
+                            />
+                            <div className="space-y-2">
                                 {criteria.length === 0 ? (
-                                    <p className="text-gray-600 italic col-span-2">No criteria added yet. Start by adding some!</p>
+                                    <p className="text-gray-600 italic">No criteria added yet. Start by adding some!</p>
                                 ) : (
-                                    criteria.map((c, index) => (
-                                        <div key={index} className="flex items-center justify-between bg-white p-3 rounded-md shadow-sm border border-gray-200">
-                                            <span className="text-gray-800 font-medium">{c}</span>
-                                            <button
-                                                onClick={() => removeCriterion(c)}
-                                                className="text-red-500 hover:text-red-700 p-1 rounded-full hover:bg-red-100 transition duration-150 ease-in-out"
-                                                aria-label={`Remove ${c}`}
-                                            >
-                                                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
-                                                    <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm6 0a1 1 0 012 0v6a1 1 0 11-2 0V8z" clipRule="evenodd" />
-                                                </svg>
-                                            </button>
-                                        </div>
-                                    ))
+                                    renderCriteriaTree(criteria)
                                 )}
                             </div>
                             <button
@@ -548,22 +2408,38 @@ const App = () => {
                                     Add Alternative
                                 </button>
                             </div>
+                            <ImportPanel
+                                label="Import alternatives from CSV or spreadsheet"
+                                hint="One alternative per row, in the first column. Names already in the list are skipped."
+                                placeholder={'Vendor A\nVendor B\nVendor C'}
+                                onImport={handleImportAlternatives}
+                            />
                             <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
                                 {alternatives.length === 0 ? (
                                     <p className="text-gray-600 italic col-span-2">No alternatives added yet. Get to it!</p>
                                 ) : (
                                     alternatives.map((a, index) => (
-                                        <div key={index} className="flex items-center justify-between bg-white p-3 rounded-md shadow-sm border border-gray-200">
-                                            <span className="text-gray-800 font-medium">{a}</span>
-                                            <button
-                                                onClick={() => removeAlternative(a)}
-                                                className="text-red-500 hover:text-red-700 p-1 rounded-full hover:bg-red-100 transition duration-150 ease-in-out"
-                                                aria-label={`Remove ${a}`}
-                                            >
-                                                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
-                                                    <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm6 0a1 1 0 012 0v6a1 1 0 11-2 0V8z" clipRule="evenodd" />
-                                                </svg>
-                                            </button>
+                                        <div
+                                            key={a.id}
+                                            {...dragProps('alternatives', a.id, index, reorderAlternative)}
+                                            className={`flex items-center justify-between bg-white p-3 rounded-md shadow-sm border ${dragged?.id === a.id ? 'border-blue-400 opacity-50' : 'border-gray-200'}`}
+                                        >
+                                            <div className="flex items-center gap-2 flex-grow">
+                                                {renderDragHandle(a.name, a.id, index, reorderAlternative)}
+                                                {renderItemName(a, (name) => renameAlternative(a.id, name))}
+                                            </div>
+                                            <div className="flex items-center space-x-2">
+                                                {renderRenameButton(a)}
+                                                <button
+                                                    onClick={() => removeAlternative(a.id)}
+                                                    className="text-red-500 hover:text-red-700 p-1 rounded-full hover:bg-red-100 transition duration-150 ease-in-out"
+                                                    aria-label={`Remove ${a.name}`}
+                                                >
+                                                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                                                        <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm6 0a1 1 0 012 0v6a1 1 0 11-2 0V8z" clipRule="evenodd" />
+                                                    </svg>
+                                                </button>
+                                            </div>
                                         </div>
                                     ))
                                 )}
@@ -587,34 +2463,173 @@ const App = () => {
                         <div className="p-4 bg-gray-50 rounded-lg shadow-inner">
                             <h2 className="text-2xl font-bold text-gray-800 mb-4">Make Pairwise Comparisons</h2>
 
-                            {criteria.length < 2 && alternatives.length < 2 ? (
+                            {leafCriteria.length < 2 && alternatives.length < 2 ? (
                                 <p className="text-gray-600">You need at least two criteria and two alternatives to make meaningful comparisons. Go back and add some!</p>
                             ) : (
                                 <>
-                                    <h3 className="text-xl font-semibold text-gray-700 mb-3">Compare Criteria</h3>
-                                    {renderComparisonTable(criteria, criteriaComparisons, handleCriteriaComparisonChange, 'criteria')}
-                                    {criteria.length > 1 && (
-                                        <p className={`text-sm mt-2 p-2 rounded-md ${criteriaConsistencyRatio <= 0.10 ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
-                                            Criteria Consistency Ratio: <span className="font-bold">{criteriaConsistencyRatio.toFixed(2)}</span> (Ideal: ≤ 0.10)
-                                        </p>
+                                    <ParticipantsPanel
+                                        participants={participants}
+                                        activeParticipantId={activeParticipantId}
+                                        onSelect={setActiveParticipantId}
+                                        onAdd={addParticipant}
+                                        onRemove={removeParticipant}
+                                        onUpdate={updateParticipant}
+                                        aggregationMethod={aggregationMethod}
+                                        onAggregationMethodChange={(method) => {
+                                            recordEdit('Aggregation method', {
+                                                from: AGGREGATION_METHODS.find(m => m.value === aggregationMethod).label, to: AGGREGATION_METHODS.find(m => m.value === method).label,
+                                            });
+                                            setAggregationMethod(method);
+                                        }}
+                                    />
+
+                                    <div className="mb-6 p-3 bg-white border border-gray-200 rounded-md shadow-sm">
+                                        <div className="flex items-center justify-between">
+                                            <label htmlFor="decision-model" className="text-sm font-medium text-gray-700">Decision Model</label>
+                                            <select
+                                                id="decision-model"
+                                                value={decisionModel}
+                                                onChange={(e) => handleDecisionModelChange(e.target.value)}
+                                                className="p-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm bg-white"
+                                            >
+                                                {DECISION_MODELS.map(option => (
+                                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                        {network.enabled && (
+                                            <p className="mt-2 text-xs text-gray-600">
+                                                Network judgments are shared by all participants. Ratings, measured data and fuzzy
+                                                judgments only apply to the hierarchy model.
+                                            </p>
+                                        )}
+                                        {bocr.enabled && (
+                                            <p className="mt-2 text-xs text-gray-600">
+                                                Each merit has its own criteria (see the Criteria tab) and pairwise comparisons.
+                                                Ratings, measured data and fuzzy judgments only apply to the hierarchy model.
+                                            </p>
+                                        )}
+                                    </div>
+
+                                    <div className="flex items-center justify-between mb-6 p-3 bg-white border border-gray-200 rounded-md shadow-sm">
+                                        <label htmlFor="priority-method" className="text-sm font-medium text-gray-700">Priority Method</label>
+                                        <select
+                                            id="priority-method"
+                                            value={priorityMethod}
+                                            onChange={(e) => {
+                                                recordEdit('Priority method', {
+                                                    from: PRIORITY_METHODS.find(m => m.value === priorityMethod).label, to: PRIORITY_METHODS.find(m => m.value === e.target.value).label,
+                                                });
+                                                setPriorityMethod(e.target.value);
+                                            }}
+                                            className="p-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm bg-white"
+                                        >
+                                            {PRIORITY_METHODS.map(option => (
+                                                <option key={option.value} value={option.value}>{option.label}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+
+                                    {!network.enabled && (
+                                        <div className="mb-6 p-3 bg-white border border-gray-200 rounded-md shadow-sm">
+                                            <div className="flex items-center justify-between">
+                                                <label htmlFor="synthesis-mode" className="text-sm font-medium text-gray-700">Synthesis Mode</label>
+                                                <select
+                                                    id="synthesis-mode"
+                                                    value={synthesisMode}
+                                                    onChange={(e) => {
+                                                        recordEdit('Synthesis mode', {
+                                                            from: SYNTHESIS_MODES.find(m => m.value === synthesisMode).label, to: SYNTHESIS_MODES.find(m => m.value === e.target.value).label,
+                                                        });
+                                                        setSynthesisMode(e.target.value);
+                                                    }}
+                                                    disabled={isRatingsMode}
+                                                    className="p-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm bg-white disabled:opacity-50"
+                                                >
+                                                    {SYNTHESIS_MODES.map(option => (
+                                                        <option key={option.value} value={option.value}>{option.label}</option>
+                                                    ))}
+                                                </select>
+                                            </div>
+                                            <p className="mt-2 text-xs text-gray-600">
+                                                {isRatingsMode
+                                                    ? 'Ratings are always synthesized in ideal mode: each grade counts as a fraction of the best grade.'
+                                                    : 'Choose ideal synthesis if alternatives may be added or removed after scoring has started, e.g. a late bid: it keeps such changes from reversing the ranking of the others.'}
+                                            </p>
+                                        </div>
                                     )}
 
+                                    <div className="flex items-center justify-between mb-6 p-3 bg-white border border-gray-200 rounded-md shadow-sm">
+                                        <label htmlFor="judgment-scale" className="text-sm font-medium text-gray-700">Judgment Scale</label>
+                                        <select
+                                            id="judgment-scale"
+                                            value={judgmentScale}
+                                            onChange={(e) => {
+                                                recordEdit('Judgment scale', {
+                                                    from: JUDGMENT_SCALES.find(m => m.value === judgmentScale).label, to: JUDGMENT_SCALES.find(m => m.value === e.target.value).label,
+                                                });
+                                                setJudgmentScale(e.target.value);
+                                            }}
+                                            className="p-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm bg-white"
+                                        >
+                                            {JUDGMENT_SCALES.map(option => (
+                                                <option key={option.value} value={option.value}>{option.label}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+
+                                    <ConsistencySettings
+                                        settings={consistencySettings}
+                                        onChange={(settings) => {
+                                            recordEdit('Changed the consistency settings', { key: 'consistency-settings' });
+                                            setConsistencySettings(settings);
+                                        }}
+                                    />
+
+                                    <FuzzySettings
+                                        settings={fuzzySettings}
+                                        onChange={(settings) => {
+                                            recordEdit('Changed the fuzzy AHP settings', { key: 'fuzzy-settings' });
+                                            setFuzzySettings(settings);
+                                        }}
+                                        judgmentScale={judgmentScale}
+                                        available={isHierarchyModel && !isRatingsMode}
+                                    />
+
+                                    <div className="flex items-center justify-between mb-6 p-3 bg-white border border-gray-200 rounded-md shadow-sm">
+                                        <label htmlFor="evaluation-mode" className="text-sm font-medium text-gray-700">Evaluate Alternatives By</label>
+                                        <select
+                                            id="evaluation-mode"
+                                            value={evaluationMode}
+                                            onChange={(e) => {
+                                                recordEdit('Evaluation of alternatives', {
+                                                    from: EVALUATION_MODES.find(m => m.value === evaluationMode).label, to: EVALUATION_MODES.find(m => m.value === e.target.value).label,
+                                                });
+                                                setEvaluationMode(e.target.value);
+                                            }}
+                                            disabled={!isHierarchyModel}
+                                            className="p-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm bg-white disabled:opacity-50"
+                                        >
+                                            {EVALUATION_MODES.map(option => (
+                                                <option key={option.value} value={option.value}>{option.label}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+
+                                    {bocr.enabled && renderBocrPanel()}
 
-                                    <h3 className="text-xl font-semibold text-gray-700 mb-3 mt-8">Compare Alternatives for Each Criterion</h3>
-                                    {criteria.length === 0 ? (
+                                    {network.enabled ? (
+                                        <NetworkEditor
+                                            criteria={criteria}
+                                            alternatives={alternatives}
+                                            network={network}
+                                            onChange={handleNetworkChange}
+                                            renderComparison={renderNetworkComparison}
+                                        />
+                                    ) : comparisonSteps.length === 0 ? (
                                         <p className="text-gray-600 italic">No criteria defined. Cannot compare alternatives yet.</p>
                                     ) : (
-                                        criteria.map((criterion, index) => (
-                                            <div key={index} className="mb-6 border border-gray-200 rounded-lg p-4 bg-white shadow-sm">
-                                                <h4 className="text-lg font-medium text-gray-800 mb-3">Under Criterion: <span className="font-bold text-blue-600">{criterion}</span></h4>
-                                                {renderComparisonTable(alternatives, alternativeComparisons[criterion] || [], (i, j, val) => handleAlternativeComparisonChange(criterion, i, j, val), 'alternative', criterion)}
-                                                {alternatives.length > 1 && (
-                                                    <p className={`text-sm mt-2 p-2 rounded-md ${alternativeConsistencyRatios[criterion] <= 0.10 ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
-                                                        Consistency Ratio for {criterion}: <span className="font-bold">{alternativeConsistencyRatios[criterion]?.toFixed(2) || 'N/A'}</span> (Ideal: ≤ 0.10)
-                                                    </p>
-                                                )}
-                                            </div>
-                                        ))
+                                        renderComparisonStep(comparisonSteps[Math.min(comparisonStep, comparisonSteps.length - 1)])
                                     )}
                                 </>
                             )}
@@ -660,17 +2675,87 @@ const App = () => {
                                     </table>
                                 </div>
                             )}
-                            <button
-                                onClick={() => setActiveTab('comparisons')}
-                                className="mt-6 bg-gray-400 text-white px-6 py-3 rounded-md hover:bg-gray-500 focus:outline-none focus:ring-2 focus:ring-gray-300 focus:ring-offset-2 transition duration-150 ease-in-out float-left"
-                            >
-                                Back: Comparisons
-                            </button>
+                            {results.length > 0 && (
+                                <div className="flex flex-wrap items-center gap-2 mt-4" role="group" aria-label="Export report">
+                                    <span className="text-sm text-gray-600">Export:</span>
+                                    {[
+                                        { label: 'Print / PDF', onClick: () => window.print(), needsReport: true },
+                                        { label: 'Ranking CSV', onClick: handleExportRankingCsv },
+                                        { label: 'Matrices CSV', onClick: handleExportMatricesCsv, needsReport: true },
+                                        { label: 'Excel Workbook', onClick: handleExportWorkbook, needsReport: true },
+                                        { label: 'Share Results Link', onClick: () => handleShareLink(true) },
+                                    ].filter(({ needsReport }) => report || !needsReport).map(({ label, onClick }) => (
+                                        <button
+                                            key={label}
+                                            onClick={onClick}
+                                            className="text-sm px-3 py-2 rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500 transition duration-150 ease-in-out"
+                                        >
+                                            {label}
+                                        </button>
+                                    ))}
+                                    {!report && !readOnly && (
+                                        <span className="text-xs text-gray-500">Calculate the results again to print or export the full report.</span>
+                                    )}
+                                </div>
+                            )}
+                            {results.length > 0 && consistencyWarnings.length > 0 && (
+                                <div className="mt-4 p-3 rounded-md border border-amber-200 bg-amber-50 text-sm text-amber-800">
+                                    <p className="font-semibold mb-1">Calculated despite inconsistent judgments:</p>
+                                    <ul className="list-disc list-inside space-y-1">
+                                        {consistencyWarnings.map(warning => <li key={warning}>{warning}</li>)}
+                                    </ul>
+                                </div>
+                            )}
+                            {results.length > 0 && networkResults && renderNetworkResults()}
+                            {results.length > 0 && bocrResults && renderBocrResults()}
+                            {results.length > 0 && fuzzyResults.length > 0 && renderFuzzyResults()}
+                            {individualResults.length > 0 && renderIndividualResults()}
+                            {results.length > 0 && modeComparison.length > 0 && renderModeComparison()}
+                            {results.length > 0 && scaleComparison.length > 0 && renderScaleComparison()}
+                            {results.length > 0 && resultsBreakdown && <ResultsBreakdown breakdown={resultsBreakdown} />}
+                            {results.length > 0 && sensitivityModel && (
+                                <SensitivityAnalysis model={sensitivityModel.criteria} alternatives={sensitivityModel.alternatives} />
+                            )}
+                            {results.length > 0 && simulationInput && <UncertaintyAnalysis input={simulationInput} />}
+                            {results.length > 0 && fuzzyResults.length > 0 && (
+                                <div className="mt-8">
+                                    <h3 className="text-xl font-semibold text-gray-700 mb-1">Uncertainty Analysis</h3>
+                                    <p className="text-sm text-gray-600">
+                                        Not available with fuzzy judgments. The simulation perturbs crisp judgments and ranks them with the crisp
+                                        priority method, so it would describe a different ranking from the fuzzy one above. The fuzzy score ranges
+                                        already show how far each score can move; turn fuzzy judgments off to run the simulation.
+                                    </p>
+                                </div>
+                            )}
+                            {results.length > 0 && (
+                                <PortfolioPanel
+                                    portfolio={portfolio}
+                                    alternatives={alternatives}
+                                    results={results}
+                                    readOnly={readOnly}
+                                    onChange={handlePortfolioChange}
+                                />
+                            )}
+                            {!readOnly && (
+                                <button
+                                    onClick={() => setActiveTab('comparisons')}
+                                    className="mt-6 bg-gray-400 text-white px-6 py-3 rounded-md hover:bg-gray-500 focus:outline-none focus:ring-2 focus:ring-gray-300 focus:ring-offset-2 transition duration-150 ease-in-out float-left"
+                                >
+                                    Back: Comparisons
+                                </button>
+                            )}
                         </div>
                     )}
                 </div>
             </div>
 
+            {/* Printable report, shown instead of the app when printing */}
+            {results.length > 0 && report && (
+                <div className="hidden print:block">
+                    <ReportView report={report} />
+                </div>
+            )}
+
             {/* Custom Modal */}
             {showModal && <Modal message={modalMessage} onClose={() => setShowModal(false)} />}
         </div>
@@ -0,0 +1,141 @@
+// bocr.js
+// Benefits, Opportunities, Costs and Risks (BOCR). The decision is modelled four times, once per
+// merit, each with its own criteria hierarchy and judgments over the same alternatives; in the
+// Costs and Risks sub-models alternatives are compared on which is *more* costly or risky. The
+// importance of the four merits is rated on a grade scale, and the sub-model results are combined
+// by several formulas so that costs and risks stay visible instead of being folded into one score.
+import { syncJudgments } from './hierarchy.js';
+import { createRatingScale, calculateGradePriorities, syncRatings } from './ratings.js';
+import { syncDataCriteria } from './measurement.js';
+
+export const MERITS = [
+    { value: 'benefits', label: 'Benefits', positive: true },
+    { value: 'opportunities', label: 'Opportunities', positive: true },
+    { value: 'costs', label: 'Costs', positive: false },
+    { value: 'risks', label: 'Risks', positive: false },
+];
+
+// Grades used to rate the importance of each merit, best first
+export const MERIT_GRADES = ['Very High', 'High', 'Medium', 'Low', 'Very Low'];
+
+// Smallest idealized cost or risk used by the additive and multiplicative formulas, which divide by
+// them; an alternative without any cost or risk (e.g. the cheapest one after min–max normalization)
+// then simply comes out best on that merit
+const MIN_COST_OR_RISK = 1e-6;
+
+export const BOCR_FORMULAS = [
+    { value: 'additive', label: 'Additive', formula: 'bB + oO + c(1/C) + r(1/R)' },
+    { value: 'multiplicative', label: 'Multiplicative', formula: 'BO / CR' },
+    { value: 'subtractive', label: 'Subtractive', formula: 'bB + oO − cC − rR' },
+];
+
+/**
+ * Creates the hierarchy and judgments of a merit that has not been modelled yet.
+ * @returns {{criteria: Array, judgments: object, ratingScales: object, ratings: object, dataCriteria: object}} An empty sub-model.
+ */
+export const createMeritModel = () => ({ criteria: [], judgments: {}, ratingScales: {}, ratings: {}, dataCriteria: {} });
+
+/**
+ * Creates the BOCR settings of a project. The sub-model being edited lives in the app's regular
+ * criteria and judgments; models holds the other three (and a stale copy of the active one).
+ * @returns {{enabled: boolean, activeMerit: string, models: object, meritScale: object, meritRatings: object}} BOCR off, Benefits active.
+ */
+export const createBocrSettings = () => ({
+    enabled: false,
+    activeMerit: 'benefits',
+    models: {},
+    meritScale: createRatingScale(MERIT_GRADES),
+    meritRatings: {},
+});
+
+/**
+ * Lists the sub-model of every merit, taking the active one from the live hierarchy.
+ * @param {object} bocr - The BOCR settings.
+ * @param {object} activeModel - The live criteria, judgments, ratingScales, ratings and dataCriteria.
+ * @returns {Object.<string, object>} Sub-models keyed by merit.
+ */
+export const getMeritModels = (bocr, activeModel) => Object.fromEntries(MERITS.map(merit => [
+    merit.value,
+    merit.value === bocr.activeMerit ? activeModel : bocr.models[merit.value] ?? createMeritModel(),
+]));
+
+/**
+ * Keeps the stored sub-models in line with the shared alternatives and participants: matrices are
+ * synchronized for every participant and ratings or values of removed alternatives are dropped.
+ * @param {object} bocr - The BOCR settings.
+ * @param {{id: string}[]} alternatives - The alternatives.
+ * @param {{id: string}[]} participants - The participants.
+ * @returns {object} The synchronized BOCR settings.
+ */
+export const syncMeritModels = (bocr, alternatives, participants) => ({
+    ...bocr,
+    models: Object.fromEntries(Object.entries(bocr.models).map(([merit, model]) => [merit, {
+        ...model,
+        judgments: Object.fromEntries(participants.map(p => [p.id, syncJudgments(model.criteria, alternatives, model.judgments[p.id])])),
+        ratings: syncRatings(model.criteria, alternatives, model.ratingScales, model.ratings),
+        dataCriteria: syncDataCriteria(model.criteria, alternatives, model.dataCriteria),
+    }])),
+});
+
+/**
+ * Turns the merit ratings into weights b, o, c and r: the rated grades' idealized priorities,
+ * normalized to sum to 1.
+ * @param {object} bocr - The BOCR settings.
+ * @param {string} method - One of the PRIORITY_METHODS values.
+ * @param {string} [randomIndexSource] - One of the RANDOM_INDEX_SOURCES values.
+ * @returns {Object.<string, number>|null} Weights keyed by merit, or null until every merit is rated.
+ */
+export const calculateMeritWeights = (bocr, method, randomIndexSource) => {
+    if (MERITS.some(merit => !bocr.meritRatings[merit.value])) return null;
+    const { priorities } = calculateGradePriorities(bocr.meritScale, method, randomIndexSource);
+    const total = MERITS.reduce((sum, merit) => sum + priorities[bocr.meritRatings[merit.value]], 0);
+    return Object.fromEntries(MERITS.map(merit => [merit.value, priorities[bocr.meritRatings[merit.value]] / total]));
+};
+
+/**
+ * Divides scores by the largest one, so the best alternative of a merit scores 1 (ideal mode).
+ * @param {number[]} scores - Scores of the alternatives.
+ * @returns {number[]} The idealized scores.
+ */
+const idealize = (scores) => {
+    const max = Math.max(...scores);
+    return scores.map(score => (max > 0 ? score / max : 0));
+};
+
+/**
+ * Floors a cost or risk score before it is divided by.
+ * @param {number} value - An idealized cost or risk score.
+ * @returns {number} The score, at least MIN_COST_OR_RISK.
+ */
+const divisible = (value) => (Number.isFinite(value) && value > MIN_COST_OR_RISK ? value : MIN_COST_OR_RISK);
+
+/**
+ * Combines the sub-model scores of every alternative. Scores are idealized per merit first, so
+ * the formulas compare each alternative with the best one of that merit. The additive formula
+ * uses idealized reciprocals of costs and risks (the cheapest, safest alternative scores 1); the
+ * multiplicative one is normalized to sum to 1; the subtractive one can be negative, meaning the
+ * costs and risks outweigh the benefits and opportunities. Costs and risks of 0 are floored where
+ * they are divided by.
+ * @param {Object.<string, number[]>} meritScores - Each merit's synthesized scores, in alternatives order.
+ * @param {Object.<string, number>} meritWeights - Output of calculateMeritWeights.
+ * @returns {{ideal: Object.<string, number[]>, additive: number[], multiplicative: number[], subtractive: number[]}}
+ * The idealized scores per merit and the combined scores under each formula.
+ */
+export const synthesizeBocr = (meritScores, meritWeights) => {
+    const ideal = Object.fromEntries(MERITS.map(merit => [merit.value, idealize(meritScores[merit.value])]));
+    const { benefits: B, opportunities: O, costs: C, risks: R } = ideal;
+    const { benefits: b, opportunities: o, costs: c, risks: r } = meritWeights;
+
+    const inverseC = idealize(C.map(value => 1 / divisible(value)));
+    const inverseR = idealize(R.map(value => 1 / divisible(value)));
+    const additive = B.map((_, k) => b * B[k] + o * O[k] + c * inverseC[k] + r * inverseR[k]);
+
+    const ratios = B.map((_, k) => (B[k] * O[k]) / (divisible(C[k]) * divisible(R[k])));
+    const ratioTotal = ratios.reduce((sum, value) => sum + value, 0);
+    // No alternative has both benefits and opportunities: all ratios are 0
+    const multiplicative = ratios.map(value => (ratioTotal > 0 ? value / ratioTotal : 0));
+
+    const subtractive = B.map((_, k) => b * B[k] + o * O[k] - c * C[k] - r * R[k]);
+
+    return { ideal, additive, multiplicative, subtractive };
+};
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { synthesizeBocr } from './bocr.js';
+import { expectClose } from './testHelpers.js';
+
+const WEIGHTS = { benefits: 0.4, opportunities: 0.2, costs: 0.3, risks: 0.1 };
+
+// Idealized, these are B [1, 0.6, 0.4], O [0.5, 1, 1], C [1, 0.5, 0.5] and R [0.5, 0.5, 1]
+const SCORES = {
+    benefits: [0.5, 0.3, 0.2],
+    opportunities: [0.2, 0.4, 0.4],
+    costs: [0.5, 0.25, 0.25],
+    risks: [0.25, 0.25, 0.5],
+};
+
+describe('BOCR synthesis', () => {
+    it('idealizes the scores of each merit', () => {
+        expectClose(synthesizeBocr(SCORES, WEIGHTS).ideal.costs, [1, 0.5, 0.5], 6);
+    });
+
+    it('adds weighted benefits, opportunities and reciprocal costs and risks', () => {
+        // e.g. 0.4 · 0.6 + 0.2 · 1 + 0.3 · 1 + 0.1 · 1 for the second alternative
+        expectClose(synthesizeBocr(SCORES, WEIGHTS).additive, [0.75, 0.84, 0.71], 6);
+    });
+
+    it('divides benefits times opportunities by costs times risks, normalized', () => {
+        expectClose(synthesizeBocr(SCORES, WEIGHTS).multiplicative, [1 / 4.2, 2.4 / 4.2, 0.8 / 4.2], 6);
+    });
+
+    it('subtracts weighted costs and risks', () => {
+        expectClose(synthesizeBocr(SCORES, WEIGHTS).subtractive, [0.15, 0.24, 0.11], 6);
+    });
+
+    it('ranks an alternative without costs best on costs instead of dividing by zero', () => {
+        const { additive, multiplicative, subtractive } = synthesizeBocr({ ...SCORES, costs: [0, 0.5, 1] }, WEIGHTS);
+        [additive, multiplicative, subtractive].forEach(scores => expect(scores.every(Number.isFinite)).toBe(true));
+        // The reciprocal costs idealize to [1, ~0, ~0]
+        expectClose(additive, [0.4 + 0.1 + 0.3 + 0.1, 0.24 + 0.2 + 0.1, 0.16 + 0.2 + 0.05], 5);
+        expect(multiplicative[0]).toBeCloseTo(1, 4);
+        expectClose(subtractive, [0.4 + 0.1 - 0.05, 0.24 + 0.2 - 0.15 - 0.05, 0.16 + 0.2 - 0.3 - 0.1], 6);
+    });
+
+    it('gives every alternative 0 when none has both benefits and opportunities', () => {
+        const { multiplicative } = synthesizeBocr({ ...SCORES, benefits: [1, 0, 0], opportunities: [0, 1, 0] }, WEIGHTS);
+        expect(multiplicative).toEqual([0, 0, 0]);
+    });
+});
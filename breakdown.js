@@ -0,0 +1,110 @@
+// breakdown.js
+// The results breakdown: why each alternative scored what it did. Every leaf criterion adds its
+// global weight times the alternative's local priority under it, so the contributions of all
+// leaves sum to the score. With priorities aggregated over participants (AIP), the contributions
+// and weights are the participants' weighted means and the group's local priorities are recovered
+// by dividing one by the other, which keeps the breakdown adding up to the group score.
+import { GOAL_ID, getLeaves } from './hierarchy.js';
+import { aggregatePriorities, aggregateWeightsById } from './group.js';
+
+/**
+ * Lists the criteria tree depth first, with the id of each node's parent.
+ * @param {Array} nodes - The nodes at this level.
+ * @param {string} [parentId] - Their parent's id, GOAL_ID for top-level criteria.
+ * @param {string[]} [path] - Names of their ancestors.
+ * @returns {{node: object, parentId: string, depth: number, path: string[]}[]} Every criterion.
+ */
+const flattenCriteria = (nodes, parentId = GOAL_ID, path = []) => nodes.flatMap(node => [
+    { node, parentId, depth: path.length, path: [...path, node.name] },
+    ...flattenCriteria(node.children, node.id, [...path, node.name]),
+]);
+
+/**
+ * Computes what every leaf adds to every alternative's score in a synthesis.
+ * @param {Array} tree - The top-level criteria.
+ * @param {{globalWeights: object, alternativeWeights: object}} synthesis - Output of synthesizeHierarchy (or its ratings, fuzzy or data variants).
+ * @returns {Object.<string, number[]>} Contribution to each alternative's score, keyed by leaf id.
+ */
+export const calculateLeafContributions = (tree, synthesis) => Object.fromEntries(getLeaves(tree).map(leaf => [
+    leaf.id,
+    synthesis.alternativeWeights[leaf.id].map(priority => priority * synthesis.globalWeights[leaf.id]),
+]));
+
+/**
+ * Combines the syntheses of several participants by the weighted mean of their criteria weights
+ * and leaf contributions, as AIP does with their scores.
+ * @param {Array} tree - The top-level criteria.
+ * @param {object[]} syntheses - One synthesis per participant.
+ * @param {number[]} participantWeights - Normalized participant weights.
+ * @returns {{globalWeights: Object.<string, number>, leafContributions: Object.<string, number[]>}} The group's weights and contributions.
+ */
+export const combineContributions = (tree, syntheses, participantWeights) => {
+    const globalWeights = aggregateWeightsById(syntheses.map(synthesis => synthesis.globalWeights), participantWeights);
+    const individual = syntheses.map(synthesis => calculateLeafContributions(tree, synthesis));
+    const leafContributions = Object.fromEntries(getLeaves(tree).map(leaf => [
+        leaf.id,
+        aggregatePriorities(individual.map(contributions => contributions[leaf.id]), participantWeights),
+    ]));
+    return { globalWeights, leafContributions };
+};
+
+/**
+ * Collects everything the results dashboard shows.
+ * @param {Array} tree - The top-level criteria.
+ * @param {string[]} alternatives - Alternative names, in list order.
+ * @param {{globalWeights: Object.<string, number>, leafContributions: Object.<string, number[]>}} contributions -
+ * Global weight of every criterion and each leaf's contributions, from calculateLeafContributions or combineContributions.
+ * @returns {{alternatives: string[], criteria: object[], leaves: object[], topCriteria: object[], scores: number[]}}
+ * The criteria depth first ({id, name, path, depth, isLeaf, localWeight, globalWeight}), the leaves with
+ * the id of their top-level criterion and the local priority of and contribution to each alternative
+ * ({id, name, path, topId, weight, priorities, contributions}), the same contributions summed per top-level criterion ({id, name, weight,
+ * contributions}) and the scores they add up to.
+ */
+export const buildResultsBreakdown = (tree, alternatives, { globalWeights, leafContributions }) => {
+    const weightOf = (id) => (id === GOAL_ID ? 1 : globalWeights[id]);
+    const criteria = flattenCriteria(tree).map(({ node, parentId, depth, path }) => ({
+        id: node.id,
+        name: node.name,
+        path,
+        depth,
+        isLeaf: node.children.length === 0,
+        localWeight: weightOf(parentId) > 0 ? globalWeights[node.id] / weightOf(parentId) : 0,
+        globalWeight: globalWeights[node.id],
+    }));
+
+    const leaves = tree.flatMap(top => getLeaves([top]).map(leaf => {
+        const weight = globalWeights[leaf.id];
+        const contributions = leafContributions[leaf.id];
+        return {
+            id: leaf.id,
+            name: leaf.name,
+            path: leaf.path,
+            topId: top.id,
+            weight,
+            priorities: contributions.map(value => (weight > 0 ? value / weight : 0)),
+            contributions,
+        };
+    }));
+
+    const sumOver = (rows) => alternatives.map((_, altIndex) => rows.reduce((sum, row) => sum + row.contributions[altIndex], 0));
+    const topCriteria = tree.map(top => ({
+        id: top.id,
+        name: top.name,
+        weight: globalWeights[top.id],
+        contributions: sumOver(leaves.filter(leaf => leaf.topId === top.id)),
+    }));
+
+    return { alternatives, criteria, leaves, topCriteria, scores: sumOver(leaves) };
+};
+
+/**
+ * Explains the gap between two alternatives criterion by criterion.
+ * @param {{id: string, name: string, contributions: number[]}[]} rows - Criteria from a breakdown (topCriteria or leaves).
+ * @param {number} winner - Index of the alternative ahead.
+ * @param {number} other - Index of the alternative it is compared with.
+ * @returns {{id: string, name: string, difference: number}[]} What each criterion adds to the winner's lead
+ * (negative where the other alternative does better), largest first.
+ */
+export const explainLead = (rows, winner, other) => rows
+    .map(row => ({ id: row.id, name: row.name, difference: row.contributions[winner] - row.contributions[other] }))
+    .sort((a, b) => b.difference - a.difference);
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { calculateLeafContributions, combineContributions, buildResultsBreakdown, explainLead } from './breakdown.js';
+import { ALTERNATIVES, criterion, expectClose } from './testHelpers.js';
+
+const TREE = [criterion('cost'), criterion('quality', [criterion('build'), criterion('looks')])];
+// The breakdown names the alternatives it explains
+const NAMES = ALTERNATIVES.slice(0, 2).map(alt => alt.name);
+
+// Cost 0.5; Quality 0.5, split 0.3 Build and 0.2 Looks
+const SYNTHESIS = {
+    globalWeights: { cost: 0.5, quality: 0.5, build: 0.3, looks: 0.2 },
+    alternativeWeights: { cost: [0.6, 0.4], build: [0.25, 0.75], looks: [0.5, 0.5] },
+};
+
+describe('leaf contributions', () => {
+    it('weight the local priorities under each leaf by its global weight', () => {
+        const contributions = calculateLeafContributions(TREE, SYNTHESIS);
+        expect(Object.keys(contributions)).toEqual(['cost', 'build', 'looks']);
+        expectClose(contributions.cost, [0.3, 0.2]);
+        expectClose(contributions.build, [0.075, 0.225]);
+        expectClose(contributions.looks, [0.1, 0.1]);
+    });
+
+    it('average the weights and contributions of the participants', () => {
+        // The second participant puts 0.9 on Cost and scores (0.255, 0.745)
+        const other = {
+            globalWeights: { cost: 0.9, quality: 0.1, build: 0.05, looks: 0.05 },
+            alternativeWeights: { cost: [0.2, 0.8], build: [1, 0], looks: [0.5, 0.5] },
+        };
+        const { globalWeights, leafContributions } = combineContributions(TREE, [SYNTHESIS, other], [0.5, 0.5]);
+        expect(globalWeights.cost).toBeCloseTo(0.7, 10);
+        expect(globalWeights.build).toBeCloseTo(0.175, 10);
+        expectClose(leafContributions.cost, [0.24, 0.46]);
+
+        // The breakdown then adds up to the AIP scores, the mean of (0.475, 0.525) and (0.255, 0.745)
+        const breakdown = buildResultsBreakdown(TREE, NAMES, { globalWeights, leafContributions });
+        expectClose(breakdown.scores, [0.365, 0.635]);
+        expectClose(breakdown.leaves[0].priorities, [0.24 / 0.7, 0.46 / 0.7]);
+    });
+});
+
+describe('results breakdown', () => {
+    const breakdown = buildResultsBreakdown(TREE, NAMES, {
+        globalWeights: SYNTHESIS.globalWeights,
+        leafContributions: calculateLeafContributions(TREE, SYNTHESIS),
+    });
+
+    it('lists the criteria depth first with their local and global weights', () => {
+        expect(breakdown.criteria.map(row => [row.id, row.depth, row.isLeaf])).toEqual([
+            ['cost', 0, true], ['quality', 0, false], ['build', 1, true], ['looks', 1, true],
+        ]);
+        expect(breakdown.criteria[2].path).toEqual(['QUALITY', 'BUILD']);
+        expectClose(breakdown.criteria.map(row => row.localWeight), [0.5, 0.5, 0.6, 0.4]);
+        expectClose(breakdown.criteria.map(row => row.globalWeight), [0.5, 0.5, 0.3, 0.2]);
+    });
+
+    it('gives every leaf its top-level criterion and recovers the local priorities', () => {
+        expect(breakdown.leaves.map(leaf => leaf.topId)).toEqual(['cost', 'quality', 'quality']);
+        expectClose(breakdown.leaves[1].priorities, [0.25, 0.75]);
+    });
+
+    it('sums the contributions per top-level criterion and into the scores', () => {
+        expectClose(breakdown.topCriteria[1].contributions, [0.175, 0.325]);
+        expectClose(breakdown.scores, [0.475, 0.525]);
+    });
+
+    it('shows no local priorities under a leaf without weight', () => {
+        const weightless = buildResultsBreakdown([criterion('cost')], NAMES, { globalWeights: { cost: 0 }, leafContributions: { cost: [0, 0] } });
+        expect(weightless.leaves[0].priorities).toEqual([0, 0]);
+    });
+
+    it('explains a lead by what each criterion adds to it, largest first', () => {
+        // B leads by 0.05: 0.15 from Quality, less the 0.1 A gains on Cost
+        const lead = explainLead(breakdown.topCriteria, 1, 0);
+        expect(lead.map(row => row.id)).toEqual(['quality', 'cost']);
+        expectClose(lead.map(row => row.difference), [0.15, -0.1]);
+    });
+});
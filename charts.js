@@ -0,0 +1,12 @@
+// charts.js
+// Colors shared by the charts, so a series keeps its color from one chart to the next.
+
+// Fill and line colors for chart series
+export const CHART_COLORS = ['#2563eb', '#16a34a', '#dc2626', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#4b5563'];
+
+/**
+ * The color of a series, cycling when there are more series than colors.
+ * @param {number} index - The series' position.
+ * @returns {string} Its color.
+ */
+export const chartColor = (index) => CHART_COLORS[index % CHART_COLORS.length];
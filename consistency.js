@@ -0,0 +1,16 @@
+// consistency.js
+// Per-project consistency settings: where Random Index values come from, which thresholds
+// apply, and what happens to matrices above their threshold when results are calculated.
+import { DEFAULT_RANDOM_INDEX_SOURCE } from './ahp.js';
+
+export const CONSISTENCY_POLICIES = [
+    { value: 'block', label: 'Block: refuse to calculate' },
+    { value: 'warn', label: 'Warn: calculate and list the problems' },
+    { value: 'ignore', label: 'Ignore: calculate without checking' },
+];
+
+export const DEFAULT_CONSISTENCY_SETTINGS = {
+    randomIndexSource: DEFAULT_RANDOM_INDEX_SOURCE,
+    sizeDependentThresholds: false,
+    policy: 'block',
+};
@@ -0,0 +1,140 @@
+// diagnostics.js
+// Pinpoints the judgments that make a pairwise comparison matrix inconsistent and suggests
+// replacement values that bring its consistency ratio back under the threshold.
+import { calculateAHP, completeMatrix, MISSING_JUDGMENT } from './ahp.js';
+
+// How many cells and triads the diagnostics report by default
+export const MAX_REPORTED_ITEMS = 3;
+
+// Triads whose Koczkodaj index is below this count as transitive. Judgments filled in from eigenvector
+// weights miss exact transitivity by around 1e-9, the error the power iteration leaves (see EIGENVECTOR_TOLERANCE).
+const TRIAD_TOLERANCE = 1e-6;
+
+/**
+ * Rates every upper-triangle judgment by how far it is from the ratio implied by the weights.
+ * For a perfectly consistent matrix a_ij · w_j / w_i = 1; the deviation is that ratio or its
+ * inverse, whichever is larger, so 1 means "fits" and larger values mean "pulls against the rest".
+ * Unjudged comparisons are skipped.
+ * @param {(number|null)[][]} matrix - The pairwise comparison matrix.
+ * @param {number[]} weights - The priority vector derived from the matrix.
+ * @returns {{i: number, j: number, value: number, consistentValue: number, deviation: number}[]}
+ * Cells sorted from most to least inconsistent.
+ */
+export const rankInconsistentCells = (matrix, weights) => {
+    const cells = [];
+    const n = weights.length;
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            if (matrix[i][j] === MISSING_JUDGMENT) continue;
+            const ratio = matrix[i][j] * weights[j] / weights[i];
+            cells.push({
+                i,
+                j,
+                value: matrix[i][j],
+                consistentValue: weights[i] / weights[j],
+                deviation: Math.max(ratio, 1 / ratio),
+            });
+        }
+    }
+    return cells.sort((a, b) => b.deviation - a.deviation);
+};
+
+/**
+ * Rates every triad (i, j, k) by Koczkodaj's index: how far a_ik is from a_ij · a_jk.
+ * @param {number[][]} matrix - The pairwise comparison matrix.
+ * @returns {{i: number, j: number, k: number, inconsistency: number}[]} Triads sorted from most
+ * to least inconsistent; 0 means the triad is perfectly transitive.
+ */
+export const rankInconsistentTriads = (matrix) => {
+    const triads = [];
+    const n = matrix.length;
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            for (let k = j + 1; k < n; k++) {
+                const transitive = matrix[i][j] * matrix[j][k];
+                const inconsistency = Math.min(
+                    Math.abs(1 - matrix[i][k] / transitive),
+                    Math.abs(1 - transitive / matrix[i][k]),
+                );
+                triads.push({ i, j, k, inconsistency });
+            }
+        }
+    }
+    return triads.sort((a, b) => b.inconsistency - a.inconsistency);
+};
+
+/**
+ * Finds the value for one judgment that brings the matrix under the consistency threshold with
+ * the smallest change from the current value. If no candidate gets there, the candidate with the
+ * lowest resulting CR is returned instead.
+ * @param {number[][]} matrix - The pairwise comparison matrix.
+ * @param {number} i - Row index.
+ * @param {number} j - Column index.
+ * @param {object} options
+ * @param {number[]} options.candidates - Values the judgment may take (e.g. the Saaty scale).
+ * @param {string} options.method - One of the PRIORITY_METHODS values.
+ * @param {string} [options.randomIndexSource] - One of the RANDOM_INDEX_SOURCES values.
+ * @param {number} options.threshold - The acceptable consistency ratio.
+ * @returns {{value: number, consistencyRatio: number, meetsThreshold: boolean}|null} The suggested
+ * value and the CR the matrix would have with it, or null if no candidate improves the CR.
+ */
+export const suggestJudgment = (matrix, i, j, { candidates, method, threshold, randomIndexSource }) => {
+    const n = matrix.length;
+    const current = calculateAHP(matrix, n, method, randomIndexSource).consistencyRatio;
+
+    let best = null;
+    candidates.forEach(value => {
+        if (value === matrix[i][j]) return;
+        const trial = matrix.map(row => [...row]);
+        trial[i][j] = value;
+        trial[j][i] = 1 / value;
+        const { consistencyRatio } = calculateAHP(trial, n, method, randomIndexSource);
+        if (consistencyRatio >= current) return;
+
+        const candidate = {
+            value,
+            consistencyRatio,
+            meetsThreshold: consistencyRatio <= threshold,
+            distance: Math.abs(Math.log(value / matrix[i][j])),
+        };
+        const isBetter = !best
+            || (candidate.meetsThreshold && !best.meetsThreshold)
+            || (candidate.meetsThreshold && best.meetsThreshold && candidate.distance < best.distance)
+            || (!candidate.meetsThreshold && !best.meetsThreshold && candidate.consistencyRatio < best.consistencyRatio);
+        if (isBetter) best = candidate;
+    });
+
+    if (!best) return null;
+    const { value, consistencyRatio, meetsThreshold } = best;
+    return { value, consistencyRatio, meetsThreshold };
+};
+
+/**
+ * Runs the full diagnosis of one matrix: the most inconsistent cells with a suggestion for each,
+ * and the most inconsistent triads.
+ * @param {number[][]} matrix - The pairwise comparison matrix.
+ * @param {object} options
+ * @param {number[]} options.candidates - Values a judgment may take.
+ * @param {string} options.method - One of the PRIORITY_METHODS values.
+ * @param {string} [options.randomIndexSource] - One of the RANDOM_INDEX_SOURCES values.
+ * @param {number} options.threshold - The acceptable consistency ratio.
+ * @param {number} [options.limit] - How many cells and triads to report.
+ * @returns {{consistencyRatio: number, cells: object[], triads: object[]}} The diagnosis.
+ */
+export const diagnoseMatrix = (matrix, { candidates, method, threshold, randomIndexSource, limit = MAX_REPORTED_ITEMS }) => {
+    const n = matrix.length;
+    const { weights, consistencyRatio } = calculateAHP(matrix, n, method, randomIndexSource);
+
+    // Triads need all three judgments, so missing ones are read as the ratios of the weights
+    const completed = completeMatrix(matrix, weights);
+
+    const cells = rankInconsistentCells(matrix, weights)
+        .slice(0, limit)
+        .map(cell => ({ ...cell, suggestion: suggestJudgment(matrix, cell.i, cell.j, { candidates, method, threshold, randomIndexSource }) }));
+
+    const triads = rankInconsistentTriads(completed)
+        .filter(triad => triad.inconsistency > TRIAD_TOLERANCE)
+        .slice(0, limit);
+
+    return { consistencyRatio, cells, triads };
+};
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { MISSING_JUDGMENT } from './ahp.js';
+import { rankInconsistentCells, rankInconsistentTriads, suggestJudgment, diagnoseMatrix } from './diagnostics.js';
+
+// The values of Saaty's 1-9 scale, the candidates the app offers
+const SAATY_VALUES = [9, 8, 7, 6, 5, 4, 3, 2].map(v => 1 / v).concat([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+const OPTIONS = { candidates: SAATY_VALUES, method: 'eigenvector', threshold: 0.1 };
+
+// Consistent apart from a_24 = 1/4, where a_21 · a_14 = 3/2 would fit the rest
+const ONE_BAD_JUDGMENT = [
+    [1, 2, 6, 3],
+    [1 / 2, 1, 3, 1 / 4],
+    [1 / 6, 1 / 3, 1, 1 / 2],
+    [1 / 3, 4, 2, 1],
+];
+
+// Perfectly consistent: weights 6 : 3 : 1
+const CONSISTENT = [
+    [1, 2, 6],
+    [1 / 2, 1, 3],
+    [1 / 6, 1 / 3, 1],
+];
+
+describe('inconsistent cells', () => {
+    it('rates every judgment of a consistent matrix as fitting', () => {
+        rankInconsistentCells(CONSISTENT, [0.6, 0.3, 0.1]).forEach(cell => expect(cell.deviation).toBeCloseTo(1, 10));
+    });
+
+    it('puts the judgment that pulls against the rest first', () => {
+        const { cells } = diagnoseMatrix(ONE_BAD_JUDGMENT, OPTIONS);
+        expect(cells[0]).toMatchObject({ i: 1, j: 3, value: 1 / 4 });
+        expect(cells[0].deviation).toBeGreaterThan(cells[1].deviation);
+    });
+
+    it('skips unjudged comparisons', () => {
+        const matrix = [[1, 2, MISSING_JUDGMENT], [1 / 2, 1, 3], [MISSING_JUDGMENT, 1 / 3, 1]];
+        const cells = rankInconsistentCells(matrix, [0.6, 0.3, 0.1]).map(cell => `${cell.i}-${cell.j}`);
+        expect(cells.sort()).toEqual(['0-1', '1-2']);
+    });
+});
+
+describe('inconsistent triads', () => {
+    it('rates a triad by how far a_ik is from a_ij · a_jk', () => {
+        // a_12 · a_23 = 4 against a_13 = 1: min(|1 - 1/4|, |1 - 4|)
+        expect(rankInconsistentTriads([[1, 2, 1], [1 / 2, 1, 2], [1, 1 / 2, 1]])[0].inconsistency).toBeCloseTo(0.75, 10);
+        expect(rankInconsistentTriads(CONSISTENT)[0].inconsistency).toBeCloseTo(0, 10);
+    });
+
+    it('reports only the triads that involve the bad judgment', () => {
+        const { triads } = diagnoseMatrix(ONE_BAD_JUDGMENT, OPTIONS);
+        expect(triads.map(({ i, j, k }) => [i, j, k])).toEqual([[0, 1, 3], [1, 2, 3]]);
+    });
+
+    it('reports no triads for judgments completed from the weights', () => {
+        // The missing a_13 is filled in from eigenvector weights, which are transitive only up to the iteration's error
+        const matrix = [[1, 2, MISSING_JUDGMENT], [1 / 2, 1, 3], [MISSING_JUDGMENT, 1 / 3, 1]];
+        expect(diagnoseMatrix(matrix, OPTIONS).triads).toEqual([]);
+    });
+});
+
+describe('suggested judgments', () => {
+    it('suggests the closest value that meets the threshold', () => {
+        const suggestion = suggestJudgment(ONE_BAD_JUDGMENT, 1, 3, OPTIONS);
+        expect(suggestion.value).toBe(1 / 2);
+        expect(suggestion.meetsThreshold).toBe(true);
+        expect(suggestion.consistencyRatio).toBeLessThan(0.1);
+    });
+
+    it('falls back to the lowest ratio when no value meets the threshold', () => {
+        const suggestion = suggestJudgment(ONE_BAD_JUDGMENT, 0, 3, OPTIONS);
+        expect(suggestion.meetsThreshold).toBe(false);
+        SAATY_VALUES.filter(value => value !== 3).forEach(value => {
+            const trial = suggestJudgment(ONE_BAD_JUDGMENT, 0, 3, { ...OPTIONS, candidates: [value] });
+            if (trial) expect(trial.consistencyRatio).toBeGreaterThanOrEqual(suggestion.consistencyRatio);
+        });
+    });
+
+    it('suggests nothing for a consistent matrix', () => {
+        expect(suggestJudgment(CONSISTENT, 0, 1, OPTIONS)).toBeNull();
+    });
+});
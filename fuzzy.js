@@ -0,0 +1,261 @@
+// fuzzy.js
+// Fuzzy AHP. Each verbal judgment becomes a triangular fuzzy number (l, m, u): the chosen
+// intensity m, widened by one verbal step on either side. A fuzzy matrix is kept as three crisp
+// matrices of lower, middle and upper values, so the existing group aggregation (a geometric
+// mean per cell) applies to each of them unchanged. Priorities come from Buckley's geometric
+// mean method or Chang's extent analysis; the middle matrix is the crisp matrix, so consistency
+// is checked on it exactly as in crisp AHP.
+import { calculateAHP, completeMatrix, MISSING_JUDGMENT } from './ahp.js';
+import { GOAL_ID, getLeaves } from './hierarchy.js';
+import { judgmentToValue } from './scales.js';
+
+export const FUZZY_METHODS = [
+    { value: 'buckley', label: "Buckley's geometric mean" },
+    { value: 'chang', label: "Chang's extent analysis" },
+];
+
+export const DEFAULT_FUZZY_SETTINGS = { enabled: false, method: 'buckley' };
+
+// How many verbal steps a judgment's fuzzy number reaches on either side, and the top intensity
+export const FUZZY_SPREAD = 1;
+const MAX_INTENSITY = 9;
+
+/**
+ * The fuzzy intensities of a judgment that favours the row item. "Equal" stays crisp so that
+ * the fuzzy matrix remains reciprocal.
+ * @param {number} level - The stored intensity, 1 or more.
+ * @returns {number[]} The lower, middle and upper intensity.
+ */
+const fuzzyIntensities = (level) => (level === 1 ? [1, 1, 1] : [
+    Math.max(1, level - FUZZY_SPREAD),
+    level,
+    Math.max(level, Math.min(MAX_INTENSITY, level + FUZZY_SPREAD)),
+]);
+
+/**
+ * Turns a matrix of stored judgments into a fuzzy matrix under a judgment scale.
+ * @param {(number|null)[][]} matrix - The stored judgments.
+ * @param {string} scaleId - One of the JUDGMENT_SCALES values.
+ * @returns {{l: (number|null)[][], m: (number|null)[][], u: (number|null)[][]}} The fuzzy matrix.
+ */
+export const fuzzifyMatrix = (matrix, scaleId) => {
+    const cells = matrix.map(row => row.map(judgment => {
+        if (judgment === MISSING_JUDGMENT) return [MISSING_JUDGMENT, MISSING_JUDGMENT, MISSING_JUDGMENT];
+        if (judgment >= 1) return fuzzyIntensities(judgment).map(level => judgmentToValue(level, scaleId));
+        // (l, m, u)⁻¹ = (1/u, 1/m, 1/l)
+        return fuzzyIntensities(1 / judgment).map(level => 1 / judgmentToValue(level, scaleId)).reverse();
+    }));
+    return {
+        l: cells.map(row => row.map(cell => cell[0])),
+        m: cells.map(row => row.map(cell => cell[1])),
+        u: cells.map(row => row.map(cell => cell[2])),
+    };
+};
+
+/**
+ * Turns one participant's stored judgments into fuzzy judgments.
+ * @param {{criteriaComparisons: object, alternativeComparisons: object}} judgmentSet - The stored judgments.
+ * @param {string} scaleId - One of the JUDGMENT_SCALES values.
+ * @returns {{l: object, m: object, u: object}} Three judgment sets of lower, middle and upper matrices.
+ */
+export const fuzzifyJudgmentSet = (judgmentSet, scaleId) => {
+    const fuzzy = { l: {}, m: {}, u: {} };
+    ['criteriaComparisons', 'alternativeComparisons'].forEach(key => {
+        Object.keys(fuzzy).forEach(bound => { fuzzy[bound][key] = {}; });
+        Object.entries(judgmentSet[key]).forEach(([id, matrix]) => {
+            const fuzzyMatrix = fuzzifyMatrix(matrix, scaleId);
+            Object.keys(fuzzy).forEach(bound => { fuzzy[bound][key][id] = fuzzyMatrix[bound]; });
+        });
+    });
+    return fuzzy;
+};
+
+/**
+ * Fills missing judgments with the crisp ratios implied by the middle matrix, so the fuzzy
+ * methods (which need every cell) can run on incomplete matrices.
+ * @param {{l: number[][], m: number[][], u: number[][]}} fuzzyMatrix - The fuzzy matrix.
+ * @param {number[]} weights - Crisp priorities of the middle matrix.
+ * @returns {{l: number[][], m: number[][], u: number[][]}} The completed fuzzy matrix.
+ */
+const completeFuzzyMatrix = (fuzzyMatrix, weights) => {
+    const m = completeMatrix(fuzzyMatrix.m, weights);
+    const fill = (matrix) => matrix.map((row, i) => row.map((value, j) => (value === MISSING_JUDGMENT ? m[i][j] : value)));
+    return { l: fill(fuzzyMatrix.l), m, u: fill(fuzzyMatrix.u) };
+};
+
+/**
+ * Buckley's method: the fuzzy geometric mean of each row, divided by the fuzzy sum of all of them.
+ * @param {{l: number[][], m: number[][], u: number[][]}} fuzzyMatrix - A complete fuzzy matrix.
+ * @returns {{l: number[], m: number[], u: number[]}} The fuzzy weights.
+ */
+export const buckleyWeights = (fuzzyMatrix) => {
+    const n = fuzzyMatrix.m.length;
+    const rowMeans = (matrix) => matrix.map(row => row.reduce((product, value) => product * value, 1) ** (1 / n));
+    const r = { l: rowMeans(fuzzyMatrix.l), m: rowMeans(fuzzyMatrix.m), u: rowMeans(fuzzyMatrix.u) };
+    const sum = (values) => values.reduce((total, value) => total + value, 0);
+    // Dividing by a fuzzy number swaps its bounds: the lowest weight uses the largest total
+    return {
+        l: r.l.map(value => value / sum(r.u)),
+        m: r.m.map(value => value / sum(r.m)),
+        u: r.u.map(value => value / sum(r.l)),
+    };
+};
+
+/**
+ * Chang's fuzzy synthetic extents: each row sum divided by the fuzzy total of the matrix.
+ * @param {{l: number[][], m: number[][], u: number[][]}} fuzzyMatrix - A complete fuzzy matrix.
+ * @returns {{l: number[], m: number[], u: number[]}} The synthetic extent of each item.
+ */
+export const changExtents = (fuzzyMatrix) => {
+    const rowSums = (matrix) => matrix.map(row => row.reduce((total, value) => total + value, 0));
+    const s = { l: rowSums(fuzzyMatrix.l), m: rowSums(fuzzyMatrix.m), u: rowSums(fuzzyMatrix.u) };
+    const total = (values) => values.reduce((sum, value) => sum + value, 0);
+    return {
+        l: s.l.map(value => value / total(s.u)),
+        m: s.m.map(value => value / total(s.m)),
+        u: s.u.map(value => value / total(s.l)),
+    };
+};
+
+/**
+ * The degree of possibility that fuzzy number a is at least fuzzy number b.
+ * @param {number[]} a - (l, m, u).
+ * @param {number[]} b - (l, m, u).
+ * @returns {number} A value in [0, 1].
+ */
+const possibilityAtLeast = ([, ma, ua], [lb, mb]) => {
+    if (ma >= mb) return 1;
+    if (lb >= ua) return 0;
+    return (lb - ua) / ((ma - ua) - (mb - lb));
+};
+
+/**
+ * Chang's crisp weights: each item's weight is the least possibility that its extent is at
+ * least any other item's, normalized. Items clearly dominated by another get weight 0.
+ * @param {{l: number[], m: number[], u: number[]}} extents - Output of changExtents.
+ * @returns {number[]} The weights, summing to 1.
+ */
+export const changWeights = (extents) => {
+    const n = extents.m.length;
+    const extent = (i) => [extents.l[i], extents.m[i], extents.u[i]];
+    const degrees = extents.m.map((_, i) => {
+        let degree = 1;
+        for (let k = 0; k < n; k++) {
+            if (k !== i) degree = Math.min(degree, possibilityAtLeast(extent(i), extent(k)));
+        }
+        return degree;
+    });
+    const total = degrees.reduce((sum, degree) => sum + degree, 0);
+    return degrees.map(degree => degree / total);
+};
+
+/**
+ * Defuzzifies fuzzy weights by their centroid, (l + m + u) / 3, normalized to sum to 1.
+ * @param {{l: number[], m: number[], u: number[]}} fuzzyWeights - The fuzzy weights.
+ * @returns {number[]} The crisp weights.
+ */
+export const defuzzify = (fuzzyWeights) => {
+    const centroids = fuzzyWeights.m.map((m, i) => (fuzzyWeights.l[i] + m + fuzzyWeights.u[i]) / 3);
+    const total = centroids.reduce((sum, value) => sum + value, 0);
+    return centroids.map(value => value / total);
+};
+
+/**
+ * Calculates fuzzy and crisp priorities of one fuzzy matrix, and the consistency of its middle
+ * (crisp) matrix. Missing judgments are filled in from the middle matrix first.
+ * @param {{l: (number|null)[][], m: (number|null)[][], u: (number|null)[][]}} fuzzyMatrix - The fuzzy matrix.
+ * @param {number} n - The number of elements being compared.
+ * @param {object} options
+ * @param {string} options.method - One of the FUZZY_METHODS values.
+ * @param {string} options.priorityMethod - One of the PRIORITY_METHODS values, for the middle matrix.
+ * @param {string} [options.randomIndexSource] - One of the RANDOM_INDEX_SOURCES values.
+ * @returns {{fuzzyWeights: {l: number[], m: number[], u: number[]}, weights: number[], consistencyRatio: number}}
+ * The fuzzy weights, the crisp weights used for ranking and the consistency ratio.
+ */
+export const calculateFuzzyAHP = (fuzzyMatrix, n, { method, priorityMethod, randomIndexSource }) => {
+    const crisp = calculateAHP(fuzzyMatrix.m, n, priorityMethod, randomIndexSource);
+    if (n <= 1 || crisp.weights.some(Number.isNaN)) {
+        return { fuzzyWeights: { l: crisp.weights, m: crisp.weights, u: crisp.weights }, weights: crisp.weights, consistencyRatio: crisp.consistencyRatio };
+    }
+    const complete = completeFuzzyMatrix(fuzzyMatrix, crisp.weights);
+
+    switch (method) {
+        case 'buckley': {
+            const fuzzyWeights = buckleyWeights(complete);
+            return { fuzzyWeights, weights: defuzzify(fuzzyWeights), consistencyRatio: crisp.consistencyRatio };
+        }
+        case 'chang': {
+            const fuzzyWeights = changExtents(complete);
+            return { fuzzyWeights, weights: changWeights(fuzzyWeights), consistencyRatio: crisp.consistencyRatio };
+        }
+        default:
+            throw new Error(`Unknown fuzzy method: ${method}`);
+    }
+};
+
+/**
+ * Synthesizes crisp and fuzzy alternative scores from fuzzy judgments. Crisp scores (used for
+ * ranking) combine the crisp weights as in synthesizeHierarchy; fuzzy scores combine the fuzzy
+ * weights bound by bound, giving the range each score can take.
+ * @param {Array} tree - The top-level criteria.
+ * @param {number} numAlternatives - The number of alternatives.
+ * @param {{l: object, m: object, u: object}} fuzzyJudgments - Output of fuzzifyJudgmentSet (or an aggregate of them).
+ * @param {object} options
+ * @param {string} options.method - One of the FUZZY_METHODS values.
+ * @param {string} options.priorityMethod - One of the PRIORITY_METHODS values, for the middle matrices.
+ * @param {string} [options.randomIndexSource] - One of the RANDOM_INDEX_SOURCES values.
+ * @param {Object.<string, number[]>} [options.fixedAlternativeWeights] - Crisp local priorities of
+ * leaves that are not judged pairwise (e.g. measured data), keyed by leaf id.
+ * @returns {object} The same fields as synthesizeHierarchy, plus fuzzyScores ({l, m, u} per alternative),
+ * the fuzzy global weights of the criteria ([l, m, u] by id) and the fuzzy local priorities of the
+ * alternatives ({l, m, u} by leaf id).
+ */
+export const synthesizeFuzzyHierarchy = (tree, numAlternatives, fuzzyJudgments, options) => {
+    const { fixedAlternativeWeights = {} } = options;
+    const fuzzyMatrixOf = (key, id) => ({
+        l: fuzzyJudgments.l[key][id], m: fuzzyJudgments.m[key][id], u: fuzzyJudgments.u[key][id],
+    });
+
+    const localWeights = {};
+    const globalWeights = {};
+    const fuzzyGlobalWeights = {};
+    const consistencyRatios = {};
+    const visit = (parentId, children, parentWeight, parentFuzzyWeight) => {
+        if (children.length === 0) return;
+        const { fuzzyWeights, weights, consistencyRatio } = calculateFuzzyAHP(fuzzyMatrixOf('criteriaComparisons', parentId), children.length, options);
+        consistencyRatios[parentId] = consistencyRatio;
+        children.forEach((child, index) => {
+            localWeights[child.id] = weights[index];
+            globalWeights[child.id] = weights[index] * parentWeight;
+            fuzzyGlobalWeights[child.id] = ['l', 'm', 'u'].map((bound, b) => fuzzyWeights[bound][index] * parentFuzzyWeight[b]);
+            visit(child.id, child.children, globalWeights[child.id], fuzzyGlobalWeights[child.id]);
+        });
+    };
+    visit(GOAL_ID, tree, 1, [1, 1, 1]);
+
+    const alternativeWeights = {};
+    const fuzzyAlternativeWeights = {};
+    const alternativeConsistencyRatios = {};
+    const scores = Array(numAlternatives).fill(0);
+    const fuzzyScores = { l: Array(numAlternatives).fill(0), m: Array(numAlternatives).fill(0), u: Array(numAlternatives).fill(0) };
+    getLeaves(tree).forEach(leaf => {
+        const fixed = fixedAlternativeWeights[leaf.id];
+        const { fuzzyWeights, weights, consistencyRatio } = fixed
+            ? { fuzzyWeights: { l: fixed, m: fixed, u: fixed }, weights: fixed, consistencyRatio: 0 }
+            : calculateFuzzyAHP(fuzzyMatrixOf('alternativeComparisons', leaf.id), numAlternatives, options);
+        alternativeWeights[leaf.id] = weights;
+        fuzzyAlternativeWeights[leaf.id] = fuzzyWeights;
+        alternativeConsistencyRatios[leaf.id] = consistencyRatio;
+        weights.forEach((weight, altIndex) => {
+            scores[altIndex] += weight * globalWeights[leaf.id];
+            ['l', 'm', 'u'].forEach((bound, b) => {
+                fuzzyScores[bound][altIndex] += fuzzyWeights[bound][altIndex] * fuzzyGlobalWeights[leaf.id][b];
+            });
+        });
+    });
+
+    return {
+        localWeights, globalWeights, fuzzyGlobalWeights, consistencyRatios,
+        alternativeWeights, fuzzyAlternativeWeights, alternativeConsistencyRatios, scores, fuzzyScores,
+    };
+};
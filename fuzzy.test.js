@@ -0,0 +1,153 @@
+import { describe, it, expect } from 'vitest';
+import { MISSING_JUDGMENT } from './ahp.js';
+import {
+    fuzzifyMatrix, fuzzifyJudgmentSet, buckleyWeights, changExtents, changWeights, defuzzify, calculateFuzzyAHP,
+    synthesizeFuzzyHierarchy,
+} from './fuzzy.js';
+import { idealizeSynthesis } from './hierarchy.js';
+import { criterion, expectClose } from './testHelpers.js';
+
+// Stored judgments whose fuzzy matrix, one verbal step either side, is worked through by hand below
+//   (1, 1, 1)        (2, 3, 4)      (4, 5, 6)
+//   (1/4, 1/3, 1/2)  (1, 1, 1)      (1, 2, 3)
+//   (1/6, 1/5, 1/4)  (1/3, 1/2, 1)  (1, 1, 1)
+const STORED = [
+    [1, 3, 5],
+    [1 / 3, 1, 2],
+    [1 / 5, 1 / 2, 1],
+];
+const FUZZY = fuzzifyMatrix(STORED, 'saaty');
+
+const OPTIONS = { priorityMethod: 'eigenvector' };
+
+describe('fuzzy judgments', () => {
+    it('widen each judgment by one verbal step and stay reciprocal', () => {
+        expect(FUZZY.l[0]).toEqual([1, 2, 4]);
+        expect(FUZZY.u[0]).toEqual([1, 4, 6]);
+        expect(FUZZY.m).toEqual(STORED);
+        expectClose(FUZZY.l[2], [1 / 6, 1 / 3, 1], 10);
+        expectClose(FUZZY.u[2], [1 / 4, 1, 1], 10);
+    });
+
+    it('keep "equal" crisp, stop at the top of the scale and leave missing judgments missing', () => {
+        const fuzzy = fuzzifyMatrix([[1, 9], [1 / 9, 1]], 'saaty');
+        expect([fuzzy.l[0][1], fuzzy.m[0][1], fuzzy.u[0][1]]).toEqual([8, 9, 9]);
+        expect([fuzzy.l[0][0], fuzzy.u[0][0]]).toEqual([1, 1]);
+        expect(fuzzifyMatrix([[1, MISSING_JUDGMENT], [MISSING_JUDGMENT, 1]], 'saaty').u[0][1]).toBe(MISSING_JUDGMENT);
+    });
+
+    it('follow the judgment scale', () => {
+        // On the power scale intensities 2, 3 and 4 become 4, 9 and 16
+        const fuzzy = fuzzifyMatrix([[1, 3], [1 / 3, 1]], 'power');
+        expect([fuzzy.l[0][1], fuzzy.m[0][1], fuzzy.u[0][1]]).toEqual([4, 9, 16]);
+    });
+
+    it('split a participant\'s judgments into lower, middle and upper sets', () => {
+        const fuzzy = fuzzifyJudgmentSet({ criteriaComparisons: { goal: STORED }, alternativeComparisons: {} }, 'saaty');
+        expect(fuzzy.l.criteriaComparisons.goal).toEqual(FUZZY.l);
+        expect(fuzzy.u.alternativeComparisons).toEqual({});
+    });
+});
+
+describe("Buckley's geometric mean", () => {
+    // Row means r_l = (∛8, ∛(1/4), ∛(1/18)), r_m = (∛15, ∛(2/3), ∛(1/10)) and r_u = (∛24, ∛(3/2), ∛(1/4)),
+    // each divided by Σr_u, Σr_m and Σr_l in turn
+    const FUZZY_WEIGHTS = {
+        l: [0.42926, 0.13521, 0.08190],
+        m: [0.64833, 0.22965, 0.12202],
+        u: [0.95782, 0.38011, 0.20918],
+    };
+
+    it('finds the fuzzy weights', () => {
+        const weights = buckleyWeights(FUZZY);
+        ['l', 'm', 'u'].forEach(bound => expectClose(weights[bound], FUZZY_WEIGHTS[bound], 4));
+    });
+
+    it('defuzzifies them by their centroids', () => {
+        expectClose(defuzzify(FUZZY_WEIGHTS), [0.63737, 0.23328, 0.12936], 4);
+    });
+
+    it('keeps the crisp consistency of the middle matrix', () => {
+        const result = calculateFuzzyAHP(FUZZY, 3, { ...OPTIONS, method: 'buckley' });
+        expectClose(result.weights, [0.63737, 0.23328, 0.12936], 4);
+        expect(result.consistencyRatio).toBeGreaterThan(0);
+        expect(result.consistencyRatio).toBeLessThan(0.01);
+    });
+});
+
+describe("Chang's extent analysis", () => {
+    // Row sums (7, 9, 11), (2.25, 3.33, 4.5) and (1.5, 1.7, 2.25) over the total (10.75, 14.03, 17.75)
+    const EXTENTS = {
+        l: [0.39437, 0.12676, 0.08451],
+        m: [0.64133, 0.23753, 0.12114],
+        u: [1.02326, 0.41860, 0.20930],
+    };
+
+    it('finds the synthetic extents', () => {
+        const extents = changExtents(FUZZY);
+        ['l', 'm', 'u'].forEach(bound => expectClose(extents[bound], EXTENTS[bound], 4));
+    });
+
+    it('weights each item by its least degree of possibility, giving a dominated item 0', () => {
+        // V(S2 ≥ S1) = (l1 - u2) / ((m2 - u2) - (m1 - l1)) ≈ 0.0566; S3 lies wholly below S1
+        expectClose(changWeights(EXTENTS), [1 / 1.05662, 0.05662 / 1.05662, 0], 4);
+        expectClose(calculateFuzzyAHP(FUZZY, 3, { ...OPTIONS, method: 'chang' }).weights, [0.94641, 0.05359, 0], 4);
+    });
+});
+
+describe('fuzzy synthesis', () => {
+    it('fills missing judgments from the middle matrix first', () => {
+        const incomplete = fuzzifyMatrix([[1, 2, MISSING_JUDGMENT], [1 / 2, 1, 3], [MISSING_JUDGMENT, 1 / 3, 1]], 'saaty');
+        const { fuzzyWeights, weights } = calculateFuzzyAHP(incomplete, 3, { ...OPTIONS, method: 'buckley' });
+        expect(weights[0]).toBeGreaterThan(weights[1]);
+        expect(weights[1]).toBeGreaterThan(weights[2]);
+        fuzzyWeights.m.forEach((m, i) => {
+            expect(fuzzyWeights.l[i]).toBeLessThanOrEqual(m);
+            expect(fuzzyWeights.u[i]).toBeGreaterThanOrEqual(m);
+        });
+    });
+
+    it('rejects an unknown method', () => {
+        expect(() => calculateFuzzyAHP(FUZZY, 3, { ...OPTIONS, method: 'bogus' })).toThrow('Unknown fuzzy method');
+    });
+
+    it('gives every alternative a score range around its crisp score', () => {
+        const tree = [criterion('price'), criterion('range')];
+        const judgments = fuzzifyJudgmentSet({
+            criteriaComparisons: { goal: [[1, 3], [1 / 3, 1]] },
+            alternativeComparisons: { price: STORED },
+        }, 'saaty');
+        const synthesis = synthesizeFuzzyHierarchy(tree, 3, judgments, {
+            ...OPTIONS,
+            method: 'buckley',
+            fixedAlternativeWeights: { range: [0.2, 0.3, 0.5] },
+        });
+        expect(synthesis.alternativeWeights.range).toEqual([0.2, 0.3, 0.5]);
+        expect(synthesis.alternativeConsistencyRatios.range).toBe(0);
+        const { globalWeights, alternativeWeights } = synthesis;
+        synthesis.scores.forEach((score, k) => {
+            expect(score).toBeCloseTo(globalWeights.price * alternativeWeights.price[k] + globalWeights.range * alternativeWeights.range[k], 10);
+            expect(synthesis.fuzzyScores.l[k]).toBeLessThan(synthesis.fuzzyScores.m[k]);
+            expect(synthesis.fuzzyScores.u[k]).toBeGreaterThan(synthesis.fuzzyScores.m[k]);
+        });
+    });
+});
+
+describe('fuzzy ideal synthesis', () => {
+    it('keeps Chang extents around their middle values', () => {
+        // Chang gives a a crisp weight of 0.946 but an extent centred on 0.641
+        const tree = [criterion('price')];
+        const judgments = fuzzifyJudgmentSet({
+            criteriaComparisons: { goal: [[1]] },
+            alternativeComparisons: { price: STORED },
+        }, 'saaty');
+        const ideal = idealizeSynthesis(tree, synthesizeFuzzyHierarchy(tree, 3, judgments, { ...OPTIONS, method: 'chang' }));
+        expectClose(ideal.alternativeWeights.price, [1, 0.05662, 0], 4);
+        expectClose(ideal.fuzzyAlternativeWeights.price.m, [1, 0.23753 / 0.64133, 0.12114 / 0.64133], 4);
+        expect(ideal.fuzzyAlternativeWeights.price.u[0]).toBeCloseTo(1.02326 / 0.64133, 4);
+        ideal.fuzzyScores.m.forEach((m, k) => {
+            expect(ideal.fuzzyScores.l[k]).toBeLessThanOrEqual(m);
+            expect(ideal.fuzzyScores.u[k]).toBeGreaterThanOrEqual(m);
+        });
+    });
+});
@@ -0,0 +1,123 @@
+// group.js
+// Group decision making: several participants each fill their own set of pairwise matrices,
+// which are combined either by aggregating individual judgments (AIJ) or by aggregating
+// individual priorities (AIP), optionally with a weight per participant.
+import { MISSING_JUDGMENT } from './ahp.js';
+import { createId } from './hierarchy.js';
+
+export const AGGREGATION_METHODS = [
+    { value: 'aij', label: 'Aggregate Individual Judgments (geometric mean, AIJ)' },
+    { value: 'aip', label: 'Aggregate Individual Priorities (weighted mean, AIP)' },
+];
+
+export const DEFAULT_AGGREGATION_METHOD = 'aij';
+
+// Saaty's compatibility index threshold: above this a participant's priorities are considered
+// incompatible with the group's (Saaty & Peniwati, 2008).
+export const COMPATIBILITY_THRESHOLD = 1.1;
+
+/**
+ * Creates a new participant with the default weight of 1.
+ * @param {string} name - The participant's name.
+ * @returns {{id: string, name: string, weight: number}} The new participant.
+ */
+export const createParticipant = (name) => ({ id: createId(), name, weight: 1 });
+
+/**
+ * Normalizes participant weights so they sum to 1. Missing, negative or all-zero weights
+ * fall back to equal weighting.
+ * @param {{weight: number}[]} participants - The participants.
+ * @returns {number[]} Normalized weights in participant order.
+ */
+export const normalizeParticipantWeights = (participants) => {
+    const weights = participants.map(p => (Number.isFinite(p.weight) && p.weight > 0 ? p.weight : 0));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    if (total === 0) return participants.map(() => 1 / participants.length);
+    return weights.map(w => w / total);
+};
+
+/**
+ * Aggregates individual pairwise matrices into a group matrix by the weighted geometric mean of
+ * each judgment (AIJ). The result is still reciprocal. A comparison only some participants have
+ * judged is the mean of theirs, re-weighted among them; one nobody has judged stays missing.
+ * @param {(number|null)[][][]} matrices - One matrix per participant, all of the same size.
+ * @param {number[]} weights - Normalized participant weights.
+ * @returns {(number|null)[][]} The group matrix.
+ */
+export const aggregateJudgments = (matrices, weights) => {
+    if (matrices.length === 0) return [];
+    const n = matrices[0].length;
+    return Array(n).fill(null).map((_, i) => Array(n).fill(null).map((__, j) => {
+        const judged = matrices.map((matrix, k) => k).filter(k => matrices[k][i][j] !== MISSING_JUDGMENT);
+        if (judged.length === 0) return MISSING_JUDGMENT;
+        const weightSum = judged.reduce((sum, k) => sum + weights[k], 0);
+        const logSum = judged.reduce((sum, k) => (
+            sum + (weightSum > 0 ? weights[k] / weightSum : 1 / judged.length) * Math.log(matrices[k][i][j])
+        ), 0);
+        return Math.exp(logSum);
+    }));
+};
+
+/**
+ * Aggregates individual priority vectors into group priorities by their weighted arithmetic
+ * mean (AIP).
+ * @param {number[][]} vectors - One priority vector per participant.
+ * @param {number[]} weights - Normalized participant weights.
+ * @returns {number[]} The group priority vector.
+ */
+export const aggregatePriorities = (vectors, weights) => {
+    if (vectors.length === 0) return [];
+    return vectors[0].map((_, i) => vectors.reduce((sum, vector, k) => sum + weights[k] * vector[i], 0));
+};
+
+/**
+ * Aggregates individual weights keyed by id, such as the criteria weights of each participant's
+ * synthesis, by their weighted arithmetic mean, as aggregatePriorities does with vectors.
+ * @param {Object.<string, number>[]} weightsById - One set of weights per participant.
+ * @param {number[]} weights - Normalized participant weights.
+ * @returns {Object.<string, number>} The group's weights.
+ */
+export const aggregateWeightsById = (weightsById, weights) => Object.fromEntries(
+    Object.keys(weightsById[0] ?? {}).map(id => [id, weightsById.reduce((sum, byId, k) => sum + weights[k] * byId[id], 0)]),
+);
+
+/**
+ * Saaty's compatibility index between two priority vectors: the mean over all pairs of
+ * (x_i / x_j) * (y_j / y_i). It is 1 for identical vectors and grows as they diverge.
+ * The ratios are undefined when a priority is 0, as ratings or min–max data can give.
+ * @param {number[]} x - The first priority vector.
+ * @param {number[]} y - The second priority vector.
+ * @returns {number|null} The compatibility index (≥ 1), or null if any priority is 0 or less.
+ */
+export const compatibilityIndex = (x, y) => {
+    const n = x.length;
+    if (n === 0) return 1;
+    if ([...x, ...y].some(value => !(value > 0))) return null;
+    let sum = 0;
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            sum += (x[i] / x[j]) * (y[j] / y[i]);
+        }
+    }
+    return sum / (n * n);
+};
+
+/**
+ * Aggregates every matrix of several participants' judgments with aggregateJudgments.
+ * @param {{criteriaComparisons: object, alternativeComparisons: object}[]} judgmentSets - One set per participant.
+ * @param {number[]} weights - Normalized participant weights.
+ * @returns {{criteriaComparisons: object, alternativeComparisons: object}} The group's judgments.
+ */
+export const aggregateJudgmentSets = (judgmentSets, weights) => {
+    const aggregateEach = (key) => {
+        const aggregated = {};
+        Object.keys(judgmentSets[0][key]).forEach(id => {
+            aggregated[id] = aggregateJudgments(judgmentSets.map(set => set[key][id]), weights);
+        });
+        return aggregated;
+    };
+    return {
+        criteriaComparisons: aggregateEach('criteriaComparisons'),
+        alternativeComparisons: aggregateEach('alternativeComparisons'),
+    };
+};
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { MISSING_JUDGMENT } from './ahp.js';
+import {
+    createParticipant, normalizeParticipantWeights, aggregateJudgments, aggregatePriorities, aggregateWeightsById,
+    compatibilityIndex, aggregateJudgmentSets,
+} from './group.js';
+
+/**
+ * A 2×2 reciprocal matrix.
+ * @param {number|null} value - How much the first item is preferred to the second, or MISSING_JUDGMENT.
+ * @returns {(number|null)[][]} The matrix.
+ */
+const pair = (value) => [[1, value], [value === MISSING_JUDGMENT ? MISSING_JUDGMENT : 1 / value, 1]];
+
+describe('participants', () => {
+    it('start with a weight of 1 and their own id', () => {
+        const first = createParticipant('Ann');
+        const second = createParticipant('Bob');
+        expect(first).toMatchObject({ name: 'Ann', weight: 1 });
+        expect(first.id).not.toBe(second.id);
+    });
+
+    it.each([
+        ['weights that sum to 1', [2, 1, 1], [0.5, 0.25, 0.25]],
+        ['missing and negative weights as 0', [3, -1, NaN, 1], [0.75, 0, 0, 0.25]],
+        ['all-zero weights as equal', [0, 0], [0.5, 0.5]],
+    ])('normalizes %s', (_, weights, expected) => {
+        normalizeParticipantWeights(weights.map(weight => ({ weight }))).forEach((w, i) => expect(w).toBeCloseTo(expected[i], 10));
+    });
+});
+
+describe('aggregating judgments (AIJ)', () => {
+    it('takes the weighted geometric mean and stays reciprocal', () => {
+        const group = aggregateJudgments([pair(2), pair(8)], [0.5, 0.5]);
+        expect(group[0][1]).toBeCloseTo(4, 10);
+        expect(group[1][0]).toBeCloseTo(1 / 4, 10);
+        expect(group[0][0]).toBeCloseTo(1, 10);
+
+        expect(aggregateJudgments([pair(2), pair(8)], [0.75, 0.25])[0][1]).toBeCloseTo(2 ** 1.5, 10);
+    });
+
+    it('re-weights a comparison among the participants who judged it', () => {
+        const group = aggregateJudgments([pair(3), pair(MISSING_JUDGMENT), pair(12)], [0.25, 0.5, 0.25]);
+        expect(group[0][1]).toBeCloseTo(6, 10);
+    });
+
+    it('leaves a comparison nobody judged missing', () => {
+        expect(aggregateJudgments([pair(MISSING_JUDGMENT), pair(MISSING_JUDGMENT)], [0.5, 0.5])[0][1]).toBe(MISSING_JUDGMENT);
+    });
+
+    it('weights equally when every participant who judged has a weight of 0', () => {
+        expect(aggregateJudgments([pair(2), pair(8), pair(MISSING_JUDGMENT)], [0, 0, 1])[0][1]).toBeCloseTo(4, 10);
+    });
+
+    it('aggregates every matrix of the participants\' judgment sets', () => {
+        const set = (criteria, alternatives) => ({
+            criteriaComparisons: { goal: pair(criteria) },
+            alternativeComparisons: { cost: pair(alternatives) },
+        });
+        const group = aggregateJudgmentSets([set(2, 1 / 3), set(8, 1 / 27)], [0.5, 0.5]);
+        expect(group.criteriaComparisons.goal[0][1]).toBeCloseTo(4, 10);
+        expect(group.alternativeComparisons.cost[0][1]).toBeCloseTo(1 / 9, 10);
+    });
+});
+
+describe('aggregating priorities (AIP)', () => {
+    it('takes the weighted arithmetic mean', () => {
+        const group = aggregatePriorities([[0.6, 0.4], [0.2, 0.8]], [0.75, 0.25]);
+        expect(group[0]).toBeCloseTo(0.5, 10);
+        expect(group[1]).toBeCloseTo(0.5, 10);
+    });
+
+    it('is empty without participants', () => {
+        expect(aggregatePriorities([], [])).toEqual([]);
+    });
+
+    it('takes the weighted mean of weights keyed by id', () => {
+        const group = aggregateWeightsById([{ price: 0.6, quality: 0.4 }, { price: 0.2, quality: 0.8 }], [0.75, 0.25]);
+        expect(group.price).toBeCloseTo(0.5, 10);
+        expect(group.quality).toBeCloseTo(0.5, 10);
+    });
+});
+
+describe('compatibility index', () => {
+    it('is 1 for identical priorities', () => {
+        expect(compatibilityIndex([0.2, 0.3, 0.5], [0.2, 0.3, 0.5])).toBeCloseTo(1, 10);
+    });
+
+    it('grows as priorities diverge, whichever comes first', () => {
+        // (1 + 1 + (0.5/0.5)(0.25/0.75) + (0.5/0.5)(0.75/0.25)) / 4
+        expect(compatibilityIndex([0.5, 0.5], [0.75, 0.25])).toBeCloseTo(4 / 3, 10);
+        expect(compatibilityIndex([0.75, 0.25], [0.5, 0.5])).toBeCloseTo(4 / 3, 10);
+        expect(compatibilityIndex([0.5, 0.5], [0.9, 0.1])).toBeGreaterThan(4 / 3);
+    });
+
+    it('is undefined when either side has a priority of 0', () => {
+        expect(compatibilityIndex([0.5, 0.5, 0], [0.4, 0.3, 0.3])).toBeNull();
+        expect(compatibilityIndex([0.4, 0.3, 0.3], [1, 0, 0])).toBeNull();
+    });
+});
@@ -0,0 +1,366 @@
+// hierarchy.js
+// Helpers for the criteria tree. A criterion is { id, name, children }, and the goal is an
+// implicit root whose children are the top-level criteria. Every node with children owns a
+// pairwise matrix over those children (keyed by the node's id, or GOAL_ID for the top level),
+// and alternatives ({ id, name }) are only compared under leaf criteria. Stored matrices carry the
+// ids of the items they compare ({ ids, matrix }), so a judgment stays with its pair of items when
+// items are renamed, reordered or removed.
+import { calculateAHP, initializeMatrix } from './ahp.js';
+
+export const GOAL_ID = 'goal';
+
+// How the local priorities of the alternatives are combined. Distributive keeps them summing to 1
+// under each criterion, so adding or removing an alternative shifts every share and can reverse
+// the ranking of the others; ideal divides them by the best alternative's, which only changes
+// when the best one does.
+export const SYNTHESIS_MODES = [
+    { value: 'distributive', label: 'Distributive' },
+    { value: 'ideal', label: 'Ideal' },
+];
+
+export const DEFAULT_SYNTHESIS_MODE = 'distributive';
+
+/**
+ * Generates a reasonably unique id for a new node.
+ * @returns {string} A short random id.
+ */
+export const createId = () => {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+};
+
+/**
+ * Creates a new criterion node without children.
+ * @param {string} name - The criterion name.
+ * @returns {{id: string, name: string, children: Array}} The new node.
+ */
+export const createCriterion = (name) => ({ id: createId(), name, children: [] });
+
+/**
+ * Creates a new alternative.
+ * @param {string} name - The alternative name.
+ * @returns {{id: string, name: string}} The new alternative.
+ */
+export const createAlternative = (name) => ({ id: createId(), name });
+
+/**
+ * Returns the children of a node, treating GOAL_ID as the root of the tree.
+ * @param {Array} tree - The top-level criteria.
+ * @param {string} parentId - The id of the parent node, or GOAL_ID.
+ * @returns {Array|null} The children, or null if the parent does not exist.
+ */
+export const getChildren = (tree, parentId) => {
+    if (parentId === GOAL_ID) return tree;
+    const node = findNode(tree, parentId);
+    return node ? node.children : null;
+};
+
+/**
+ * Finds a node anywhere in the tree.
+ * @param {Array} tree - The top-level criteria.
+ * @param {string} id - The id to look for.
+ * @returns {object|null} The node, or null if no node has that id.
+ */
+export const findNode = (tree, id) => {
+    for (const node of tree) {
+        if (node.id === id) return node;
+        const found = findNode(node.children, id);
+        if (found) return found;
+    }
+    return null;
+};
+
+/**
+ * Returns a copy of the tree with a node appended to the children of a parent.
+ * @param {Array} tree - The top-level criteria.
+ * @param {string} parentId - The id of the parent node, or GOAL_ID.
+ * @param {object} newNode - The node to insert.
+ * @returns {Array} The updated tree.
+ */
+export const addNode = (tree, parentId, newNode) => {
+    if (parentId === GOAL_ID) return [...tree, newNode];
+    return tree.map(node => node.id === parentId
+        ? { ...node, children: [...node.children, newNode] }
+        : { ...node, children: addNode(node.children, parentId, newNode) });
+};
+
+/**
+ * Returns a copy of the tree without the given node (and its whole subtree).
+ * @param {Array} tree - The top-level criteria.
+ * @param {string} id - The id of the node to remove.
+ * @returns {Array} The updated tree.
+ */
+export const removeNode = (tree, id) => {
+    return tree
+        .filter(node => node.id !== id)
+        .map(node => ({ ...node, children: removeNode(node.children, id) }));
+};
+
+/**
+ * Returns a copy of the tree with a node renamed.
+ * @param {Array} tree - The top-level criteria.
+ * @param {string} id - The id of the node to rename.
+ * @param {string} name - The new name.
+ * @returns {Array} The updated tree.
+ */
+export const renameNode = (tree, id, name) => {
+    return tree.map(node => node.id === id
+        ? { ...node, name }
+        : { ...node, children: renameNode(node.children, id, name) });
+};
+
+/**
+ * Moves an item of a list to another position, keeping the order of the others.
+ * @param {{id: string}[]} items - The list, e.g. alternatives or sibling criteria.
+ * @param {string} id - The id of the item to move.
+ * @param {number} index - Its new position.
+ * @returns {{id: string}[]} The reordered list.
+ */
+export const moveItem = (items, id, index) => {
+    const from = items.findIndex(item => item.id === id);
+    if (from < 0) return items;
+    const moved = items.filter(item => item.id !== id);
+    moved.splice(index, 0, items[from]);
+    return moved;
+};
+
+/**
+ * Returns a copy of the tree with a node moved to another position among its siblings.
+ * @param {Array} tree - The top-level criteria.
+ * @param {string} id - The id of the node to move.
+ * @param {number} index - Its new position under the same parent.
+ * @returns {Array} The updated tree.
+ */
+export const moveNode = (tree, id, index) => {
+    if (tree.some(node => node.id === id)) return moveItem(tree, id, index);
+    return tree.map(node => ({ ...node, children: moveNode(node.children, id, index) }));
+};
+
+/**
+ * Lists every node that has children, in depth-first order, starting with the goal.
+ * @param {Array} tree - The top-level criteria.
+ * @returns {{id: string, name: string, children: Array, path: string[]}[]} Parent nodes with their name path.
+ */
+export const getParentNodes = (tree) => {
+    const parents = [{ id: GOAL_ID, name: 'Goal', children: tree, path: [] }];
+    const visit = (nodes, path) => {
+        nodes.forEach(node => {
+            if (node.children.length > 0) {
+                parents.push({ ...node, path: [...path, node.name] });
+                visit(node.children, [...path, node.name]);
+            }
+        });
+    };
+    visit(tree, []);
+    return parents;
+};
+
+/**
+ * Lists every leaf criterion in depth-first order.
+ * @param {Array} tree - The top-level criteria.
+ * @returns {{id: string, name: string, children: Array, path: string[]}[]} Leaf nodes with their name path.
+ */
+export const getLeaves = (tree) => {
+    const leaves = [];
+    const visit = (nodes, path) => {
+        nodes.forEach(node => {
+            if (node.children.length === 0) {
+                leaves.push({ ...node, path: [...path, node.name] });
+            } else {
+                visit(node.children, [...path, node.name]);
+            }
+        });
+    };
+    visit(tree, []);
+    return leaves;
+};
+
+/**
+ * Walks the hierarchy node by node: each parent's criteria comparison is followed by its
+ * children, with leaves yielding an alternative comparison step.
+ * Parents with a single child are skipped because there is nothing to compare.
+ * @param {Array} tree - The top-level criteria.
+ * @returns {{type: 'criteria'|'alternatives', node: object}[]} Ordered comparison steps.
+ */
+export const getComparisonSteps = (tree) => {
+    const steps = [];
+    const visit = (node, path) => {
+        if (node.children.length === 0) {
+            steps.push({ type: 'alternatives', node: { ...node, path } });
+            return;
+        }
+        if (node.children.length > 1) {
+            steps.push({ type: 'criteria', node: { ...node, path } });
+        }
+        node.children.forEach(child => visit(child, [...path, child.name]));
+    };
+    if (tree.length > 0) {
+        visit({ id: GOAL_ID, name: 'Goal', children: tree }, []);
+    }
+    return steps;
+};
+
+/**
+ * Calculates local weights (relative to siblings) and global weights (relative to the goal)
+ * for every criterion by propagating each parent's priorities down the tree.
+ * @param {Array} tree - The top-level criteria.
+ * @param {Object.<string, number[][]>} criteriaComparisons - Matrices keyed by parent id.
+ * @param {string} method - One of the PRIORITY_METHODS values.
+ * @param {string} [randomIndexSource] - One of the RANDOM_INDEX_SOURCES values.
+ * @returns {{localWeights: Object.<string, number>, globalWeights: Object.<string, number>, consistencyRatios: Object.<string, number>}}
+ * Weights keyed by node id and consistency ratios keyed by parent id.
+ */
+export const calculateHierarchyWeights = (tree, criteriaComparisons, method, randomIndexSource) => {
+    const localWeights = {};
+    const globalWeights = {};
+    const consistencyRatios = {};
+
+    const visit = (parentId, children, parentWeight) => {
+        if (children.length === 0) return;
+        const { weights, consistencyRatio } = calculateAHP(criteriaComparisons[parentId], children.length, method, randomIndexSource);
+        consistencyRatios[parentId] = consistencyRatio;
+        children.forEach((child, index) => {
+            localWeights[child.id] = weights[index];
+            globalWeights[child.id] = weights[index] * parentWeight;
+            visit(child.id, child.children, globalWeights[child.id]);
+        });
+    };
+    visit(GOAL_ID, tree, 1);
+
+    return { localWeights, globalWeights, consistencyRatios };
+};
+
+/**
+ * Carries a matrix over to a new list of compared ids, keeping the judgments between ids that
+ * are still there; comparisons with new ids start out not judged.
+ * @param {{ids: string[], matrix: (number|null)[][]}|undefined} prev - The current comparison, if any.
+ * @param {string[]} ids - The ids to compare now.
+ * @returns {{ids: string[], matrix: (number|null)[][]}} The comparison for the new ids (prev itself if
+ * they are unchanged).
+ */
+export const remapComparison = (prev, ids) => {
+    if (prev && prev.ids.length === ids.length && prev.ids.every((id, k) => id === ids[k])) return prev;
+    const matrix = initializeMatrix(ids.length);
+    if (prev) {
+        ids.forEach((a, i) => ids.forEach((b, j) => {
+            const pi = prev.ids.indexOf(a);
+            const pj = prev.ids.indexOf(b);
+            if (i !== j && pi >= 0 && pj >= 0) matrix[i][j] = prev.matrix[pi][pj];
+        }));
+    }
+    return { ids, matrix };
+};
+
+/**
+ * Brings a set of stored judgments (criteriaComparisons + alternativeComparisons) in line with the
+ * current tree and alternatives: every matrix follows its items by id, so removing an item drops
+ * only its row and column and reordering moves its judgments along. Matrices of nodes that no
+ * longer need one are dropped.
+ * @param {Array} tree - The top-level criteria.
+ * @param {{id: string}[]} alternatives - The alternatives.
+ * @param {{criteriaComparisons?: object, alternativeComparisons?: object}} [judgments] - The current judgments.
+ * @returns {{criteriaComparisons: object, alternativeComparisons: object}} The synchronized judgments.
+ */
+export const syncJudgments = (tree, alternatives, judgments = {}) => {
+    const prevCriteria = judgments.criteriaComparisons ?? {};
+    const prevAlternatives = judgments.alternativeComparisons ?? {};
+
+    // Every node with children gets a matrix over its children
+    const criteriaComparisons = {};
+    getParentNodes(tree).forEach(parent => {
+        criteriaComparisons[parent.id] = remapComparison(prevCriteria[parent.id], parent.children.map(child => child.id));
+    });
+
+    // Alternatives are only compared under leaf criteria
+    const alternativeIds = alternatives.map(alt => alt.id);
+    const alternativeComparisons = {};
+    getLeaves(tree).forEach(leaf => {
+        alternativeComparisons[leaf.id] = remapComparison(prevAlternatives[leaf.id], alternativeIds);
+    });
+
+    return { criteriaComparisons, alternativeComparisons };
+};
+
+/**
+ * Lays out stored judgments as the plain matrices the calculations use, rows and columns in the
+ * current order of the children and alternatives.
+ * @param {Array} tree - The top-level criteria.
+ * @param {{id: string}[]} alternatives - The alternatives.
+ * @param {{criteriaComparisons?: object, alternativeComparisons?: object}} [judgments] - The stored judgments.
+ * @returns {{criteriaComparisons: Object.<string, (number|null)[][]>, alternativeComparisons: Object.<string, (number|null)[][]>}}
+ * Matrices keyed by parent id and leaf id.
+ */
+export const alignJudgments = (tree, alternatives, judgments) => {
+    const { criteriaComparisons, alternativeComparisons } = syncJudgments(tree, alternatives, judgments);
+    const matricesOf = (comparisons) => Object.fromEntries(Object.entries(comparisons).map(([id, comparison]) => [id, comparison.matrix]));
+    return { criteriaComparisons: matricesOf(criteriaComparisons), alternativeComparisons: matricesOf(alternativeComparisons) };
+};
+
+/**
+ * Synthesizes overall alternative scores for one set of judgments: each leaf's global weight
+ * times the alternative's local weight under that leaf, summed over all leaves.
+ * @param {Array} tree - The top-level criteria.
+ * @param {number} numAlternatives - The number of alternatives.
+ * @param {{criteriaComparisons: object, alternativeComparisons: object}} judgments - The matrices to use, laid out as by alignJudgments.
+ * @param {string} method - One of the PRIORITY_METHODS values.
+ * @param {string} [randomIndexSource] - One of the RANDOM_INDEX_SOURCES values.
+ * @returns {{localWeights: object, globalWeights: object, consistencyRatios: object, alternativeWeights: object, alternativeConsistencyRatios: object, scores: number[]}}
+ * Criteria weights and CRs (as in calculateHierarchyWeights), local alternative weights and CRs keyed
+ * by leaf id, and the overall score of each alternative in list order.
+ */
+export const synthesizeHierarchy = (tree, numAlternatives, judgments, method, randomIndexSource) => {
+    const { localWeights, globalWeights, consistencyRatios } = calculateHierarchyWeights(tree, judgments.criteriaComparisons, method, randomIndexSource);
+
+    const alternativeWeights = {};
+    const alternativeConsistencyRatios = {};
+    const scores = Array(numAlternatives).fill(0);
+
+    getLeaves(tree).forEach(leaf => {
+        const { weights, consistencyRatio } = calculateAHP(judgments.alternativeComparisons[leaf.id], numAlternatives, method, randomIndexSource);
+        alternativeWeights[leaf.id] = weights;
+        alternativeConsistencyRatios[leaf.id] = consistencyRatio;
+        weights.forEach((weight, altIndex) => {
+            scores[altIndex] += weight * globalWeights[leaf.id];
+        });
+    });
+
+    return { localWeights, globalWeights, consistencyRatios, alternativeWeights, alternativeConsistencyRatios, scores };
+};
+
+/**
+ * Turns a distributive synthesis into an ideal one: under every leaf the alternatives' local
+ * priorities are divided by the largest, and the scores are summed again. Fuzzy weights, if any,
+ * are divided by the largest middle value under the leaf: Chang's crisp weights are not the
+ * middle of its extents, so dividing by them would stretch the ranges. The scores are not
+ * renormalized; the best alternative on every criterion would score 1.
+ * @param {Array} tree - The top-level criteria.
+ * @param {object} synthesis - Output of synthesizeHierarchy (or its fuzzy or data variants).
+ * @returns {object} The synthesis with idealized alternativeWeights, scores and, if present,
+ * fuzzyAlternativeWeights and fuzzyScores.
+ */
+export const idealizeSynthesis = (tree, synthesis) => {
+    const leaves = getLeaves(tree);
+    const best = Object.fromEntries(leaves.map(leaf => [leaf.id, Math.max(...synthesis.alternativeWeights[leaf.id])]));
+    const divide = (weights, leafId) => (best[leafId] > 0 ? weights.map(w => w / best[leafId]) : weights);
+
+    const alternativeWeights = Object.fromEntries(leaves.map(leaf => [leaf.id, divide(synthesis.alternativeWeights[leaf.id], leaf.id)]));
+    const scores = synthesis.scores.map((_, altIndex) => leaves.reduce(
+        (sum, leaf) => sum + alternativeWeights[leaf.id][altIndex] * synthesis.globalWeights[leaf.id], 0,
+    ));
+    if (!synthesis.fuzzyAlternativeWeights) return { ...synthesis, alternativeWeights, scores };
+
+    const fuzzyAlternativeWeights = Object.fromEntries(leaves.map(leaf => {
+        const fuzzyWeights = synthesis.fuzzyAlternativeWeights[leaf.id];
+        const bestMiddle = Math.max(...fuzzyWeights.m);
+        return [leaf.id, Object.fromEntries(['l', 'm', 'u'].map(bound => [
+            bound,
+            bestMiddle > 0 ? fuzzyWeights[bound].map(w => w / bestMiddle) : fuzzyWeights[bound],
+        ]))];
+    }));
+    const fuzzyScores = Object.fromEntries(['l', 'm', 'u'].map((bound, b) => [
+        bound,
+        scores.map((_, altIndex) => leaves.reduce(
+            (sum, leaf) => sum + fuzzyAlternativeWeights[leaf.id][bound][altIndex] * synthesis.fuzzyGlobalWeights[leaf.id][b], 0,
+        )),
+    ]));
+    return { ...synthesis, alternativeWeights, scores, fuzzyAlternativeWeights, fuzzyScores };
+};
@@ -0,0 +1,175 @@
+import { describe, it, expect } from 'vitest';
+import {
+    GOAL_ID, addNode, removeNode, renameNode, moveItem, moveNode, findNode, getChildren, getParentNodes, getLeaves, getComparisonSteps,
+    calculateHierarchyWeights, synthesizeHierarchy, idealizeSynthesis, syncJudgments, alignJudgments,
+} from './hierarchy.js';
+import { ALTERNATIVES, criterion, expectClose } from './testHelpers.js';
+
+const TREE = [criterion('price'), criterion('quality')];
+
+/**
+ * Judgments of three alternatives under Price: a is 2 × b and 3 × c, b is 4 × c.
+ * @returns {object} Stored judgments as kept in the app.
+ */
+const storedJudgments = () => {
+    const judgments = syncJudgments(TREE, ALTERNATIVES, {});
+    judgments.criteriaComparisons.goal.matrix = [[1, 5], [1 / 5, 1]];
+    judgments.alternativeComparisons.price.matrix = [
+        [1, 2, 3],
+        [1 / 2, 1, 4],
+        [1 / 3, 1 / 4, 1],
+    ];
+    return judgments;
+};
+
+/**
+ * Reads a judgment by the ids of the two items.
+ * @param {{ids: string[], matrix: number[][]}} comparison - A stored comparison.
+ * @param {string} rowId - The first item.
+ * @param {string} columnId - The second item.
+ * @returns {number|null} The judgment.
+ */
+const judgment = (comparison, rowId, columnId) => comparison.matrix[comparison.ids.indexOf(rowId)][comparison.ids.indexOf(columnId)];
+
+// Goal → Cost (→ Purchase, Upkeep) and Quality
+const NESTED = [criterion('cost', [criterion('purchase'), criterion('upkeep')]), criterion('quality')];
+
+describe('criteria tree', () => {
+    it('adds a sub-criterion under its parent and a criterion under the goal', () => {
+        const tree = addNode(addNode(NESTED, 'quality', criterion('finish')), GOAL_ID, criterion('risk'));
+        expect(getChildren(tree, 'quality').map(node => node.id)).toEqual(['finish']);
+        expect(getChildren(tree, GOAL_ID).map(node => node.id)).toEqual(['cost', 'quality', 'risk']);
+        expect(getChildren(tree, 'missing')).toBeNull();
+    });
+
+    it('removes a criterion with its whole subtree', () => {
+        const tree = removeNode(NESTED, 'cost');
+        expect(tree.map(node => node.id)).toEqual(['quality']);
+        expect(findNode(tree, 'purchase')).toBeNull();
+    });
+
+    it('moves a criterion among its siblings only', () => {
+        expect(getChildren(moveNode(NESTED, 'upkeep', 0), 'cost').map(node => node.id)).toEqual(['upkeep', 'purchase']);
+        expect(moveNode(NESTED, 'quality', 0).map(node => node.id)).toEqual(['quality', 'cost']);
+    });
+
+    it('lists parents and leaves depth first with their paths', () => {
+        expect(getParentNodes(NESTED).map(node => node.id)).toEqual([GOAL_ID, 'cost']);
+        expect(getLeaves(NESTED).map(leaf => leaf.path.join(' › '))).toEqual(['COST › PURCHASE', 'COST › UPKEEP', 'QUALITY']);
+    });
+
+    it('asks each parent\'s comparison before its children and skips single children', () => {
+        const steps = getComparisonSteps(addNode(NESTED, 'quality', criterion('finish')));
+        expect(steps.map(({ type, node }) => `${type}:${node.id}`)).toEqual([
+            `criteria:${GOAL_ID}`, 'criteria:cost', 'alternatives:purchase', 'alternatives:upkeep', 'alternatives:finish',
+        ]);
+    });
+});
+
+describe('hierarchy weights', () => {
+    // Cost is 3 × Quality; Purchase is 1/3 of Upkeep
+    const criteriaComparisons = { [GOAL_ID]: [[1, 3], [1 / 3, 1]], cost: [[1, 1 / 3], [3, 1]] };
+
+    it('multiplies local weights down the tree', () => {
+        const { localWeights, globalWeights } = calculateHierarchyWeights(NESTED, criteriaComparisons, 'eigenvector');
+        expect(localWeights.upkeep).toBeCloseTo(0.75, 10);
+        expect(globalWeights.cost).toBeCloseTo(0.75, 10);
+        expect(globalWeights.upkeep).toBeCloseTo(0.5625, 10);
+        expect(globalWeights.purchase + globalWeights.upkeep + globalWeights.quality).toBeCloseTo(1, 10);
+    });
+
+    it('scores alternatives by the global weights of the leaves', () => {
+        // A is 3 × B on Purchase and Upkeep, B is 3 × A on Quality
+        const alternativeComparisons = {
+            purchase: [[1, 3], [1 / 3, 1]],
+            upkeep: [[1, 3], [1 / 3, 1]],
+            quality: [[1, 1 / 3], [3, 1]],
+        };
+        const { scores } = synthesizeHierarchy(NESTED, 2, { criteriaComparisons, alternativeComparisons }, 'eigenvector');
+        expect(scores[0]).toBeCloseTo(0.75 * 0.75 + 0.25 * 0.25, 10);
+        expect(scores[1]).toBeCloseTo(0.75 * 0.25 + 0.25 * 0.75, 10);
+    });
+});
+
+describe('judgments keyed by item id', () => {
+    it('keeps the other pairs when an item in the middle is removed', () => {
+        const { alternativeComparisons } = syncJudgments(TREE, ALTERNATIVES.filter(alt => alt.id !== 'b'), storedJudgments());
+        expect(alternativeComparisons.price).toEqual({ ids: ['a', 'c'], matrix: [[1, 3], [1 / 3, 1]] });
+    });
+
+    it('moves every judgment along with its pair when items are reordered', () => {
+        const reordered = moveItem(ALTERNATIVES, 'c', 0);
+        const { alternativeComparisons } = syncJudgments(TREE, reordered, storedJudgments());
+        expect(alternativeComparisons.price.ids).toEqual(['c', 'a', 'b']);
+        expect(judgment(alternativeComparisons.price, 'a', 'b')).toBe(2);
+        expect(judgment(alternativeComparisons.price, 'a', 'c')).toBe(3);
+        expect(judgment(alternativeComparisons.price, 'b', 'c')).toBe(4);
+    });
+
+    it('keeps reciprocals consistent after a reorder', () => {
+        const { alternativeComparisons } = alignJudgments(TREE, moveItem(ALTERNATIVES, 'a', 2), storedJudgments());
+        const matrix = alternativeComparisons.price;
+        matrix.forEach((row, i) => row.forEach((value, j) => expect(value * matrix[j][i]).toBeCloseTo(1, 12)));
+    });
+
+    it('keeps the judgments of renamed items', () => {
+        const stored = storedJudgments();
+        const renamedTree = renameNode(TREE, 'price', 'Cost');
+        const renamedAlternatives = ALTERNATIVES.map(alt => (alt.id === 'b' ? { ...alt, name: 'Beta' } : alt));
+        expect(syncJudgments(renamedTree, renamedAlternatives, stored)).toEqual(stored);
+    });
+
+    it('leaves the pairs of a new item not judged', () => {
+        const { alternativeComparisons } = syncJudgments(TREE, [...ALTERNATIVES, { id: 'd', name: 'D' }], storedJudgments());
+        expect(judgment(alternativeComparisons.price, 'a', 'b')).toBe(2);
+        expect(judgment(alternativeComparisons.price, 'a', 'd')).toBeNull();
+        expect(judgment(alternativeComparisons.price, 'd', 'd')).toBe(1);
+    });
+
+    it('drops the matrices and pairs of a criterion that is removed', () => {
+        const { alternativeComparisons, criteriaComparisons } = syncJudgments([criterion('price')], ALTERNATIVES, storedJudgments());
+        expect(Object.keys(alternativeComparisons)).toEqual(['price']);
+        expect(criteriaComparisons.goal).toEqual({ ids: ['price'], matrix: [[1]] });
+    });
+});
+
+describe('ideal synthesis', () => {
+    // Distributive scores (0.34, 0.26, 0.40) rank c first
+    const SYNTHESIS = {
+        globalWeights: { price: 0.6, quality: 0.4 },
+        alternativeWeights: { price: [0.5, 0.3, 0.2], quality: [0.1, 0.2, 0.7] },
+        alternativeConsistencyRatios: { price: 0.01, quality: 0.02 },
+        scores: [0.34, 0.26, 0.4],
+    };
+
+    it('divides the priorities under each leaf by the best one and re-scores', () => {
+        const ideal = idealizeSynthesis(TREE, SYNTHESIS);
+        expectClose(ideal.alternativeWeights.price, [1, 0.6, 0.4]);
+        expectClose(ideal.alternativeWeights.quality, [1 / 7, 2 / 7, 1]);
+        // a loses less on Quality than c does on Price, so a moves ahead
+        expectClose(ideal.scores, [0.6 + 0.4 / 7, 0.36 + 0.8 / 7, 0.24 + 0.4]);
+        expect(ideal.alternativeConsistencyRatios).toBe(SYNTHESIS.alternativeConsistencyRatios);
+        expect(SYNTHESIS.alternativeWeights.price).toEqual([0.5, 0.3, 0.2]);
+    });
+
+    it('leaves priorities that are all zero alone', () => {
+        const ideal = idealizeSynthesis(TREE, { ...SYNTHESIS, alternativeWeights: { ...SYNTHESIS.alternativeWeights, quality: [0, 0, 0] } });
+        expect(ideal.alternativeWeights.quality).toEqual([0, 0, 0]);
+        expectClose(ideal.scores, [0.6, 0.36, 0.24]);
+    });
+
+    it('divides fuzzy priorities by the best middle value under each leaf', () => {
+        const ideal = idealizeSynthesis(TREE, {
+            ...SYNTHESIS,
+            fuzzyGlobalWeights: { price: [0.5, 0.6, 0.7], quality: [0.3, 0.4, 0.5] },
+            fuzzyAlternativeWeights: {
+                price: { l: [0.3, 0.2, 0.1], m: [0.4, 0.3, 0.2], u: [0.6, 0.4, 0.3] },
+                quality: { l: [0.05, 0.1, 0.6], m: [0.1, 0.2, 0.7], u: [0.2, 0.3, 0.8] },
+            },
+        });
+        expectClose(ideal.fuzzyAlternativeWeights.price.m, [1, 0.75, 0.5]);
+        expectClose(ideal.fuzzyAlternativeWeights.price.u, [1.5, 1, 0.75]);
+        expectClose(ideal.fuzzyAlternativeWeights.quality.l, [0.05 / 0.7, 0.1 / 0.7, 0.6 / 0.7]);
+        expect(ideal.fuzzyScores.l[0]).toBeCloseTo(0.75 * 0.5 + (0.05 / 0.7) * 0.3, 10);
+    });
+});
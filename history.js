@@ -0,0 +1,109 @@
+// history.js
+// Undo and redo for model edits. Every edit records a snapshot of the model as it was before,
+// together with a change ({ key, subject, from, to, author, at }) that says what happened; undo
+// swaps the current model for the last snapshot and keeps the current one for redo. The same
+// changes make up the change log.
+import { formatJudgment } from './judgment.js';
+import { MISSING_JUDGMENT } from './ahp.js';
+
+// Steps kept for undo, and entries kept in the change log
+export const HISTORY_LIMIT = 100;
+export const CHANGE_LOG_LIMIT = 500;
+
+// Edits of the same thing this close together (typing a name, dragging a slider) count as one
+const COALESCE_MS = 1500;
+
+/**
+ * Creates an empty history.
+ * @returns {{past: object[], future: object[]}} No steps to undo or redo.
+ */
+export const createHistory = () => ({ past: [], future: [] });
+
+/**
+ * Tells whether a change continues the previous one, so the two can be merged.
+ * @param {object|undefined} previous - The previous change.
+ * @param {object} change - The new change.
+ * @returns {boolean} True if both have the same key and follow each other closely.
+ */
+const continues = (previous, change) => Boolean(
+    previous && change.key && previous.key === change.key && change.at - previous.at < COALESCE_MS,
+);
+
+/**
+ * Records an edit. A continued edit keeps the snapshot and "from" of the step it continues.
+ * Any steps that were undone can no longer be redone.
+ * @param {{past: object[], future: object[]}} history - The history.
+ * @param {object} snapshot - The model before the edit.
+ * @param {object} change - What was changed.
+ * @returns {{past: object[], future: object[]}} The new history.
+ */
+export const recordChange = (history, snapshot, change) => {
+    const last = history.past[history.past.length - 1];
+    if (continues(last?.change, change)) {
+        return { past: [...history.past.slice(0, -1), { snapshot: last.snapshot, change: { ...change, from: last.change.from } }], future: [] };
+    }
+    return { past: [...history.past, { snapshot, change }].slice(-HISTORY_LIMIT), future: [] };
+};
+
+/**
+ * Steps back one edit.
+ * @param {{past: object[], future: object[]}} history - The history.
+ * @param {object} current - The model now, kept for redo.
+ * @returns {{history: object, snapshot: object, change: object}|null} The new history, the model
+ * to restore and the change undone, or null if there is nothing to undo.
+ */
+export const undoChange = (history, current) => {
+    const step = history.past[history.past.length - 1];
+    if (!step) return null;
+    return {
+        history: { past: history.past.slice(0, -1), future: [{ snapshot: current, change: step.change }, ...history.future] },
+        snapshot: step.snapshot,
+        change: step.change,
+    };
+};
+
+/**
+ * Repeats the last undone edit.
+ * @param {{past: object[], future: object[]}} history - The history.
+ * @param {object} current - The model now, kept for undo.
+ * @returns {{history: object, snapshot: object, change: object}|null} The new history, the model
+ * to restore and the change redone, or null if there is nothing to redo.
+ */
+export const redoChange = (history, current) => {
+    const [step, ...future] = history.future;
+    if (!step) return null;
+    return {
+        history: { past: [...history.past, { snapshot: current, change: step.change }], future },
+        snapshot: step.snapshot,
+        change: step.change,
+    };
+};
+
+/**
+ * Adds a change to the change log, merging it into the previous entry when it continues it.
+ * @param {object[]} log - The change log, oldest first.
+ * @param {object} change - The change.
+ * @returns {object[]} The new log.
+ */
+export const appendToLog = (log, change) => {
+    const last = log[log.length - 1];
+    if (continues(last, change)) return [...log.slice(0, -1), { ...change, from: last.from }];
+    return [...log, change].slice(-CHANGE_LOG_LIMIT);
+};
+
+/**
+ * Describes a change in words, e.g. "Cost vs Quality under Goal: 3 → 5".
+ * @param {object} change - The change.
+ * @returns {string} The description.
+ */
+export const describeChange = (change) => {
+    if (change.from === undefined && change.to === undefined) return change.subject;
+    return `${change.subject}: ${change.from ?? '–'} → ${change.to ?? '–'}`;
+};
+
+/**
+ * Formats a stored judgment for the change log.
+ * @param {number|null} value - The stored judgment.
+ * @returns {string} The judgment, or "not judged".
+ */
+export const formatLoggedJudgment = (value) => (value === MISSING_JUDGMENT || value === undefined ? 'not judged' : formatJudgment(value));
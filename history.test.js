@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { MISSING_JUDGMENT } from './ahp.js';
+import {
+    HISTORY_LIMIT, CHANGE_LOG_LIMIT, createHistory, recordChange, undoChange, redoChange, appendToLog, describeChange,
+    formatLoggedJudgment,
+} from './history.js';
+
+/**
+ * A change of a name, made at the given time.
+ * @param {string} from - The name before.
+ * @param {string} to - The name after.
+ * @param {number} at - When, in ms.
+ * @param {string} [key] - What was edited.
+ * @returns {object} The change.
+ */
+const rename = (from, to, at, key = 'name:price') => ({ key, subject: 'Criterion name', from, to, at });
+
+describe('recording edits', () => {
+    it('merges quick edits of the same thing, keeping the first snapshot and "from"', () => {
+        let history = recordChange(createHistory(), { name: 'P' }, rename('P', 'Pr', 0));
+        history = recordChange(history, { name: 'Pr' }, rename('Pr', 'Price', 1000));
+        expect(history.past).toEqual([{ snapshot: { name: 'P' }, change: rename('P', 'Price', 1000) }]);
+    });
+
+    it.each([
+        ['of something else', rename('Pr', 'Price', 1000, 'name:range')],
+        ['after a pause', rename('Pr', 'Price', 1500)],
+        ['without a key', rename('Pr', 'Price', 1000, null)],
+    ])('keeps an edit %s as a step of its own', (_, change) => {
+        const history = recordChange(recordChange(createHistory(), { name: 'P' }, rename('P', 'Pr', 0)), { name: 'Pr' }, change);
+        expect(history.past.map(step => step.snapshot)).toEqual([{ name: 'P' }, { name: 'Pr' }]);
+    });
+
+    it('keeps the last HISTORY_LIMIT steps', () => {
+        let history = createHistory();
+        for (let k = 0; k <= HISTORY_LIMIT; k++) history = recordChange(history, { step: k }, rename('', String(k), k * 2000));
+        expect(history.past).toHaveLength(HISTORY_LIMIT);
+        expect(history.past[0].snapshot).toEqual({ step: 1 });
+    });
+});
+
+describe('undo and redo', () => {
+    // Two edits: {v: 0} → {v: 1} → {v: 2}
+    const first = rename('0', '1', 0, 'v');
+    const second = rename('1', '2', 5000, 'v');
+    const history = recordChange(recordChange(createHistory(), { v: 0 }, first), { v: 1 }, second);
+
+    it('step back through the edits and forward again to where they started', () => {
+        const undone = undoChange(history, { v: 2 });
+        expect(undone.snapshot).toEqual({ v: 1 });
+        expect(undone.change).toBe(second);
+        const undoneTwice = undoChange(undone.history, undone.snapshot);
+        expect(undoneTwice.snapshot).toEqual({ v: 0 });
+        expect(undoChange(undoneTwice.history, undoneTwice.snapshot)).toBeNull();
+
+        const redone = redoChange(undoneTwice.history, undoneTwice.snapshot);
+        expect(redone.snapshot).toEqual({ v: 1 });
+        expect(redone.change).toBe(first);
+        const redoneTwice = redoChange(redone.history, redone.snapshot);
+        expect(redoneTwice.snapshot).toEqual({ v: 2 });
+        expect(redoneTwice.history).toEqual(history);
+        expect(redoChange(redoneTwice.history, redoneTwice.snapshot)).toBeNull();
+    });
+
+    it('forget the undone edits once a new one is made', () => {
+        const undone = undoChange(history, { v: 2 });
+        const edited = recordChange(undone.history, undone.snapshot, rename('1', '3', 9000, 'v'));
+        expect(edited.future).toEqual([]);
+        expect(redoChange(edited, { v: 3 })).toBeNull();
+    });
+});
+
+describe('change log', () => {
+    it('merges quick edits of the same thing and keeps the last CHANGE_LOG_LIMIT entries', () => {
+        const log = appendToLog(appendToLog([], rename('P', 'Pr', 0)), rename('Pr', 'Price', 1000));
+        expect(log).toEqual([rename('P', 'Price', 1000)]);
+
+        let long = [];
+        for (let k = 0; k <= CHANGE_LOG_LIMIT; k++) long = appendToLog(long, rename('', String(k), k * 2000));
+        expect(long).toHaveLength(CHANGE_LOG_LIMIT);
+        expect(long[0].to).toBe('1');
+    });
+
+    it('describes a change with its values, or by its subject alone', () => {
+        expect(describeChange(rename('P', 'Price', 0))).toBe('Criterion name: P → Price');
+        expect(describeChange({ subject: 'Added a criterion' })).toBe('Added a criterion');
+        expect(describeChange({ subject: 'Judgment', from: undefined, to: '3' })).toBe('Judgment: – → 3');
+    });
+
+    it('formats logged judgments', () => {
+        expect([3, 1 / 5, 2.5, MISSING_JUDGMENT].map(formatLoggedJudgment)).toEqual(['3', '1/5', '2.50', 'not judged']);
+    });
+});
@@ -0,0 +1,321 @@
+// importer.js
+// Getting existing data in: criteria and alternative lists and pairwise matrices from CSV files or
+// ranges pasted from a spreadsheet, and whole models in the AHP interchange JSON format documented
+// below. Parsers throw an Error whose message says what is wrong and where.
+import { MISSING_JUDGMENT } from './ahp.js';
+import { createCriterion, createAlternative, getParentNodes, getLeaves, GOAL_ID } from './hierarchy.js';
+import { createParticipant } from './group.js';
+import { PROJECT_FORMAT, PROJECT_VERSION, validateProject } from './project.js';
+import { JUDGMENT_SCALES, DEFAULT_JUDGMENT_SCALE, valueToJudgment } from './scales.js';
+
+// Tolerance used when checking that imported a_ij * a_ji = 1; spreadsheets often hold 1/3 as 0.333
+const RECIPROCAL_TOLERANCE = 0.01;
+
+/**
+ * The AHP interchange format: a tool-neutral JSON description of one hierarchy and one set of
+ * judgments, for models exported from other AHP software or assembled by hand.
+ *
+ *   {
+ *     "format": "ahp-interchange",
+ *     "version": 1,
+ *     "name": "Vendor selection",                         // optional
+ *     "judgmentScale": "saaty",                            // optional, the scale the numbers are on
+ *     "criteria": [{ "name": "Cost", "children": [{ "name": "Purchase" }, { "name": "Running" }] },
+ *                  { "name": "Quality" }],
+ *     "alternatives": ["Vendor A", "Vendor B"],
+ *     "criteriaMatrices": { "Goal": [[1, 3], [0.3333, 1]], "Cost": [[1, 2], [0.5, 1]] },
+ *     "alternativeMatrices": { "Cost / Purchase": [[1, 5], [0.2, 1]], ... }
+ *   }
+ *
+ * Matrices are keyed by the path of the criterion they belong to ("Goal" for the top level), with
+ * names joined by " / ", and hold numbers on the given scale; null marks a comparison not made.
+ * Missing matrices start out not judged.
+ */
+export const INTERCHANGE_FORMAT = 'ahp-interchange';
+export const INTERCHANGE_VERSION = 1;
+export const INTERCHANGE_PATH_SEPARATOR = ' / ';
+
+/**
+ * Splits delimited text into rows of trimmed cells. Tabs (pasted spreadsheet ranges), semicolons
+ * (CSV from locales with decimal commas) and commas are recognized, whichever the first line uses;
+ * double-quoted cells may contain the delimiter and doubled quotes. Blank lines are skipped.
+ * @param {string} text - The CSV text or pasted range.
+ * @returns {string[][]} The rows.
+ */
+export const parseDelimited = (text) => {
+    const firstLine = text.split(/\r?\n/).find(line => line.trim() !== '') ?? '';
+    const delimiter = firstLine.includes('\t') ? '\t' : firstLine.includes(';') ? ';' : ',';
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let k = 0; k < text.length; k++) {
+        const char = text[k];
+        if (quoted) {
+            if (char === '"' && text[k + 1] === '"') {
+                cell += '"';
+                k++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell.trim() === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell.trim());
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[k + 1] === '\n') k++;
+            row.push(cell.trim());
+            if (row.some(value => value !== '')) rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell.trim());
+    if (row.some(value => value !== '')) rows.push(row);
+    return rows;
+};
+
+/**
+ * Reads a list of names, one per row, from the first column.
+ * @param {string} text - The CSV text or pasted range.
+ * @param {string} what - What the names are, for error messages (e.g. "alternative").
+ * @returns {string[]} The names, in order.
+ * @throws {Error} If the list is empty or names repeat.
+ */
+export const parseNameList = (text, what) => {
+    const names = parseDelimited(text).map(row => row[0]).filter(name => name !== '');
+    if (names.length === 0) throw new Error(`No ${what} names found. Put one name per line.`);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) throw new Error(`The ${what} "${duplicate}" is listed more than once.`);
+    return names;
+};
+
+/**
+ * Reads criteria from rows of paths: each row names a top-level criterion in the first column and
+ * optionally a sub-criterion in the next, and so on ("Cost, Purchase"). Empty leading cells repeat
+ * the row above, as in an indented outline.
+ * @param {string} text - The CSV text or pasted range.
+ * @returns {string[][]} The path of every criterion listed, parents before children.
+ * @throws {Error} If no criteria are found.
+ */
+export const parseCriteriaPaths = (text) => {
+    const paths = [];
+    let previous = [];
+    parseDelimited(text).forEach(row => {
+        const last = row.reduce((found, value, index) => (value !== '' ? index : found), -1);
+        const path = row.slice(0, last + 1).map((value, index) => (value === '' ? previous[index] : value));
+        if (path.some(value => value === undefined)) throw new Error(`The row "${row.join(', ')}" has an empty cell with nothing above it to repeat.`);
+        path.forEach((_, depth) => {
+            const prefix = path.slice(0, depth + 1);
+            if (!paths.some(p => p.length === prefix.length && p.every((name, k) => name === prefix[k]))) paths.push(prefix);
+        });
+        previous = path;
+    });
+    if (paths.length === 0) throw new Error('No criteria names found. Put one criterion per line, with sub-criteria in the next columns.');
+    return paths;
+};
+
+/**
+ * Adds criteria given by their paths to a tree, reusing criteria that already exist by name.
+ * @param {Array} tree - The top-level criteria.
+ * @param {string[][]} paths - Paths from parseCriteriaPaths.
+ * @returns {Array} The extended tree.
+ */
+export const mergeCriteriaPaths = (tree, paths) => {
+    const insert = (nodes, path) => {
+        if (path.length === 0) return nodes;
+        const [name, ...rest] = path;
+        const existing = nodes.find(node => node.name === name);
+        if (existing) return nodes.map(node => (node === existing ? { ...node, children: insert(node.children, rest) } : node));
+        return [...nodes, { ...createCriterion(name), children: insert([], rest) }];
+    };
+    return paths.reduce(insert, tree);
+};
+
+/**
+ * Reads one cell of a pairwise matrix: a positive number, a fraction such as "1/3", or nothing.
+ * @param {string|number|null} value - The cell.
+ * @param {string} where - The cell's position, for error messages.
+ * @returns {number|null} The value, or MISSING_JUDGMENT for an empty cell.
+ * @throws {Error} If the cell is not a positive number.
+ */
+const parseJudgmentValue = (value, where) => {
+    if (value === null || value === undefined || value === '' || value === '-') return MISSING_JUDGMENT;
+    let number = typeof value === 'number' ? value : NaN;
+    if (typeof value === 'string') {
+        const fraction = value.match(/^\s*([\d.]+)\s*\/\s*([\d.]+)\s*$/);
+        number = fraction ? Number(fraction[1]) / Number(fraction[2]) : Number(value.replace(',', '.'));
+    }
+    if (!Number.isFinite(number) || number <= 0) throw new Error(`${where} must be a positive number, not "${value}".`);
+    return number;
+};
+
+/**
+ * Rounds a stored judgment to a whole intensity when it is within rounding of one, so 0.333 read
+ * from a spreadsheet becomes exactly 1/3.
+ * @param {number} judgment - The stored judgment.
+ * @returns {number} The judgment, snapped if close to a scale step.
+ */
+const snapJudgment = (judgment) => {
+    const level = judgment >= 1 ? judgment : 1 / judgment;
+    if (Math.abs(level - Math.round(level)) > RECIPROCAL_TOLERANCE * level) return judgment;
+    return judgment >= 1 ? Math.round(level) : 1 / Math.round(level);
+};
+
+/**
+ * Checks a numeric pairwise matrix and converts it to stored judgments: the diagonal must be 1,
+ * every entry positive, and each pair reciprocal. A pair judged in one direction only is completed
+ * with the reciprocal.
+ * @param {(string|number|null)[][]} cells - The square block of cells.
+ * @param {string[]} items - Names of the compared items, for error messages.
+ * @param {string} scaleId - The judgment scale the numbers are on.
+ * @returns {(number|null)[][]} The matrix of stored judgments.
+ * @throws {Error} If the matrix is not a valid pairwise comparison matrix.
+ */
+export const toJudgmentMatrix = (cells, items, scaleId) => {
+    const n = items.length;
+    if (!Array.isArray(cells) || cells.some(row => !Array.isArray(row))) throw new Error('The matrix must be a list of rows.');
+    if (cells.length !== n || cells.some(row => row.length !== n)) {
+        throw new Error(`The matrix must be ${n} × ${n} to compare ${items.join(', ')}, but it is ${cells.length} × ${Math.max(...cells.map(row => row.length))}.`);
+    }
+    const values = cells.map((row, i) => row.map((value, j) => parseJudgmentValue(value, `The entry in row "${items[i]}", column "${items[j]}"`)));
+    const matrix = values.map(row => [...row]);
+    for (let i = 0; i < n; i++) {
+        if (values[i][i] !== MISSING_JUDGMENT && Math.abs(values[i][i] - 1) > RECIPROCAL_TOLERANCE) {
+            throw new Error(`The diagonal entry for "${items[i]}" must be 1, not ${values[i][i]}.`);
+        }
+        matrix[i][i] = 1;
+        for (let j = i + 1; j < n; j++) {
+            const a = values[i][j];
+            const b = values[j][i];
+            if (a !== MISSING_JUDGMENT && b !== MISSING_JUDGMENT && Math.abs(a * b - 1) > RECIPROCAL_TOLERANCE) {
+                throw new Error(`"${items[i]}" vs "${items[j]}" is ${a} but "${items[j]}" vs "${items[i]}" is ${b}; they must be reciprocals (a × b = 1).`);
+            }
+            const value = a !== MISSING_JUDGMENT ? a : b !== MISSING_JUDGMENT ? 1 / b : MISSING_JUDGMENT;
+            matrix[i][j] = value === MISSING_JUDGMENT ? MISSING_JUDGMENT : snapJudgment(valueToJudgment(value, scaleId));
+            matrix[j][i] = value === MISSING_JUDGMENT ? MISSING_JUDGMENT : 1 / matrix[i][j];
+        }
+    }
+    return matrix;
+};
+
+/**
+ * Reads a pairwise matrix from CSV or a pasted range. The block may carry the item names as a
+ * header row and first column, in which case they must match the items (in any order; the matrix
+ * is reordered to match), or be just the n × n numbers.
+ * @param {string} text - The CSV text or pasted range.
+ * @param {string[]} items - Names of the compared items, in matrix order.
+ * @param {string} scaleId - The judgment scale the numbers are on.
+ * @returns {(number|null)[][]} The matrix of stored judgments.
+ * @throws {Error} If the block does not fit the items or is not a valid pairwise matrix.
+ */
+export const parseMatrix = (text, items, scaleId) => {
+    let rows = parseDelimited(text);
+    const n = items.length;
+    const hasHeader = rows.length === n + 1 && rows[0].slice(rows[0].length - n).every(label => items.includes(label));
+    if (!hasHeader) {
+        const labelled = rows.length === n && rows.every(row => row.length === n + 1 && items.includes(row[0]));
+        return toJudgmentMatrix(labelled ? rows.map(row => row.slice(1)) : rows, items, scaleId);
+    }
+    const header = rows[0].slice(rows[0].length - n);
+    rows = rows.slice(1);
+    const rowLabels = rows.map(row => row[0]);
+    const missing = items.find(item => !header.includes(item) || !rowLabels.includes(item));
+    if (missing) throw new Error(`"${missing}" is missing from the matrix labels.`);
+    const cells = rows.map(row => row.slice(1));
+    const ordered = items.map(rowItem => items.map(colItem => cells[rowLabels.indexOf(rowItem)]?.[header.indexOf(colItem)]));
+    return toJudgmentMatrix(ordered, items, scaleId);
+};
+
+/**
+ * Reads the criteria of an interchange document.
+ * @param {*} nodes - The claimed list of { name, children? }.
+ * @param {string} where - Path used in error messages.
+ * @returns {Array} Criteria with fresh ids.
+ */
+const readInterchangeCriteria = (nodes, where) => {
+    if (!Array.isArray(nodes)) throw new Error(`Invalid interchange file: ${where} must be a list of criteria.`);
+    const names = new Set();
+    return nodes.map((node, index) => {
+        if (!node || typeof node.name !== 'string' || node.name.trim() === '') throw new Error(`Invalid interchange file: ${where}[${index}] needs a name.`);
+        // Names are compared as they will be stored, so "Cost" and "Cost " count as the same criterion
+        const name = node.name.trim();
+        if (names.has(name)) throw new Error(`Invalid interchange file: "${name}" appears twice under ${where}.`);
+        names.add(name);
+        return { ...createCriterion(name), children: readInterchangeCriteria(node.children ?? [], `${where} › ${name}`) };
+    });
+};
+
+/**
+ * Converts an interchange document into a project document, which validateProject then checks
+ * and completes like any saved project.
+ * @param {object} data - The parsed interchange JSON.
+ * @returns {object} A project document with one participant holding the imported judgments.
+ * @throws {Error} If the document is not valid.
+ */
+export const interchangeToProject = (data) => {
+    if (data.version !== INTERCHANGE_VERSION) throw new Error(`Invalid interchange file: version ${data.version} is not supported (expected ${INTERCHANGE_VERSION}).`);
+    const scaleId = data.judgmentScale ?? DEFAULT_JUDGMENT_SCALE;
+    if (!JUDGMENT_SCALES.some(s => s.value === scaleId)) throw new Error(`Invalid interchange file: unknown judgment scale "${scaleId}".`);
+    const criteria = readInterchangeCriteria(data.criteria, 'criteria');
+    if (!Array.isArray(data.alternatives) || data.alternatives.some(a => typeof a !== 'string' || a.trim() === '')) {
+        throw new Error('Invalid interchange file: alternatives must be a list of names.');
+    }
+    const alternatives = data.alternatives.map(name => createAlternative(name.trim()));
+
+    const pathOf = (node) => (node.id === GOAL_ID ? 'Goal' : node.path.join(INTERCHANGE_PATH_SEPARATOR));
+    const readMatrices = (section, nodes, itemsOf) => {
+        const matrices = data[section] ?? {};
+        const known = new Set(nodes.map(pathOf));
+        const unknown = Object.keys(matrices).find(key => !known.has(key));
+        if (unknown) throw new Error(`Invalid interchange file: ${section} has a matrix for unknown criterion "${unknown}".`);
+        return Object.fromEntries(nodes.filter(node => matrices[pathOf(node)] !== undefined).map(node => {
+            const items = itemsOf(node);
+            try {
+                return [node.id, { ids: items.map(item => item.id), matrix: toJudgmentMatrix(matrices[pathOf(node)], items.map(item => item.name), scaleId) }];
+            } catch (error) {
+                throw new Error(`Invalid interchange file: in the matrix for "${pathOf(node)}": ${error.message}`);
+            }
+        }));
+    };
+    const participant = createParticipant('Participant 1');
+
+    return {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        name: typeof data.name === 'string' ? data.name : 'Imported Project',
+        model: {
+            criteria,
+            alternatives,
+            participants: [participant],
+            judgments: {
+                [participant.id]: {
+                    criteriaComparisons: readMatrices('criteriaMatrices', getParentNodes(criteria), node => node.children),
+                    alternativeComparisons: readMatrices('alternativeMatrices', getLeaves(criteria), () => alternatives),
+                },
+            },
+            judgmentScale: scaleId,
+        },
+    };
+};
+
+/**
+ * Parses a model file for "Import JSON": either a saved project or an interchange document.
+ * @param {string} json - The file contents.
+ * @returns {{name: string, model: object}} See validateProject.
+ * @throws {Error} If the text is not JSON or not a valid project or interchange document.
+ */
+export const parseModelFile = (json) => {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        throw new Error(`Invalid project file: it is not valid JSON (${error.message}).`);
+    }
+    return validateProject(data?.format === INTERCHANGE_FORMAT ? interchangeToProject(data) : data);
+};
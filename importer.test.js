@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import { MISSING_JUDGMENT } from './ahp.js';
+import {
+    INTERCHANGE_FORMAT, INTERCHANGE_VERSION, parseDelimited, parseNameList, parseCriteriaPaths, toJudgmentMatrix, parseMatrix,
+    interchangeToProject,
+} from './importer.js';
+import { ALTERNATIVES } from './testHelpers.js';
+
+// Lists and matrices are imported for the names A, B and C, or for just A and B
+const NAMES = ALTERNATIVES.map(alt => alt.name);
+const PAIR = NAMES.slice(0, 2);
+
+describe('delimited text', () => {
+    it('splits a pasted spreadsheet range on tabs', () => {
+        expect(parseDelimited('Name\tNote\nA\t1')).toEqual([['Name', 'Note'], ['A', '1']]);
+    });
+
+    it('splits on semicolons so decimal commas stay in their cells', () => {
+        expect(parseDelimited('1;0,5\n2;1')).toEqual([['1', '0,5'], ['2', '1']]);
+    });
+
+    it('keeps delimiters and doubled quotes inside quoted cells', () => {
+        expect(parseDelimited('name,note\n"Smith, J","say ""hi"""')).toEqual([['name', 'note'], ['Smith, J', 'say "hi"']]);
+    });
+
+    it('trims cells and skips blank lines, with either line ending', () => {
+        expect(parseDelimited(' A \r\n\r\n,\nB\n')).toEqual([['A'], ['B']]);
+    });
+});
+
+describe('name lists', () => {
+    it('read the first column of every row', () => {
+        expect(parseNameList('A\nB,ignored\n\nC', 'alternative')).toEqual(NAMES);
+    });
+
+    it.each([
+        ['an empty list', '\n', 'No alternative names found. Put one name per line.'],
+        ['a repeated name', 'A\nB\nA', 'The alternative "A" is listed more than once.'],
+    ])('reject %s', (_, text, message) => {
+        expect(() => parseNameList(text, 'alternative')).toThrow(message);
+    });
+});
+
+describe('criteria paths', () => {
+    it('list every criterion once, parents first, repeating empty leading cells from the row above', () => {
+        expect(parseCriteriaPaths('Cost,Purchase\n,Running\nQuality')).toEqual([
+            ['Cost'], ['Cost', 'Purchase'], ['Cost', 'Running'], ['Quality'],
+        ]);
+    });
+
+    it.each([
+        ['a sub-criterion with no parent above it', ',Purchase', 'The row ", Purchase" has an empty cell with nothing above it to repeat.'],
+        ['an empty outline', '\n\n', 'No criteria names found.'],
+    ])('reject %s', (_, text, message) => {
+        expect(() => parseCriteriaPaths(text)).toThrow(message);
+    });
+});
+
+describe('judgment matrices', () => {
+    it('read whole numbers, fractions and decimal commas', () => {
+        expect(toJudgmentMatrix([['1', '3', '1/5'], ['1/3', '1', '0,5'], ['5', '2', '1']], NAMES, 'saaty'))
+            .toEqual([[1, 3, 1 / 5], [1 / 3, 1, 1 / 2], [5, 2, 1]]);
+    });
+
+    it('complete pairs judged in one direction with the reciprocal and leave unjudged pairs empty', () => {
+        expect(toJudgmentMatrix([[1, 3, ''], ['', 1, ''], ['', 4, 1]], NAMES, 'saaty'))
+            .toEqual([[1, 3, MISSING_JUDGMENT], [1 / 3, 1, 1 / 4], [MISSING_JUDGMENT, 4, 1]]);
+    });
+
+    it('accept reciprocals rounded as spreadsheets show them', () => {
+        expect(toJudgmentMatrix([['1', '3'], ['0.333', '1']], PAIR, 'saaty')).toEqual([[1, 3], [1 / 3, 1]]);
+    });
+
+    it.each([
+        ['a pair that is not reciprocal', [[1, 3], [2, 1]], '"A" vs "B" is 3 but "B" vs "A" is 2; they must be reciprocals (a × b = 1).'],
+        ['a negative entry', [[1, '-2'], ['', 1]], 'The entry in row "A", column "B" must be a positive number, not "-2".'],
+        ['an entry that is not a number', [[1, 'much'], ['', 1]], 'The entry in row "A", column "B" must be a positive number, not "much".'],
+        ['a diagonal entry other than 1', [[2, 3], [1 / 3, 1]], 'The diagonal entry for "A" must be 1, not 2.'],
+        ['a matrix of the wrong size', [[1, 3, 5], [1 / 3, 1, 2]], 'The matrix must be 2 × 2 to compare A, B, but it is 2 × 3.'],
+    ])('reject %s', (_, cells, message) => {
+        expect(() => toJudgmentMatrix(cells, PAIR, 'saaty')).toThrow(message);
+    });
+});
+
+describe('pasted matrices', () => {
+    it('reorder labelled rows and columns to match the items', () => {
+        const text = ',C,A,B\nB,2,1/3,1\nC,1,1/5,1/2\nA,5,1,3';
+        expect(parseMatrix(text, NAMES, 'saaty')).toEqual([[1, 3, 5], [1 / 3, 1, 2], [1 / 5, 1 / 2, 1]]);
+    });
+
+    it('read a block with only row labels, or just the numbers', () => {
+        expect(parseMatrix('A,1,3\nB,1/3,1', PAIR, 'saaty')).toEqual([[1, 3], [1 / 3, 1]]);
+        expect(parseMatrix('1\t3\n1/3\t1', PAIR, 'saaty')).toEqual([[1, 3], [1 / 3, 1]]);
+    });
+
+    it('reject labels that leave out an item', () => {
+        expect(() => parseMatrix(',A,B\nA,1,3\nX,1/3,1', PAIR, 'saaty')).toThrow('"B" is missing from the matrix labels.');
+    });
+
+    it('reject a block that does not fit the items', () => {
+        expect(() => parseMatrix('1,3\n1/3,1', NAMES, 'saaty')).toThrow('The matrix must be 3 × 3 to compare A, B, C, but it is 2 × 2.');
+    });
+});
+
+/**
+ * A minimal interchange document.
+ * @param {Array} criteria - The criteria as { name, children? }.
+ * @returns {object} The document.
+ */
+const interchange = (criteria) => ({ format: INTERCHANGE_FORMAT, version: INTERCHANGE_VERSION, criteria, alternatives: ['A', 'B'] });
+
+describe('interchange criteria', () => {
+    it('stores names trimmed', () => {
+        const { model } = interchangeToProject(interchange([{ name: ' Cost ', children: [{ name: 'Price ' }] }]));
+        expect(model.criteria[0].name).toBe('Cost');
+        expect(model.criteria[0].children[0].name).toBe('Price');
+    });
+
+    it('rejects names that only differ by surrounding spaces', () => {
+        expect(() => interchangeToProject(interchange([{ name: 'Cost' }, { name: 'Cost ' }]))).toThrow('"Cost" appears twice under criteria');
+    });
+
+    it('rejects such duplicates among sub-criteria too', () => {
+        expect(() => interchangeToProject(interchange([{ name: 'Cost', children: [{ name: ' Price' }, { name: 'Price' }] }])))
+            .toThrow('"Price" appears twice under criteria › Cost');
+    });
+});
@@ -0,0 +1,51 @@
+// incomplete.js
+// Progress tracking for partially filled pairwise matrices. The engine (ahp.js) estimates
+// priorities from any matrix whose comparison graph is connected; these helpers tell the user how
+// far along a matrix is and which comparison would help most next.
+import { MISSING_JUDGMENT, findComparisonComponents } from './ahp.js';
+
+/**
+ * Summarizes how much of a matrix has been judged.
+ * @param {(number|null)[][]} matrix - The pairwise comparison matrix.
+ * @returns {{judged: number, total: number, missing: {i: number, j: number}[], components: number[][], connected: boolean}}
+ * Counts of judged and total comparisons, the missing upper-triangle cells, and the groups of
+ * items linked by judgments (priorities can be estimated once there is a single group).
+ */
+export const summarizeJudgments = (matrix) => {
+    const n = matrix.length;
+    const missing = [];
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            if (matrix[i][j] === MISSING_JUDGMENT) missing.push({ i, j });
+        }
+    }
+    const total = n * (n - 1) / 2;
+    const components = findComparisonComponents(matrix);
+    return { judged: total - missing.length, total, missing, components, connected: components.length <= 1 };
+};
+
+/**
+ * Picks the missing comparison to ask next. While the items fall apart into unlinked groups, only
+ * pairs that join two groups are considered, since nothing can be estimated before that. Among the
+ * candidates, the pair whose items have been compared least often wins: their priorities rest on
+ * the fewest judgments, so one more answer there tells us the most.
+ * @param {(number|null)[][]} matrix - The pairwise comparison matrix.
+ * @returns {{i: number, j: number}|null} The suggested upper-triangle cell, or null if the matrix is complete.
+ */
+export const suggestNextComparison = (matrix) => {
+    const { missing, components } = summarizeJudgments(matrix);
+    if (missing.length === 0) return null;
+
+    const componentOf = [];
+    components.forEach((members, c) => members.forEach(i => { componentOf[i] = c; }));
+    const judgedCount = matrix.map((row, i) => row.filter((value, j) => j !== i && value !== MISSING_JUDGMENT).length);
+
+    const candidates = components.length > 1
+        ? missing.filter(({ i, j }) => componentOf[i] !== componentOf[j])
+        : missing;
+    return candidates.reduce((best, cell) => {
+        const load = judgedCount[cell.i] + judgedCount[cell.j];
+        const bestLoad = judgedCount[best.i] + judgedCount[best.j];
+        return load < bestLoad ? cell : best;
+    });
+};
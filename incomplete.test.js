@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { MISSING_JUDGMENT } from './ahp.js';
+import { summarizeJudgments, suggestNextComparison } from './incomplete.js';
+
+/**
+ * A reciprocal matrix with only the given comparisons judged, each as 2.
+ * @param {number} n - The number of items.
+ * @param {number[][]} pairs - The judged [i, j] pairs.
+ * @returns {(number|null)[][]} The matrix.
+ */
+const judged = (n, pairs) => {
+    const matrix = Array(n).fill(null).map((_, i) => Array(n).fill(null).map((__, j) => (i === j ? 1 : MISSING_JUDGMENT)));
+    pairs.forEach(([i, j]) => {
+        matrix[i][j] = 2;
+        matrix[j][i] = 1 / 2;
+    });
+    return matrix;
+};
+
+describe('judgment progress', () => {
+    it('counts the judged comparisons and lists the missing ones', () => {
+        const summary = summarizeJudgments(judged(4, [[0, 1], [1, 2], [2, 3]]));
+        expect(summary).toMatchObject({ judged: 3, total: 6, connected: true });
+        expect(summary.missing).toEqual([{ i: 0, j: 2 }, { i: 0, j: 3 }, { i: 1, j: 3 }]);
+        expect(summary.components).toEqual([[0, 1, 2, 3]]);
+    });
+
+    it('groups the items that are linked by judgments', () => {
+        const summary = summarizeJudgments(judged(4, [[0, 1], [2, 3]]));
+        expect(summary.connected).toBe(false);
+        expect(summary.components).toEqual([[0, 1], [2, 3]]);
+    });
+});
+
+describe('next comparison', () => {
+    it('joins unlinked groups first', () => {
+        // (1, 2) inside {0, 1, 2, 3} involves the least compared items, but priorities can only be estimated
+        // once a pair links that group to {4, 5, 6}
+        expect(suggestNextComparison(judged(7, [[0, 1], [0, 2], [0, 3], [4, 5], [4, 6], [5, 6]]))).toEqual({ i: 1, j: 4 });
+    });
+
+    it('asks about the items compared least often', () => {
+        // Item 0 has four comparisons, 1 has three, 2 and 3 two, and 4 one
+        expect(suggestNextComparison(judged(5, [[0, 1], [0, 2], [0, 3], [0, 4], [1, 2], [1, 3]]))).toEqual({ i: 2, j: 4 });
+    });
+
+    it('has nothing to ask once the matrix is complete', () => {
+        expect(suggestNextComparison(judged(3, [[0, 1], [0, 2], [1, 2]]))).toBeNull();
+    });
+});
@@ -0,0 +1,87 @@
+// judgment.js
+// Helpers for entering and showing single pairwise judgments. A judgment is stored as the
+// matrix value a[i][j] ("row item over column item"); the input widgets instead show a balance
+// that tips towards whichever item is more important, with the verbal label of its intensity.
+import { MISSING_JUDGMENT } from './ahp.js';
+
+// The widgets for entering a matrix; all of them edit the same judgments
+export const JUDGMENT_INPUTS = [
+    { value: 'grid', label: 'Grid' },
+    { value: 'slider', label: 'Balance sliders' },
+    { value: 'questionnaire', label: 'One pair at a time' },
+    { value: 'compact', label: 'Compact matrix' },
+];
+
+/**
+ * Formats a judgment value for display, showing reciprocals as fractions.
+ * @param {number} value - The judgment.
+ * @returns {string} e.g. "5" or "1/3".
+ */
+export const formatJudgment = (value) => {
+    if (value >= 1) return Number.isInteger(value) ? String(value) : value.toFixed(2);
+    const inverse = 1 / value;
+    return Number.isInteger(Math.round(inverse * 1e6) / 1e6) ? `1/${Math.round(inverse)}` : value.toFixed(2);
+};
+
+/**
+ * Lists every judgment a pair can take, in both directions: from the top of the scale for the row
+ * item, through "equal", to the top of the scale for the column item.
+ * @param {{value: number, label: string, score: number}[]} scale - The judgment scale, from "equal" upwards.
+ * @returns {{value: number, label: string, score: number, favours: string}[]} The stored judgment
+ * a[i][j], its verbal label, the number the calculation uses, and 'row', 'column' or 'none'.
+ */
+export const listJudgmentChoices = (scale) => [
+    ...scale.slice(1).reverse().map(option => ({ ...option, favours: 'row' })),
+    { ...scale[0], favours: 'none' },
+    ...scale.slice(1).map(option => ({ value: 1 / option.value, label: option.label, score: 1 / option.score, favours: 'column' })),
+];
+
+/**
+ * Finds the scale step closest to an intensity, comparing on a log scale so that e.g. 2.9 maps to 3.
+ * @param {number} intensity - An intensity of 1 or more.
+ * @param {{value: number, label: string}[]} scale - The judgment scale, from "equal" upwards.
+ * @returns {number} The index of the closest step.
+ */
+const closestStep = (intensity, scale) => scale.reduce((best, option, index) => (
+    Math.abs(Math.log(option.value / intensity)) < Math.abs(Math.log(scale[best].value / intensity)) ? index : best
+), 0);
+
+/**
+ * Converts a judgment to a balance position. Negative positions favour the row item, positive
+ * ones the column item, and 0 is "equal"; the magnitude is the step on the scale.
+ * @param {number|null} value - The judgment a[i][j], or MISSING_JUDGMENT.
+ * @param {{value: number, label: string}[]} scale - The judgment scale, from "equal" upwards.
+ * @returns {number} The balance position, 0 for a missing judgment.
+ */
+export const judgmentToBalance = (value, scale) => {
+    if (value === MISSING_JUDGMENT) return 0;
+    return value >= 1 ? -closestStep(value, scale) : closestStep(1 / value, scale);
+};
+
+/**
+ * Converts a balance position back to the judgment a[i][j].
+ * @param {number} position - The balance position, see judgmentToBalance.
+ * @param {{value: number, label: string}[]} scale - The judgment scale, from "equal" upwards.
+ * @returns {number} The judgment.
+ */
+export const balanceToJudgment = (position, scale) => {
+    const intensity = scale[Math.min(Math.abs(position), scale.length - 1)].value;
+    return position > 0 ? 1 / intensity : intensity;
+};
+
+/**
+ * Describes a judgment in words, naming the item it favours.
+ * @param {number|null} value - The judgment a[i][j], or MISSING_JUDGMENT.
+ * @param {{value: number, label: string}[]} scale - The judgment scale, from "equal" upwards.
+ * @param {string} rowItem - The row item's name.
+ * @param {string} colItem - The column item's name.
+ * @returns {string} e.g. "Cost is Moderately Important compared with Risk".
+ */
+export const describeJudgment = (value, scale, rowItem, colItem) => {
+    if (value === MISSING_JUDGMENT) return 'Not judged yet';
+    const position = judgmentToBalance(value, scale);
+    if (position === 0) return `${rowItem} and ${colItem} are ${scale[0].label}`;
+    const [winner, loser] = position < 0 ? [rowItem, colItem] : [colItem, rowItem];
+    return `${winner} is ${scale[Math.abs(position)].label} compared with ${loser}`;
+};
+
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { MISSING_JUDGMENT } from './ahp.js';
+import { getScaleOptions } from './scales.js';
+import { JUDGMENT_INPUTS, formatJudgment, listJudgmentChoices, judgmentToBalance, balanceToJudgment, describeJudgment } from './judgment.js';
+
+const SAATY = getScaleOptions('saaty');
+const REDUCED = getScaleOptions('reduced');
+
+describe('judgment inputs', () => {
+    it('offer each widget once, starting with the grid', () => {
+        const values = JUDGMENT_INPUTS.map(input => input.value);
+        expect(values[0]).toBe('grid');
+        expect(new Set(values).size).toBe(values.length);
+    });
+});
+
+describe('showing judgments', () => {
+    it.each([
+        [5, '5'],
+        [1, '1'],
+        [1 / 3, '1/3'],
+        [2.5, '2.50'],
+        [0.4, '0.40'],
+    ])('formats %d as %s', (value, text) => {
+        expect(formatJudgment(value)).toBe(text);
+    });
+
+    it('lists every choice from the row item\'s strongest through "equal" to the column item\'s', () => {
+        const choices = listJudgmentChoices(REDUCED);
+        expect(choices.map(choice => choice.value)).toEqual([9, 7, 5, 3, 1, 1 / 3, 1 / 5, 1 / 7, 1 / 9]);
+        expect(choices.map(choice => choice.favours)).toEqual([...Array(4).fill('row'), 'none', ...Array(4).fill('column')]);
+        expect(choices[5]).toEqual({ value: 1 / 3, label: 'Moderately Important', score: 1 / 2, favours: 'column' });
+    });
+
+    it.each([
+        [5, 'Cost is Strongly Important compared with Risk'],
+        [1 / 3, 'Risk is Moderately Important compared with Cost'],
+        [1, 'Cost and Risk are Equally Important'],
+        [MISSING_JUDGMENT, 'Not judged yet'],
+    ])('describes %s in words', (value, text) => {
+        expect(describeJudgment(value, SAATY, 'Cost', 'Risk')).toBe(text);
+    });
+});
+
+describe('balance positions', () => {
+    it('tip towards the row item for judgments above 1 and the column item below it', () => {
+        expect(judgmentToBalance(5, SAATY)).toBe(-4);
+        expect(judgmentToBalance(1 / 5, SAATY)).toBe(4);
+        // "Equal" may come out as -0, which the slider shows as 0
+        expect(judgmentToBalance(1, SAATY)).toBeCloseTo(0, 10);
+        expect(judgmentToBalance(MISSING_JUDGMENT, SAATY)).toBeCloseTo(0, 10);
+    });
+
+    it('round judgments between steps to the closest one on a log scale', () => {
+        // On the reduced scale 4 is closer to 5 than to 3 (5/4 < 4/3)
+        expect(judgmentToBalance(4, REDUCED)).toBe(-2);
+        expect(judgmentToBalance(1 / 2.9, REDUCED)).toBe(1);
+    });
+
+    it('map back to the judgment, stopping at the top of the scale', () => {
+        SAATY.forEach((_, step) => {
+            expect(judgmentToBalance(balanceToJudgment(-step, SAATY), SAATY)).toBeCloseTo(-step, 10);
+            expect(judgmentToBalance(balanceToJudgment(step, SAATY), SAATY)).toBeCloseTo(step, 10);
+        });
+        expect(balanceToJudgment(3, REDUCED)).toBe(1 / 7);
+        expect(balanceToJudgment(-10, REDUCED)).toBe(9);
+    });
+});
@@ -3,14 +3,36 @@ import './index.css'; // Or whatever your main CSS file is named, and its correc
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './app.jsx'; // Assuming app.jsx is in the same directory as main.jsx
+import { readShareHash, isShareHash, clearShareHash } from './share.js';
 
 // Get the root DOM element from index.html
 const rootElement = document.getElementById('root');
 
 // Create a root and render your App component into it
 // React.StrictMode is good practice for highlighting potential problems
-ReactDOM.createRoot(rootElement).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
\ No newline at end of file
+const renderApp = (sharedLink) => {
+  ReactDOM.createRoot(rootElement).render(
+    <React.StrictMode>
+      <App sharedLink={sharedLink} />
+    </React.StrictMode>
+  );
+};
+
+// A share link in the URL hash is decoded before the first render, so the app starts with the shared
+// model instead of the autosaved session. Editable links are then removed from the address bar; read-only
+// links stay, so reloading shows the same results.
+readShareHash(window.location.hash).then(
+  (sharedLink) => {
+    if (sharedLink && !sharedLink.readOnly) clearShareHash();
+    renderApp(sharedLink);
+  },
+  (error) => {
+    clearShareHash();
+    renderApp({ error: error.message });
+  },
+);
+
+// Pasting another share link into the address bar only changes the hash, so reload to open it
+window.addEventListener('hashchange', () => {
+  if (isShareHash(window.location.hash)) window.location.reload();
+});
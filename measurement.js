@@ -0,0 +1,203 @@
+// measurement.js
+// Direct data entry for measurable leaf criteria (price, fuel consumption, ...). Instead of
+// judging alternatives pairwise, the user enters one raw value per alternative and the local
+// priorities are derived from those values by a normalization that respects the criterion's
+// direction (benefit: more is better, cost: less is better).
+import { getLeaves } from './hierarchy.js';
+
+export const DATA_DIRECTIONS = [
+    { value: 'benefit', label: 'Benefit (more is better)' },
+    { value: 'cost', label: 'Cost (less is better)' },
+];
+
+// 'proportional' and 'inverse' keep the ratios of the values, so they need positive values and
+// each belongs to one direction. Min–max and the value function work for either direction.
+export const NORMALIZATIONS = [
+    { value: 'proportional', label: 'Proportional (v / Σv)', directions: ['benefit'] },
+    { value: 'inverse', label: 'Inverse ((1/v) / Σ(1/v))', directions: ['cost'] },
+    { value: 'minMax', label: 'Linear min–max', directions: ['benefit', 'cost'] },
+    { value: 'valueFunction', label: 'Custom value function', directions: ['benefit', 'cost'] },
+];
+
+/**
+ * Creates the data settings of a leaf criterion. Values start empty and are keyed by alternative id.
+ * @param {string} [direction] - 'benefit' or 'cost'.
+ * @returns {{enabled: boolean, direction: string, normalization: string, values: object, curve: {x: number, y: number}[]}}
+ */
+export const createDataCriterion = (direction = 'benefit') => ({
+    enabled: true,
+    direction,
+    normalization: direction === 'cost' ? 'inverse' : 'proportional',
+    values: {},
+    curve: [],
+});
+
+/**
+ * Changes the direction of a data criterion, switching between the proportional and inverse
+ * normalizations so the normalization always matches the direction.
+ * @param {object} dataCriterion - The data settings.
+ * @param {string} direction - 'benefit' or 'cost'.
+ * @returns {object} The updated settings.
+ */
+export const setDataDirection = (dataCriterion, direction) => {
+    const normalization = NORMALIZATIONS.find(n => n.value === dataCriterion.normalization);
+    return {
+        ...dataCriterion,
+        direction,
+        normalization: normalization.directions.includes(direction)
+            ? dataCriterion.normalization
+            : (direction === 'cost' ? 'inverse' : 'proportional'),
+    };
+};
+
+/**
+ * A straight value function from the worst to the best measured value, used as the starting
+ * point when the user switches to a custom curve.
+ * @param {number[]} values - The measured values.
+ * @param {string} direction - 'benefit' or 'cost'.
+ * @returns {{x: number, y: number}[]} Two curve points.
+ */
+export const defaultValueCurve = (values, direction) => {
+    const min = values.length > 0 ? Math.min(...values) : 0;
+    const max = values.length > 0 ? Math.max(...values) : 1;
+    return direction === 'cost'
+        ? [{ x: min, y: 1 }, { x: max, y: 0 }]
+        : [{ x: min, y: 0 }, { x: max, y: 1 }];
+};
+
+/**
+ * Evaluates a piecewise-linear value function. Values outside the curve take the nearest end value.
+ * @param {{x: number, y: number}[]} curve - The curve points, in any order.
+ * @param {number} value - The measured value.
+ * @returns {number} The value score.
+ */
+export const evaluateValueFunction = (curve, value) => {
+    const points = [...curve].sort((a, b) => a.x - b.x);
+    if (points.length === 0) return 0;
+    if (value <= points[0].x) return points[0].y;
+    if (value >= points[points.length - 1].x) return points[points.length - 1].y;
+    for (let k = 1; k < points.length; k++) {
+        const left = points[k - 1];
+        const right = points[k];
+        if (value <= right.x) {
+            return right.x === left.x ? right.y : left.y + (right.y - left.y) * (value - left.x) / (right.x - left.x);
+        }
+    }
+    return points[points.length - 1].y;
+};
+
+/**
+ * Checks that a data criterion can be turned into priorities.
+ * @param {object} dataCriterion - The data settings.
+ * @param {{id: string, name: string}[]} alternatives - The alternatives.
+ * @returns {string|null} What is wrong, or null if the data is usable.
+ */
+export const validateDataCriterion = (dataCriterion, alternatives) => {
+    const missing = alternatives.filter(alt => !Number.isFinite(dataCriterion.values[alt.id]));
+    if (missing.length > 0) return `no value has been entered for "${missing[0].name}"`;
+    const ratioScale = dataCriterion.normalization === 'proportional' || dataCriterion.normalization === 'inverse';
+    if (ratioScale && alternatives.some(alt => dataCriterion.values[alt.id] <= 0)) {
+        return 'proportional and inverse normalization need positive values; use min–max or a value function instead';
+    }
+    if (dataCriterion.normalization === 'valueFunction') {
+        if (dataCriterion.curve.length < 2) return 'the value function needs at least two points';
+        if (dataCriterion.curve.some(p => !Number.isFinite(p.x) || !Number.isFinite(p.y) || p.y < 0)) {
+            return 'value function points need numbers, with scores of 0 or more';
+        }
+    }
+    return null;
+};
+
+/**
+ * Derives local priorities (summing to 1) from measured values.
+ * If every alternative scores 0, the priorities are split evenly.
+ * @param {object} dataCriterion - The data settings; see validateDataCriterion.
+ * @param {{id: string}[]} alternatives - The alternatives.
+ * @returns {number[]} One priority per alternative.
+ */
+export const calculateDataPriorities = (dataCriterion, alternatives) => {
+    const { direction, normalization, curve } = dataCriterion;
+    const values = alternatives.map(alt => dataCriterion.values[alt.id]);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+
+    let scores;
+    switch (normalization) {
+        case 'proportional':
+            scores = values;
+            break;
+        case 'inverse':
+            scores = values.map(v => 1 / v);
+            break;
+        case 'minMax':
+            // The worst alternative scores 0; with no spread every alternative is equally good
+            scores = values.map(v => (max === min ? 1 : (direction === 'cost' ? max - v : v - min) / (max - min)));
+            break;
+        case 'valueFunction':
+            scores = values.map(v => evaluateValueFunction(curve, v));
+            break;
+        default:
+            throw new Error(`Unknown normalization: ${normalization}`);
+    }
+
+    const total = scores.reduce((sum, s) => sum + s, 0);
+    return total > 0 ? scores.map(s => s / total) : alternatives.map(() => 1 / alternatives.length);
+};
+
+/**
+ * Lists the leaf criteria that are evaluated from data.
+ * @param {Array} tree - The top-level criteria.
+ * @param {Object.<string, object>} dataCriteria - Data settings keyed by leaf id.
+ * @returns {object[]} The leaves (with path) whose data settings are enabled.
+ */
+export const getDataLeaves = (tree, dataCriteria) => getLeaves(tree).filter(leaf => dataCriteria[leaf.id]?.enabled);
+
+/**
+ * Drops data settings of criteria that are no longer leaves, and values of removed alternatives.
+ * @param {Array} tree - The top-level criteria.
+ * @param {{id: string}[]} alternatives - The alternatives.
+ * @param {Object.<string, object>} prevDataCriteria - Data settings keyed by leaf id.
+ * @returns {Object.<string, object>} The synchronized settings.
+ */
+export const syncDataCriteria = (tree, alternatives, prevDataCriteria) => {
+    const dataCriteria = {};
+    getLeaves(tree).forEach(leaf => {
+        const prev = prevDataCriteria[leaf.id];
+        if (!prev) return;
+        const values = {};
+        alternatives.forEach(alt => {
+            if (Number.isFinite(prev.values[alt.id])) values[alt.id] = prev.values[alt.id];
+        });
+        dataCriteria[leaf.id] = { ...prev, values };
+    });
+    return dataCriteria;
+};
+
+/**
+ * Replaces the alternative priorities of data-driven leaves in a synthesis and re-scores it.
+ * Data-driven leaves have no judgments, so their consistency ratio is 0.
+ * @param {Array} tree - The top-level criteria.
+ * @param {{id: string}[]} alternatives - The alternatives.
+ * @param {object} synthesis - Output of synthesizeHierarchy or synthesizeRatings.
+ * @param {Object.<string, object>} dataCriteria - Data settings keyed by leaf id, all valid.
+ * @param {{idealize?: boolean}} [options] - Divide by the best priority, to match ratings mode.
+ * @returns {object} The synthesis with the data priorities applied.
+ */
+export const applyDataCriteria = (tree, alternatives, synthesis, dataCriteria, options = {}) => {
+    const alternativeWeights = { ...synthesis.alternativeWeights };
+    const alternativeConsistencyRatios = { ...synthesis.alternativeConsistencyRatios };
+    getDataLeaves(tree, dataCriteria).forEach(leaf => {
+        const priorities = calculateDataPriorities(dataCriteria[leaf.id], alternatives);
+        const best = Math.max(...priorities);
+        alternativeWeights[leaf.id] = options.idealize && best > 0 ? priorities.map(p => p / best) : priorities;
+        alternativeConsistencyRatios[leaf.id] = 0;
+    });
+
+    const scores = Array(alternatives.length).fill(0);
+    getLeaves(tree).forEach(leaf => {
+        alternativeWeights[leaf.id].forEach((priority, altIndex) => {
+            scores[altIndex] += priority * synthesis.globalWeights[leaf.id];
+        });
+    });
+    return { ...synthesis, alternativeWeights, alternativeConsistencyRatios, scores };
+};
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import {
+    createDataCriterion, setDataDirection, defaultValueCurve, evaluateValueFunction, validateDataCriterion,
+    calculateDataPriorities, syncDataCriteria, applyDataCriteria,
+} from './measurement.js';
+import { ALTERNATIVES, criterion, expectClose } from './testHelpers.js';
+
+/**
+ * Data settings with values for a, b and c.
+ * @param {number[]} values - The values of a, b and c.
+ * @param {object} [settings] - Direction, normalization or curve.
+ * @returns {object} The data settings.
+ */
+const measured = (values, settings = {}) => ({
+    ...createDataCriterion(settings.direction),
+    ...settings,
+    values: Object.fromEntries(ALTERNATIVES.map((alt, k) => [alt.id, values[k]])),
+});
+
+describe('normalizations', () => {
+    it.each([
+        ['proportional for a benefit', [1, 2, 5], {}, [0.125, 0.25, 0.625]],
+        ['inverse for a cost', [1, 2, 4], { direction: 'cost' }, [4 / 7, 2 / 7, 1 / 7]],
+        ['min–max for a benefit', [10, 20, 40], { normalization: 'minMax' }, [0, 1 / 4, 3 / 4]],
+        ['min–max for a cost', [10, 20, 40], { direction: 'cost', normalization: 'minMax' }, [0.6, 0.4, 0]],
+        ['min–max without spread as equal', [7, 7, 7], { normalization: 'minMax' }, [1 / 3, 1 / 3, 1 / 3]],
+        ['a value function', [0, 5, 20], { normalization: 'valueFunction', curve: [{ x: 0, y: 0 }, { x: 10, y: 1 }] }, [0, 1 / 3, 2 / 3]],
+        ['all-zero scores as equal', [0, 0, 0], { normalization: 'valueFunction', curve: [{ x: 0, y: 0 }, { x: 1, y: 1 }] }, [1 / 3, 1 / 3, 1 / 3]],
+    ])('derives priorities %s', (_, values, settings, expected) => {
+        expectClose(calculateDataPriorities(measured(values, settings), ALTERNATIVES), expected);
+    });
+
+    it('switches between proportional and inverse with the direction, keeping the others', () => {
+        expect(setDataDirection(createDataCriterion(), 'cost').normalization).toBe('inverse');
+        expect(setDataDirection(createDataCriterion('cost'), 'benefit').normalization).toBe('proportional');
+        expect(setDataDirection({ ...createDataCriterion(), normalization: 'minMax' }, 'cost').normalization).toBe('minMax');
+    });
+});
+
+describe('value functions', () => {
+    it('interpolate between points in any order and hold the end values outside them', () => {
+        const curve = [{ x: 10, y: 1 }, { x: 0, y: 0 }, { x: 5, y: 0.8 }];
+        expect(evaluateValueFunction(curve, 2.5)).toBeCloseTo(0.4, 10);
+        expect(evaluateValueFunction(curve, 7.5)).toBeCloseTo(0.9, 10);
+        expect(evaluateValueFunction(curve, -3)).toBe(0);
+        expect(evaluateValueFunction(curve, 12)).toBe(1);
+        expect(evaluateValueFunction([], 3)).toBe(0);
+    });
+
+    it('start as a straight line from the worst to the best value', () => {
+        expect(defaultValueCurve([3, 9, 5], 'benefit')).toEqual([{ x: 3, y: 0 }, { x: 9, y: 1 }]);
+        expect(defaultValueCurve([3, 9, 5], 'cost')).toEqual([{ x: 3, y: 1 }, { x: 9, y: 0 }]);
+    });
+});
+
+describe('validation', () => {
+    it.each([
+        ['a missing value', measured([1, undefined, 3]), 'no value has been entered for "B"'],
+        ['a zero value on a ratio scale', measured([1, 0, 3]), 'need positive values'],
+        ['a value function with one point', measured([1, 2, 3], { normalization: 'valueFunction', curve: [{ x: 0, y: 1 }] }), 'at least two points'],
+        ['a negative score', measured([1, 2, 3], { normalization: 'valueFunction', curve: [{ x: 0, y: -1 }, { x: 1, y: 1 }] }), 'scores of 0 or more'],
+    ])('reports %s', (_, dataCriterion, message) => {
+        expect(validateDataCriterion(dataCriterion, ALTERNATIVES)).toContain(message);
+    });
+
+    it('accepts zero and negative values for min–max', () => {
+        expect(validateDataCriterion(measured([-1, 0, 3], { normalization: 'minMax' }), ALTERNATIVES)).toBeNull();
+    });
+});
+
+describe('data criteria in the hierarchy', () => {
+    it('drop settings of criteria that are no longer leaves, and values of removed alternatives', () => {
+        const synced = syncDataCriteria([criterion('price', [criterion('purchase')]), criterion('range')], ALTERNATIVES.slice(0, 2), {
+            price: measured([1, 2, 3]),
+            range: measured([4, 5, 6]),
+        });
+        expect(Object.keys(synced)).toEqual(['range']);
+        expect(synced.range.values).toEqual({ a: 4, b: 5 });
+    });
+
+    it('replace the judged priorities of a data leaf and re-score', () => {
+        const tree = [criterion('price'), criterion('looks')];
+        const synthesis = {
+            globalWeights: { price: 0.5, looks: 0.5 },
+            alternativeWeights: { price: [1 / 3, 1 / 3, 1 / 3], looks: [0.5, 0.3, 0.2] },
+            alternativeConsistencyRatios: { price: 0.2, looks: 0.05 },
+            scores: [],
+        };
+        const data = { price: measured([1, 2, 4], { direction: 'cost' }) };
+        const applied = applyDataCriteria(tree, ALTERNATIVES, synthesis, data);
+        expectClose(applied.alternativeWeights.price, [4 / 7, 2 / 7, 1 / 7]);
+        expect(applied.alternativeConsistencyRatios).toEqual({ price: 0, looks: 0.05 });
+        expectClose(applied.scores, [(4 / 7 + 0.5) / 2, (2 / 7 + 0.3) / 2, (1 / 7 + 0.2) / 2]);
+
+        expectClose(applyDataCriteria(tree, ALTERNATIVES, synthesis, data, { idealize: true }).alternativeWeights.price, [1, 0.5, 0.25]);
+    });
+});
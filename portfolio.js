@@ -0,0 +1,271 @@
+// portfolio.js
+// Portfolio selection: instead of ranking the alternatives, choose the set of them with the largest
+// total score that fits a budget and other resource limits, a minimum and maximum number of picks,
+// pairs that exclude each other and alternatives that require another. The optimal set is found
+// exactly by branch and bound over the include/exclude decisions (a 0/1 knapsack with side
+// constraints), and compared with picking down the ranking as long as things fit.
+import { createId } from './hierarchy.js';
+
+// The cost resource every portfolio has; further resources (staff, floor space, ...) can be added
+export const COST_RESOURCE_ID = 'cost';
+
+// Search nodes after which the optimizer gives up proving optimality and returns its best set so far
+const MAX_SEARCH_NODES = 2000000;
+
+// Slack when comparing resource use against a limit, so sums of decimals do not fail by rounding
+const LIMIT_TOLERANCE = 1e-9;
+
+/**
+ * Creates the portfolio settings of a project: off, with only the cost resource and no constraints.
+ * Resource values are keyed by resource id, then alternative id.
+ * @returns {{enabled: boolean, resources: {id: string, name: string, limit: number|null}[], values: object,
+ * minPicks: number|null, maxPicks: number|null, exclusions: string[][], dependencies: {alternativeId: string, requiredId: string}[]}}
+ */
+export const createPortfolio = () => ({
+    enabled: false,
+    resources: [{ id: COST_RESOURCE_ID, name: 'Cost', limit: null }],
+    values: {},
+    minPicks: null,
+    maxPicks: null,
+    exclusions: [],
+    dependencies: [],
+});
+
+/**
+ * Creates an extra resource without a limit.
+ * @param {string} name - The resource name.
+ * @returns {{id: string, name: string, limit: null}} The new resource.
+ */
+export const createResource = (name) => ({ id: createId(), name, limit: null });
+
+/**
+ * Keeps the portfolio in line with the alternatives: values and constraints of removed alternatives are dropped.
+ * @param {object} portfolio - The portfolio settings.
+ * @param {{id: string}[]} alternatives - The alternatives.
+ * @returns {object} The synchronized settings.
+ */
+export const syncPortfolio = (portfolio, alternatives) => {
+    const ids = new Set(alternatives.map(a => a.id));
+    return {
+        ...portfolio,
+        values: Object.fromEntries(Object.entries(portfolio.values).map(([resourceId, byAlternative]) => [
+            resourceId,
+            Object.fromEntries(Object.entries(byAlternative).filter(([alternativeId]) => ids.has(alternativeId))),
+        ])),
+        exclusions: portfolio.exclusions.filter(pair => pair.every(id => ids.has(id))),
+        dependencies: portfolio.dependencies.filter(d => ids.has(d.alternativeId) && ids.has(d.requiredId)),
+    };
+};
+
+/**
+ * Checks that the portfolio can be optimized: every alternative has a value of 0 or more for every
+ * resource, limits are 0 or more and the pick counts are whole numbers that can be met.
+ * @param {object} portfolio - The portfolio settings.
+ * @param {{id: string, name: string}[]} alternatives - The alternatives.
+ * @returns {string|null} What is missing or wrong, or null if the portfolio is complete.
+ */
+export const validatePortfolio = (portfolio, alternatives) => {
+    for (const resource of portfolio.resources) {
+        const missing = alternatives.find(alt => !Number.isFinite(portfolio.values[resource.id]?.[alt.id]));
+        if (missing) return `no ${resource.name.toLowerCase()} has been entered for "${missing.name}"`;
+        if (alternatives.some(alt => portfolio.values[resource.id][alt.id] < 0)) return `${resource.name} values must be 0 or more`;
+        if (resource.limit !== null && !(Number.isFinite(resource.limit) && resource.limit >= 0)) return `the ${resource.name.toLowerCase()} limit must be 0 or more`;
+    }
+    const { minPicks, maxPicks } = portfolio;
+    if ([minPicks, maxPicks].some(count => count !== null && !(Number.isInteger(count) && count >= 0))) {
+        return 'the number of picks must be a whole number of 0 or more';
+    }
+    if (minPicks !== null && minPicks > alternatives.length) return `at least ${minPicks} picks cannot be made from ${alternatives.length} alternatives`;
+    if (minPicks !== null && maxPicks !== null && minPicks > maxPicks) return 'the minimum number of picks is above the maximum';
+    return null;
+};
+
+/**
+ * Checks whether a pair can be added to the constraints. A pair may only be there once (an
+ * exclusion in either order), and two alternatives cannot both exclude and require each other.
+ * @param {{exclusions: string[][], dependencies: {alternativeId: string, requiredId: string}[]}} portfolio - The constraints so far.
+ * @param {'exclusion'|'dependency'} kind - What the pair is to become.
+ * @param {string[]} pair - The two alternative ids; for a dependency, the alternative and the one it requires.
+ * @returns {string|null} Why the pair cannot be added, or null if it can.
+ */
+export const findPairConflict = (portfolio, kind, [first, second]) => {
+    const isPair = (a, b) => (a === first && b === second) || (a === second && b === first);
+    const excluded = portfolio.exclusions.some(([a, b]) => isPair(a, b));
+    if (kind === 'exclusion') {
+        if (excluded) return 'they already exclude each other';
+        if (portfolio.dependencies.some(d => isPair(d.alternativeId, d.requiredId))) return 'one of them requires the other';
+        return null;
+    }
+    if (portfolio.dependencies.some(d => d.alternativeId === first && d.requiredId === second)) return 'the first already requires the second';
+    if (excluded) return 'they exclude each other';
+    return null;
+};
+
+/**
+ * Lays the portfolio out by alternative index for the optimizer.
+ * @param {object} portfolio - Complete portfolio settings, see validatePortfolio.
+ * @param {{id: string}[]} alternatives - The alternatives.
+ * @param {number[]} scores - The score of each alternative, in list order; 0 or more.
+ * @returns {{scores: number[], resources: {limit: number|null, values: number[]}[], minPicks: number,
+ * maxPicks: number, exclusions: number[][], dependencies: number[][]}} The problem; a dependency [i, j] means i requires j.
+ * It holds no names, so renaming something leaves it unchanged.
+ */
+export const buildPortfolioProblem = (portfolio, alternatives, scores) => {
+    const indexOf = (id) => alternatives.findIndex(a => a.id === id);
+    return {
+        scores,
+        resources: portfolio.resources.map(resource => ({
+            limit: resource.limit,
+            values: alternatives.map(alt => portfolio.values[resource.id][alt.id]),
+        })),
+        minPicks: portfolio.minPicks ?? 0,
+        maxPicks: portfolio.maxPicks ?? alternatives.length,
+        exclusions: portfolio.exclusions.map(pair => pair.map(indexOf)),
+        dependencies: portfolio.dependencies.map(d => [indexOf(d.alternativeId), indexOf(d.requiredId)]),
+    };
+};
+
+/**
+ * Totals a set of picks.
+ * @param {object} problem - See buildPortfolioProblem.
+ * @param {number[]} picked - Indices of the picked alternatives.
+ * @returns {{picked: number[], score: number, usage: number[]}} The picks by descending score, their
+ * total score and how much of each resource they use.
+ */
+const describeSelection = (problem, picked) => {
+    const sorted = [...picked].sort((a, b) => problem.scores[b] - problem.scores[a] || a - b);
+    return {
+        picked: sorted,
+        score: sorted.reduce((sum, i) => sum + problem.scores[i], 0),
+        usage: problem.resources.map(resource => sorted.reduce((sum, i) => sum + resource.values[i], 0)),
+    };
+};
+
+/**
+ * Finds the set of alternatives with the largest total score that meets every constraint. The
+ * search decides the alternatives in descending score order and prunes a branch when it breaks a
+ * constraint or when even its upper bound cannot beat the best set found: the smallest of the
+ * best remaining scores that still fit the maximum number of picks, and, per limited resource,
+ * the fractional knapsack over the remaining alternatives.
+ * @param {object} problem - See buildPortfolioProblem.
+ * @param {number} [maxNodes] - Search nodes after which the search stops.
+ * @returns {{selection: {picked: number[], score: number, usage: number[]}|null, status: string}} The best
+ * set found, or null, and how the search ended: 'optimal' (the set is proven best), 'best-found' (it
+ * stopped after very many nodes with this set), 'infeasible' (no set meets the constraints) or
+ * 'stopped' (it stopped before finding any set, so whether one exists is unknown).
+ */
+export const optimizePortfolio = (problem, maxNodes = MAX_SEARCH_NODES) => {
+    const { scores, resources, minPicks, maxPicks } = problem;
+    const n = scores.length;
+    const order = scores.map((_, i) => i).sort((a, b) => scores[b] - scores[a] || a - b);
+    const limited = resources.filter(resource => resource.limit !== null);
+    // Per limited resource, the alternatives by score per unit used, best first; free ones come first
+    const byRatio = limited.map(resource => {
+        const ratio = (i) => (resource.values[i] === 0 ? Infinity : scores[i] / resource.values[i]);
+        return [...order].sort((a, b) => ratio(b) - ratio(a) || 0);
+    });
+    const excludes = scores.map((_, i) => problem.exclusions.filter(pair => pair.includes(i)).map(pair => (pair[0] === i ? pair[1] : pair[0])));
+    const requires = scores.map((_, i) => problem.dependencies.filter(([h]) => h === i).map(([, j]) => j));
+    const requiredBy = scores.map((_, i) => problem.dependencies.filter(([, j]) => j === i).map(([h]) => h));
+
+    const state = Array(n).fill(undefined); // true picked, false passed over, undefined not decided yet
+    const used = limited.map(() => 0);
+    let best = null;
+    let nodes = 0;
+
+    // Alternatives with a negative score (possible with BOCR) can only lower the total, so the bounds leave them out
+    const upperBound = (depth, count, score) => {
+        let bound = 0;
+        for (let k = depth; k < n && k - depth < maxPicks - count && scores[order[k]] > 0; k++) bound += scores[order[k]];
+        limited.forEach((resource, r) => {
+            let room = resource.limit - used[r];
+            let gain = 0;
+            for (const i of byRatio[r]) {
+                if (state[i] !== undefined || scores[i] <= 0) continue;
+                const value = resource.values[i];
+                if (value <= room) {
+                    gain += scores[i];
+                    room -= value;
+                } else {
+                    gain += (scores[i] * room) / value;
+                    break;
+                }
+            }
+            bound = Math.min(bound, gain);
+        });
+        return score + bound;
+    };
+
+    const canPick = (i, count) => count < maxPicks
+        && limited.every((resource, r) => used[r] + resource.values[i] <= resource.limit + LIMIT_TOLERANCE)
+        && excludes[i].every(j => state[j] !== true)
+        && requires[i].every(j => state[j] !== false);
+    const canPass = (i, depth, count) => count + (n - depth - 1) >= minPicks && requiredBy[i].every(h => state[h] !== true);
+
+    const search = (depth, count, score) => {
+        nodes++;
+        if (nodes > maxNodes) return;
+        if (depth === n) {
+            if (!best || score > best.score + LIMIT_TOLERANCE) best = { score, picked: order.filter(i => state[i]) };
+            return;
+        }
+        if (best && upperBound(depth, count, score) <= best.score + LIMIT_TOLERANCE) return;
+        const i = order[depth];
+        if (canPick(i, count)) {
+            state[i] = true;
+            limited.forEach((resource, r) => { used[r] += resource.values[i]; });
+            search(depth + 1, count + 1, score + scores[i]);
+            limited.forEach((resource, r) => { used[r] -= resource.values[i]; });
+        }
+        if (canPass(i, depth, count)) {
+            state[i] = false;
+            search(depth + 1, count, score);
+        }
+        state[i] = undefined;
+    };
+    search(0, 0, 0);
+
+    const finished = nodes <= maxNodes;
+    if (!best) return { selection: null, status: finished ? 'infeasible' : 'stopped' };
+    return { selection: describeSelection(problem, best.picked), status: finished ? 'optimal' : 'best-found' };
+};
+
+/**
+ * Picks by rank, as done by hand: down the ranking, each alternative is added (with any
+ * alternatives it requires) if it still fits the limits and the maximum number of picks and does
+ * not exclude a pick made before it. Alternatives that score 0 or less (possible with BOCR) would
+ * not raise the total, so they are only picked when a better one requires them.
+ * @param {object} problem - See buildPortfolioProblem.
+ * @returns {{picked: number[], score: number, usage: number[], feasible: boolean}} The picks, totalled as
+ * by optimizePortfolio, and whether they meet the minimum number of picks.
+ */
+export const greedyPortfolio = (problem) => {
+    const { scores, resources, maxPicks } = problem;
+    const order = scores.map((_, i) => i).sort((a, b) => scores[b] - scores[a] || a - b);
+    const picked = new Set();
+
+    // The alternative and, transitively, everything it requires that is not picked yet
+    const bundleOf = (i) => {
+        const bundle = new Set();
+        const visit = (k) => {
+            if (bundle.has(k) || picked.has(k)) return;
+            bundle.add(k);
+            problem.dependencies.filter(([h]) => h === k).forEach(([, j]) => visit(j));
+        };
+        visit(i);
+        return [...bundle];
+    };
+
+    order.forEach(i => {
+        if (picked.has(i) || scores[i] <= 0) return;
+        const bundle = bundleOf(i);
+        const members = new Set([...picked, ...bundle]);
+        const fits = members.size <= maxPicks
+            && resources.every(resource => resource.limit === null
+                || [...members].reduce((sum, k) => sum + resource.values[k], 0) <= resource.limit + LIMIT_TOLERANCE)
+            && problem.exclusions.every(([a, b]) => !(members.has(a) && members.has(b)));
+        if (fits) bundle.forEach(k => picked.add(k));
+    });
+
+    return { ...describeSelection(problem, [...picked]), feasible: picked.size >= problem.minPicks };
+};
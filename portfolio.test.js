@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import {
+    COST_RESOURCE_ID, createPortfolio, syncPortfolio, validatePortfolio, findPairConflict, buildPortfolioProblem, optimizePortfolio,
+    greedyPortfolio,
+} from './portfolio.js';
+import { ALTERNATIVES } from './testHelpers.js';
+
+/**
+ * Portfolio settings with a cost for each of a, b and c.
+ * @param {number[]} costs - The costs of a, b and c.
+ * @param {object} [settings] - Other settings to override.
+ * @returns {object} The portfolio settings.
+ */
+const withCosts = (costs, settings = {}) => ({
+    ...createPortfolio(),
+    enabled: true,
+    values: { [COST_RESOURCE_ID]: Object.fromEntries(ALTERNATIVES.map((alt, k) => [alt.id, costs[k]])) },
+    ...settings,
+});
+
+describe('portfolio settings', () => {
+    it('drop the values and constraints of removed alternatives', () => {
+        const synced = syncPortfolio(withCosts([1, 2, 3], {
+            exclusions: [['a', 'c'], ['a', 'b']],
+            dependencies: [{ alternativeId: 'c', requiredId: 'a' }],
+        }), ALTERNATIVES.slice(0, 2));
+        expect(synced.values[COST_RESOURCE_ID]).toEqual({ a: 1, b: 2 });
+        expect(synced.exclusions).toEqual([['a', 'b']]);
+        expect(synced.dependencies).toEqual([]);
+    });
+
+    it.each([
+        ['a missing value', withCosts([1, undefined, 3]), 'no cost has been entered for "B"'],
+        ['a negative value', withCosts([1, -2, 3]), 'Cost values must be 0 or more'],
+        ['a negative limit', withCosts([1, 2, 3], { resources: [{ id: COST_RESOURCE_ID, name: 'Cost', limit: -1 }] }), 'the cost limit must be 0 or more'],
+        ['a fractional number of picks', withCosts([1, 2, 3], { maxPicks: 1.5 }), 'must be a whole number'],
+        ['more picks than alternatives', withCosts([1, 2, 3], { minPicks: 4 }), 'at least 4 picks cannot be made from 3 alternatives'],
+        ['a minimum above the maximum', withCosts([1, 2, 3], { minPicks: 2, maxPicks: 1 }), 'above the maximum'],
+    ])('report %s', (_, portfolio, message) => {
+        expect(validatePortfolio(portfolio, ALTERNATIVES)).toContain(message);
+    });
+
+    it('lay the problem out by alternative index, without names', () => {
+        const problem = buildPortfolioProblem(withCosts([1, 2, 3], {
+            maxPicks: 2,
+            exclusions: [['c', 'a']],
+            dependencies: [{ alternativeId: 'b', requiredId: 'c' }],
+        }), ALTERNATIVES, [0.5, 0.3, 0.2]);
+        expect(problem).toEqual({
+            scores: [0.5, 0.3, 0.2],
+            resources: [{ limit: null, values: [1, 2, 3] }],
+            minPicks: 0,
+            maxPicks: 2,
+            exclusions: [[2, 0]],
+            dependencies: [[1, 2]],
+        });
+    });
+});
+
+describe('pair constraints', () => {
+    const portfolio = {
+        ...createPortfolio(),
+        exclusions: [['a', 'b']],
+        dependencies: [{ alternativeId: 'c', requiredId: 'd' }],
+    };
+
+    it('accepts a new pair', () => {
+        expect(findPairConflict(portfolio, 'exclusion', ['a', 'c'])).toBeNull();
+        expect(findPairConflict(portfolio, 'dependency', ['d', 'c'])).toBeNull();
+    });
+
+    it('rejects an exclusion that is already there, in either order', () => {
+        expect(findPairConflict(portfolio, 'exclusion', ['a', 'b'])).toBe('they already exclude each other');
+        expect(findPairConflict(portfolio, 'exclusion', ['b', 'a'])).toBe('they already exclude each other');
+    });
+
+    it('rejects a dependency that is already there', () => {
+        expect(findPairConflict(portfolio, 'dependency', ['c', 'd'])).toBe('the first already requires the second');
+    });
+
+    it('rejects excluding and requiring between the same alternatives', () => {
+        expect(findPairConflict(portfolio, 'dependency', ['b', 'a'])).toBe('they exclude each other');
+        expect(findPairConflict(portfolio, 'exclusion', ['d', 'c'])).toBe('one of them requires the other');
+    });
+});
+
+describe('portfolio selection', () => {
+    // Picking the best alternative first spends most of the budget; the next two together score more
+    const problem = {
+        scores: [0.4, 0.35, 0.25, 0.1],
+        resources: [{ name: 'Cost', limit: 10, values: [8, 5, 5, 1] }],
+        minPicks: 0,
+        maxPicks: 4,
+        exclusions: [],
+        dependencies: [],
+    };
+
+    it('finds the set with the largest total score within the budget', () => {
+        const { selection, status } = optimizePortfolio(problem);
+        expect(status).toBe('optimal');
+        expect(selection.picked).toEqual([1, 2]);
+        expect(selection.score).toBeCloseTo(0.6, 10);
+        expect(selection.usage).toEqual([10]);
+    });
+
+    it('picks down the ranking for comparison', () => {
+        const greedy = greedyPortfolio(problem);
+        expect(greedy.picked).toEqual([0, 3]);
+        expect(greedy.score).toBeCloseTo(0.5, 10);
+        expect(greedy.feasible).toBe(true);
+    });
+
+    it('follows exclusions and dependencies', () => {
+        const { selection } = optimizePortfolio({ ...problem, exclusions: [[1, 2]], dependencies: [[3, 0]] });
+        expect(selection.picked).toEqual([0, 3]);
+    });
+
+    it('picks down the ranking with whatever an alternative requires, past ones that no longer fit', () => {
+        // a (8) fits, b (5) then does not, c needs d, and both fit in the remaining 2
+        const greedy = greedyPortfolio({ ...problem, resources: [{ name: 'Cost', limit: 10, values: [8, 5, 1, 1] }], dependencies: [[2, 3]] });
+        expect(greedy.picked).toEqual([0, 2, 3]);
+        expect(greedyPortfolio({ ...problem, maxPicks: 1, minPicks: 2 })).toMatchObject({ picked: [0], feasible: false });
+    });
+
+    it('passes over alternatives that would not raise the total unless a better one requires them', () => {
+        // BOCR can give alternatives a negative score
+        const negative = { ...problem, scores: [0.4, 0.3, 0, -0.2], resources: [] };
+        expect(greedyPortfolio(negative).picked).toEqual([0, 1]);
+        expect(greedyPortfolio({ ...negative, dependencies: [[1, 3]] }).picked).toEqual([0, 1, 3]);
+        expect(optimizePortfolio(negative).selection.score).toBeCloseTo(greedyPortfolio(negative).score, 10);
+    });
+
+    it('reports when no set meets the constraints', () => {
+        expect(optimizePortfolio({ ...problem, minPicks: 3 })).toEqual({ selection: null, status: 'infeasible' });
+    });
+
+    it('tells a search stopped early from one that proved there is no set', () => {
+        // The first complete set is reached after five nodes, one per decision
+        expect(optimizePortfolio(problem, 3)).toEqual({ selection: null, status: 'stopped' });
+        const { selection, status } = optimizePortfolio(problem, 5);
+        expect(status).toBe('best-found');
+        expect(selection.picked).toEqual([0, 3]);
+    });
+});
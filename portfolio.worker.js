@@ -0,0 +1,13 @@
+// portfolio.worker.js
+// Runs optimizePortfolio off the main thread so the page stays responsive while a large portfolio
+// is searched. Receives { problem } and posts { type: 'done', result } or { type: 'error', message }.
+// The page drops a search it no longer needs by terminating the worker.
+import { optimizePortfolio } from './portfolio.js';
+
+self.onmessage = (event) => {
+    try {
+        self.postMessage({ type: 'done', result: optimizePortfolio(event.data.problem) });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
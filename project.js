@@ -0,0 +1,674 @@
+// project.js
+// Versioned JSON project format plus localStorage persistence and file import/export.
+// A project file looks like { format, version, savedAt, name, model }, where model holds
+// everything App needs to resume a session (see serializeProject).
+import { isSquareMatrix, MISSING_JUDGMENT, PRIORITY_METHODS, DEFAULT_PRIORITY_METHOD, RANDOM_INDEX_SOURCES } from './ahp.js';
+import {
+    GOAL_ID, SYNTHESIS_MODES, DEFAULT_SYNTHESIS_MODE, createAlternative, getParentNodes, getLeaves, syncJudgments,
+} from './hierarchy.js';
+import { createParticipant, AGGREGATION_METHODS, DEFAULT_AGGREGATION_METHOD } from './group.js';
+import { EVALUATION_MODES, DEFAULT_EVALUATION_MODE } from './ratings.js';
+import { DATA_DIRECTIONS, NORMALIZATIONS } from './measurement.js';
+import { CONSISTENCY_POLICIES, DEFAULT_CONSISTENCY_SETTINGS } from './consistency.js';
+import { JUDGMENT_SCALES, DEFAULT_JUDGMENT_SCALE } from './scales.js';
+import { FUZZY_METHODS, DEFAULT_FUZZY_SETTINGS } from './fuzzy.js';
+import { DEFAULT_NETWORK, alternativeNodeId, getClusters, syncNetwork } from './anp.js';
+import { MERITS, createBocrSettings } from './bocr.js';
+import { COST_RESOURCE_ID, createPortfolio, findPairConflict } from './portfolio.js';
+
+export const PROJECT_FORMAT = 'ahp-calculator-project';
+export const PROJECT_VERSION = 2;
+
+// localStorage keys: one slot for the running session, one map of named saved projects
+export const AUTOSAVE_KEY = 'ahp-calculator:autosave';
+export const SAVED_PROJECTS_KEY = 'ahp-calculator:projects';
+
+// How long a download's object URL is kept before it is released
+const DOWNLOAD_URL_LIFETIME_MS = 10000;
+
+// Tolerance used when checking that a_ij * a_ji = 1
+const RECIPROCAL_TOLERANCE = 1e-6;
+
+// Everything a project stores besides its name, in file order; results is the only calculated field.
+// App saves and restores its state through this list.
+export const MODEL_FIELDS = ['criteria', 'alternatives', 'participants', 'judgments', 'aggregationMethod',
+    'evaluationMode', 'ratingScales', 'ratings', 'dataCriteria', 'consistencySettings', 'priorityMethod',
+    'synthesisMode', 'judgmentScale', 'fuzzySettings', 'network', 'bocr', 'portfolio', 'results'];
+
+/**
+ * Creates the model of a new, empty project.
+ * @returns {object} A model with every field in MODEL_FIELDS.
+ */
+export const createModel = () => ({
+    criteria: [],
+    alternatives: [],
+    participants: [createParticipant('Participant 1')],
+    judgments: {},
+    aggregationMethod: DEFAULT_AGGREGATION_METHOD,
+    evaluationMode: DEFAULT_EVALUATION_MODE,
+    ratingScales: {},
+    ratings: {},
+    dataCriteria: {},
+    consistencySettings: DEFAULT_CONSISTENCY_SETTINGS,
+    priorityMethod: DEFAULT_PRIORITY_METHOD,
+    synthesisMode: DEFAULT_SYNTHESIS_MODE,
+    judgmentScale: DEFAULT_JUDGMENT_SCALE,
+    fuzzySettings: DEFAULT_FUZZY_SETTINGS,
+    network: DEFAULT_NETWORK,
+    bocr: createBocrSettings(),
+    portfolio: createPortfolio(),
+    results: [],
+});
+
+/**
+ * Builds a project document from the current application state.
+ * @param {string} name - The project name.
+ * @param {object} model - Every field in MODEL_FIELDS; other properties are left out.
+ * @returns {object} A JSON-serializable project document.
+ */
+export const serializeProject = (name, model) => ({
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    name,
+    model: Object.fromEntries(MODEL_FIELDS.map(field => [field, model[field]])),
+});
+
+/**
+ * Throws a validation error for a project document.
+ * @param {string} message - What is wrong and where.
+ */
+const fail = (message) => {
+    throw new Error(`Invalid project file: ${message}`);
+};
+
+/**
+ * Validates a criteria tree, returning the set of ids it contains.
+ * @param {*} nodes - The value claimed to be a list of criteria nodes.
+ * @param {string} path - Human-readable location, used in error messages.
+ * @param {Set<string>} ids - Ids seen so far.
+ */
+const validateCriteriaTree = (nodes, path, ids) => {
+    if (!Array.isArray(nodes)) fail(`${path} must be a list of criteria.`);
+    nodes.forEach((node, index) => {
+        const where = `${path}[${index}]`;
+        if (!node || typeof node !== 'object') fail(`${where} must be an object with id, name and children.`);
+        if (typeof node.id !== 'string' || node.id === '' || node.id === GOAL_ID) fail(`${where} has a missing or reserved id.`);
+        if (ids.has(node.id)) fail(`criterion id "${node.id}" is used more than once.`);
+        ids.add(node.id);
+        if (typeof node.name !== 'string' || node.name.trim() === '') fail(`${where} must have a non-empty name.`);
+        validateCriteriaTree(node.children, `${where}.children`, ids);
+    });
+};
+
+/**
+ * Validates a pairwise comparison matrix: square, the expected size, positive and reciprocal.
+ * Unjudged comparisons (null) are allowed as long as both a_ij and a_ji are unjudged.
+ * @param {*} matrix - The value claimed to be a matrix.
+ * @param {number} n - The expected size.
+ * @param {string} where - Human-readable location, used in error messages.
+ */
+const validateMatrix = (matrix, n, where) => {
+    if (!isSquareMatrix(matrix, n)) fail(`${where} must be a ${n} x ${n} matrix.`);
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            const value = matrix[i][j];
+            if (value === MISSING_JUDGMENT && i !== j) {
+                if (matrix[j][i] !== MISSING_JUDGMENT) fail(`${where} row ${j + 1}, column ${i + 1} must be left unjudged like row ${i + 1}, column ${j + 1}.`);
+                continue;
+            }
+            if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+                fail(`${where} row ${i + 1}, column ${j + 1} must be a positive number.`);
+            }
+            if (Math.abs(value * matrix[j][i] - 1) > RECIPROCAL_TOLERANCE) {
+                fail(`${where} row ${i + 1}, column ${j + 1} is not the reciprocal of row ${j + 1}, column ${i + 1}.`);
+            }
+        }
+    }
+};
+
+/**
+ * Validates a stored comparison: the ids of the compared items and a matrix over them.
+ * @param {*} comparison - The value claimed to be { ids, matrix }.
+ * @param {string} where - Human-readable location, used in error messages.
+ */
+const validateComparison = (comparison, where) => {
+    if (!comparison || !Array.isArray(comparison.ids) || comparison.ids.some(id => typeof id !== 'string')) fail(`${where} has no list of compared items.`);
+    if (new Set(comparison.ids).size !== comparison.ids.length) fail(`${where} lists an item more than once.`);
+    validateMatrix(comparison.matrix, comparison.ids.length, where);
+};
+
+/**
+ * Validates the stored ranking: a list of { id, name, score } with a finite score and one entry per
+ * alternative at most; the id may be left out. A ranking that names an alternative no longer in
+ * the model (renamed or removed after the results were calculated) is out of date and dropped, so
+ * it is calculated again.
+ * @param {object} model - The project model, for the alternatives.
+ * @returns {{id?: string, name: string, score: number}[]} The ranking, or an empty list.
+ */
+const validateResults = (model) => {
+    const results = model.results ?? [];
+    if (!Array.isArray(results)) fail('the results must be a list.');
+    const names = new Set();
+    results.forEach((result, index) => {
+        if (!result || typeof result !== 'object' || Array.isArray(result)) fail(`results[${index}] must be an object with name and score.`);
+        if (typeof result.name !== 'string' || result.name.trim() === '') fail(`results[${index}] must have a non-empty name.`);
+        if (names.has(result.name)) fail(`the results list "${result.name}" more than once.`);
+        names.add(result.name);
+        if (result.id !== undefined && (typeof result.id !== 'string' || result.id === '')) fail(`the id of "${result.name}" in the results must be a non-empty string.`);
+        if (typeof result.score !== 'number' || !Number.isFinite(result.score)) fail(`the score of "${result.name}" in the results must be a number.`);
+    });
+    const isCurrent = (result) => model.alternatives.some(a => a.name === result.name && (result.id === undefined || a.id === result.id));
+    if (!results.every(isCurrent)) return [];
+    return results.map(({ id, name, score }) => (id === undefined ? { name, score } : { id, name, score }));
+};
+
+/**
+ * Validates the rating scales and ratings used by ratings mode.
+ * @param {object} model - The project model, for the tree and alternatives.
+ * @returns {{ratingScales: object, ratings: object}} The scales and ratings with defaults filled in.
+ */
+const validateRatings = (model) => {
+    const ratingScales = model.ratingScales ?? {};
+    const ratings = model.ratings ?? {};
+
+    getLeaves(model.criteria).forEach(leaf => {
+        const where = `"${leaf.path.join(' › ')}"`;
+        const scale = ratingScales[leaf.id];
+        if (scale !== undefined) {
+            if (!scale || !Array.isArray(scale.grades) || scale.grades.length === 0) fail(`the rating scale under ${where} must have at least one grade.`);
+            const gradeIds = new Set();
+            scale.grades.forEach((grade, index) => {
+                if (!grade || typeof grade.id !== 'string' || grade.id === '' || gradeIds.has(grade.id)) fail(`grade ${index + 1} under ${where} has a missing or duplicate id.`);
+                gradeIds.add(grade.id);
+                if (typeof grade.name !== 'string' || grade.name.trim() === '') fail(`grade ${index + 1} under ${where} must have a non-empty name.`);
+            });
+            validateMatrix(scale.matrix, scale.grades.length, `the grade comparison matrix under ${where}`);
+        }
+
+        Object.entries(ratings[leaf.id] ?? {}).forEach(([alternativeId, gradeId]) => {
+            const alternative = model.alternatives.find(a => a.id === alternativeId);
+            if (!alternative) fail(`a rating under ${where} refers to unknown alternative "${alternativeId}".`);
+            if (!scale || !scale.grades.some(g => g.id === gradeId)) fail(`the rating of "${alternative.name}" under ${where} refers to an unknown grade.`);
+        });
+    });
+
+    return { ratingScales, ratings };
+};
+
+/**
+ * Validates the measured values of leaf criteria evaluated from data.
+ * @param {object} model - The project model, for the tree and alternatives.
+ * @returns {Object.<string, object>} The data settings keyed by leaf id, with defaults filled in.
+ */
+const validateDataCriteria = (model) => {
+    const dataCriteria = {};
+    getLeaves(model.criteria).forEach(leaf => {
+        const data = model.dataCriteria?.[leaf.id];
+        if (data === undefined) return;
+        const where = `"${leaf.path.join(' › ')}"`;
+        if (!data || typeof data !== 'object') fail(`the data settings of ${where} are invalid.`);
+        if (!DATA_DIRECTIONS.some(d => d.value === data.direction)) fail(`unknown direction "${data.direction}" under ${where}.`);
+        const normalization = NORMALIZATIONS.find(n => n.value === data.normalization);
+        if (!normalization) fail(`unknown normalization "${data.normalization}" under ${where}.`);
+        if (!normalization.directions.includes(data.direction)) fail(`${normalization.label} cannot be used for a ${data.direction} under ${where}.`);
+        Object.entries(data.values ?? {}).forEach(([alternativeId, value]) => {
+            const alternative = model.alternatives.find(a => a.id === alternativeId);
+            if (!alternative) fail(`a value under ${where} refers to unknown alternative "${alternativeId}".`);
+            if (typeof value !== 'number' || !Number.isFinite(value)) fail(`the value of "${alternative.name}" under ${where} must be a number.`);
+        });
+        if (!Array.isArray(data.curve ?? []) || (data.curve ?? []).some(p => !p || !Number.isFinite(p.x) || !Number.isFinite(p.y))) {
+            fail(`the value function under ${where} must be a list of numeric points.`);
+        }
+        dataCriteria[leaf.id] = { ...data, enabled: data.enabled !== false, values: data.values ?? {}, curve: data.curve ?? [] };
+    });
+    return dataCriteria;
+};
+
+/**
+ * Validates the ANP network: its clusters, links and comparison matrices.
+ * @param {object} model - The project model, for the tree and alternatives.
+ * @returns {object} The network, synchronized with the tree and alternatives.
+ */
+const validateNetwork = (model) => {
+    const network = { ...DEFAULT_NETWORK, ...model.network };
+    if (typeof network.enabled !== 'boolean') fail('the network setting must be true or false.');
+    if (!Array.isArray(network.clusters)) fail('the network clusters must be a list.');
+    const clusterIds = new Set();
+    network.clusters.forEach((cluster, index) => {
+        if (!cluster || typeof cluster.id !== 'string' || cluster.id === '') fail(`network cluster ${index + 1} has a missing id.`);
+        if (clusterIds.has(cluster.id)) fail(`network cluster id "${cluster.id}" is used more than once.`);
+        clusterIds.add(cluster.id);
+        if (typeof cluster.name !== 'string' || cluster.name.trim() === '') fail(`network cluster ${index + 1} must have a non-empty name.`);
+        if (!Array.isArray(cluster.nodeIds)) fail(`the criteria of cluster "${cluster.name}" must be a list.`);
+    });
+    const allClusterIds = new Set(getClusters(network, model.alternatives).map(c => c.id));
+    [network.links, network.nodeComparisons, network.clusterComparisons].forEach(section => {
+        if (!section || typeof section !== 'object' || Array.isArray(section)) fail('the network links and comparisons must be objects.');
+    });
+    Object.entries(network.links).forEach(([nodeId, linked]) => {
+        if (!Array.isArray(linked) || linked.some(id => !allClusterIds.has(id))) fail(`node "${nodeId}" links to an unknown cluster.`);
+    });
+    Object.entries(network.nodeComparisons).forEach(([nodeId, byCluster]) => {
+        Object.entries(byCluster ?? {}).forEach(([clusterId, comparison]) => validateComparison(comparison, `the network comparison of "${clusterId}" for node "${nodeId}"`));
+    });
+    Object.entries(network.clusterComparisons).forEach(([clusterId, comparison]) => validateComparison(comparison, `the cluster comparison for "${clusterId}"`));
+    return syncNetwork(model.criteria, model.alternatives, network);
+};
+
+/**
+ * Validates the BOCR settings: the stored sub-model of each merit and the merit ratings.
+ * @param {object} model - The project model, for the alternatives and participants.
+ * @returns {object} The BOCR settings with defaults filled in.
+ */
+const validateBocr = (model) => {
+    const bocr = { ...createBocrSettings(), ...model.bocr };
+    if (typeof bocr.enabled !== 'boolean') fail('the BOCR setting must be true or false.');
+    if (!MERITS.some(m => m.value === bocr.activeMerit)) fail(`unknown BOCR merit "${bocr.activeMerit}".`);
+    if (!bocr.models || typeof bocr.models !== 'object' || Array.isArray(bocr.models)) fail('the BOCR sub-models must be an object.');
+
+    const models = {};
+    Object.entries(bocr.models).forEach(([merit, meritModel]) => {
+        const label = MERITS.find(m => m.value === merit)?.label;
+        if (!label) fail(`unknown BOCR merit "${merit}".`);
+        if (!meritModel || typeof meritModel !== 'object') fail(`the ${label} sub-model is invalid.`);
+        validateCriteriaTree(meritModel.criteria, `${label} criteria`, new Set());
+        const subModel = { ...model, ...meritModel };
+        const judgments = {};
+        model.participants.forEach(p => {
+            judgments[p.id] = validateJudgments(meritModel.judgments?.[p.id], subModel, `${label}: ${p.name}`);
+        });
+        models[merit] = { criteria: meritModel.criteria, judgments, ...validateRatings(subModel), dataCriteria: validateDataCriteria(subModel) };
+    });
+
+    const { meritScale } = bocr;
+    if (!meritScale || !Array.isArray(meritScale.grades) || meritScale.grades.length === 0) fail('the merit rating scale must have at least one grade.');
+    meritScale.grades.forEach((grade, index) => {
+        if (!grade || typeof grade.id !== 'string' || grade.id === '') fail(`merit grade ${index + 1} has a missing id.`);
+        if (typeof grade.name !== 'string' || grade.name.trim() === '') fail(`merit grade ${index + 1} must have a non-empty name.`);
+    });
+    validateMatrix(meritScale.matrix, meritScale.grades.length, 'the merit grade comparison matrix');
+    Object.entries(bocr.meritRatings ?? {}).forEach(([merit, gradeId]) => {
+        if (!MERITS.some(m => m.value === merit)) fail(`a merit rating refers to unknown merit "${merit}".`);
+        if (!meritScale.grades.some(g => g.id === gradeId)) fail(`the rating of merit "${merit}" refers to an unknown grade.`);
+    });
+
+    return { ...bocr, models, meritRatings: bocr.meritRatings ?? {} };
+};
+
+/**
+ * Validates the portfolio settings: the resources, their values and the selection constraints.
+ * @param {object} model - The project model, for the alternatives.
+ * @returns {object} The portfolio settings with defaults filled in.
+ */
+const validatePortfolioSettings = (model) => {
+    const portfolio = { ...createPortfolio(), ...model.portfolio };
+    if (typeof portfolio.enabled !== 'boolean') fail('the portfolio setting must be true or false.');
+    if (!Array.isArray(portfolio.resources) || portfolio.resources[0]?.id !== COST_RESOURCE_ID) fail('the portfolio resources must be a list starting with the cost.');
+    const resourceIds = new Set();
+    portfolio.resources.forEach((resource, index) => {
+        if (!resource || typeof resource.id !== 'string' || resource.id === '' || resourceIds.has(resource.id)) fail(`portfolio resource ${index + 1} has a missing or duplicate id.`);
+        resourceIds.add(resource.id);
+        if (typeof resource.name !== 'string' || resource.name.trim() === '') fail(`portfolio resource ${index + 1} must have a non-empty name.`);
+        if (resource.limit !== null && (typeof resource.limit !== 'number' || !Number.isFinite(resource.limit))) fail(`the limit of "${resource.name}" must be a number or empty.`);
+    });
+    if (!portfolio.values || typeof portfolio.values !== 'object' || Array.isArray(portfolio.values)) fail('the portfolio values must be an object.');
+    Object.entries(portfolio.values).forEach(([resourceId, byAlternative]) => {
+        const resource = portfolio.resources.find(r => r.id === resourceId);
+        if (!resource) fail(`portfolio values refer to unknown resource "${resourceId}".`);
+        Object.entries(byAlternative ?? {}).forEach(([alternativeId, value]) => {
+            const alternative = model.alternatives.find(a => a.id === alternativeId);
+            if (!alternative) fail(`a ${resource.name} value refers to unknown alternative "${alternativeId}".`);
+            if (typeof value !== 'number' || !Number.isFinite(value)) fail(`the ${resource.name} of "${alternative.name}" must be a number.`);
+        });
+    });
+    ['minPicks', 'maxPicks'].forEach(key => {
+        if (portfolio[key] !== null && !(Number.isInteger(portfolio[key]) && portfolio[key] >= 0)) fail('the number of portfolio picks must be a whole number of 0 or more, or empty.');
+    });
+    const isAlternative = (id) => model.alternatives.some(a => a.id === id);
+    if (!Array.isArray(portfolio.exclusions) || portfolio.exclusions.some(pair => !Array.isArray(pair) || pair.length !== 2 || pair[0] === pair[1] || !pair.every(isAlternative))) {
+        fail('the mutually exclusive alternatives must be pairs of two different alternatives.');
+    }
+    if (!Array.isArray(portfolio.dependencies) || portfolio.dependencies.some(d => !d || d.alternativeId === d.requiredId || !isAlternative(d.alternativeId) || !isAlternative(d.requiredId))) {
+        fail('each dependency must name an alternative and a different alternative it requires.');
+    }
+    const nameOf = (id) => model.alternatives.find(a => a.id === id).name;
+    const accepted = { exclusions: [], dependencies: [] };
+    portfolio.exclusions.forEach(pair => {
+        const conflict = findPairConflict(accepted, 'exclusion', pair);
+        if (conflict) fail(`"${nameOf(pair[0])}" and "${nameOf(pair[1])}" cannot be mutually exclusive: ${conflict}.`);
+        accepted.exclusions.push(pair);
+    });
+    portfolio.dependencies.forEach(d => {
+        const conflict = findPairConflict(accepted, 'dependency', [d.alternativeId, d.requiredId]);
+        if (conflict) fail(`"${nameOf(d.alternativeId)}" cannot require "${nameOf(d.requiredId)}": ${conflict}.`);
+        accepted.dependencies.push(d);
+    });
+    return portfolio;
+};
+
+/**
+ * Validates one participant's matrices against the criteria tree and alternatives.
+ * @param {*} judgments - The value claimed to be { criteriaComparisons, alternativeComparisons }.
+ * @param {object} model - The project model, for the tree and alternatives.
+ * @param {string} owner - Participant name, used in error messages.
+ * @returns {{criteriaComparisons: object, alternativeComparisons: object}} The judgments, synchronized
+ * with the tree and alternatives.
+ */
+const validateJudgments = (judgments, model, owner) => {
+    const criteriaComparisons = judgments?.criteriaComparisons ?? {};
+    getParentNodes(model.criteria).forEach(parent => {
+        if (criteriaComparisons[parent.id] !== undefined) {
+            const label = parent.id === GOAL_ID ? 'criteria comparison matrix' : `comparison matrix for "${parent.name}"`;
+            validateComparison(criteriaComparisons[parent.id], `${owner}'s ${label}`);
+        }
+    });
+
+    const alternativeComparisons = judgments?.alternativeComparisons ?? {};
+    getLeaves(model.criteria).forEach(leaf => {
+        if (alternativeComparisons[leaf.id] !== undefined) {
+            validateComparison(alternativeComparisons[leaf.id], `${owner}'s alternative matrix under "${leaf.path.join(' › ')}"`);
+        }
+    });
+
+    return syncJudgments(model.criteria, model.alternatives, { criteriaComparisons, alternativeComparisons });
+};
+
+/**
+ * Applies a function to the keys and values of a plain object; anything else is returned as is,
+ * for validateProject to reject.
+ * @param {*} object - The object.
+ * @param {function(string): string} mapKey - Maps each key.
+ * @param {function(*, string): *} mapValue - Maps each value, given its original key.
+ * @returns {*} The mapped object.
+ */
+const mapEntries = (object, mapKey, mapValue) => (object && typeof object === 'object' && !Array.isArray(object)
+    ? Object.fromEntries(Object.entries(object).map(([key, value]) => [mapKey(key), mapValue(value, key)]))
+    : object);
+
+/**
+ * Upgrades a version 1 model, which named alternatives instead of giving them ids. Its ratings,
+ * measured values, network nodes and ranking referred to alternatives by name, and its matrices were
+ * plain arrays laid out in the order of the children and alternatives when the project was saved.
+ * Malformed parts are passed through for validateProject to report.
+ * @param {object} model - A version 1 model.
+ * @returns {object} The model as version 2 stores it.
+ */
+const migrateToItemIds = (model) => {
+    if (!Array.isArray(model.alternatives) || model.alternatives.some(a => typeof a !== 'string')) return model;
+    const alternatives = model.alternatives.map(name => createAlternative(name));
+    const alternativeId = (name) => alternatives.find(a => a.name === name)?.id ?? name;
+    const nodeIds = Object.fromEntries(alternatives.map(a => [`alternative:${a.name}`, alternativeNodeId(a)]));
+    const nodeId = (id) => nodeIds[id] ?? id;
+    const keep = (key) => key;
+
+    const withIds = (matrix, ids) => (Array.isArray(matrix) && ids ? { ids, matrix } : matrix);
+    const migrateSubModel = (subModel) => {
+        const childIds = {};
+        const visit = (parentId, nodes) => {
+            if (!Array.isArray(nodes)) return;
+            childIds[parentId] = nodes.map(node => node?.id);
+            nodes.forEach(node => visit(node?.id, node?.children));
+        };
+        visit(GOAL_ID, subModel.criteria);
+        return {
+            ...subModel,
+            judgments: mapEntries(subModel.judgments, keep, set => (set && typeof set === 'object' ? {
+                ...set,
+                criteriaComparisons: mapEntries(set.criteriaComparisons, keep, (matrix, parentId) => withIds(matrix, childIds[parentId])),
+                alternativeComparisons: mapEntries(set.alternativeComparisons, keep, matrix => withIds(matrix, alternatives.map(a => a.id))),
+            } : set)),
+            ratings: mapEntries(subModel.ratings, keep, byAlternative => mapEntries(byAlternative, alternativeId, keep)),
+            dataCriteria: mapEntries(subModel.dataCriteria, keep, data => (data && typeof data === 'object'
+                ? { ...data, values: mapEntries(data.values, alternativeId, keep) }
+                : data)),
+        };
+    };
+
+    const network = model.network && typeof model.network === 'object' ? {
+        ...model.network,
+        links: mapEntries(model.network.links, nodeId, keep),
+        nodeComparisons: mapEntries(model.network.nodeComparisons, nodeId, byCluster => mapEntries(byCluster, keep, comparison => (
+            comparison && Array.isArray(comparison.ids) ? { ...comparison, ids: comparison.ids.map(nodeId) } : comparison
+        ))),
+    } : model.network;
+    const bocr = model.bocr && typeof model.bocr === 'object'
+        ? { ...model.bocr, models: mapEntries(model.bocr.models, keep, meritModel => (meritModel && typeof meritModel === 'object' ? migrateSubModel(meritModel) : meritModel)) }
+        : model.bocr;
+    const results = Array.isArray(model.results) ? model.results.map(result => (
+        result && alternatives.some(a => a.name === result.name) ? { id: alternativeId(result.name), ...result } : result
+    )) : model.results;
+
+    return { ...migrateSubModel({ ...model, alternatives }), network, bocr, results };
+};
+
+/**
+ * Validates a parsed project document and fills in defaults for optional fields. Version 1
+ * documents are upgraded first, see migrateToItemIds.
+ * @param {*} data - The parsed JSON.
+ * @returns {{name: string, model: object}} The project name and a model ready to load into App.
+ * @throws {Error} With a message describing the first problem found.
+ */
+export const validateProject = (data) => {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) fail('expected a JSON object.');
+    if (data.format !== PROJECT_FORMAT) fail(`this is not an AHP Calculator project (format "${data.format ?? 'missing'}").`);
+    if (!Number.isInteger(data.version) || data.version < 1) fail('the version number is missing.');
+    if (data.version > PROJECT_VERSION) fail(`it was saved by a newer version of the app (version ${data.version}, this app reads up to ${PROJECT_VERSION}).`);
+
+    if (!data.model || typeof data.model !== 'object') fail('the "model" section is missing.');
+    const model = data.version === 1 ? migrateToItemIds(data.model) : data.model;
+
+    validateCriteriaTree(model.criteria, 'criteria', new Set());
+
+    const { alternatives } = model;
+    if (!Array.isArray(alternatives)) fail('alternatives must be a list.');
+    const alternativeIds = new Set();
+    alternatives.forEach((alt, index) => {
+        if (!alt || typeof alt !== 'object') fail(`alternatives[${index}] must be an object with id and name.`);
+        if (typeof alt.id !== 'string' || alt.id === '') fail(`alternatives[${index}] has a missing id.`);
+        if (alternativeIds.has(alt.id)) fail(`alternative id "${alt.id}" is used more than once.`);
+        alternativeIds.add(alt.id);
+        if (typeof alt.name !== 'string' || alt.name.trim() === '') fail(`alternatives[${index}] must have a non-empty name.`);
+    });
+    if (new Set(alternatives.map(a => a.name)).size !== alternatives.length) fail('alternative names must be unique.');
+
+    const { participants } = model;
+    if (!Array.isArray(participants) || participants.length === 0) fail('there must be at least one participant.');
+    const participantIds = new Set();
+    participants.forEach((p, index) => {
+        if (!p || typeof p.id !== 'string' || p.id === '') fail(`participants[${index}] has a missing id.`);
+        if (participantIds.has(p.id)) fail(`participant id "${p.id}" is used more than once.`);
+        participantIds.add(p.id);
+        if (typeof p.name !== 'string' || p.name.trim() === '') fail(`participants[${index}] must have a non-empty name.`);
+        if (typeof p.weight !== 'number' || !Number.isFinite(p.weight) || p.weight < 0) fail(`${p.name}'s weight must be a number of at least 0.`);
+    });
+
+    const judgments = {};
+    participants.forEach(p => {
+        judgments[p.id] = validateJudgments(model.judgments?.[p.id], model, p.name);
+    });
+
+    const aggregationMethod = model.aggregationMethod ?? DEFAULT_AGGREGATION_METHOD;
+    if (!AGGREGATION_METHODS.some(m => m.value === aggregationMethod)) fail(`unknown aggregation method "${aggregationMethod}".`);
+
+    const evaluationMode = model.evaluationMode ?? DEFAULT_EVALUATION_MODE;
+    if (!EVALUATION_MODES.some(m => m.value === evaluationMode)) fail(`unknown evaluation mode "${evaluationMode}".`);
+    const { ratingScales, ratings } = validateRatings(model);
+    const dataCriteria = validateDataCriteria(model);
+
+    const consistencySettings = { ...DEFAULT_CONSISTENCY_SETTINGS, ...model.consistencySettings };
+    if (!RANDOM_INDEX_SOURCES.some(s => s.value === consistencySettings.randomIndexSource)) fail(`unknown Random Index source "${consistencySettings.randomIndexSource}".`);
+    if (!CONSISTENCY_POLICIES.some(p => p.value === consistencySettings.policy)) fail(`unknown consistency policy "${consistencySettings.policy}".`);
+    if (typeof consistencySettings.sizeDependentThresholds !== 'boolean') fail('the size-dependent thresholds setting must be true or false.');
+
+    const priorityMethod = model.priorityMethod ?? DEFAULT_PRIORITY_METHOD;
+    if (!PRIORITY_METHODS.some(m => m.value === priorityMethod)) fail(`unknown priority method "${priorityMethod}".`);
+
+    const synthesisMode = model.synthesisMode ?? DEFAULT_SYNTHESIS_MODE;
+    if (!SYNTHESIS_MODES.some(m => m.value === synthesisMode)) fail(`unknown synthesis mode "${synthesisMode}".`);
+
+    const judgmentScale = model.judgmentScale ?? DEFAULT_JUDGMENT_SCALE;
+    if (!JUDGMENT_SCALES.some(s => s.value === judgmentScale)) fail(`unknown judgment scale "${judgmentScale}".`);
+
+    const fuzzySettings = { ...DEFAULT_FUZZY_SETTINGS, ...model.fuzzySettings };
+    if (typeof fuzzySettings.enabled !== 'boolean') fail('the fuzzy AHP setting must be true or false.');
+    if (!FUZZY_METHODS.some(m => m.value === fuzzySettings.method)) fail(`unknown fuzzy method "${fuzzySettings.method}".`);
+
+    const network = validateNetwork(model);
+    const bocr = validateBocr({ ...model, participants });
+    const portfolio = validatePortfolioSettings(model);
+
+    const results = validateResults(model);
+
+    return {
+        name: typeof data.name === 'string' && data.name.trim() !== '' ? data.name : 'Untitled Project',
+        model: {
+            criteria: model.criteria, alternatives, participants, judgments, aggregationMethod,
+            evaluationMode, ratingScales, ratings, dataCriteria, consistencySettings, priorityMethod, synthesisMode, judgmentScale,
+            fuzzySettings, network, bocr, portfolio, results,
+        },
+    };
+};
+
+/**
+ * Parses and validates project JSON text.
+ * @param {string} json - The file contents.
+ * @returns {{name: string, model: object}} See validateProject.
+ * @throws {Error} If the text is not JSON or not a valid project.
+ */
+export const parseProject = (json) => {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        throw new Error(`Invalid project file: it is not valid JSON (${error.message}).`);
+    }
+    return validateProject(data);
+};
+
+/**
+ * Reads a JSON value from localStorage, returning a fallback if it is missing or corrupt.
+ * @param {string} key - The storage key.
+ * @param {*} fallback - Value returned when nothing usable is stored.
+ * @returns {*} The parsed value or the fallback.
+ */
+const readStorage = (key, fallback) => {
+    try {
+        const raw = localStorage.getItem(key);
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch (error) {
+        console.error(`Could not read "${key}" from localStorage:`, error);
+        return fallback;
+    }
+};
+
+/**
+ * Writes the running session to the autosave slot.
+ * @param {object} project - A document from serializeProject.
+ */
+export const writeAutosave = (project) => {
+    try {
+        localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(project));
+    } catch (error) {
+        console.error('Autosave failed:', error);
+    }
+};
+
+/**
+ * Restores the autosaved session. Saved results that no longer validate are dropped on their own, like
+ * stale rankings, so the model survives them; a model that no longer validates is given up.
+ * @returns {{project: {name: string, model: object}|null, problem: string|null}} The restored project, or null,
+ * and what could not be restored, in words for the user, or null.
+ */
+export const readAutosave = () => {
+    const data = readStorage(AUTOSAVE_KEY, null);
+    if (!data) return { project: null, problem: null };
+    try {
+        return { project: validateProject(data), problem: null };
+    } catch (error) {
+        try {
+            const project = validateProject({ ...data, model: { ...data.model, results: [] } });
+            return { project, problem: `The results of your last session could not be restored, so they have been cleared. Please calculate them again. (${error.message})` };
+        } catch {
+            return { project: null, problem: `Your last session could not be restored, so a new project has been started. (${error.message})` };
+        }
+    }
+};
+
+/**
+ * Lists the named projects saved in localStorage, most recently saved first.
+ * @returns {{name: string, savedAt: string}[]} Summary of each saved project.
+ */
+export const listSavedProjects = () => {
+    const projects = readStorage(SAVED_PROJECTS_KEY, {});
+    return Object.values(projects)
+        .map(p => ({ name: p.name, savedAt: p.savedAt }))
+        .sort((a, b) => (b.savedAt ?? '').localeCompare(a.savedAt ?? ''));
+};
+
+/**
+ * Saves a project under its name, replacing any project with the same name.
+ * @param {object} project - A document from serializeProject.
+ */
+export const saveProjectToStorage = (project) => {
+    const projects = readStorage(SAVED_PROJECTS_KEY, {});
+    projects[project.name] = project;
+    localStorage.setItem(SAVED_PROJECTS_KEY, JSON.stringify(projects));
+};
+
+/**
+ * Loads a named project from localStorage.
+ * @param {string} name - The project name.
+ * @returns {{name: string, model: object}} See validateProject.
+ * @throws {Error} If the project does not exist or no longer validates.
+ */
+export const loadProjectFromStorage = (name) => {
+    const projects = readStorage(SAVED_PROJECTS_KEY, {});
+    if (!projects[name]) throw new Error(`No saved project named "${name}".`);
+    return validateProject(projects[name]);
+};
+
+/**
+ * Deletes a named project from localStorage.
+ * @param {string} name - The project name.
+ */
+export const deleteSavedProject = (name) => {
+    const projects = readStorage(SAVED_PROJECTS_KEY, {});
+    delete projects[name];
+    localStorage.setItem(SAVED_PROJECTS_KEY, JSON.stringify(projects));
+};
+
+/**
+ * Turns a project name into a safe file name.
+ * @param {string} name - The project name.
+ * @param {string} extension - File extension without the dot.
+ * @returns {string} e.g. "vendor-selection.json".
+ */
+export const toFileName = (name, extension) => {
+    const base = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'ahp-project';
+    return `${base}.${extension}`;
+};
+
+/**
+ * Offers a file to the user as a download.
+ * @param {string|Uint8Array} contents - The file contents, as text or bytes.
+ * @param {string} fileName - Suggested file name.
+ * @param {string} type - MIME type.
+ */
+export const downloadFile = (contents, fileName, type) => {
+    const url = URL.createObjectURL(new Blob([contents], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    // Revoking right away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME_MS);
+};
+
+/**
+ * Downloads a project as a pretty-printed JSON file.
+ * @param {object} project - A document from serializeProject.
+ */
+export const downloadProject = (project) => {
+    downloadFile(JSON.stringify(project, null, 2), toFileName(project.name, 'json'), 'application/json');
+};
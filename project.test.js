@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    PROJECT_FORMAT, AUTOSAVE_KEY, MODEL_FIELDS, createModel, serializeProject, validateProject, readAutosave,
+} from './project.js';
+import { createPortfolio } from './portfolio.js';
+import { createRatingScale } from './ratings.js';
+import { createDataCriterion } from './measurement.js';
+import { criterion, projectWithResults } from './testHelpers.js';
+
+describe('stored results', () => {
+    it('keeps a valid ranking', () => {
+        const results = [{ name: 'B', score: 0.6 }, { name: 'A', score: 0.4 }];
+        expect(validateProject(projectWithResults(results)).model.results).toEqual(results);
+    });
+
+    it('keeps the alternative ids of a ranking', () => {
+        const results = [{ id: 'b', name: 'B', score: 0.6 }, { id: 'a', name: 'A', score: 0.4 }];
+        expect(validateProject(projectWithResults(results)).model.results).toEqual(results);
+    });
+
+    it('defaults to no results', () => {
+        expect(validateProject(projectWithResults(undefined)).model.results).toEqual([]);
+    });
+
+    it.each([
+        ['a name that is not text', [{ name: { evil: 1 }, score: 0.5 }], 'results[0] must have a non-empty name'],
+        ['an entry that is not an object', [{ name: 'A', score: 0.5 }, 5], 'results[1] must be an object'],
+        ['a missing score', [{ name: 'A' }], 'the score of "A"'],
+        ['a score that is not finite', [{ name: 'A', score: 'NaN' }], 'the score of "A"'],
+        ['an alternative listed twice', [{ name: 'A', score: 0.5 }, { name: 'A', score: 0.5 }], '"A" more than once'],
+        ['results that are not a list', { A: 1 }, 'the results must be a list'],
+        ['an id that is not text', [{ id: 7, name: 'A', score: 0.5 }], 'the id of "A"'],
+    ])('rejects %s', (_, results, message) => {
+        expect(() => validateProject(projectWithResults(results))).toThrow(message);
+    });
+
+    it('drops a ranking of alternatives that have been renamed or removed since', () => {
+        expect(validateProject(projectWithResults([{ name: 'Old name', score: 1 }])).model.results).toEqual([]);
+        expect(validateProject(projectWithResults([{ id: 'b', name: 'A', score: 1 }])).model.results).toEqual([]);
+    });
+});
+
+describe('portfolio constraints', () => {
+    /**
+     * The test project with a portfolio holding the given constraints.
+     * @param {string[][]} exclusions - Mutually exclusive pairs.
+     * @param {{alternativeId: string, requiredId: string}[]} dependencies - Dependencies.
+     * @returns {object} The document.
+     */
+    const projectWithConstraints = (exclusions, dependencies) => {
+        const project = projectWithResults([]);
+        project.model.portfolio = { ...createPortfolio(), exclusions, dependencies };
+        return project;
+    };
+
+    it('keeps an exclusion, or alternatives that require each other', () => {
+        expect(validateProject(projectWithConstraints([['a', 'b']], [])).model.portfolio.exclusions).toEqual([['a', 'b']]);
+        const both = [{ alternativeId: 'a', requiredId: 'b' }, { alternativeId: 'b', requiredId: 'a' }];
+        expect(validateProject(projectWithConstraints([], both)).model.portfolio.dependencies).toEqual(both);
+    });
+
+    it.each([
+        ['a pair excluded twice in either order', [['a', 'b'], ['b', 'a']], [], 'they already exclude each other'],
+        ['a dependency listed twice', [], [{ alternativeId: 'a', requiredId: 'b' }, { alternativeId: 'a', requiredId: 'b' }], 'the first already requires the second'],
+        ['a dependency between excluded alternatives', [['b', 'a']], [{ alternativeId: 'a', requiredId: 'b' }], 'they exclude each other'],
+    ])('rejects %s', (_, exclusions, dependencies, message) => {
+        expect(() => validateProject(projectWithConstraints(exclusions, dependencies))).toThrow(message);
+    });
+});
+
+describe('model fields', () => {
+    it('creates a new model with every field, which saves and loads in the same order', () => {
+        const model = createModel();
+        expect(Object.keys(model)).toEqual(MODEL_FIELDS);
+        const project = serializeProject('New', { ...model, notAField: true });
+        expect(Object.keys(project.model)).toEqual(MODEL_FIELDS);
+        const loaded = validateProject(JSON.parse(JSON.stringify(project)));
+        expect(Object.keys(loaded.model)).toEqual(MODEL_FIELDS);
+        expect(loaded.model.participants).toEqual(model.participants);
+        expect(loaded.model.portfolio).toEqual(model.portfolio);
+    });
+});
+
+// A rating scale for the Looks criterion of versionOneProject
+const LOOKS_SCALE = createRatingScale();
+
+/**
+ * A project saved in version 1, before alternatives had ids: ratings, measured values and the
+ * ranking name the alternatives, and matrices are plain arrays in list order.
+ * @returns {object} The document.
+ */
+const versionOneProject = () => ({
+    format: PROJECT_FORMAT,
+    version: 1,
+    name: 'Old',
+    model: {
+        criteria: [criterion('cost', [criterion('price'), criterion('upkeep')]), criterion('looks')],
+        alternatives: ['A', 'B'],
+        participants: [{ id: 'p', name: 'P', weight: 1 }],
+        judgments: {
+            p: {
+                criteriaComparisons: { goal: [[1, 3], [1 / 3, 1]], cost: [[1, 1 / 2], [2, 1]] },
+                alternativeComparisons: { price: [[1, 4], [1 / 4, 1]] },
+            },
+        },
+        ratingScales: { looks: LOOKS_SCALE },
+        ratings: { looks: { A: LOOKS_SCALE.grades[0].id } },
+        dataCriteria: { upkeep: { ...createDataCriterion('cost'), values: { A: 10, B: 20 } } },
+        results: [{ name: 'B', score: 0.6 }, { name: 'A', score: 0.4 }],
+    },
+});
+
+describe('version 1 documents', () => {
+    it('give the alternatives ids and refer to them by id everywhere', () => {
+        const { model } = validateProject(versionOneProject());
+        const [a, b] = model.alternatives;
+        expect(model.alternatives.map(alt => alt.name)).toEqual(['A', 'B']);
+        expect(a.id).not.toBe(b.id);
+        const { criteriaComparisons, alternativeComparisons } = model.judgments.p;
+        expect(criteriaComparisons.goal).toEqual({ ids: ['cost', 'looks'], matrix: [[1, 3], [1 / 3, 1]] });
+        expect(criteriaComparisons.cost).toEqual({ ids: ['price', 'upkeep'], matrix: [[1, 1 / 2], [2, 1]] });
+        expect(alternativeComparisons.price).toEqual({ ids: [a.id, b.id], matrix: [[1, 4], [1 / 4, 1]] });
+        expect(model.ratings.looks).toEqual({ [a.id]: LOOKS_SCALE.grades[0].id });
+        expect(model.dataCriteria.upkeep.values).toEqual({ [a.id]: 10, [b.id]: 20 });
+        expect(model.results).toEqual([{ id: b.id, name: 'B', score: 0.6 }, { id: a.id, name: 'A', score: 0.4 }]);
+    });
+
+    it('are still checked after the upgrade', () => {
+        const data = versionOneProject();
+        data.model.alternatives = ['A', 'A'];
+        expect(() => validateProject(data)).toThrow('alternative names must be unique.');
+    });
+});
+
+describe('autosave', () => {
+    beforeEach(() => {
+        const items = new Map();
+        vi.stubGlobal('localStorage', {
+            getItem: key => items.get(key) ?? null,
+            setItem: (key, value) => items.set(key, String(value)),
+        });
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('restores nothing when there is no autosave', () => {
+        expect(readAutosave()).toEqual({ project: null, problem: null });
+    });
+
+    it('restores a valid session without a problem', () => {
+        localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(projectWithResults([{ id: 'a', name: 'A', score: 1 }])));
+        const { project, problem } = readAutosave();
+        expect(project.model.results).toEqual([{ id: 'a', name: 'A', score: 1 }]);
+        expect(problem).toBeNull();
+    });
+
+    it('restores a session saved in version 1', () => {
+        localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(versionOneProject()));
+        const { project, problem } = readAutosave();
+        expect(project.model.alternatives.map(a => a.name)).toEqual(['A', 'B']);
+        expect(project.model.results.map(r => r.name)).toEqual(['B', 'A']);
+        expect(problem).toBeNull();
+    });
+
+    it('drops only results that no longer validate and says so', () => {
+        localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(projectWithResults([{ name: 'A', score: 'high' }])));
+        const { project, problem } = readAutosave();
+        expect(project.model.alternatives.map(a => a.name)).toEqual(['A', 'B']);
+        expect(project.model.results).toEqual([]);
+        expect(problem).toContain('results of your last session could not be restored');
+    });
+
+    it('gives up a model that no longer validates and says so', () => {
+        const data = projectWithResults([]);
+        data.model.participants = [];
+        localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(data));
+        const { project, problem } = readAutosave();
+        expect(project).toBeNull();
+        expect(problem).toContain('there must be at least one participant');
+    });
+});
@@ -0,0 +1,27 @@
+// random.js
+// A small seeded pseudo-random generator, so simulations (Random Index estimates, Monte Carlo
+// analyses) give the same numbers every time they are run with the same seed.
+
+/**
+ * Creates a seeded generator of uniform numbers in [0, 1) using mulberry32.
+ * @param {number} seed - Any 32-bit integer.
+ * @returns {function(): number} The generator; each call returns the next number.
+ */
+export const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Picks a uniformly random element of a list.
+ * @param {function(): number} random - A generator from createRandom.
+ * @param {Array} list - The list to pick from.
+ * @returns {*} One of its elements.
+ */
+export const pickRandom = (random, list) => list[Math.floor(random() * list.length)];
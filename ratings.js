@@ -0,0 +1,158 @@
+// ratings.js
+// Ratings (absolute measurement) mode. Instead of comparing alternatives pairwise, each leaf
+// criterion gets a rating scale of intensity grades (e.g. Excellent/Good/Fair/Poor) whose
+// priorities come from a pairwise matrix over the grades. Alternatives are then simply rated,
+// and each rating contributes the grade's idealized priority (the best grade scores 1).
+import { calculateAHP, resizeMatrix, removeFromMatrix } from './ahp.js';
+import { createId, getLeaves, calculateHierarchyWeights } from './hierarchy.js';
+
+export const EVALUATION_MODES = [
+    { value: 'pairwise', label: 'Pairwise Comparisons' },
+    { value: 'ratings', label: 'Ratings (absolute measurement)' },
+];
+
+export const DEFAULT_EVALUATION_MODE = 'pairwise';
+
+export const DEFAULT_GRADES = ['Excellent', 'Good', 'Fair', 'Poor'];
+
+/**
+ * Creates a rating scale. The default matrix makes each grade twice as preferred as the next,
+ * which users can then refine by comparing the grades.
+ * @param {string[]} [names] - Grade names, best first.
+ * @returns {{grades: {id: string, name: string}[], matrix: number[][]}} The rating scale.
+ */
+export const createRatingScale = (names = DEFAULT_GRADES) => ({
+    grades: names.map(name => ({ id: createId(), name })),
+    matrix: names.map((_, i) => names.map((__, j) => 2 ** (j - i))),
+});
+
+/**
+ * Adds a grade to the end of a rating scale. It starts out half as preferred as the previous
+ * lowest grade; its other comparisons are left unjudged and estimated until the user makes them.
+ * @param {object} scale - The rating scale.
+ * @param {string} name - The new grade's name.
+ * @returns {object} The updated scale.
+ */
+export const addGrade = (scale, name) => {
+    const last = scale.grades.length - 1;
+    const matrix = resizeMatrix(scale.matrix, scale.grades.length + 1);
+    matrix[last][last + 1] = 2;
+    matrix[last + 1][last] = 1 / 2;
+    return { grades: [...scale.grades, { id: createId(), name }], matrix };
+};
+
+/**
+ * Removes a grade and its row and column from a rating scale.
+ * @param {object} scale - The rating scale.
+ * @param {string} gradeId - The grade to remove.
+ * @returns {object} The updated scale.
+ */
+export const removeGrade = (scale, gradeId) => {
+    const index = scale.grades.findIndex(g => g.id === gradeId);
+    return {
+        grades: scale.grades.filter(g => g.id !== gradeId),
+        matrix: removeFromMatrix(scale.matrix, index),
+    };
+};
+
+/**
+ * Computes the idealized priority of every grade: its weight divided by the largest weight.
+ * @param {object} scale - The rating scale.
+ * @param {string} method - One of the PRIORITY_METHODS values.
+ * @param {string} [randomIndexSource] - One of the RANDOM_INDEX_SOURCES values.
+ * @returns {{priorities: Object.<string, number>, consistencyRatio: number}} Priorities keyed by grade id.
+ */
+export const calculateGradePriorities = (scale, method, randomIndexSource) => {
+    const { weights, consistencyRatio } = calculateAHP(scale.matrix, scale.grades.length, method, randomIndexSource);
+    const max = Math.max(...weights);
+    const priorities = {};
+    scale.grades.forEach((grade, index) => {
+        priorities[grade.id] = weights[index] / max;
+    });
+    return { priorities, consistencyRatio };
+};
+
+/**
+ * Makes sure every leaf criterion has a rating scale, keeping existing ones and dropping scales
+ * of criteria that are no longer leaves.
+ * @param {Array} tree - The top-level criteria.
+ * @param {Object.<string, object>} prevScales - Rating scales keyed by leaf id.
+ * @returns {Object.<string, object>} The synchronized scales.
+ */
+export const syncRatingScales = (tree, prevScales) => {
+    const scales = {};
+    getLeaves(tree).forEach(leaf => {
+        scales[leaf.id] = prevScales[leaf.id] ?? createRatingScale();
+    });
+    return scales;
+};
+
+/**
+ * Drops ratings for removed leaves, alternatives or grades.
+ * @param {Array} tree - The top-level criteria.
+ * @param {{id: string}[]} alternatives - The alternatives.
+ * @param {Object.<string, object>} scales - Rating scales keyed by leaf id.
+ * @param {Object.<string, Object.<string, string>>} prevRatings - Grade ids keyed by leaf id, then alternative id.
+ * @returns {Object.<string, Object.<string, string>>} The synchronized ratings.
+ */
+export const syncRatings = (tree, alternatives, scales, prevRatings) => {
+    const ratings = {};
+    getLeaves(tree).forEach(leaf => {
+        const gradeIds = new Set((scales[leaf.id]?.grades ?? []).map(g => g.id));
+        ratings[leaf.id] = {};
+        alternatives.forEach(alt => {
+            const gradeId = prevRatings[leaf.id]?.[alt.id];
+            if (gradeIds.has(gradeId)) ratings[leaf.id][alt.id] = gradeId;
+        });
+    });
+    return ratings;
+};
+
+/**
+ * Lists the alternative/criterion pairs that have not been rated yet.
+ * @param {Array} tree - The top-level criteria.
+ * @param {{id: string, name: string}[]} alternatives - The alternatives.
+ * @param {Object.<string, Object.<string, string>>} ratings - Grade ids keyed by leaf id, then alternative id.
+ * @returns {{alternative: {id: string, name: string}, leaf: object}[]} The missing ratings.
+ */
+export const findMissingRatings = (tree, alternatives, ratings) => {
+    const missing = [];
+    getLeaves(tree).forEach(leaf => {
+        alternatives.forEach(alternative => {
+            if (!ratings[leaf.id]?.[alternative.id]) missing.push({ alternative, leaf });
+        });
+    });
+    return missing;
+};
+
+/**
+ * Synthesizes scores in ratings mode. Returns the same shape as synthesizeHierarchy so callers
+ * can treat both modes alike: alternativeWeights hold each alternative's idealized grade priority
+ * under every leaf, and alternativeConsistencyRatios the CR of each leaf's grade matrix.
+ * @param {Array} tree - The top-level criteria.
+ * @param {{id: string}[]} alternatives - The alternatives.
+ * @param {{criteriaComparisons: object}} judgments - The criteria matrices to use.
+ * @param {Object.<string, object>} scales - Rating scales keyed by leaf id.
+ * @param {Object.<string, Object.<string, string>>} ratings - Grade ids keyed by leaf id, then alternative id.
+ * @param {string} method - One of the PRIORITY_METHODS values.
+ * @param {string} [randomIndexSource] - One of the RANDOM_INDEX_SOURCES values.
+ * @returns {object} See synthesizeHierarchy. Unrated alternatives score 0 under that leaf.
+ */
+export const synthesizeRatings = (tree, alternatives, judgments, scales, ratings, method, randomIndexSource) => {
+    const { localWeights, globalWeights, consistencyRatios } = calculateHierarchyWeights(tree, judgments.criteriaComparisons, method, randomIndexSource);
+
+    const alternativeWeights = {};
+    const alternativeConsistencyRatios = {};
+    const scores = Array(alternatives.length).fill(0);
+
+    getLeaves(tree).forEach(leaf => {
+        const { priorities, consistencyRatio } = calculateGradePriorities(scales[leaf.id], method, randomIndexSource);
+        alternativeConsistencyRatios[leaf.id] = consistencyRatio;
+        alternativeWeights[leaf.id] = alternatives.map(alt => priorities[ratings[leaf.id]?.[alt.id]] ?? 0);
+        alternativeWeights[leaf.id].forEach((priority, altIndex) => {
+            scores[altIndex] += priority * globalWeights[leaf.id];
+        });
+    });
+
+    return { localWeights, globalWeights, consistencyRatios, alternativeWeights, alternativeConsistencyRatios, scores };
+};
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import {
+    DEFAULT_GRADES, createRatingScale, addGrade, removeGrade, calculateGradePriorities, syncRatingScales, syncRatings,
+    findMissingRatings, synthesizeRatings,
+} from './ratings.js';
+import { ALTERNATIVES, criterion, expectClose } from './testHelpers.js';
+
+const TREE = [criterion('price'), criterion('quality')];
+
+/**
+ * Idealized grade priorities in grade order.
+ * @param {object} scale - The rating scale.
+ * @returns {number[]} The priorities.
+ */
+const gradePriorities = (scale) => {
+    const { priorities } = calculateGradePriorities(scale, 'eigenvector');
+    return scale.grades.map(grade => priorities[grade.id]);
+};
+
+describe('rating scales', () => {
+    it('start with each grade twice as preferred as the next, the best one scoring 1', () => {
+        const scale = createRatingScale();
+        expect(scale.grades.map(grade => grade.name)).toEqual(DEFAULT_GRADES);
+        expect(calculateGradePriorities(scale, 'eigenvector').consistencyRatio).toBeCloseTo(0, 10);
+        expectClose(gradePriorities(scale), [1, 0.5, 0.25, 0.125]);
+    });
+
+    it('add a grade half as preferred as the lowest one', () => {
+        const scale = addGrade(createRatingScale(['Good', 'Poor']), 'Awful');
+        expect(scale.grades.map(grade => grade.name)).toEqual(['Good', 'Poor', 'Awful']);
+        expect(scale.matrix[0][2]).toBeNull();
+        expectClose(gradePriorities(scale), [1, 0.5, 0.25], 6);
+    });
+
+    it('remove a grade with its row and column', () => {
+        const scale = createRatingScale(['Good', 'Fair', 'Poor']);
+        const removed = removeGrade(scale, scale.grades[1].id);
+        expect(removed.grades.map(grade => grade.name)).toEqual(['Good', 'Poor']);
+        expect(removed.matrix).toEqual([[1, 4], [1 / 4, 1]]);
+    });
+
+    it('follow the leaves of the tree, keeping the existing ones', () => {
+        const priceScale = createRatingScale(['Cheap', 'Dear']);
+        const scales = syncRatingScales([criterion('price'), criterion('looks')], { price: priceScale, gone: createRatingScale() });
+        expect(Object.keys(scales)).toEqual(['price', 'looks']);
+        expect(scales.price).toBe(priceScale);
+        expect(scales.looks.grades.map(grade => grade.name)).toEqual(DEFAULT_GRADES);
+    });
+});
+
+describe('ratings', () => {
+    const scales = syncRatingScales(TREE, {});
+    const grade = (leafId, index) => scales[leafId].grades[index].id;
+
+    it('drop ratings of removed leaves, alternatives and grades', () => {
+        const shrunk = { ...scales, quality: removeGrade(scales.quality, grade('quality', 0)) };
+        const ratings = syncRatings(TREE, ALTERNATIVES.slice(0, 2), shrunk, {
+            price: { a: grade('price', 0), c: grade('price', 1) },
+            quality: { a: grade('quality', 0), b: grade('quality', 1) },
+            gone: { a: 'x' },
+        });
+        expect(ratings).toEqual({ price: { a: grade('price', 0) }, quality: { b: grade('quality', 1) } });
+    });
+
+    it('list the alternatives still to rate under each leaf', () => {
+        const missing = findMissingRatings(TREE, ALTERNATIVES, {
+            price: { a: grade('price', 0), b: grade('price', 1), c: grade('price', 2) },
+            quality: { b: grade('quality', 0) },
+        });
+        expect(missing.map(({ alternative, leaf }) => `${leaf.id}:${alternative.id}`)).toEqual(['quality:a', 'quality:c']);
+    });
+
+    it('score each alternative by the idealized priority of its grades', () => {
+        // Price weighs 3 × Quality: 0.75 and 0.25
+        const synthesis = synthesizeRatings(TREE, ALTERNATIVES, { criteriaComparisons: { goal: [[1, 3], [1 / 3, 1]] } }, scales, {
+            price: { a: grade('price', 0), b: grade('price', 1), c: grade('price', 3) },
+            quality: { a: grade('quality', 2), b: grade('quality', 0) },
+        }, 'eigenvector');
+        expectClose(synthesis.alternativeWeights.price, [1, 0.5, 0.125]);
+        expectClose(synthesis.alternativeWeights.quality, [0.25, 1, 0]);
+        expectClose(synthesis.scores, [0.75 + 0.25 * 0.25, 0.75 * 0.5 + 0.25, 0.75 * 0.125]);
+        expect(synthesis.alternativeConsistencyRatios.price).toBeCloseTo(0, 10);
+    });
+});
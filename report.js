@@ -0,0 +1,202 @@
+// report.js
+// Report export: gathers the hierarchy, every comparison matrix with its consistency ratio, the
+// criteria weights and the final ranking into one plain structure, and turns it into the rows of
+// CSV files and workbook sheets. The print view renders the same structure. The report is built
+// when the results are calculated, from the syntheses behind them, so it shows the weights and
+// priorities that produced the ranking whatever the mode (AIJ or AIP, ideal, fuzzy, ANP or BOCR).
+import { calculateAHP } from './ahp.js';
+import { GOAL_ID, getComparisonSteps } from './hierarchy.js';
+import { ALTERNATIVES_CLUSTER_ID, getClusters, getNetworkComparisons } from './anp.js';
+
+/**
+ * Lists the criteria tree depth first with its weights; a local weight is the criterion's share of
+ * its parent's global weight.
+ * @param {Array} nodes - The nodes at this level.
+ * @param {Object.<string, number>} globalWeights - Global weights keyed by node id.
+ * @param {number} [depth] - Their depth, 0 for top-level criteria.
+ * @param {string[]} [path] - Names of their ancestors.
+ * @param {number} [parentWeight] - Global weight of their parent.
+ * @returns {{id: string, name: string, depth: number, path: string[], local: number, global: number}[]} Every criterion.
+ */
+const flattenTree = (nodes, globalWeights, depth = 0, path = [], parentWeight = 1) => nodes.flatMap(node => {
+    const global = globalWeights[node.id];
+    return [
+        { id: node.id, name: node.name, depth, path: [...path, node.name], local: parentWeight > 0 ? global / parentWeight : 0, global },
+        ...flattenTree(node.children, globalWeights, depth + 1, [...path, node.name], global),
+    ];
+});
+
+/**
+ * Describes a hierarchy as the calculation used it: the criteria with the weights behind the
+ * results, and every comparison matrix with the priorities and consistency ratio its synthesis
+ * gave it, one set per participant and, when judgments were combined before synthesizing (AIJ),
+ * the group's combined matrices. Alternative matrices are left out for leaves evaluated by
+ * ratings or measured data.
+ * @param {object} part
+ * @param {string|null} [part.label] - The sub-model (a BOCR merit), or null if there is only one.
+ * @param {number} [part.weight] - The sub-model's weight, shown with its label.
+ * @param {Array} part.criteria - The top-level criteria.
+ * @param {{id: string, name: string}[]} part.alternatives - The alternatives.
+ * @param {Object.<string, number>} part.globalWeights - Global criteria weights behind the results.
+ * @param {string[]} part.participants - Participant names.
+ * @param {object[]} part.judgmentSets - Each participant's matrices as numbers on the judgment scale
+ * (crisp values in fuzzy mode), laid out as by alignJudgments.
+ * @param {object[]} part.syntheses - Each participant's synthesis of them.
+ * @param {{judgmentSet: object, synthesis: object}|null} [part.group] - The combined matrices and
+ * their synthesis, for a group that aggregated its judgments.
+ * @param {function(string): boolean} part.isJudged - Whether alternatives are compared under a leaf, given its id.
+ * @returns {{hierarchy: object[], matrices: object[]}} The part of the report, see buildReport.
+ */
+export const describeHierarchy = ({
+    label = null, weight, criteria, alternatives, globalWeights, participants, judgmentSets, syntheses, group = null, isJudged,
+}) => {
+    const isGroup = participants.length > 1;
+    const sets = [
+        ...judgmentSets.map((judgmentSet, k) => ({ participant: isGroup ? participants[k] : null, judgmentSet, synthesis: syntheses[k] })),
+        ...(group && isGroup ? [{ participant: 'Group', ...group }] : []),
+    ];
+    const matrices = sets.flatMap(({ participant, judgmentSet, synthesis }) => getComparisonSteps(criteria).flatMap(({ type, node }) => {
+        const isAlternatives = type === 'alternatives';
+        if (isAlternatives && !isJudged(node.id)) return [];
+        const items = isAlternatives ? alternatives : node.children;
+        if (items.length < 2) return [];
+        const scope = node.id === GOAL_ID ? 'Goal' : node.path.join(' › ');
+        return [{
+            title: `${label ? `${label}: ` : ''}${isAlternatives ? 'Alternatives' : 'Criteria'} under ${scope}`,
+            participant,
+            items: items.map(item => item.name),
+            values: isAlternatives ? judgmentSet.alternativeComparisons[node.id] : judgmentSet.criteriaComparisons[node.id],
+            weights: isAlternatives ? synthesis.alternativeWeights[node.id] : node.children.map(child => synthesis.localWeights[child.id]),
+            consistencyRatio: isAlternatives ? synthesis.alternativeConsistencyRatios[node.id] : synthesis.consistencyRatios[node.id],
+        }];
+    }));
+
+    const rows = flattenTree(criteria, globalWeights, label ? 1 : 0, label ? [label] : []);
+    return {
+        hierarchy: label ? [{ id: label, name: label, depth: 0, path: [label], local: weight, global: weight }, ...rows] : rows,
+        matrices,
+    };
+};
+
+/**
+ * Describes a network as the calculation used it: each criteria cluster with its share of the
+ * limit priorities and its nodes with their limit priority within the cluster (local) and overall
+ * (global), and every node and cluster comparison with its priorities.
+ * @param {object} part
+ * @param {Array} part.criteria - The top-level criteria.
+ * @param {{id: string, name: string}[]} part.alternatives - The alternatives.
+ * @param {object} part.network - The synchronized network settings.
+ * @param {object} part.result - Output of calculateNetwork.
+ * @param {string} part.method - One of the PRIORITY_METHODS values.
+ * @param {string} [part.randomIndexSource] - One of the RANDOM_INDEX_SOURCES values.
+ * @param {function((number|null)[][]): (number|null)[][]} part.transform - Maps stored judgments to
+ * the values used, as given to calculateNetwork.
+ * @returns {{hierarchy: object[], matrices: object[]}} The part of the report, see buildReport.
+ */
+export const describeNetwork = ({ criteria, alternatives, network, result, method, randomIndexSource, transform }) => {
+    const clusters = getClusters(network, alternatives);
+    const clusterNames = Object.fromEntries(clusters.map(cluster => [cluster.id, cluster.name]));
+    const nodeNames = Object.fromEntries(result.nodes.map(node => [node.id, node.name]));
+
+    const hierarchy = clusters.filter(cluster => cluster.id !== ALTERNATIVES_CLUSTER_ID).flatMap(cluster => {
+        const members = result.nodes.map((node, i) => ({ node, i })).filter(({ node }) => node.clusterId === cluster.id);
+        const total = members.reduce((sum, { i }) => sum + result.priorities[i], 0);
+        return [
+            { id: cluster.id, name: cluster.name, depth: 0, path: [cluster.name], local: total, global: total },
+            ...members.map(({ node, i }) => ({
+                id: node.id, name: node.name, depth: 1, path: [cluster.name, node.name], local: result.clusterPriorities[i], global: result.priorities[i],
+            })),
+        ];
+    });
+
+    const matrices = getNetworkComparisons(criteria, alternatives, network).map(({ type, ownerId, clusterId, comparison }) => {
+        const values = transform(comparison.matrix);
+        const { weights, consistencyRatio } = calculateAHP(values, comparison.ids.length, method, randomIndexSource);
+        return {
+            title: type === 'node' ? `${clusterNames[clusterId]} with respect to "${nodeNames[ownerId]}"` : `Clusters with respect to ${clusterNames[ownerId]}`,
+            participant: null,
+            items: comparison.ids.map(id => (type === 'node' ? nodeNames[id] : clusterNames[id])),
+            values,
+            weights,
+            consistencyRatio,
+        };
+    });
+
+    return { hierarchy, matrices };
+};
+
+/**
+ * Collects everything a report shows.
+ * @param {object} report
+ * @param {string} report.projectName - The project name.
+ * @param {{hierarchy: object[], matrices: object[]}[]} report.parts - From describeHierarchy or describeNetwork:
+ * one part, or one per BOCR merit.
+ * @param {{name: string, score: number}[]} report.results - The ranking, best first.
+ * @returns {{projectName: string, createdAt: string, hierarchy: object[], matrices: object[], ranking: object[]}}
+ * The report: criteria (depth first, with local and global weights), matrices ({title, participant,
+ * items, values, weights, consistencyRatio}) and the ranking.
+ */
+export const buildReport = ({ projectName, parts, results }) => ({
+    projectName,
+    createdAt: new Date().toISOString(),
+    hierarchy: parts.flatMap(part => part.hierarchy),
+    matrices: parts.flatMap(part => part.matrices),
+    ranking: results.map((result, index) => ({ rank: index + 1, ...result })),
+});
+
+/**
+ * Rows of the ranking table.
+ * @param {object} report - Output of buildReport.
+ * @returns {Array<Array<string|number>>} A header row, then rank, alternative and score.
+ */
+export const rankingRows = (report) => [
+    ['Rank', 'Alternative', 'Score'],
+    ...report.ranking.map(({ rank, name, score }) => [rank, name, score]),
+];
+
+/**
+ * Rows of the criteria weights table.
+ * @param {object} report - Output of buildReport.
+ * @returns {Array<Array<string|number>>} A header row, then criterion path, local and global weight.
+ */
+export const weightRows = (report) => [
+    ['Criterion', 'Local Weight', 'Global Weight'],
+    ...report.hierarchy.map(({ path, local, global }) => [path.join(' › '), local, global]),
+];
+
+/**
+ * Rows of one comparison matrix, followed by its priorities and consistency ratio.
+ * Judgments that were not made are left empty.
+ * @param {object} matrix - One of the report's matrices.
+ * @returns {Array<Array<string|number|null>>} The rows.
+ */
+export const matrixRows = (matrix) => [
+    [matrix.participant ? `${matrix.title} (${matrix.participant})` : matrix.title],
+    ['', ...matrix.items, 'Priority'],
+    ...matrix.items.map((item, i) => [item, ...matrix.values[i], matrix.weights[i]]),
+    ['Consistency Ratio', Number.isNaN(matrix.consistencyRatio) ? 'N/A' : matrix.consistencyRatio],
+];
+
+/**
+ * Formats rows as CSV (RFC 4180): fields with commas, quotes or line breaks are quoted.
+ * @param {Array<Array<string|number|null>>} rows - The cell values.
+ * @returns {string} The CSV text.
+ */
+export const toCsv = (rows) => rows.map(row => row.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',')).join('\r\n');
+
+/**
+ * Lays a report out as workbook sheets: the ranking, the criteria weights, then one sheet per matrix.
+ * @param {object} report - Output of buildReport.
+ * @returns {{name: string, rows: Array<Array<string|number|null>>}[]} The sheets, see createWorkbook.
+ */
+export const reportSheets = (report) => [
+    { name: 'Ranking', rows: rankingRows(report) },
+    { name: 'Criteria Weights', rows: weightRows(report) },
+    ...report.matrices.map(matrix => ({
+        name: matrix.participant ? `${matrix.participant} - ${matrix.title}` : matrix.title,
+        rows: matrixRows(matrix),
+    })),
+];
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { describeHierarchy, buildReport, rankingRows, weightRows } from './report.js';
+import { alignJudgments, synthesizeHierarchy, idealizeSynthesis } from './hierarchy.js';
+import { aggregateJudgmentSets } from './group.js';
+import { ALTERNATIVES, criterion } from './testHelpers.js';
+
+const CRITERIA = [criterion('price'), criterion('quality')];
+const PAIR = ALTERNATIVES.slice(0, 2);
+
+/**
+ * Judgments of one participant with every comparison filled in.
+ * @param {number} criteria - How much more Price matters than Quality.
+ * @param {number} alternatives - How much A is preferred to B under every criterion.
+ * @returns {object} Matrices laid out as by alignJudgments.
+ */
+const judgmentsOf = (criteria, alternatives) => {
+    const set = alignJudgments(CRITERIA, PAIR, undefined);
+    set.criteriaComparisons.goal[0][1] = criteria;
+    set.criteriaComparisons.goal[1][0] = 1 / criteria;
+    Object.values(set.alternativeComparisons).forEach(matrix => {
+        matrix[0][1] = alternatives;
+        matrix[1][0] = 1 / alternatives;
+    });
+    return set;
+};
+
+const synthesize = (set) => synthesizeHierarchy(CRITERIA, PAIR.length, set, 'eigenvector');
+
+describe('report of a hierarchy', () => {
+    const sets = [judgmentsOf(3, 2), judgmentsOf(1 / 3, 4)];
+    const syntheses = sets.map(synthesize);
+    const groupSet = aggregateJudgmentSets(sets, [0.5, 0.5]);
+    const groupSynthesis = synthesize(groupSet);
+    const part = describeHierarchy({
+        criteria: CRITERIA,
+        alternatives: PAIR,
+        globalWeights: groupSynthesis.globalWeights,
+        participants: ['Ann', 'Bob'],
+        judgmentSets: sets,
+        syntheses,
+        group: { judgmentSet: groupSet, synthesis: groupSynthesis },
+        isJudged: (leafId) => leafId !== 'quality',
+    });
+
+    it('lists each participant\'s matrices with their own priorities, then the combined ones', () => {
+        expect(part.matrices.map(m => `${m.participant}: ${m.title}`)).toEqual([
+            'Ann: Criteria under Goal', 'Ann: Alternatives under PRICE',
+            'Bob: Criteria under Goal', 'Bob: Alternatives under PRICE',
+            'Group: Criteria under Goal', 'Group: Alternatives under PRICE',
+        ]);
+        expect(part.matrices[0].weights[0]).toBeCloseTo(0.75, 10);
+        expect(part.matrices[2].weights[0]).toBeCloseTo(0.25, 10);
+        expect(part.matrices[4].values).toEqual(groupSet.criteriaComparisons.goal);
+        expect(part.matrices[4].weights[0]).toBeCloseTo(0.5, 10);
+    });
+
+    it('takes the criteria weights it is given', () => {
+        const { hierarchy } = describeHierarchy({
+            criteria: CRITERIA, alternatives: PAIR, globalWeights: { price: 0.6, quality: 0.4 },
+            participants: ['Ann'], judgmentSets: [sets[0]], syntheses: [syntheses[0]], isJudged: () => true,
+        });
+        expect(hierarchy.map(({ name, local, global }) => [name, local, global])).toEqual([['PRICE', 0.6, 0.6], ['QUALITY', 0.4, 0.4]]);
+    });
+
+    it('shows the idealized priorities of an ideal synthesis', () => {
+        const ideal = idealizeSynthesis(CRITERIA, syntheses[0]);
+        const { matrices } = describeHierarchy({
+            criteria: CRITERIA, alternatives: PAIR, globalWeights: ideal.globalWeights,
+            participants: ['Ann'], judgmentSets: [sets[0]], syntheses: [ideal], isJudged: () => true,
+        });
+        expect(matrices[1].participant).toBeNull();
+        expect(matrices[1].weights).toEqual([1, 0.5]);
+    });
+
+    it('heads a sub-model with its label and weight', () => {
+        const { hierarchy, matrices } = describeHierarchy({
+            label: 'Costs', weight: 0.2, criteria: CRITERIA, alternatives: PAIR, globalWeights: syntheses[0].globalWeights,
+            participants: ['Ann'], judgmentSets: [sets[0]], syntheses: [syntheses[0]], isJudged: () => true,
+        });
+        expect(hierarchy[0]).toMatchObject({ name: 'Costs', depth: 0, local: 0.2, global: 0.2 });
+        expect(hierarchy[1]).toMatchObject({ name: 'PRICE', depth: 1, path: ['Costs', 'PRICE'] });
+        expect(matrices[0].title).toBe('Costs: Criteria under Goal');
+        expect(matrices[0].participant).toBeNull();
+    });
+});
+
+describe('report rows', () => {
+    const report = buildReport({
+        projectName: 'Test',
+        parts: [{ hierarchy: [{ id: 'price', name: 'Price', depth: 0, path: ['Price'], local: 1, global: 1 }], matrices: [] }],
+        results: [{ id: 'b', name: 'B', score: 0.7 }, { id: 'a', name: 'A', score: 0.3 }],
+    });
+
+    it('ranks the results in order', () => {
+        expect(rankingRows(report)).toEqual([['Rank', 'Alternative', 'Score'], [1, 'B', 0.7], [2, 'A', 0.3]]);
+    });
+
+    it('lists the criteria weights by path', () => {
+        expect(weightRows(report)).toEqual([['Criterion', 'Local Weight', 'Global Weight'], ['Price', 1, 1]]);
+    });
+});
@@ -0,0 +1,147 @@
+// scales.js
+// Numerical judgment scales. Judgments are stored as the verbal intensity the user chose, on
+// Saaty's 1–9 ladder ("moderately" = 3, "strongly" = 5, ...), and a scale turns each intensity
+// into the number used in the calculation. Keeping the verbal level means the same judgments can
+// be re-evaluated under any scale.
+import { MISSING_JUDGMENT } from './ahp.js';
+
+// Saaty's verbal ladder; the reduced 1–5 scale only offers the odd steps
+const VERBAL_JUDGMENTS = [
+    { level: 1, label: 'Equally Important' },
+    { level: 2, label: 'Equally to Moderately Important' },
+    { level: 3, label: 'Moderately Important' },
+    { level: 4, label: 'Moderately to Strongly Important' },
+    { level: 5, label: 'Strongly Important' },
+    { level: 6, label: 'Strongly to Very Strongly Important' },
+    { level: 7, label: 'Very Strongly Important' },
+    { level: 8, label: 'Very Strongly to Extremely Important' },
+    { level: 9, label: 'Extremely Important' },
+];
+
+// Each scale maps an intensity x ≥ 1 to a value ≥ 1 and back. Both maps are increasing and
+// continuous, so judgments between steps (e.g. from an aggregated or imported matrix) still map.
+export const JUDGMENT_SCALES = [
+    {
+        value: 'saaty',
+        label: 'Saaty 1–9',
+        levels: [1, 2, 3, 4, 5, 6, 7, 8, 9],
+        toValue: (x) => x,
+        toLevel: (v) => v,
+    },
+    {
+        // Salo & Hämäläinen: the weight share of the winner rises evenly from 0.5 to 0.9
+        value: 'balanced',
+        label: 'Balanced',
+        levels: [1, 2, 3, 4, 5, 6, 7, 8, 9],
+        toValue: (x) => (0.45 + 0.05 * x) / (0.55 - 0.05 * x),
+        toLevel: (v) => (v / (1 + v) - 0.45) / 0.05,
+    },
+    {
+        // Lootsma: each verbal step multiplies the ratio by √2, so "strongly" is 4 and "extremely" 16
+        value: 'geometric',
+        label: 'Lootsma geometric',
+        levels: [1, 2, 3, 4, 5, 6, 7, 8, 9],
+        toValue: (x) => Math.SQRT2 ** (x - 1),
+        toLevel: (v) => 1 + 2 * Math.log2(v),
+    },
+    {
+        value: 'power',
+        label: 'Power (x²)',
+        levels: [1, 2, 3, 4, 5, 6, 7, 8, 9],
+        toValue: (x) => x * x,
+        toLevel: (v) => Math.sqrt(v),
+    },
+    {
+        value: 'reduced',
+        label: 'Reduced 1–5',
+        levels: [1, 3, 5, 7, 9],
+        toValue: (x) => (x + 1) / 2,
+        toLevel: (v) => 2 * v - 1,
+    },
+];
+
+export const DEFAULT_JUDGMENT_SCALE = 'saaty';
+
+/**
+ * Looks up a scale.
+ * @param {string} scaleId - One of the JUDGMENT_SCALES values.
+ * @returns {object} The scale.
+ */
+const findScale = (scaleId) => {
+    const scale = JUDGMENT_SCALES.find(s => s.value === scaleId);
+    if (!scale) throw new Error(`Unknown judgment scale: ${scaleId}`);
+    return scale;
+};
+
+/**
+ * Lists the steps a scale offers in the input widgets.
+ * @param {string} scaleId - One of the JUDGMENT_SCALES values.
+ * @returns {{value: number, label: string, score: number}[]} From "equal" upwards: the stored
+ * intensity, its verbal label and the number the calculation uses for it.
+ */
+export const getScaleOptions = (scaleId) => {
+    const scale = findScale(scaleId);
+    return VERBAL_JUDGMENTS
+        .filter(({ level }) => scale.levels.includes(level))
+        .map(({ level, label }) => ({ value: level, label, score: scale.toValue(level) }));
+};
+
+/**
+ * Converts a stored judgment to the number used under a scale.
+ * @param {number|null} judgment - The stored intensity a[i][j] (a reciprocal if the column item wins).
+ * @param {string} scaleId - One of the JUDGMENT_SCALES values.
+ * @returns {number|null} The scaled value, or MISSING_JUDGMENT.
+ */
+export const judgmentToValue = (judgment, scaleId) => {
+    if (judgment === MISSING_JUDGMENT) return MISSING_JUDGMENT;
+    const { toValue } = findScale(scaleId);
+    return judgment >= 1 ? toValue(judgment) : 1 / toValue(1 / judgment);
+};
+
+/**
+ * Converts a number under a scale back to the stored intensity, e.g. to apply a value suggested
+ * by the diagnostics.
+ * @param {number} value - The scaled value.
+ * @param {string} scaleId - One of the JUDGMENT_SCALES values.
+ * @returns {number} The stored intensity.
+ */
+export const valueToJudgment = (value, scaleId) => {
+    const { toLevel } = findScale(scaleId);
+    // Round away floating-point noise so a scale step maps back to exactly its intensity
+    const level = Math.round(toLevel(value >= 1 ? value : 1 / value) * 1e9) / 1e9;
+    return value >= 1 ? level : 1 / level;
+};
+
+/**
+ * Maps a whole matrix of stored judgments to a scale.
+ * @param {(number|null)[][]} matrix - The stored judgments.
+ * @param {string} scaleId - One of the JUDGMENT_SCALES values.
+ * @returns {(number|null)[][]} The matrix the calculation uses.
+ */
+export const applyJudgmentScale = (matrix, scaleId) => matrix.map(row => row.map(judgment => judgmentToValue(judgment, scaleId)));
+
+/**
+ * Maps every matrix of one participant's judgments to a scale.
+ * @param {{criteriaComparisons: object, alternativeComparisons: object}} judgmentSet - The stored judgments.
+ * @param {string} scaleId - One of the JUDGMENT_SCALES values.
+ * @returns {{criteriaComparisons: object, alternativeComparisons: object}} The scaled judgments.
+ */
+export const scaleJudgmentSet = (judgmentSet, scaleId) => {
+    const scaleAll = (matrices) => Object.fromEntries(
+        Object.entries(matrices).map(([id, matrix]) => [id, applyJudgmentScale(matrix, scaleId)]),
+    );
+    return {
+        criteriaComparisons: scaleAll(judgmentSet.criteriaComparisons),
+        alternativeComparisons: scaleAll(judgmentSet.alternativeComparisons),
+    };
+};
+
+/**
+ * Maps the grade comparisons of rating scales to a judgment scale.
+ * @param {Object.<string, {grades: object[], matrix: (number|null)[][]}>} ratingScales - Rating scales keyed by leaf id.
+ * @param {string} scaleId - One of the JUDGMENT_SCALES values.
+ * @returns {Object.<string, object>} The rating scales with scaled matrices.
+ */
+export const scaleRatingScales = (ratingScales, scaleId) => Object.fromEntries(
+    Object.entries(ratingScales).map(([id, scale]) => [id, { ...scale, matrix: applyJudgmentScale(scale.matrix, scaleId) }]),
+);
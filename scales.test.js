@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { MISSING_JUDGMENT } from './ahp.js';
+import {
+    JUDGMENT_SCALES, getScaleOptions, judgmentToValue, valueToJudgment, applyJudgmentScale, scaleJudgmentSet, scaleRatingScales,
+} from './scales.js';
+
+describe('judgment scales', () => {
+    it.each([
+        ['saaty', 5, 5],
+        ['saaty', 9, 9],
+        ['balanced', 5, 0.7 / 0.3],
+        ['balanced', 9, 9],
+        ['geometric', 5, 4],
+        ['geometric', 9, 16],
+        ['power', 3, 9],
+        ['reduced', 3, 2],
+        ['reduced', 9, 5],
+    ])('map %s intensity %d to %d', (scaleId, judgment, value) => {
+        expect(judgmentToValue(judgment, scaleId)).toBeCloseTo(value, 10);
+        expect(judgmentToValue(1 / judgment, scaleId)).toBeCloseTo(1 / value, 10);
+    });
+
+    it.each(JUDGMENT_SCALES.map(scale => scale.value))('keep "equal" at 1 and map %s steps back to their intensity', (scaleId) => {
+        expect(judgmentToValue(1, scaleId)).toBeCloseTo(1, 10);
+        getScaleOptions(scaleId).forEach(({ value, score }) => {
+            expect(valueToJudgment(score, scaleId)).toBe(value);
+            expect(valueToJudgment(1 / score, scaleId)).toBe(1 / value);
+        });
+    });
+
+    it('map judgments between steps, e.g. from aggregated matrices', () => {
+        expect(judgmentToValue(Math.sqrt(15), 'power')).toBeCloseTo(15, 10);
+        expect(valueToJudgment(15, 'power')).toBeCloseTo(Math.sqrt(15), 8);
+    });
+
+    it('offer the odd steps only on the reduced scale', () => {
+        expect(getScaleOptions('reduced').map(option => option.value)).toEqual([1, 3, 5, 7, 9]);
+        expect(getScaleOptions('saaty')).toHaveLength(9);
+        expect(getScaleOptions('saaty')[2]).toEqual({ value: 3, label: 'Moderately Important', score: 3 });
+    });
+
+    it('reject an unknown scale', () => {
+        expect(() => getScaleOptions('bogus')).toThrow('Unknown judgment scale');
+    });
+});
+
+describe('scaling matrices', () => {
+    const STORED = [
+        [1, 3, MISSING_JUDGMENT],
+        [1 / 3, 1, 1 / 5],
+        [MISSING_JUDGMENT, 5, 1],
+    ];
+    const SQUARED = [
+        [1, 9, MISSING_JUDGMENT],
+        [1 / 9, 1, 1 / 25],
+        [MISSING_JUDGMENT, 25, 1],
+    ];
+
+    /**
+     * Checks a scaled matrix cell by cell.
+     * @param {(number|null)[][]} actual - The scaled matrix.
+     * @param {(number|null)[][]} expected - What it should be.
+     */
+    const expectMatrix = (actual, expected) => {
+        actual.forEach((row, i) => row.forEach((value, j) => {
+            if (expected[i][j] === MISSING_JUDGMENT) expect(value).toBe(MISSING_JUDGMENT);
+            else expect(value).toBeCloseTo(expected[i][j], 10);
+        }));
+    };
+
+    it('scale every judgment and keep missing ones missing', () => {
+        expectMatrix(applyJudgmentScale(STORED, 'power'), SQUARED);
+    });
+
+    it('scale every matrix of a participant and every rating scale', () => {
+        const set = scaleJudgmentSet({ criteriaComparisons: { goal: STORED }, alternativeComparisons: { cost: STORED } }, 'power');
+        expectMatrix(set.criteriaComparisons.goal, SQUARED);
+        expectMatrix(set.alternativeComparisons.cost, SQUARED);
+
+        const grades = [{ id: 'g1', name: 'Good' }];
+        const scales = scaleRatingScales({ cost: { grades, matrix: STORED } }, 'power');
+        expect(scales.cost.grades).toBe(grades);
+        expectMatrix(scales.cost.matrix, SQUARED);
+    });
+});
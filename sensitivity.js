@@ -0,0 +1,115 @@
+// sensitivity.js
+// Weight sensitivity analysis on the top level of the hierarchy. Each top-level criterion c has a
+// weight w_c and a priority vector s_c over the alternatives (its contribution to every
+// alternative's score divided by w_c), so an alternative scores Σ_c w_c · s_c(a). Changing one weight rescales the others
+// proportionally, which makes every score a straight line in that weight.
+
+/**
+ * Turns the contributions of the top-level criteria into their weights and priorities.
+ * @param {{id: string, name: string, weight: number, contributions: number[]}[]} topCriteria - The
+ * topCriteria of buildResultsBreakdown: each top-level criterion's global weight and its
+ * contribution to every alternative's score.
+ * @returns {{id: string, name: string, weight: number, priorities: number[]}[]} One entry per top-level criterion.
+ */
+export const buildSensitivityModel = (topCriteria) => topCriteria.map(({ id, name, weight, contributions }) => ({
+    id,
+    name,
+    weight,
+    priorities: contributions.map(value => (weight > 0 ? value / weight : 0)),
+}));
+
+/**
+ * Sets one weight and rescales the others proportionally so the vector still sums to 1.
+ * If every other weight is zero, the remainder is split evenly between them.
+ * @param {number[]} weights - The current weights.
+ * @param {number} index - The weight to change.
+ * @param {number} value - Its new value, between 0 and 1.
+ * @returns {number[]} The re-normalized weights.
+ */
+export const reweight = (weights, index, value) => {
+    if (weights.length === 1) return [1];
+    const othersTotal = weights.reduce((sum, w, k) => (k === index ? sum : sum + w), 0);
+    return weights.map((w, k) => {
+        if (k === index) return value;
+        return othersTotal > 0 ? w * (1 - value) / othersTotal : (1 - value) / (weights.length - 1);
+    });
+};
+
+/**
+ * Scores every alternative for a given set of criteria weights.
+ * @param {{priorities: number[]}[]} model - Output of buildSensitivityModel.
+ * @param {number[]} weights - One weight per criterion.
+ * @returns {number[]} The score of each alternative.
+ */
+export const scoreAlternatives = (model, weights) => {
+    const numAlternatives = model.length > 0 ? model[0].priorities.length : 0;
+    return Array(numAlternatives).fill(0).map((_, altIndex) => (
+        model.reduce((sum, criterion, k) => sum + weights[k] * criterion.priorities[altIndex], 0)
+    ));
+};
+
+/**
+ * Samples the scores of all alternatives as one criterion's weight sweeps from 0 to 1.
+ * @param {{priorities: number[]}[]} model - Output of buildSensitivityModel.
+ * @param {number[]} weights - The weights the other criteria are rescaled from.
+ * @param {number} index - The criterion being swept.
+ * @param {number[]} [extraPoints] - Extra weights to sample, e.g. the rank-reversal breakpoints.
+ * @param {number} [steps] - Number of evenly spaced intervals.
+ * @returns {{weight: number, scores: number[]}[]} Sampled points in increasing weight order.
+ */
+export const sampleSensitivityCurve = (model, weights, index, extraPoints = [], steps = 20) => {
+    const points = Array(steps + 1).fill(0).map((_, k) => k / steps);
+    return [...new Set([...points, ...extraPoints])]
+        .sort((a, b) => a - b)
+        .map(weight => ({ weight, scores: scoreAlternatives(model, reweight(weights, index, weight)) }));
+};
+
+/**
+ * Index of the highest score.
+ * @param {number[]} scores - The scores.
+ * @returns {number} The index of the top alternative.
+ */
+const topIndex = (scores) => scores.reduce((best, score, k) => (score > scores[best] ? k : best), 0);
+
+/**
+ * Finds the weights of one criterion at which the top-ranked alternative changes.
+ * Because every score is linear in the swept weight, the top can only change where two score
+ * lines cross, so only those crossings need to be checked.
+ * @param {{priorities: number[]}[]} model - Output of buildSensitivityModel.
+ * @param {number[]} weights - The weights the other criteria are rescaled from.
+ * @param {number} index - The criterion being swept.
+ * @returns {{weight: number, from: number, to: number}[]} Each breakpoint with the index of the
+ * alternative that leads just below it and the one that leads just above it.
+ */
+export const findRankReversals = (model, weights, index) => {
+    const scoresAt = (x) => scoreAlternatives(model, reweight(weights, index, x));
+    const atZero = scoresAt(0);
+    const atOne = scoresAt(1);
+    const n = atZero.length;
+
+    // Score lines are a(x) = atZero + x · (atOne - atZero); collect where any two intersect
+    const crossings = [];
+    for (let a = 0; a < n; a++) {
+        for (let b = a + 1; b < n; b++) {
+            const slopeDifference = (atOne[a] - atZero[a]) - (atOne[b] - atZero[b]);
+            if (Math.abs(slopeDifference) < 1e-12) continue;
+            const x = (atZero[b] - atZero[a]) / slopeDifference;
+            if (x > 0 && x < 1) crossings.push(x);
+        }
+    }
+    crossings.sort((p, q) => p - q);
+    const distinctCrossings = crossings.filter((x, k) => k === 0 || x - crossings[k - 1] > 1e-9);
+
+    const breakpoints = [];
+    const bounds = [...distinctCrossings, 1];
+    let previousTop = topIndex(scoresAt(bounds[0] / 2));
+    for (let k = 0; k < distinctCrossings.length; k++) {
+        // Check the leader halfway to the next crossing, away from the tie
+        const top = topIndex(scoresAt((distinctCrossings[k] + bounds[k + 1]) / 2));
+        if (top !== previousTop) {
+            breakpoints.push({ weight: distinctCrossings[k], from: previousTop, to: top });
+            previousTop = top;
+        }
+    }
+    return breakpoints;
+};
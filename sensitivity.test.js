@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { buildSensitivityModel, reweight, scoreAlternatives, sampleSensitivityCurve, findRankReversals } from './sensitivity.js';
+import { expectClose } from './testHelpers.js';
+
+/**
+ * A model of two top-level criteria; sweeping the first one's weight x scores alternative a as
+ * x · first[a] + (1 - x) · second[a].
+ * @param {number[]} first - The first criterion's priorities.
+ * @param {number[]} second - The second criterion's priorities.
+ * @returns {{priorities: number[]}[]} The model.
+ */
+const twoCriteria = (first, second) => [{ priorities: first }, { priorities: second }];
+
+describe('sensitivity model', () => {
+    it('turns contributions into priorities', () => {
+        const model = buildSensitivityModel([
+            { id: 'cost', name: 'Cost', weight: 0.5, contributions: [0.3, 0.2] },
+            { id: 'fun', name: 'Fun', weight: 0, contributions: [0, 0] },
+        ]);
+        expect(model[0]).toMatchObject({ id: 'cost', name: 'Cost', weight: 0.5 });
+        expectClose(model[0].priorities, [0.6, 0.4]);
+        expect(model[1].priorities).toEqual([0, 0]);
+    });
+
+    it('scores alternatives by the weighted sum of priorities', () => {
+        expectClose(scoreAlternatives(twoCriteria([0.8, 0.2], [0.3, 0.7]), [0.25, 0.75]), [0.425, 0.575]);
+    });
+});
+
+describe('reweighting', () => {
+    it('rescales the other weights proportionally', () => {
+        expectClose(reweight([0.5, 0.3, 0.2], 0, 0.8), [0.8, 0.12, 0.08]);
+    });
+
+    it('splits the remainder evenly when the other weights are all 0', () => {
+        expect(reweight([1, 0, 0], 0, 0.4)).toEqual([0.4, 0.3, 0.3]);
+    });
+
+    it('keeps a single criterion at 1', () => {
+        expect(reweight([1], 0, 0.3)).toEqual([1]);
+    });
+});
+
+describe('sensitivity curves', () => {
+    it('samples evenly and at the extra points, in order', () => {
+        const curve = sampleSensitivityCurve(twoCriteria([0.8, 0.2], [0.3, 0.7]), [0.5, 0.5], 0, [0.43, 0.5]);
+        expect(curve).toHaveLength(22);
+        expect(curve.map(point => point.weight)).toEqual([...curve.map(point => point.weight)].sort((a, b) => a - b));
+        const crossing = curve.find(point => point.weight === 0.4);
+        expect(crossing.scores[0]).toBeCloseTo(crossing.scores[1], 10);
+    });
+});
+
+describe('rank reversals', () => {
+    it('finds where two score lines cross', () => {
+        // A = 0.3 + 0.5x and B = 0.7 - 0.5x meet at x = 0.4
+        const reversals = findRankReversals(twoCriteria([0.8, 0.2], [0.3, 0.7]), [0.5, 0.5], 0);
+        expect(reversals).toHaveLength(1);
+        expect(reversals[0].weight).toBeCloseTo(0.4, 10);
+        expect(reversals[0]).toMatchObject({ from: 1, to: 0 });
+    });
+
+    it('reports only the crossings that change the leader', () => {
+        // A = 0.6 - 0.6x, B = 0.3 + 0.1x and C = 0.1 + 0.5x: A and C also cross at 5/11, below B
+        const reversals = findRankReversals(twoCriteria([0, 0.4, 0.6], [0.6, 0.3, 0.1]), [0.5, 0.5], 0);
+        expect(reversals.map(({ from, to }) => [from, to])).toEqual([[0, 1], [1, 2]]);
+        expect(reversals[0].weight).toBeCloseTo(3 / 7, 10);
+        expect(reversals[1].weight).toBeCloseTo(0.5, 10);
+    });
+
+    it('finds none when one alternative leads at every weight, or the lines are parallel', () => {
+        expect(findRankReversals(twoCriteria([0.7, 0.3], [0.6, 0.4]), [0.5, 0.5], 0)).toEqual([]);
+        expect(findRankReversals(twoCriteria([0.6, 0.4], [0.6, 0.4]), [0.5, 0.5], 0)).toEqual([]);
+    });
+
+    it('sweeps the criterion it is given', () => {
+        // Sweeping the second criterion mirrors the first: the lines meet at 1 - 0.4
+        const reversals = findRankReversals(twoCriteria([0.8, 0.2], [0.3, 0.7]), [0.5, 0.5], 1);
+        expect(reversals[0].weight).toBeCloseTo(0.6, 10);
+        expect(reversals[0]).toMatchObject({ from: 0, to: 1 });
+    });
+});
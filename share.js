@@ -0,0 +1,155 @@
+// share.js
+// Share links: the whole project is compressed and encoded into the URL hash, so a link rebuilds
+// the exact model without a server. "#model=…" opens an editable copy, "#view=…" opens the results
+// read-only. The hash never reaches the server, so nothing is uploaded when a link is opened.
+import { validateProject } from './project.js';
+
+export const SHARE_EDIT_PARAM = 'model';
+export const SHARE_VIEW_PARAM = 'view';
+
+// Longest hash we create or accept. Browsers handle far longer URLs, but chat and mail clients
+// start cutting links off around here, and a cut link cannot be decoded.
+export const MAX_SHARE_HASH_LENGTH = 32000;
+
+// Largest decompressed project accepted from a link, so a crafted link cannot exhaust memory
+const MAX_SHARED_JSON_BYTES = 4 * 1024 * 1024;
+
+// Raw DEFLATE, the smallest stream format CompressionStream offers
+const COMPRESSION_FORMAT = 'deflate-raw';
+
+/**
+ * Encodes bytes as base64url (RFC 4648 §5) without padding, which needs no escaping in a URL.
+ * @param {Uint8Array} bytes - The data.
+ * @returns {string} The encoded text.
+ */
+const toBase64Url = (bytes) => {
+    let binary = '';
+    for (let k = 0; k < bytes.length; k += 0x8000) binary += String.fromCharCode(...bytes.subarray(k, k + 0x8000));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decodes base64url text.
+ * @param {string} text - The encoded text.
+ * @returns {Uint8Array|null} The data, or null if the text is not base64url.
+ */
+const fromBase64Url = (text) => {
+    if (!/^[A-Za-z0-9_-]+$/.test(text) || text.length % 4 === 1) return null;
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+/**
+ * Runs bytes through a compression or decompression stream.
+ * @param {Uint8Array} bytes - The input.
+ * @param {TransformStream} transform - A CompressionStream or DecompressionStream.
+ * @param {number} [limit] - Largest output accepted; reading stops beyond it.
+ * @returns {Promise<Uint8Array|null>} The output, or null if it exceeded the limit.
+ */
+const pipeBytes = async (bytes, transform, limit = Infinity) => {
+    const input = new ReadableStream({
+        start(controller) {
+            controller.enqueue(bytes);
+            controller.close();
+        },
+    });
+    const reader = input.pipeThrough(transform).getReader();
+    const chunks = [];
+    let length = 0;
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+        length += chunk.value.length;
+        if (length > limit) {
+            await reader.cancel();
+            return null;
+        }
+        chunks.push(chunk.value);
+    }
+    const output = new Uint8Array(length);
+    let position = 0;
+    chunks.forEach(chunk => {
+        output.set(chunk, position);
+        position += chunk.length;
+    });
+    return output;
+};
+
+/**
+ * Checks that this browser can compress and decompress share links.
+ * @throws {Error} If CompressionStream is not available.
+ */
+const requireCompression = () => {
+    if (typeof CompressionStream === 'undefined' || typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot create or open share links. Please update it, or use Export JSON and Import JSON instead.');
+    }
+};
+
+/**
+ * Tells whether a URL hash holds a share link, without decoding it.
+ * @param {string} hash - The URL hash.
+ * @returns {boolean} True for "#model=…" and "#view=…" hashes.
+ */
+export const isShareHash = (hash) => {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    return params.has(SHARE_EDIT_PARAM) || params.has(SHARE_VIEW_PARAM);
+};
+
+/**
+ * Builds the URL hash of a share link.
+ * @param {object} project - A document from serializeProject.
+ * @param {boolean} readOnly - True for a link that only shows the results.
+ * @returns {Promise<string>} The hash, starting with "#".
+ * @throws {Error} If the project is too large for a link or the browser cannot compress.
+ */
+export const createShareHash = async (project, readOnly) => {
+    requireCompression();
+    const json = new TextEncoder().encode(JSON.stringify(project));
+    const payload = toBase64Url(await pipeBytes(json, new CompressionStream(COMPRESSION_FORMAT)));
+    const hash = `#${readOnly ? SHARE_VIEW_PARAM : SHARE_EDIT_PARAM}=${payload}`;
+    if (hash.length > MAX_SHARE_HASH_LENGTH) {
+        throw new Error(`This project is too large to share as a link (${hash.length.toLocaleString()} characters, the limit is ${MAX_SHARE_HASH_LENGTH.toLocaleString()}). Use Export JSON and send the file instead.`);
+    }
+    return hash;
+};
+
+/**
+ * Reads a share link from a URL hash.
+ * @param {string} hash - The URL hash, e.g. window.location.hash.
+ * @returns {Promise<{project: {name: string, model: object}, readOnly: boolean}|null>} The validated
+ * project and whether it was shared read-only, or null if the hash is not a share link.
+ * @throws {Error} With a message for the user if the link is too long, damaged or not a valid model.
+ */
+export const readShareHash = async (hash) => {
+    if (!isShareHash(hash)) return null;
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const readOnly = params.has(SHARE_VIEW_PARAM);
+    const payload = params.get(readOnly ? SHARE_VIEW_PARAM : SHARE_EDIT_PARAM);
+    if (hash.length > MAX_SHARE_HASH_LENGTH) {
+        throw new Error(`This share link is too long to open (${hash.length.toLocaleString()} characters, the limit is ${MAX_SHARE_HASH_LENGTH.toLocaleString()}). Ask for the project as a JSON file instead.`);
+    }
+    requireCompression();
+
+    const compressed = fromBase64Url(payload);
+    if (!compressed) throw new Error('This share link cannot be opened: it contains characters that do not belong in a share link. Copy the whole link again.');
+    let json;
+    let data;
+    try {
+        json = await pipeBytes(compressed, new DecompressionStream(COMPRESSION_FORMAT), MAX_SHARED_JSON_BYTES);
+        data = json && JSON.parse(new TextDecoder().decode(json));
+    } catch {
+        throw new Error('This share link cannot be opened: it is damaged or incomplete. Links are sometimes cut off when they are copied; ask for the link again.');
+    }
+    if (!json) throw new Error('This share link cannot be opened: it holds more data than a shared model can.');
+    try {
+        return { project: validateProject(data), readOnly };
+    } catch (error) {
+        throw new Error(`This share link does not hold a usable model. ${error.message}`);
+    }
+};
+
+/**
+ * Removes a share link from the address bar without reloading, so later edits are not mistaken
+ * for the shared model when the page is reloaded.
+ */
+export const clearShareHash = () => {
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+};
@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { createShareHash, readShareHash } from './share.js';
+import { projectWithResults } from './testHelpers.js';
+
+describe('read-only share links', () => {
+    it('open a valid model with its results', async () => {
+        const hash = await createShareHash(projectWithResults([{ name: 'A', score: 0.7 }, { name: 'B', score: 0.3 }]), true);
+        const { project, readOnly } = await readShareHash(hash);
+        expect(readOnly).toBe(true);
+        expect(project.model.results).toEqual([{ name: 'A', score: 0.7 }, { name: 'B', score: 0.3 }]);
+    });
+
+    it.each([
+        ['a name that is not text', [{ name: { evil: 1 } }, 5]],
+        ['a score that is not a number', [{ name: 'A', score: 'high' }]],
+    ])('refuse well-formed links whose results have %s', async (_, results) => {
+        const hash = await createShareHash(projectWithResults(results), true);
+        await expect(readShareHash(hash)).rejects.toThrow(/^This share link does not hold a usable model\. Invalid project file: /);
+    });
+
+    it('refuse a damaged link', async () => {
+        await expect(readShareHash('#view=AAAA')).rejects.toThrow('damaged or incomplete');
+    });
+});
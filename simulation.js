@@ -0,0 +1,167 @@
+// simulation.js
+// Monte Carlo uncertainty analysis of the ranking. Every run moves each stored judgment a random
+// distance along the verbal ladder (… 1/3, 1/2, 1, 2, 3 …), recalculates the priorities with the
+// same scale, aggregation and synthesis as the results, and records where each alternative
+// ranks. The counts show how much the ranking depends on the judgments being exactly right.
+// The runs are seeded, so the same settings always give the same answer.
+import { calculateAHP, MISSING_JUDGMENT } from './ahp.js';
+import { getLeaves, calculateHierarchyWeights } from './hierarchy.js';
+import { aggregateJudgmentSets, aggregatePriorities } from './group.js';
+import { scaleJudgmentSet } from './scales.js';
+import { createRandom } from './random.js';
+
+// How a judgment is moved: by whole verbal steps, or anywhere within the spread
+export const PERTURBATION_DISTRIBUTIONS = [
+    { value: 'steps', label: 'Whole steps, all equally likely' },
+    { value: 'uniform', label: 'Anywhere in the range, evenly' },
+    { value: 'triangular', label: 'Anywhere in the range, mostly near the judgment' },
+];
+
+export const DEFAULT_SIMULATION_SETTINGS = { runs: 2000, spread: 1, distribution: 'steps', seed: 1 };
+
+export const MAX_SIMULATION_RUNS = 100000;
+
+// The strongest intensity on the verbal ladder; judgments are kept within 1/9 … 9
+const MAX_INTENSITY = 9;
+
+// Runs between progress reports
+const PROGRESS_INTERVAL = 100;
+
+/**
+ * Places a judgment on the verbal ladder: 0 is "equal", 1 … 8 favour the row item by that many
+ * steps and -1 … -8 the column item.
+ * @param {number} judgment - The stored judgment a[i][j].
+ * @returns {number} Its position.
+ */
+const toPosition = (judgment) => (judgment >= 1 ? judgment - 1 : 1 - 1 / judgment);
+
+/**
+ * Converts a position on the verbal ladder back to a judgment, see toPosition.
+ * @param {number} position - The position.
+ * @returns {number} The judgment a[i][j].
+ */
+const fromPosition = (position) => (position >= 0 ? 1 + position : 1 / (1 - position));
+
+/**
+ * Moves one judgment a random distance along the verbal ladder, staying within 1/9 … 9.
+ * @param {number|null} judgment - The stored judgment, or MISSING_JUDGMENT.
+ * @param {{spread: number, distribution: string}} settings - Largest move in steps, and one of the PERTURBATION_DISTRIBUTIONS values.
+ * @param {function(): number} random - A generator from createRandom.
+ * @returns {number|null} The moved judgment; missing judgments stay missing.
+ */
+export const perturbJudgment = (judgment, { spread, distribution }, random) => {
+    if (judgment === MISSING_JUDGMENT) return judgment;
+    let offset;
+    if (distribution === 'steps') {
+        const steps = Math.floor(spread);
+        offset = Math.floor(random() * (2 * steps + 1)) - steps;
+    } else if (distribution === 'uniform') {
+        offset = (2 * random() - 1) * spread;
+    } else {
+        offset = (random() - random()) * spread;
+    }
+    const limit = MAX_INTENSITY - 1;
+    return fromPosition(Math.max(-limit, Math.min(limit, toPosition(judgment) + offset)));
+};
+
+/**
+ * Moves every judgment of a matrix, keeping it reciprocal.
+ * @param {(number|null)[][]} matrix - The stored judgments.
+ * @param {{spread: number, distribution: string}} settings - See perturbJudgment.
+ * @param {function(): number} random - A generator from createRandom.
+ * @returns {(number|null)[][]} The perturbed matrix.
+ */
+const perturbMatrix = (matrix, settings, random) => {
+    const perturbed = matrix.map(row => [...row]);
+    for (let i = 0; i < matrix.length; i++) {
+        for (let j = i + 1; j < matrix.length; j++) {
+            const value = perturbJudgment(matrix[i][j], settings, random);
+            perturbed[i][j] = value;
+            perturbed[j][i] = value === MISSING_JUDGMENT ? MISSING_JUDGMENT : 1 / value;
+        }
+    }
+    return perturbed;
+};
+
+/**
+ * Ranks alternatives by score, best first; ties keep the list order.
+ * @param {number[]} scores - The score of each alternative.
+ * @returns {number[]} Alternative indices in rank order.
+ */
+const rankOrder = (scores) => scores.map((_, altIndex) => altIndex).sort((a, b) => scores[b] - scores[a] || a - b);
+
+/**
+ * Runs the simulation.
+ * @param {object} input - The model behind the results, as the Results tab prepares it.
+ * @param {Array} input.criteria - The top-level criteria.
+ * @param {string[]} input.alternatives - Alternative names, in list order.
+ * @param {{criteriaComparisons: object, alternativeComparisons: object}[]} input.judgmentSets - Each participant's
+ * stored judgments, laid out as by alignJudgments.
+ * @param {number[]} input.participantWeights - Normalized participant weights.
+ * @param {string} input.aggregationMethod - 'aij' or 'aip'; a single participant can use either.
+ * @param {string} input.judgmentScale - One of the JUDGMENT_SCALES values.
+ * @param {string} input.priorityMethod - One of the PRIORITY_METHODS values.
+ * @param {string} input.randomIndexSource - One of the RANDOM_INDEX_SOURCES values.
+ * @param {boolean} input.idealize - Divide the local priorities under each leaf by the best (ideal synthesis).
+ * @param {Object.<string, number[]>} input.fixedAlternativeWeights - Final local priorities of leaves that
+ * are not judged pairwise (ratings, measured data), keyed by leaf id; these are not perturbed.
+ * @param {{runs: number, spread: number, distribution: string, seed: number}} settings - See DEFAULT_SIMULATION_SETTINGS.
+ * @param {function(number): void} [onProgress] - Called with the number of runs done so far.
+ * @returns {{runs: number, rankCounts: number[][], firstPlace: number[], sameRanking: number, baseOrder: number[]}}
+ * How often each alternative (row) took each rank (column), the share of runs it came first, the
+ * share of runs that kept the unperturbed ranking, and that ranking.
+ */
+export const simulateRanking = (input, settings, onProgress) => {
+    const { criteria, alternatives, participantWeights, priorityMethod, randomIndexSource, fixedAlternativeWeights } = input;
+    const leaves = getLeaves(criteria);
+    const judgedLeaves = leaves.filter(leaf => !fixedAlternativeWeights[leaf.id]);
+    const n = alternatives.length;
+
+    // Scores of one set of scaled judgments, synthesized as in synthesizeHierarchy
+    const scoreSet = (set) => {
+        const { globalWeights } = calculateHierarchyWeights(criteria, set.criteriaComparisons, priorityMethod, randomIndexSource);
+        const scores = Array(n).fill(0);
+        leaves.forEach(leaf => {
+            let weights = fixedAlternativeWeights[leaf.id];
+            if (!weights) {
+                weights = calculateAHP(set.alternativeComparisons[leaf.id], n, priorityMethod, randomIndexSource).weights;
+                const best = Math.max(...weights);
+                if (input.idealize && best > 0) weights = weights.map(w => w / best);
+            }
+            weights.forEach((weight, altIndex) => {
+                scores[altIndex] += weight * globalWeights[leaf.id];
+            });
+        });
+        return scores;
+    };
+    const scoreSets = (sets) => {
+        const scaled = sets.map(set => scaleJudgmentSet(set, input.judgmentScale));
+        return input.aggregationMethod === 'aij'
+            ? scoreSet(aggregateJudgmentSets(scaled, participantWeights))
+            : aggregatePriorities(scaled.map(scoreSet), participantWeights);
+    };
+
+    const random = createRandom(settings.seed);
+    const perturbSet = (set) => ({
+        criteriaComparisons: Object.fromEntries(Object.entries(set.criteriaComparisons).map(([id, matrix]) => [id, perturbMatrix(matrix, settings, random)])),
+        alternativeComparisons: Object.fromEntries(judgedLeaves.map(leaf => [leaf.id, perturbMatrix(set.alternativeComparisons[leaf.id], settings, random)])),
+    });
+
+    const baseOrder = rankOrder(scoreSets(input.judgmentSets));
+    const rankCounts = alternatives.map(() => Array(n).fill(0));
+    let same = 0;
+    for (let run = 1; run <= settings.runs; run++) {
+        const order = rankOrder(scoreSets(input.judgmentSets.map(perturbSet)));
+        order.forEach((altIndex, rank) => { rankCounts[altIndex][rank]++; });
+        if (order.every((altIndex, rank) => altIndex === baseOrder[rank])) same++;
+        if (onProgress && (run % PROGRESS_INTERVAL === 0 || run === settings.runs)) onProgress(run);
+    }
+
+    return {
+        runs: settings.runs,
+        rankCounts,
+        firstPlace: rankCounts.map(counts => counts[0] / settings.runs),
+        sameRanking: same / settings.runs,
+        baseOrder,
+    };
+};
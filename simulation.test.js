@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { MISSING_JUDGMENT } from './ahp.js';
+import { createRandom } from './random.js';
+import { perturbJudgment, simulateRanking } from './simulation.js';
+import { ALTERNATIVES, criterion } from './testHelpers.js';
+
+/**
+ * A generator that always returns the same number.
+ * @param {number} value - The number, in [0, 1).
+ * @returns {function(): number} The generator.
+ */
+const constant = (value) => () => value;
+
+// Price (3 × Quality) ranks A, B, C; Quality ranks them the other way round
+const INPUT = {
+    criteria: [criterion('price'), criterion('quality')],
+    alternatives: ALTERNATIVES.map(alt => alt.name),
+    judgmentSets: [{
+        criteriaComparisons: { goal: [[1, 3], [1 / 3, 1]] },
+        alternativeComparisons: {
+            price: [[1, 2, 4], [1 / 2, 1, 2], [1 / 4, 1 / 2, 1]],
+            quality: [[1, 1 / 2, 1 / 3], [2, 1, 1 / 2], [3, 2, 1]],
+        },
+    }],
+    participantWeights: [1],
+    aggregationMethod: 'aip',
+    judgmentScale: 'saaty',
+    priorityMethod: 'eigenvector',
+    randomIndexSource: 'saaty',
+    idealize: false,
+    fixedAlternativeWeights: {},
+};
+
+describe('perturbing a judgment', () => {
+    it('moves it by whole steps along the verbal ladder, across "equal"', () => {
+        // With a spread of 2 the lowest draw moves two steps towards the column item, the highest two towards the row item
+        expect(perturbJudgment(2, { spread: 2, distribution: 'steps' }, constant(0))).toBe(1 / 2);
+        expect(perturbJudgment(2, { spread: 2, distribution: 'steps' }, constant(0.99))).toBe(4);
+        expect(perturbJudgment(1 / 3, { spread: 2, distribution: 'steps' }, constant(0.5))).toBe(1 / 3);
+    });
+
+    it.each(['steps', 'uniform', 'triangular'])('stays within the spread and within 1/9 … 9 (%s)', (distribution) => {
+        const random = createRandom(7);
+        for (let k = 0; k < 200; k++) {
+            const moved = perturbJudgment(3, { spread: 1, distribution }, random);
+            expect(moved).toBeGreaterThanOrEqual(2 - 1e-12);
+            expect(moved).toBeLessThanOrEqual(4 + 1e-12);
+            expect(perturbJudgment(9, { spread: 3, distribution }, random)).toBeLessThanOrEqual(9);
+            expect(perturbJudgment(1 / 9, { spread: 3, distribution }, random)).toBeGreaterThanOrEqual(1 / 9);
+        }
+    });
+
+    it('leaves a missing judgment missing', () => {
+        expect(perturbJudgment(MISSING_JUDGMENT, { spread: 2, distribution: 'uniform' }, constant(0.3))).toBe(MISSING_JUDGMENT);
+    });
+});
+
+describe('ranking simulation', () => {
+    const SETTINGS = { runs: 200, spread: 2, distribution: 'steps', seed: 1 };
+
+    it('counts every alternative once per run', () => {
+        const result = simulateRanking(INPUT, SETTINGS);
+        expect(result.baseOrder).toEqual([0, 1, 2]);
+        result.rankCounts.forEach(counts => expect(counts.reduce((sum, count) => sum + count, 0)).toBe(200));
+        [0, 1, 2].forEach(rank => expect(result.rankCounts.reduce((sum, counts) => sum + counts[rank], 0)).toBe(200));
+        expect(result.firstPlace.reduce((sum, share) => sum + share, 0)).toBeCloseTo(1, 10);
+        expect(result.sameRanking).toBeGreaterThan(0);
+        expect(result.sameRanking).toBeLessThan(1);
+    });
+
+    it('gives the same answer for the same seed and another for a different one', () => {
+        expect(simulateRanking(INPUT, SETTINGS)).toEqual(simulateRanking(INPUT, SETTINGS));
+        expect(simulateRanking(INPUT, { ...SETTINGS, seed: 2 }).rankCounts).not.toEqual(simulateRanking(INPUT, SETTINGS).rankCounts);
+    });
+
+    it('keeps the ranking under small moves and reports progress', () => {
+        const done = [];
+        const result = simulateRanking(INPUT, { ...SETTINGS, runs: 150, spread: 0.01, distribution: 'uniform' }, count => done.push(count));
+        expect(result.sameRanking).toBe(1);
+        expect(result.firstPlace).toEqual([1, 0, 0]);
+        expect(done).toEqual([100, 150]);
+    });
+
+    it('does not perturb the priorities of leaves that are not judged pairwise', () => {
+        // Quality, weighing at least 7 × Price in every run, rates C best at a fixed 0.9
+        const result = simulateRanking({
+            ...INPUT,
+            judgmentSets: [{ ...INPUT.judgmentSets[0], criteriaComparisons: { goal: [[1, 1 / 9], [9, 1]] } }],
+            fixedAlternativeWeights: { quality: [0, 0.1, 0.9] },
+        }, SETTINGS);
+        expect(result.firstPlace).toEqual([0, 0, 1]);
+    });
+});
@@ -0,0 +1,15 @@
+// simulation.worker.js
+// Runs simulateRanking off the main thread so the page stays responsive during long simulations.
+// Receives { input, settings } and posts { type: 'progress', done }, then { type: 'done', result }
+// or { type: 'error', message }. The page stops a simulation by terminating the worker.
+import { simulateRanking } from './simulation.js';
+
+self.onmessage = (event) => {
+    const { input, settings } = event.data;
+    try {
+        const result = simulateRanking(input, settings, (done) => self.postMessage({ type: 'progress', done }));
+        self.postMessage({ type: 'done', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,44 @@
+// testHelpers.js
+// Fixtures and assertions shared by the unit tests (*.test.js).
+import { expect } from 'vitest';
+import { PROJECT_FORMAT, PROJECT_VERSION } from './project.js';
+
+// Alternatives most tests rank, with ids a, b and c and names A, B and C
+export const ALTERNATIVES = ['a', 'b', 'c'].map(id => ({ id, name: id.toUpperCase() }));
+
+/**
+ * Checks a list of numbers element by element.
+ * @param {number[]} actual - The computed numbers.
+ * @param {number[]} expected - What they should be.
+ * @param {number} [digits] - Decimal places that must agree.
+ */
+export const expectClose = (actual, expected, digits = 10) => {
+    expect(actual).toHaveLength(expected.length);
+    actual.forEach((value, k) => expect(value).toBeCloseTo(expected[k], digits));
+};
+
+/**
+ * A criterion whose name is its id in capitals.
+ * @param {string} id - The criterion id.
+ * @param {Array} [children] - Its sub-criteria.
+ * @returns {{id: string, name: string, children: Array}} The criterion.
+ */
+export const criterion = (id, children = []) => ({ id, name: id.toUpperCase(), children });
+
+/**
+ * A minimal valid project document with two alternatives, A and B.
+ * @param {*} results - The stored results.
+ * @returns {object} The document.
+ */
+export const projectWithResults = (results) => ({
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    name: 'Test',
+    model: {
+        criteria: [],
+        alternatives: ALTERNATIVES.slice(0, 2),
+        participants: [{ id: 'p', name: 'P', weight: 1 }],
+        judgments: {},
+        results,
+    },
+});
@@ -0,0 +1,200 @@
+// xlsx.js
+// Minimal Excel workbook (Office Open XML) writer, so reports can be exported without a server or
+// a spreadsheet library. A workbook is a ZIP archive of XML parts; this writes the few parts Excel,
+// LibreOffice and Google Sheets need, with numbers as numeric cells and text as inline strings,
+// stored uncompressed.
+
+export const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Excel limits sheet names to 31 characters and forbids these characters in them
+const SHEET_NAME_LENGTH = 31;
+const SHEET_NAME_FORBIDDEN = /[[\]:*?/\\]/g;
+
+// Modification date of every ZIP entry, 1980-01-01 in MS-DOS format (the earliest it can hold)
+const DOS_EPOCH_DATE = (1 << 5) | 1;
+
+// CRC-32 (IEEE) lookup table, needed by every ZIP entry
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+/**
+ * Computes the CRC-32 checksum of some bytes.
+ * @param {Uint8Array} bytes - The data.
+ * @returns {number} The checksum as an unsigned 32-bit integer.
+ */
+const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Packs files into a ZIP archive without compression.
+ * @param {{name: string, data: Uint8Array}[]} files - Paths inside the archive and their contents.
+ * @returns {Uint8Array} The archive.
+ */
+const createZip = (files) => {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(({ name, data }) => {
+        const nameBytes = encoder.encode(name);
+        const crc = crc32(data);
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true); // Local file header signature
+        local.setUint16(4, 20, true); // Version needed to extract
+        local.setUint16(8, 0, true); // Method: stored
+        local.setUint16(12, DOS_EPOCH_DATE, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true); // Central directory header signature
+        entry.setUint16(4, 20, true); // Version made by
+        entry.setUint16(6, 20, true); // Version needed to extract
+        entry.setUint16(14, DOS_EPOCH_DATE, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, nameBytes.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(new Uint8Array(entry.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+};
+
+// Characters XML 1.0 does not allow at all, even escaped: control characters other than tab and
+// line breaks, unpaired surrogates, U+FFFE and U+FFFF
+const XML_ILLEGAL = /[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+/**
+ * Escapes text for use in XML, dropping the characters XML cannot hold.
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+const escapeXml = (text) => String(text)
+    .replace(XML_ILLEGAL, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Converts a zero-based column index to its letters (0 → A, 26 → AA).
+ * @param {number} index - The column index.
+ * @returns {string} The column letters.
+ */
+const columnName = (index) => {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    return name;
+};
+
+/**
+ * Writes the XML of one worksheet. Finite numbers become numeric cells; null, undefined and
+ * empty strings leave the cell empty; anything else is written as text.
+ * @param {Array<Array<string|number|null>>} rows - The cell values, row by row.
+ * @returns {string} The worksheet XML.
+ */
+const sheetXml = (rows) => {
+    const rowsXml = rows.map((row, r) => {
+        const cells = row.map((value, c) => {
+            const ref = `${columnName(c)}${r + 1}`;
+            if (value === null || value === undefined || value === '') return '';
+            if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        }).join('');
+        return `<row r="${r + 1}">${cells}</row>`;
+    }).join('');
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + `<sheetData>${rowsXml}</sheetData></worksheet>`;
+};
+
+/**
+ * Makes sheet names valid and unique: forbidden characters are replaced, names are cut to 31
+ * characters, and repeated names get a number.
+ * @param {string[]} names - The wanted names.
+ * @returns {string[]} Names Excel accepts.
+ */
+export const toSheetNames = (names) => {
+    const used = new Set();
+    return names.map(wanted => {
+        const base = wanted.replace(SHEET_NAME_FORBIDDEN, ' ').trim() || 'Sheet';
+        let name = base.slice(0, SHEET_NAME_LENGTH);
+        for (let k = 2; used.has(name.toLowerCase()); k++) {
+            const suffix = ` (${k})`;
+            name = base.slice(0, SHEET_NAME_LENGTH - suffix.length) + suffix;
+        }
+        used.add(name.toLowerCase());
+        return name;
+    });
+};
+
+/**
+ * Builds an .xlsx workbook.
+ * @param {{name: string, rows: Array<Array<string|number|null>>}[]} sheets - The sheets in order; names are made valid with toSheetNames.
+ * @returns {Uint8Array} The workbook file.
+ */
+export const createWorkbook = (sheets) => {
+    const encoder = new TextEncoder();
+    const names = toSheetNames(sheets.map(sheet => sheet.name));
+    const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            xml: `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + sheets.map((_, k) => `<Override PartName="/xl/worksheets/sheet${k + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+                + '</Types>',
+        },
+        {
+            name: '_rels/.rels',
+            xml: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+                + '</Relationships>',
+        },
+        {
+            name: 'xl/workbook.xml',
+            xml: `${xmlHeader}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>`
+                + names.map((name, k) => `<sheet name="${escapeXml(name)}" sheetId="${k + 1}" r:id="rId${k + 1}"/>`).join('')
+                + '</sheets></workbook>',
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            xml: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+                + sheets.map((_, k) => `<Relationship Id="rId${k + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${k + 1}.xml"/>`).join('')
+                + '</Relationships>',
+        },
+        ...sheets.map((sheet, k) => ({ name: `xl/worksheets/sheet${k + 1}.xml`, xml: sheetXml(sheet.rows) })),
+    ];
+    return createZip(files.map(({ name, xml }) => ({ name, data: encoder.encode(xml) })));
+};
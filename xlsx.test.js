@@ -0,0 +1,19 @@
+import { describe, it, expect } from 'vitest';
+import { createWorkbook, toSheetNames } from './xlsx.js';
+
+// The parts are stored uncompressed, so the sheet XML can be read straight out of the archive
+const workbookText = (sheets) => new TextDecoder().decode(createWorkbook(sheets));
+
+describe('workbook', () => {
+    it('escapes markup and drops characters XML cannot hold', () => {
+        const text = workbookText([{ name: 'Data', rows: [['a < b & "c"', 'bell\u0007 and\u0000 null', 'tab\tkept']] }]);
+        expect(text).toContain('a &lt; b &amp; &quot;c&quot;');
+        expect(text).toContain('bell and null');
+        expect(text).toContain('tab\tkept');
+        expect(text).not.toContain('bell\u0007');
+    });
+
+    it('makes sheet names valid and unique', () => {
+        expect(toSheetNames(['A/B', 'a/b', ''])).toEqual(['A B', 'a b (2)', 'Sheet']);
+    });
+});